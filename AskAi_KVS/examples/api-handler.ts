@@ -7,7 +7,7 @@
 
 import type { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { KVSClient, AIClient } from '../shared/clients';
-import { DevAskAIRequestSchema, DevKVSRequestSchema } from '../shared/schemas';
+import { DevAskAIRequestSchema, DevAskAIResponseSchema, DevKVSRequestSchema } from '../shared/schemas';
 import { createLogger, generateId } from '../shared/utils';
 
 // Initialize clients from environment
@@ -21,6 +21,9 @@ const aiClient = new AIClient(
   15000
 );
 
+// Round-trip keys expire on their own even if the delete step never runs
+const DEV_KVS_TTL_SECONDS = 60 * 60;
+
 // ============================================================================
 // HTTP HELPERS
 // ============================================================================
@@ -98,73 +101,31 @@ export async function devAskAIHandler(
     logger.info('AskAI test request', { questionLength: request.question.length });
 
     const systemPrompt = request.systemPrompt || 'You are a helpful assistant.';
-    const input = `Question: ${request.question}\n\nAnswer:`;
-
-    // First attempt
-    const firstOutput = await aiClient.ask({
-      systemPrompt: `${systemPrompt}\nOutput JSON only with structure: { "answer": "text" }`,
-      input,
-      maxTokens: request.maxTokens ?? 200,
-      temperature: request.temperature ?? 0.7,
-      model: request.model,
-    });
-
-    try {
-      const parsed = JSON.parse(firstOutput);
-      if (parsed.answer) {
-        return jsonResponse(
-          200,
-          {
-            answer: parsed.answer,
-            rawOutput: firstOutput,
-            attempts: 1,
-            usedFallback: false,
-          },
-          origin
-        );
-      }
-    } catch {
-      // JSON parse failed, retry
-    }
 
-    // Retry with stricter prompt
-    logger.warn('AskAI JSON validation failed, retrying');
-
-    const retryOutput = await aiClient.ask({
-      systemPrompt: `${systemPrompt}\nIMPORTANT: Output ONLY valid JSON: { "answer": "text" }. No extra text.`,
-      input,
-      maxTokens: request.maxTokens ?? 200,
-      temperature: 0.4, // Lower temperature for reliability
-      model: request.model,
-    });
-
-    try {
-      const parsed = JSON.parse(retryOutput);
-      if (parsed.answer) {
-        return jsonResponse(
-          200,
-          {
-            answer: parsed.answer,
-            rawOutput: retryOutput,
-            attempts: 2,
-            usedFallback: false,
-          },
-          origin
-        );
-      }
-    } catch {
-      // Still failed
+    // The service validates the answer against the schema and has the model fix it if needed
+    const result = await aiClient.askStructured(
+      DevAskAIResponseSchema.pick({ answer: true }),
+      {
+        systemPrompt,
+        input: `Question: ${request.question}`,
+        maxTokens: request.maxTokens ?? 200,
+        temperature: request.temperature ?? 0.7,
+        model: request.model,
+      },
+      { name: 'answer', fallback: { answer: 'AI response failed validation. Please retry.' } }
+    );
+
+    if (result.usedFallback) {
+      logger.error('AskAI failed validation after repair, using fallback', { attempts: result.attempts });
     }
 
-    // Fallback
-    logger.error('AskAI failed after retry, using fallback');
     return jsonResponse(
       200,
       {
-        answer: 'AI response failed validation. Please retry.',
-        rawOutput: retryOutput,
-        attempts: 2,
-        usedFallback: true,
+        answer: result.data.answer,
+        rawOutput: result.rawOutput,
+        attempts: result.attempts,
+        usedFallback: result.usedFallback,
       },
       origin
     );
@@ -218,7 +179,7 @@ export async function devKVSHandler(
     logger.info('KVS test write', { key, deleteAfter });
 
     // Write
-    await kvsClient.put(key, stored);
+    await kvsClient.put(key, stored, { ttlSeconds: request.ttlSeconds ?? DEV_KVS_TTL_SECONDS });
 
     // Read
     const retrieved = await kvsClient.get(key);
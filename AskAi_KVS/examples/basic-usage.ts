@@ -70,8 +70,7 @@ async function main() {
 
   // Clean up
   console.log('6. Cleaning up...');
-  await kvs.delete('user:john');
-  await kvs.delete('user:jane');
+  await kvs.deleteMany(['user:john', 'user:jane']);
   console.log('   Users deleted!\n');
 
   // =========================================
@@ -10,6 +10,7 @@
 import * as cdk from 'aws-cdk-lib';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as s3 from 'aws-cdk-lib/aws-s3';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
 import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
 import { Construct } from 'constructs';
@@ -38,6 +39,14 @@ export class AskAIKVSStack extends cdk.Stack {
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
       removalPolicy: cdk.RemovalPolicy.RETAIN, // Keep data on stack deletion
       pointInTimeRecovery: true, // Enable backups
+      timeToLiveAttribute: 'expiresAt', // KVS writes with a TTL set this
+    });
+
+    // Values too large for a DynamoDB item, even compressed
+    const kvsBlobBucket = new s3.Bucket(this, 'KVSBlobBucket', {
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
     });
 
     // ========================================
@@ -65,16 +74,33 @@ export class AskAIKVSStack extends cdk.Stack {
       environment: {
         TABLE_NAME: kvsTable.tableName,
         ALLOWED_ORIGINS: '*', // Configure for production
+        VERSION_HISTORY_LIMIT: '10', // Previous versions kept per key (0 disables)
+        AUTH_CLIENTS: process.env.AUTH_CLIENTS || '', // Signed-request clients (empty = open)
+        BLOB_BUCKET: kvsBlobBucket.bucketName, // Overflow for large values
       },
     });
 
-    // Grant DynamoDB permissions
+    // Grant DynamoDB and blob bucket permissions
     kvsTable.grantReadWriteData(kvsLambda);
+    kvsBlobBucket.grantReadWrite(kvsLambda);
 
     // ========================================
     // AskAI Lambda Function
     // ========================================
 
+    const askaiEnvironment = {
+      OPENAI_API_KEY_SECRET_ARN: openaiSecret.secretArn,
+      DEFAULT_MODEL: 'gpt-4-turbo',
+      ALLOWED_ORIGINS: '*', // Configure for production
+      AUTH_CLIENTS: process.env.AUTH_CLIENTS || '', // Signed-request clients (empty = open)
+      IDEMPOTENCY_TABLE_NAME: kvsTable.tableName, // Idempotency records share the KVS table
+      // Other providers and per-model fallback chains; empty = OpenAI only
+      AI_PROVIDERS: process.env.AI_PROVIDERS || '',
+      AI_ROUTES: process.env.AI_ROUTES || '',
+      // Model capability overrides; empty = the built-in registry
+      AI_MODELS: process.env.AI_MODELS || '',
+    };
+
     const askaiLambda = new lambda.Function(this, 'AskAILambda', {
       functionName: 'askai-service',
       runtime: lambda.Runtime.NODEJS20_X,
@@ -82,15 +108,30 @@ export class AskAIKVSStack extends cdk.Stack {
       code: lambda.Code.fromAsset('path/to/export/services/askai/dist'),
       memorySize: 512, // More memory for AI processing
       timeout: cdk.Duration.seconds(30), // Longer timeout for AI calls
-      environment: {
-        OPENAI_API_KEY_SECRET_ARN: openaiSecret.secretArn,
-        DEFAULT_MODEL: 'gpt-4-turbo',
-        ALLOWED_ORIGINS: '*', // Configure for production
-      },
+      environment: askaiEnvironment,
     });
 
-    // Grant Secrets Manager permissions
-    openaiSecret.grantRead(askaiLambda);
+    // API Gateway buffers responses, so a streamed answer ("stream": true) arrives there all at
+    // once. The same code behind a streaming Function URL relays it as it is generated.
+    const askaiStreamLambda = new lambda.Function(this, 'AskAIStreamLambda', {
+      functionName: 'askai-stream-service',
+      runtime: lambda.Runtime.NODEJS20_X,
+      handler: 'index.streamHandler',
+      code: lambda.Code.fromAsset('path/to/export/services/askai/dist'),
+      memorySize: 512,
+      timeout: cdk.Duration.seconds(60), // Long narrations stream for a while
+      environment: askaiEnvironment,
+    });
+    const askaiStreamUrl = askaiStreamLambda.addFunctionUrl({
+      authType: lambda.FunctionUrlAuthType.NONE,
+      invokeMode: lambda.InvokeMode.RESPONSE_STREAM,
+    });
+
+    // Grant Secrets Manager and idempotency record permissions
+    for (const fn of [askaiLambda, askaiStreamLambda]) {
+      openaiSecret.grantRead(fn);
+      kvsTable.grantReadWriteData(fn);
+    }
 
     // ========================================
     // API Gateway - KVS
@@ -151,6 +192,11 @@ export class AskAIKVSStack extends cdk.Stack {
       exportName: 'AskAIEndpoint',
     });
 
+    new cdk.CfnOutput(this, 'AskAIStreamEndpoint', {
+      value: askaiStreamUrl.url,
+      description: 'AskAI streaming Function URL (for askStream)',
+    });
+
     new cdk.CfnOutput(this, 'OpenAISecretArn', {
       value: openaiSecret.secretArn,
       description: 'OpenAI API Key Secret ARN - set the value in Secrets Manager',
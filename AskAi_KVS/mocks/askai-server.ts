@@ -2,18 +2,49 @@
  * Mock AskAI Server for Local Development
  *
  * Simulates the AskAI Lambda endpoint with mock responses.
+ * `stream: true` requests get Server-Sent Events like the streaming Lambda, one word per
+ * STREAM_TOKEN_DELAY_MS (default 50), so UIs can be built against realistic pacing.
+ * Requests with a `responseSchema` get a sample value built from the schema, checked like the Lambda.
  * Run with: npx tsx mocks/askai-server.ts
  */
 
 import http from 'http';
+import {
+  AUTH_HEADERS,
+  authenticateRequest,
+  AuthError,
+  createMemoryNonceStore,
+  loadAuthClients,
+} from '../shared/utils/auth';
+import type { AuthClient } from '../shared/utils/auth';
+import {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENCY_REPLAYED_HEADER,
+  loadIdempotencyTtl,
+  MemoryIdempotencyStore,
+  runIdempotent,
+  validateIdempotencyKey,
+} from '../shared/utils/idempotency';
+import type { IdempotentResponse } from '../shared/utils/idempotency';
+import { formatServerSentEvent } from '../services/askai/src/sse';
+import type { JsonSchema } from '../shared/utils/json-schema';
+import { parseStructuredOutput, readStructuredOutputOptions } from '../services/askai/src/structured';
 
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 9001;
+// Same signed-request check as the Lambda when set; open otherwise
+const AUTH_CLIENTS = loadAuthClients(process.env.AUTH_CLIENTS);
+const claimNonce = createMemoryNonceStore();
+// Duplicate calls with the same Idempotency-Key get the first answer back, as from the Lambda
+const IDEMPOTENCY_TTL_SECONDS = loadIdempotencyTtl(process.env.IDEMPOTENCY_TTL_SECONDS);
+const idempotencyStore = new MemoryIdempotencyStore();
+const STREAM_TOKEN_DELAY_MS = process.env.STREAM_TOKEN_DELAY_MS ? parseInt(process.env.STREAM_TOKEN_DELAY_MS, 10) : 50;
 
 const server = http.createServer(async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', ['Content-Type', IDEMPOTENCY_HEADER, ...AUTH_HEADERS].join(', '));
+  res.setHeader('Access-Control-Expose-Headers', ['Retry-After', IDEMPOTENCY_REPLAYED_HEADER].join(', '));
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -32,45 +63,236 @@ const server = http.createServer(async (req, res) => {
     body += chunk.toString();
   });
 
-  req.on('end', () => {
-    try {
-      const request = JSON.parse(body);
-      console.log(`\n${new Date().toISOString()} AI Request:`);
-      console.log(`  System: ${request.systemPrompt?.slice(0, 60)}...`);
-      console.log(`  Input: ${request.input?.slice(0, 60)}...`);
-      console.log(`  Model: ${request.model || 'default'}`);
-
-      // Generate mock response based on prompt content
-      let output = '';
-
-      // Check if JSON output is expected
-      const expectsJson =
-        request.systemPrompt?.toLowerCase().includes('json') ||
-        request.systemPrompt?.toLowerCase().includes('output only');
-
-      if (expectsJson) {
-        // Try to generate mock JSON based on expected structure
-        if (request.systemPrompt?.includes('answer')) {
-          output = JSON.stringify({ answer: generateMockAnswer(request.input) });
-        } else if (request.systemPrompt?.includes('narration')) {
-          output = JSON.stringify({ narration: generateMockNarration() });
-        } else {
-          output = JSON.stringify({ response: 'Mock AI response', success: true });
+  req.on('end', async () => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const request = {
+      method: 'POST',
+      path: decodeURIComponent(url.pathname),
+      query: Object.fromEntries(url.searchParams),
+      body,
+    };
+    let client: AuthClient | undefined;
+    if (AUTH_CLIENTS) {
+      try {
+        client = await authenticateRequest(
+          { ...request, headers: req.headers as Record<string, string | undefined> },
+          AUTH_CLIENTS,
+          claimNonce
+        );
+      } catch (error) {
+        // Rethrown here it would be an unhandled rejection, leaving the request open
+        const rejected = error instanceof AuthError;
+        if (!rejected) {
+          console.error('Mock AskAI authentication failed', error);
         }
+        res.writeHead(rejected ? error.statusCode : 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: rejected ? error.message : 'Internal server error' }));
+        return;
+      }
+    }
+
+    const idempotencyKey = req.headers[IDEMPOTENCY_HEADER.toLowerCase()] as string | undefined;
+    let response: IdempotentResponse;
+    if (idempotencyKey === undefined || IDEMPOTENCY_TTL_SECONDS === 0) {
+      response = await mockResponse(body, res);
+    } else {
+      const idempotencyKeyError = validateIdempotencyKey(idempotencyKey);
+      response = idempotencyKeyError
+        ? jsonResponse(400, { error: idempotencyKeyError })
+        : await runIdempotent(
+            idempotencyStore,
+            client?.id ?? '',
+            idempotencyKey,
+            request,
+            IDEMPOTENCY_TTL_SECONDS,
+            {},
+            () => mockResponse(body, res)
+          );
+    }
+    // A streamed answer has already been written
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(response.statusCode, { 'Content-Type': 'application/json', ...response.headers });
+    res.end(response.body);
+  });
+});
+
+function jsonResponse(statusCode: number, payload: unknown): IdempotentResponse {
+  return { statusCode, headers: {}, body: JSON.stringify(payload) };
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function mockResponse(body: string, res: http.ServerResponse): Promise<IdempotentResponse> {
+  try {
+    const request = JSON.parse(body);
+    // A conversation is answered from its system messages and its last user message
+    const messages: Array<{ role: string; content: string }> = Array.isArray(request.messages) ? request.messages : [];
+    if (messages.length > 0) {
+      request.systemPrompt = [request.systemPrompt, ...messages.filter((m) => m.role === 'system').map((m) => m.content)]
+        .filter(Boolean)
+        .join('\n\n');
+      request.input = messages.filter((m) => m.role === 'user').at(-1)?.content;
+    }
+    console.log(`\n${new Date().toISOString()} AI Request:`);
+    console.log(`  System: ${request.systemPrompt?.slice(0, 60)}...`);
+    console.log(`  Input: ${request.input?.slice(0, 60)}...`);
+    if (messages.length > 0) {
+      console.log(`  Messages: ${messages.length}`);
+    }
+    console.log(`  Model: ${request.model || 'default'}`);
+
+    const structured = readStructuredOutputOptions(request);
+    if (typeof structured === 'string') {
+      return jsonResponse(400, { error: structured });
+    }
+    if (structured) {
+      const output = JSON.stringify(sampleFromSchema(structured.schema, request.input));
+      const { data, violations } = parseStructuredOutput(output, structured.schema);
+      console.log(`  Structured: ${output.slice(0, 100)}...`);
+      return violations.length > 0
+        ? jsonResponse(422, {
+            error: 'Output does not match responseSchema',
+            violations,
+            output,
+            attempts: 1,
+            tokensUsed: 100,
+            model: request.model || 'mock',
+            provider: 'mock',
+          })
+        : jsonResponse(200, {
+            output,
+            data,
+            attempts: 1,
+            tokensUsed: 100,
+            model: request.model || 'mock',
+            provider: 'mock',
+            structuredOutput: 'json_schema',
+          });
+    }
+
+    // Generate mock response based on prompt content
+    let output = '';
+
+    // Check if JSON output is expected
+    const expectsJson =
+      request.systemPrompt?.toLowerCase().includes('json') ||
+      request.systemPrompt?.toLowerCase().includes('output only');
+
+    if (expectsJson) {
+      // Try to generate mock JSON based on expected structure
+      if (request.systemPrompt?.includes('answer')) {
+        output = JSON.stringify({ answer: generateMockAnswer(request.input) });
+      } else if (request.systemPrompt?.includes('narration')) {
+        output = JSON.stringify({ narration: generateMockNarration() });
       } else {
-        output = generateMockAnswer(request.input);
+        output = JSON.stringify({ response: 'Mock AI response', success: true });
       }
+    } else {
+      output = generateMockAnswer(request.input);
+    }
 
-      console.log(`  Response: ${output.slice(0, 100)}...`);
+    console.log(`  Response: ${output.slice(0, 100)}...`);
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ output, tokensUsed: 100 }));
-    } catch {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid request' }));
+    if (request.stream) {
+      return await streamResponse(output, request.model, res);
     }
+    return jsonResponse(200, { output, tokensUsed: 100, model: request.model || 'mock', provider: 'mock' });
+  } catch {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+}
+
+/**
+ * Writes `output` as `delta` events a word at a time, then `done`, as the streaming Lambda does.
+ * Stops when the caller disconnects.
+ *
+ * @returns The event stream, kept for idempotent replays (a cut-off one is not kept)
+ */
+async function streamResponse(
+  output: string,
+  model: string | undefined,
+  res: http.ServerResponse
+): Promise<IdempotentResponse> {
+  const headers = { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' };
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = !res.writableEnded;
   });
-});
+  res.writeHead(200, headers);
+  res.flushHeaders();
+
+  let transcript = '';
+  const emit = (event: string, data: unknown): void => {
+    const chunk = formatServerSentEvent(event, data);
+    transcript += chunk;
+    res.write(chunk);
+  };
+
+  for (const word of output.match(/\S+\s*/g) ?? []) {
+    await sleep(STREAM_TOKEN_DELAY_MS);
+    if (disconnected) {
+      console.log('  Stream cancelled by the caller');
+      return { statusCode: 500, headers, body: transcript };
+    }
+    emit('delta', { text: word });
+  }
+  emit('done', { tokensUsed: 100, model: model || 'mock', provider: 'mock', finishReason: 'stop' });
+  return { statusCode: 200, headers, body: transcript };
+}
+
+/**
+ * A plausible value for a schema: the first enum or branch, mock text for strings (answers and
+ * narration for fields with those names), the lower bound for numbers and every listed property.
+ * Schemas it cannot satisfy (patterns, `$ref`, ...) come back failing validation, as an answer
+ * from a real model might.
+ */
+function sampleFromSchema(schema: JsonSchema, input: string | undefined, name = ''): unknown {
+  if (typeof schema === 'boolean') {
+    return null;
+  }
+  if ('const' in schema) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum)) {
+    return schema.enum[0];
+  }
+  const branches = (schema.anyOf ?? schema.oneOf ?? schema.allOf) as JsonSchema[] | undefined;
+  if (branches) {
+    return sampleFromSchema(branches[0], input, name);
+  }
+
+  switch ([schema.type].flat()[0]) {
+    case 'object': {
+      const properties = (schema.properties ?? {}) as Record<string, JsonSchema>;
+      return Object.fromEntries(
+        Object.entries(properties).map(([property, subschema]) => [property, sampleFromSchema(subschema, input, property)])
+      );
+    }
+    case 'array': {
+      const count = Math.max(typeof schema.minItems === 'number' ? schema.minItems : 0, 1);
+      const items = (schema.items ?? {}) as JsonSchema;
+      return Array.from({ length: count }, () => sampleFromSchema(items, input, name));
+    }
+    case 'string': {
+      const text = name.includes('narration') ? generateMockNarration() : generateMockAnswer(input ?? '');
+      return typeof schema.maxLength === 'number' ? text.slice(0, schema.maxLength) : text;
+    }
+    case 'integer':
+    case 'number':
+      return typeof schema.minimum === 'number' ? schema.minimum : 1;
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return 'mock';
+  }
+}
 
 function generateMockAnswer(input: string): string {
   const answers = [
@@ -112,14 +334,20 @@ server.listen(PORT, () => {
 ║  Request Body:                                            ║
 ║    {                                                      ║
 ║      "systemPrompt": "...",                               ║
-║      "input": "...",                                      ║
+║      "input": "...",     (or "messages": [{ role, ... }]) ║
 ║      "maxTokens": 500,                                    ║
 ║      "temperature": 0.7,                                  ║
 ║      "model": "gpt-4-turbo"                               ║
 ║    }                                                      ║
 ║                                                           ║
 ║  Response:                                                ║
-║    { "output": "...", "tokensUsed": 100 }                 ║
+║    { "output": "...", "tokensUsed": 100,                  ║
+║      "model": "...", "provider": "mock" }                 ║
+║                                                           ║
+║  Idempotency-Key: duplicates get the first answer back    ║
+║  "stream": true -> SSE delta/done events, one word every  ║
+║    STREAM_TOKEN_DELAY_MS (default 50)                     ║
+║  "responseSchema": {...} -> sample data matching it       ║
 ║                                                           ║
 ║  Note: This is a MOCK server for testing only.            ║
 ║        No actual AI calls are made.                       ║
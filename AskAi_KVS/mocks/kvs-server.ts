@@ -1,100 +1,86 @@
 /**
  * Mock KVS Server for Local Development
  *
- * An in-memory key-value store that simulates the KVS Lambda endpoint.
+ * Runs the KVS Lambda's own request handling (services/kvs/src/core.ts) over a local backend,
+ * so validation, limits and semantics match the deployed stack exactly.
  * Run with: npx tsx mocks/kvs-server.ts
+ *
+ * - KVS_STORAGE: `file` (default) keeps data in KVS_DATA_FILE across restarts; `memory` starts empty
+ * - KVS_DATA_FILE: defaults to `.kvs-data.json`
+ * - BLOB_DIR: large values overflow here, defaults to `.kvs-blobs`
+ * - VERSION_HISTORY_LIMIT, AUTH_CLIENTS, MAX_VALUE_BYTES: as for the Lambda
  */
 
 import http from 'http';
+import { KVSService, loadServiceOptions } from '../services/kvs/src/core';
+import { FileBackend } from '../services/kvs/src/backends/file';
+import { MemoryBackend } from '../services/kvs/src/backends/memory';
 
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 9000;
-const store = new Map<string, unknown>();
-
-const server = http.createServer(async (req, res) => {
-  const url = req.url || '/';
-  const method = req.method || 'GET';
-
-  // Parse key from URL
-  const key = decodeURIComponent(url.slice(1)); // Remove leading /
-
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
-  }
-
-  console.log(`${new Date().toISOString()} ${method} /${key}`);
-
-  if (method === 'GET') {
-    const value = store.get(key);
-    if (value === undefined) {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not found' }));
-    } else {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(value));
-    }
-    return;
-  }
+const STORAGE = process.env.KVS_STORAGE === 'memory' ? 'memory' : 'file';
+const DATA_FILE = process.env.KVS_DATA_FILE || '.kvs-data.json';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const backend = STORAGE === 'memory' ? new MemoryBackend() : new FileBackend(DATA_FILE);
+const service = new KVSService({
+  backend,
+  // Defaults to the deployed stack's history limit, with blobs on disk instead of S3
+  ...loadServiceOptions({ VERSION_HISTORY_LIMIT: '10', BLOB_DIR: '.kvs-blobs', ...process.env }),
+});
 
-  if (method === 'PUT' || method === 'POST' || method === 'PATCH') {
-    let body = '';
+/**
+ * Expired entries read as absent immediately; the sweep removes them later,
+ * the same way DynamoDB TTL deletion lags behind the Lambda's read-time check.
+ */
+setInterval(() => {
+  backend
+    .sweepExpired()
+    .then((keys) => keys.forEach((key) => console.log(`  -> Expired ${key}`)))
+    .catch((error) => console.error('Sweep failed', error));
+}, SWEEP_INTERVAL_MS).unref();
+
+function readBody(req: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let data = '';
     req.on('data', (chunk) => {
-      body += chunk.toString();
+      data += chunk.toString();
     });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
 
-    req.on('end', () => {
-      try {
-        const value = JSON.parse(body);
-
-        if (method === 'POST' && store.has(key)) {
-          res.writeHead(409, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Key already exists' }));
-          return;
-        }
-
-        if (method === 'PATCH') {
-          const existing = store.get(key);
-          if (existing === undefined) {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Not found' }));
-            return;
-          }
-          if (typeof existing === 'object' && existing !== null) {
-            store.set(key, { ...(existing as Record<string, unknown>), ...value });
-          } else {
-            store.set(key, value);
-          }
-        } else {
-          store.set(key, value);
-        }
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url || '/', 'http://localhost');
+  const method = req.method || 'GET';
 
-        console.log(`  -> Stored (${typeof value})`);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-      } catch {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
-      }
-    });
-    return;
+  if (method !== 'OPTIONS') {
+    console.log(`${new Date().toISOString()} ${method} ${url.pathname}${url.search}`);
   }
 
-  if (method === 'DELETE') {
-    store.delete(key);
-    console.log(`  -> Deleted`);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true }));
+  let path: string;
+  try {
+    path = decodeURIComponent(url.pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid path encoding' }));
     return;
   }
 
-  res.writeHead(405, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Method not allowed' }));
+  const body = await readBody(req);
+  const response = await service.handle({
+    method,
+    path,
+    query: Object.fromEntries(url.searchParams),
+    headers: req.headers as Record<string, string | undefined>,
+    body: body || null,
+  });
+
+  if (method !== 'OPTIONS') {
+    console.log(`  -> ${response.statusCode}`);
+  }
+  res.writeHead(response.statusCode, response.headers);
+  res.end(response.body);
 });
 
 server.listen(PORT, () => {
@@ -105,13 +91,31 @@ server.listen(PORT, () => {
 ║  Running at: http://localhost:${PORT.toString().padEnd(5)}                     ║
 ║                                                           ║
 ║  Supported Methods:                                       ║
-║    GET    /{key}  - Retrieve value                        ║
+║    GET    /?prefix=&limit=&cursor= - List keys            ║
+║    GET    /{key}  - Retrieve value (ETag = version)       ║
 ║    PUT    /{key}  - Create or replace                     ║
 ║    POST   /{key}  - Create only (fail if exists)          ║
-║    PATCH  /{key}  - Partial update                        ║
+║    PATCH  /{key}  - Partial update (merge / JSON Patch)   ║
 ║    DELETE /{key}  - Remove key                            ║
+║    GET    /{key}?version=n     - Read a kept version      ║
+║    GET    /{key}/_versions     - List kept versions       ║
+║    POST   /{key}/_restore      - Restore { "version": n } ║
+║    POST   /{key}/_ops          - Atomic increment/append  ║
+║    POST   /_batch              - Mixed get/put/delete     ║
+║    POST   /_transaction        - All-or-nothing writes    ║
+║    POST   /_streams/{name}     - Append events            ║
+║    GET    /_streams/{name}?from=&limit= / ?tail=n         ║
+║    DELETE /_streams/{name}     - Delete a stream          ║
+║    GET/PUT/DELETE /_schemas/{prefix} - Value schemas      ║
+║    POST/PUT/DELETE /_leases/{name} - Acquire/renew/free   ║
+║                                                           ║
+║  If-Match / If-None-Match honored on writes (412)         ║
+║  X-KVS-TTL / ?ttl= (seconds) expires keys on PUT/POST     ║
+║  Idempotency-Key on writes replays the first response     ║
+║  X-KVS-Fence: <lease>=<token> rejects stale holders (412) ║
 ║                                                           ║
-║  Storage: In-memory (resets on restart)                   ║
+║  Handler: the KVS Lambda's, unchanged                     ║
+║  Storage: ${(STORAGE === 'memory' ? 'In-memory (resets on restart)' : DATA_FILE).slice(0, 47).padEnd(47)} ║
 ╚═══════════════════════════════════════════════════════════╝
 `);
 });
@@ -0,0 +1,22 @@
+/**
+ * Where AskAI keeps idempotency records (see shared/utils/idempotency)
+ *
+ * With IDEMPOTENCY_TABLE_NAME set, records go to that DynamoDB table (pk / sk string keys,
+ * `expiresAt` as its TTL attribute), using the same item layout as the KVS table so that table
+ * can be shared. Otherwise they stay in the Lambda instance, where a duplicate is only caught
+ * if it reaches the instance that answered the original; one still in flight never does, because
+ * a busy instance takes no second request.
+ */
+
+import { MemoryIdempotencyStore } from '../../../shared/utils/idempotency';
+import type { IdempotencyStore } from '../../../shared/utils/idempotency';
+import { DynamoDBIdempotencyStore } from '../../../shared/utils/idempotency-dynamodb';
+
+/**
+ * Picks the store from IDEMPOTENCY_TABLE_NAME
+ */
+export function createIdempotencyStore(env: Record<string, string | undefined>): IdempotencyStore {
+  return env.IDEMPOTENCY_TABLE_NAME
+    ? new DynamoDBIdempotencyStore(env.IDEMPOTENCY_TABLE_NAME)
+    : new MemoryIdempotencyStore();
+}
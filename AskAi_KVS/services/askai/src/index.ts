@@ -1,11 +1,23 @@
 /**
- * AskAI Lambda - OpenAI API Wrapper
+ * AskAI Lambda - AI Provider Wrapper
  *
- * A serverless Lambda function that wraps the OpenAI API with:
- * - Automatic retry logic for rate limits
- * - Token parameter compatibility across model versions
+ * A serverless Lambda function that wraps OpenAI, Anthropic and OpenAI-compatible servers with:
+ * - Per-model routing and an ordered fallback chain across providers on errors and timeouts
+ *   (AI_PROVIDERS / AI_ROUTES, see ./router); responses name the provider and model that answered
+ * - Each model sent the token parameter, temperature and reasoning effort it takes, from a
+ *   registry adjustable by AI_MODELS, and requests over its limits refused with 400 (see
+ *   shared/clients/models)
  * - CORS support
  * - Secrets Manager integration for API keys
+ * - Signed-request authentication when AUTH_CLIENTS is set (see shared/utils/auth)
+ * - Idempotency keys, so a retried call is answered from the first one instead of paying the
+ *   provider twice (see shared/utils/idempotency; records live in IDEMPOTENCY_TABLE_NAME or the instance)
+ * - Conversations as a `messages` array (system / user / assistant) sent to the model as they are,
+ *   or the original `systemPrompt` + `input` pair
+ * - Streamed answers for `stream: true` requests, relayed token by token as Server-Sent Events by
+ *   `streamHandler` (a Function URL with InvokeMode RESPONSE_STREAM; see ./sse)
+ * - Structured output for requests with a `responseSchema`: the model's native JSON mode where it
+ *   has one, the answer validated against the schema and repaired by the model (see ./structured)
  */
 
 import type {
@@ -13,72 +25,48 @@ import type {
   APIGatewayProxyEventV2,
   APIGatewayProxyResult,
 } from 'aws-lambda';
-import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import {
+  AUTH_HEADERS,
+  authenticateRequest,
+  AuthError,
+  createMemoryNonceStore,
+  getRequestHeader,
+  loadAuthClients,
+} from '../../../shared/utils/auth';
+import {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENCY_REPLAYED_HEADER,
+  loadIdempotencyTtl,
+  runIdempotent,
+  validateIdempotencyKey,
+} from '../../../shared/utils/idempotency';
+import type { IdempotentResponse } from '../../../shared/utils/idempotency';
+import { createIdempotencyStore } from './idempotency-store';
+import { formatServerSentEvent, readServerSentEvents } from './sse';
+import type { SchemaViolation } from '../../../shared/utils/json-schema';
+import {
+  buildRepairMessage,
+  parseStructuredOutput,
+  readStructuredOutputOptions,
+} from './structured';
+import type { StructuredOutputMode, StructuredOutputOptions } from './structured';
+import type { ReasoningEffort } from '../../../shared/clients/models';
+import { ProviderError } from './provider';
+import type { ChatMessage, ChatRole } from './provider';
+import { createRouter, ModelRequestError, RoutingError } from './router';
+import type { RouteRequest } from './router';
 
 type LambdaEvent = APIGatewayProxyEvent | APIGatewayProxyEventV2;
 
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_KEY_SECRET_ARN = process.env.OPENAI_API_KEY_SECRET_ARN;
 const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'gpt-5-nano';
 const ALLOWED_ORIGIN = (process.env.ALLOWED_ORIGINS || '*').split(',')[0].trim() || '*';
-const secretsClient = new SecretsManagerClient({});
-let cachedOpenAiKey: string | null = null;
+const AUTH_CLIENTS = loadAuthClients(process.env.AUTH_CLIENTS);
+const IDEMPOTENCY_TTL_SECONDS = loadIdempotencyTtl(process.env.IDEMPOTENCY_TTL_SECONDS);
+const idempotencyStore = createIdempotencyStore(process.env);
+const router = createRouter(process.env);
 
-/**
- * Determines if a model uses max_completion_tokens vs max_tokens
- */
-function usesMaxCompletionTokens(model: string): boolean {
-  const normalized = model.trim().toLowerCase();
-  return normalized.startsWith('gpt-5') || normalized.startsWith('o');
-}
-
-/**
- * Checks if model is in the GPT-5 family (special handling for temperature/reasoning)
- */
-function isGpt5FamilyModel(model: string): boolean {
-  const normalized = model.trim().toLowerCase();
-  return normalized.startsWith('gpt-5') || normalized.startsWith('o');
-}
-
-/**
- * Gets the appropriate reasoning effort level for GPT-5 models
- */
-function getChatReasoningEffort(model: string): 'none' | 'minimal' | 'low' | 'medium' | 'high' {
-  const normalized = model.trim().toLowerCase();
-  if (normalized.startsWith('gpt-5.2')) return 'none';
-  return 'minimal';
-}
-
-/**
- * Retrieves OpenAI API key from environment or Secrets Manager
- */
-async function getOpenAiApiKey(): Promise<string> {
-  if (cachedOpenAiKey) {
-    return cachedOpenAiKey;
-  }
-
-  if (OPENAI_API_KEY_SECRET_ARN) {
-    const secret = await secretsClient.send(
-      new GetSecretValueCommand({ SecretId: OPENAI_API_KEY_SECRET_ARN })
-    );
-    const secretValue =
-      secret.SecretString ||
-      (secret.SecretBinary ? Buffer.from(secret.SecretBinary as Uint8Array).toString('utf8') : '');
-    if (!secretValue) {
-      throw new Error('OpenAI secret is empty');
-    }
-    cachedOpenAiKey = secretValue;
-    return cachedOpenAiKey;
-  }
-
-  if (OPENAI_API_KEY) {
-    cachedOpenAiKey = OPENAI_API_KEY;
-    return cachedOpenAiKey;
-  }
-
-  throw new Error('OPENAI_API_KEY or OPENAI_API_KEY_SECRET_ARN is required');
-}
+// AskAI has no table, so nonces are kept per Lambda instance
+const claimNonce = createMemoryNonceStore();
 
 function getMethod(event: LambdaEvent): string {
   if ('requestContext' in event && 'http' in event.requestContext) {
@@ -87,6 +75,16 @@ function getMethod(event: LambdaEvent): string {
   return event.httpMethod || 'GET';
 }
 
+/**
+ * Decoded request path as signed by the client
+ */
+function getRequestPath(event: LambdaEvent): string {
+  if ('rawPath' in event && event.rawPath) {
+    return decodeURIComponent(event.rawPath);
+  }
+  return ('path' in event && event.path) || '/';
+}
+
 function getOrigin(headers?: Record<string, string | undefined>): string | undefined {
   return headers?.origin || headers?.Origin;
 }
@@ -102,68 +100,96 @@ function getHeaders(origin?: string): Record<string, string> {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': resolvedOrigin,
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': ['Content-Type', IDEMPOTENCY_HEADER, ...AUTH_HEADERS].join(', '),
+    'Access-Control-Expose-Headers': ['Retry-After', IDEMPOTENCY_REPLAYED_HEADER].join(', '),
   };
 }
 
+const CHAT_ROLES: ReadonlySet<string> = new Set<ChatRole>(['system', 'user', 'assistant']);
+const MAX_MESSAGES = 100;
+
 interface AskAIRequest {
-  systemPrompt: string;
-  input: string;
+  /** Legacy shape: `systemPrompt` + `input`. With `messages`, an optional system message before them */
+  systemPrompt?: string;
+  input?: string;
+  messages?: ChatMessage[];
   maxTokens?: number;
   temperature?: number;
   model?: string;
+  /** For reasoning models; one of the model's efforts (default: its cheapest) */
+  reasoningEffort?: ReasoningEffort;
+  /** Answer as Server-Sent Events instead of one JSON body */
+  stream?: boolean;
+  /** JSON Schema the answer must match; the parsed answer is returned as `data` */
+  responseSchema?: unknown;
+  responseSchemaName?: string;
+  /** Times an answer that does not match is sent back to be fixed (default 1, at most 3) */
+  maxRepairs?: number;
 }
 
 interface AskAIResponse {
   output: string;
   tokensUsed?: number;
+  /** The model that answered, which a fallback may have swapped */
+  model?: string;
+  /** The provider that answered */
+  provider?: string;
+}
+
+interface AskAIStructuredResponse extends AskAIResponse {
+  data: unknown;
+  /** Completions it took, counting the first */
+  attempts: number;
+  /** How the answering provider was asked for JSON */
+  structuredOutput: StructuredOutputMode;
+}
+
+interface AskAIStructuredError {
+  error: string;
+  violations: SchemaViolation[];
+  /** The last answer, which did not match */
+  output: string;
+  attempts: number;
+  tokensUsed: number;
   model?: string;
+  provider?: string;
 }
 
 /**
- * Extracts text content from various OpenAI response formats
+ * @returns An error message if the request is neither a `systemPrompt` + `input` pair nor a
+ *   conversation in `messages`
  */
-function extractTextFromCompletion(completion: unknown): string {
-  const comp = completion as Record<string, unknown>;
-  const choices = comp?.choices as Array<Record<string, unknown>> | undefined;
-  const choice0 = choices?.[0];
-
-  // Chat Completions: message.content
-  const msg = choice0?.message as Record<string, unknown> | undefined;
-  const content = msg?.content;
-  if (typeof content === 'string') return content;
-  
-  if (content && typeof content === 'object' && !Array.isArray(content)) {
-    const c = content as Record<string, unknown>;
-    if (typeof c.text === 'string') return c.text;
-    if (typeof c.content === 'string') return c.content;
-    if (typeof c.value === 'string') return c.value;
+function validateConversation(request: AskAIRequest): string | null {
+  if (request.messages === undefined) {
+    return request.systemPrompt && request.input ? null : 'messages, or systemPrompt and input, are required';
   }
-  
-  if (Array.isArray(content)) {
-    return content
-      .map((part: unknown) => {
-        if (typeof part === 'string') return part;
-        const p = part as Record<string, unknown>;
-        if (typeof p?.text === 'string') return p.text;
-        if (typeof p?.content === 'string') return p.content;
-        if (typeof p?.value === 'string') return p.value;
-        return '';
-      })
-      .join('');
+  if (request.input !== undefined) {
+    return 'Send either input or messages, not both';
   }
+  if (!Array.isArray(request.messages) || request.messages.length === 0 || request.messages.length > MAX_MESSAGES) {
+    return `messages must be an array of 1-${MAX_MESSAGES} messages`;
+  }
+  const invalid = request.messages.findIndex(
+    (message) => !message || !CHAT_ROLES.has(message.role) || typeof message.content !== 'string' || !message.content
+  );
+  if (invalid !== -1) {
+    return `messages[${invalid}] needs a role (system, user or assistant) and non-empty content`;
+  }
+  if (!request.messages.some((message) => message.role === 'user')) {
+    return 'messages needs at least one user message';
+  }
+  return null;
+}
 
-  // Legacy Completions: choices[0].text
-  if (typeof choice0?.text === 'string') return choice0.text;
-
-  // Responses API style
-  if (typeof comp?.output_text === 'string') return comp.output_text as string;
-
-  // Refusals
-  const refusal = msg?.refusal;
-  if (typeof refusal === 'string' && refusal.trim().length > 0) return refusal;
-
-  return '';
+/**
+ * The conversation sent to the provider
+ */
+function toChatMessages(request: AskAIRequest): ChatMessage[] {
+  const system: ChatMessage[] = request.systemPrompt ? [{ role: 'system', content: request.systemPrompt }] : [];
+  if (request.messages) {
+    return [...system, ...request.messages.map(({ role, content }) => ({ role, content }))];
+  }
+  return [...system, { role: 'user', content: request.input! }];
 }
 
 function parseRequest(body: string | null): AskAIRequest {
@@ -177,10 +203,69 @@ function parseRequest(body: string | null): AskAIRequest {
   }
 }
 
+/**
+ * Where a streamed answer goes while it is produced (the Function URL's response stream)
+ */
+interface ResponseWriter {
+  /** Sends the status and headers; called at most once, before the first write */
+  start(statusCode: number, headers: Record<string, string>): void;
+  write(chunk: string): void;
+  /** Aborted once the caller disconnects */
+  signal: AbortSignal;
+}
+
 /**
  * Lambda handler for AskAI requests
+ *
+ * Answers in one response, so a `stream: true` request gets its whole event stream at the end.
  */
 export async function handler(event: LambdaEvent): Promise<APIGatewayProxyResult> {
+  return respond(event);
+}
+
+/**
+ * Streaming Lambda handler, for a Function URL with InvokeMode RESPONSE_STREAM
+ *
+ * Relays a `stream: true` answer event by event as the provider produces it and stops asking the
+ * provider once the caller disconnects. Every other response is written whole. Only defined inside the
+ * Lambda runtime, which provides `awslambda.streamifyResponse`.
+ */
+export const streamHandler =
+  // The AWS SDK may define an `awslambda` object outside the runtime too, without the decorator
+  typeof awslambda === 'undefined' || typeof awslambda.streamifyResponse !== 'function'
+    ? undefined
+    : awslambda.streamifyResponse(async (event: LambdaEvent, responseStream) => {
+        const controller = new AbortController();
+        responseStream.on('close', () => controller.abort());
+        responseStream.on('error', () => controller.abort());
+        let stream: awslambda.HttpResponseStream | undefined;
+
+        const response = await respond(event, {
+          start: (statusCode, headers) => {
+            stream = awslambda.HttpResponseStream.from(responseStream, { statusCode, headers });
+          },
+          write: (chunk) => {
+            if (!controller.signal.aborted) {
+              stream?.write(chunk);
+            }
+          },
+          signal: controller.signal,
+        });
+
+        if (!stream) {
+          stream = awslambda.HttpResponseStream.from(responseStream, {
+            statusCode: response.statusCode,
+            headers: response.headers,
+          });
+          stream.write(response.body);
+        }
+        stream.end();
+      });
+
+/**
+ * Handles one request; a streamed answer is also written to `live` as it is produced
+ */
+async function respond(event: LambdaEvent, live?: ResponseWriter): Promise<IdempotentResponse> {
   const origin = getOrigin(event.headers);
   const headers = getHeaders(origin);
   const method = getMethod(event);
@@ -199,132 +284,260 @@ export async function handler(event: LambdaEvent): Promise<APIGatewayProxyResult
   }
 
   try {
-    const request = parseRequest(event.body || null);
+    const request = {
+      method,
+      path: getRequestPath(event),
+      query: event.queryStringParameters || {},
+      body: event.body || '',
+    };
+    const client = AUTH_CLIENTS
+      ? await authenticateRequest({ ...request, headers: event.headers }, AUTH_CLIENTS, claimNonce)
+      : undefined;
 
-    if (!request.systemPrompt || !request.input) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'systemPrompt and input are required' }),
-      };
+    const idempotencyKey = getRequestHeader(event.headers, IDEMPOTENCY_HEADER);
+    if (idempotencyKey === undefined || IDEMPOTENCY_TTL_SECONDS === 0) {
+      return await answer(event.body || null, headers, live);
     }
+    const idempotencyKeyError = validateIdempotencyKey(idempotencyKey);
+    if (idempotencyKeyError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: idempotencyKeyError }) };
+    }
+    return await runIdempotent(
+      idempotencyStore,
+      client?.id ?? '',
+      idempotencyKey,
+      request,
+      IDEMPOTENCY_TTL_SECONDS,
+      headers,
+      () => answer(event.body || null, headers, live).catch((error) => errorResponse(error, headers))
+    );
+  } catch (error) {
+    return errorResponse(error, headers);
+  }
+}
 
-    const model = request.model || DEFAULT_MODEL;
-    const maxTokens = request.maxTokens || 500;
-    const temperature =
-      isGpt5FamilyModel(model) ? undefined : request.temperature !== undefined ? request.temperature : 0.7;
-    const reasoningEffort = isGpt5FamilyModel(model) ? getChatReasoningEffort(model) : undefined;
-
-    console.log('AskAI request', { model, maxTokens });
-
-    const apiKey = await getOpenAiApiKey();
-    const basePayload: Record<string, unknown> = {
-      model,
-      messages: [
-        { role: 'system' as const, content: request.systemPrompt },
-        { role: 'user' as const, content: request.input },
-      ],
-      ...(temperature !== undefined ? { temperature } : {}),
-      ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : {}),
+/**
+ * Answers one authenticated request through the provider router, streamed if it asks for that
+ */
+async function answer(
+  body: string | null,
+  headers: Record<string, string>,
+  live?: ResponseWriter
+): Promise<IdempotentResponse> {
+  const request = parseRequest(body);
+
+  const conversationError = validateConversation(request);
+  if (conversationError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: conversationError }),
     };
+  }
 
-    const payloadWithTokens: Record<string, unknown> = {
-      ...basePayload,
-      ...(usesMaxCompletionTokens(model) ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens }),
+  const structured =
+    request.stream && request.responseSchema !== undefined
+      ? 'responseSchema cannot be combined with stream'
+      : readStructuredOutputOptions(request);
+  if (typeof structured === 'string') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: structured }),
     };
+  }
 
-    const makeRequest = async (payload: Record<string, unknown>): Promise<Response> =>
-      fetch(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
+  if (structured) {
+    return askStructured(request, structured, headers);
+  }
+  return request.stream ? askStream(request, headers, live) : ask(request, headers);
+}
 
-    let openaiResponse = await makeRequest(payloadWithTokens);
-
-    // Retry with alternate token parameter if needed
-    if (!openaiResponse.ok) {
-      const firstErrorText = await openaiResponse.text();
-      let didRetry = false;
-      try {
-        const parsed = JSON.parse(firstErrorText) as {
-          error?: { param?: string; code?: string; message?: string };
-        };
-        const param = parsed.error?.param;
-        const code = parsed.error?.code;
-        const message = parsed.error?.message || '';
-        const looksLikeTokenParamMismatch =
-          code === 'unsupported_parameter' &&
-          (param === 'max_tokens' ||
-            param === 'max_completion_tokens' ||
-            message.includes('max_completion_tokens') ||
-            message.includes('max_tokens'));
-
-        if (looksLikeTokenParamMismatch) {
-          console.warn('OpenAI token param mismatch; retrying', { model, param, code });
-          const altPayload: Record<string, unknown> = {
-            ...basePayload,
-            ...(param === 'max_tokens' ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens }),
-          };
-          openaiResponse = await makeRequest(altPayload);
-          didRetry = true;
-        }
-      } catch {
-        // Not JSON or unexpected error shape
-      }
+/**
+ * The conversation, limits and cancellation sent to the router
+ */
+function toRouteRequest(request: AskAIRequest, signal?: AbortSignal): RouteRequest {
+  return {
+    model: request.model || DEFAULT_MODEL,
+    messages: toChatMessages(request),
+    maxTokens: request.maxTokens || 500,
+    temperature: request.temperature,
+    reasoningEffort: request.reasoningEffort,
+    signal,
+  };
+}
 
-      if (!openaiResponse.ok) {
-        const finalErrorText = didRetry ? await openaiResponse.text() : firstErrorText;
-        throw new Error(`OpenAI API error: ${openaiResponse.status} ${finalErrorText}`);
-      }
-    }
+/**
+ * Answers in one JSON body
+ */
+async function ask(request: AskAIRequest, headers: Record<string, string>): Promise<IdempotentResponse> {
+  const completion = await router.complete(toRouteRequest(request));
+  console.log('AskAI response', {
+    chars: completion.output.length,
+    tokensUsed: completion.tokensUsed,
+    provider: completion.provider,
+  });
+
+  const response: AskAIResponse = {
+    output: completion.output,
+    tokensUsed: completion.tokensUsed,
+    model: completion.model,
+    provider: completion.provider,
+  };
 
-    const completion = await openaiResponse.json();
-    const output = extractTextFromCompletion(completion);
-    const usage = (completion as Record<string, unknown>)?.usage as Record<string, number> | undefined;
-    const tokensUsed = usage?.total_tokens || 0;
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify(response),
+  };
+}
 
-    console.log('AskAI response', { chars: output.length, tokensUsed });
+/**
+ * Answers with JSON matching `responseSchema`, parsed into `data`. An answer that is not JSON or
+ * does not match goes back to the model with its violations, up to `maxRepairs` times; when no
+ * answer matches, responds 422 with the last one and what is wrong with it.
+ */
+async function askStructured(
+  request: AskAIRequest,
+  options: StructuredOutputOptions,
+  headers: Record<string, string>
+): Promise<IdempotentResponse> {
+  const routeRequest = toRouteRequest(request);
+  const messages = [...routeRequest.messages];
+
+  let tokensUsed = 0;
+  for (let attempt = 1; ; attempt++) {
+    const completion = await router.complete({ ...routeRequest, messages, structured: options });
+    tokensUsed += completion.tokensUsed;
+    const { data, violations } = parseStructuredOutput(completion.output, options.schema);
+    const mode = completion.structuredOutput!;
+
+    if (violations.length === 0) {
+      const response: AskAIStructuredResponse = {
+        output: completion.output,
+        tokensUsed,
+        model: completion.model,
+        provider: completion.provider,
+        data,
+        attempts: attempt,
+        structuredOutput: mode,
+      };
+      return { statusCode: 200, headers, body: JSON.stringify(response) };
+    }
 
-    if (!output || output.trim().length === 0) {
-      throw new Error('OpenAI produced empty output');
+    console.warn('AskAI structured output invalid', {
+      attempt,
+      mode,
+      provider: completion.provider,
+      violations: violations.length,
+    });
+    if (attempt > options.maxRepairs) {
+      const response: AskAIStructuredError = {
+        error: 'Output does not match responseSchema',
+        violations,
+        output: completion.output,
+        attempts: attempt,
+        tokensUsed,
+        model: completion.model,
+        provider: completion.provider,
+      };
+      return { statusCode: 422, headers, body: JSON.stringify(response) };
     }
+    messages.push(
+      { role: 'assistant', content: completion.output },
+      { role: 'user', content: buildRepairMessage(violations) }
+    );
+  }
+}
 
-    const response: AskAIResponse = {
-      output,
-      tokensUsed,
-      model: (completion as Record<string, unknown>)?.model as string,
-    };
+/**
+ * Answers as Server-Sent Events: a `delta` ({ text }) per chunk the provider streams back, then
+ * `done` ({ tokensUsed, model, provider, finishReason }). Providers are only fallen back on
+ * until one starts streaming; a failure once events have started ends the stream with `error`
+ * ({ error, message }) instead of an error status.
+ *
+ * @returns The whole event stream, which the buffered handler sends and idempotent replays repeat
+ */
+async function askStream(
+  request: AskAIRequest,
+  headers: Record<string, string>,
+  live?: ResponseWriter
+): Promise<IdempotentResponse> {
+  const { provider, model, chunks } = await router.stream(toRouteRequest(request, live?.signal));
+  const streamHeaders = { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' };
+  let transcript = '';
+  const emit = (event: string, data: unknown): void => {
+    const chunk = formatServerSentEvent(event, data);
+    transcript += chunk;
+    live?.write(chunk);
+  };
+  live?.start(200, streamHeaders);
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify(response),
-    };
-  } catch (error) {
-    console.error('AskAI error', error);
-
-    if (error instanceof Error && error.message.includes('rate_limit')) {
-      return {
-        statusCode: 429,
-        headers,
-        body: JSON.stringify({
-          error: 'Rate limit exceeded',
-          message: 'Too many requests to OpenAI. Please try again later.',
-        }),
-      };
+  let chars = 0;
+  let tokensUsed = 0;
+  let finishReason: string | undefined;
+  let responseModel = model;
+  try {
+    for await (const chunk of chunks) {
+      if (chunk.text) {
+        chars += chunk.text.length;
+        emit('delta', { text: chunk.text });
+      }
+      responseModel = chunk.model || responseModel;
+      finishReason = chunk.finishReason || finishReason;
+      tokensUsed = chunk.tokensUsed || tokensUsed;
     }
+    if (chars === 0) {
+      throw new ProviderError(provider, 'produced empty output');
+    }
+  } catch (error) {
+    // Not stored as the key's answer (>= 429), so a retry asks the provider again
+    const { statusCode, payload } = describeError(error);
+    emit('error', payload);
+    return { statusCode, headers: streamHeaders, body: transcript };
+  }
+
+  console.log('AskAI response', { chars, tokensUsed, provider, streamed: true });
+  emit('done', { tokensUsed, model: responseModel, provider, finishReason });
+  return { statusCode: 200, headers: streamHeaders, body: transcript };
+}
+
+/**
+ * Status and body for an error thrown while handling a request
+ */
+function describeError(error: unknown): { statusCode: number; payload: Record<string, string> } {
+  if (error instanceof AuthError || error instanceof RoutingError || error instanceof ModelRequestError) {
+    return { statusCode: error.statusCode, payload: { error: error.message } };
+  }
+
+  console.error('AskAI error', error);
 
+  if (
+    (error instanceof ProviderError && error.rateLimited) ||
+    (error instanceof Error && error.message.includes('rate_limit'))
+  ) {
     return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: 'Internal server error',
-        message: error instanceof Error ? error.message : 'Unknown error',
-      }),
+      statusCode: 429,
+      payload: {
+        error: 'Rate limit exceeded',
+        message: 'Too many requests to the AI provider. Please try again later.',
+      },
     };
   }
+
+  return {
+    statusCode: 500,
+    payload: {
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error',
+    },
+  };
+}
+
+/**
+ * Maps errors thrown while handling a request to responses
+ */
+function errorResponse(error: unknown, headers: Record<string, string>): IdempotentResponse {
+  const { statusCode, payload } = describeError(error);
+  return { statusCode, headers, body: JSON.stringify(payload) };
 }
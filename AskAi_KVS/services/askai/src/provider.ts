@@ -0,0 +1,186 @@
+/**
+ * Model provider interface for AskAI (see ./router)
+ *
+ * The handler owns HTTP, validation, idempotency and structured-output repair. A provider only
+ * turns a conversation into one completion, whole or streamed, in its own API's dialect:
+ *
+ * - ./providers/openai: OpenAI, and OpenAI-compatible servers (Ollama, llama.cpp, vLLM, ...)
+ * - ./providers/anthropic: Anthropic's Messages API
+ *
+ * Every failure is a `ProviderError`, so the router can move on to the next provider in the
+ * chain without knowing how each API reports errors.
+ */
+
+import type { ModelCapabilities, ReasoningEffort } from '../../../shared/clients/models';
+import { readServerSentEvents } from './sse';
+import type { ServerSentEvent } from './sse';
+import type { StructuredOutputMode, StructuredOutputOptions } from './structured';
+
+export type ChatRole = 'system' | 'user' | 'assistant';
+
+export interface ChatMessage {
+  role: ChatRole;
+  content: string;
+}
+
+export type ProviderType = 'openai' | 'anthropic' | 'openai-compatible';
+
+export interface CompletionRequest {
+  model: string;
+  messages: ChatMessage[];
+  maxTokens: number;
+  /** Left to the provider's default when undefined */
+  temperature?: number;
+  /** For models that take one; the model's default when undefined */
+  reasoningEffort?: ReasoningEffort;
+  /** What the model accepts (see shared/clients/models) */
+  capabilities: ModelCapabilities;
+  /** Ask for JSON matching a schema in this mode (see ./structured) */
+  structured?: { mode: StructuredOutputMode; options: StructuredOutputOptions };
+  /** Aborted when the caller disconnects or the provider's timeout runs out */
+  signal?: AbortSignal;
+}
+
+export interface Completion {
+  output: string;
+  tokensUsed: number;
+  /** As reported by the provider, which may add a version suffix */
+  model: string;
+  finishReason?: string;
+}
+
+/**
+ * A piece of a streamed completion: text as it arrives, and usage or the finish reason once known
+ */
+export interface CompletionChunk {
+  text?: string;
+  tokensUsed?: number;
+  model?: string;
+  finishReason?: string;
+}
+
+export interface AIProvider {
+  /** The name routes refer to it by */
+  readonly name: string;
+  readonly type: ProviderType;
+  /**
+   * @throws ProviderError when the provider fails or answers with no text
+   */
+  complete(request: CompletionRequest): Promise<Completion>;
+  /**
+   * Resolves once the provider has accepted the request, so a failure to start can still fall
+   * back to another provider; the chunks then follow as they are generated
+   *
+   * @throws ProviderError when the provider does not start streaming, or (from the iterator)
+   *   when the stream breaks off
+   */
+  stream(request: CompletionRequest): Promise<AsyncIterable<CompletionChunk>>;
+  /**
+   * How this provider can ask a model with `capabilities` for JSON matching `options.schema`
+   */
+  getStructuredOutputMode(capabilities: ModelCapabilities, options: StructuredOutputOptions): StructuredOutputMode;
+}
+
+/**
+ * A provider call that failed
+ *
+ * `statusCode` and `body` are the provider's error response when it sent one; undefined for
+ * timeouts and connection failures.
+ */
+export class ProviderError extends Error {
+  constructor(
+    public provider: string,
+    message: string,
+    public statusCode?: number,
+    public body?: string
+  ) {
+    super(`${provider}: ${message}`);
+    this.name = 'ProviderError';
+  }
+
+  /** Worth answering with 429 rather than 500 once every provider has failed */
+  get rateLimited(): boolean {
+    return this.statusCode === 429;
+  }
+}
+
+/**
+ * POSTs JSON to a provider, turning connection failures, timeouts and error statuses into
+ * `ProviderError`s
+ *
+ * @param timeoutMs - Until the response headers arrive; a streamed body may take longer
+ */
+export async function postJson(
+  provider: string,
+  url: string,
+  headers: Record<string, string>,
+  payload: unknown,
+  timeoutMs: number,
+  signal?: AbortSignal
+): Promise<Response> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = (): void => controller.abort(signal?.reason);
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    signal?.removeEventListener('abort', cancel);
+    if (signal?.aborted) {
+      throw signal.reason ?? error;
+    }
+    throw new ProviderError(
+      provider,
+      controller.signal.aborted ? `no response within ${timeoutMs}ms` : `request failed (${(error as Error).message})`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+  // The listener stays attached until the body is read, so the caller can still cancel it
+
+  if (!response.ok) {
+    signal?.removeEventListener('abort', cancel);
+    const body = await response.text().catch(() => '');
+    throw new ProviderError(provider, `API error: ${response.status} ${body}`, response.status, body);
+  }
+  return response;
+}
+
+/**
+ * Yields a streamed response's events, turning a connection that breaks off into a
+ * `ProviderError` (the caller going away is rethrown as is)
+ */
+export async function* readProviderEvents(
+  provider: string,
+  body: ReadableStream<Uint8Array>,
+  signal?: AbortSignal
+): AsyncGenerator<ServerSentEvent> {
+  try {
+    yield* readServerSentEvents(body);
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason ?? error;
+    }
+    throw new ProviderError(provider, `stream broke off (${(error as Error).message})`);
+  }
+}
+
+/**
+ * Reads a whole JSON response body
+ *
+ * @throws ProviderError if it is not JSON
+ */
+export async function readJson(provider: string, response: Response): Promise<Record<string, unknown>> {
+  try {
+    return (await response.json()) as Record<string, unknown>;
+  } catch {
+    throw new ProviderError(provider, 'response is not JSON');
+  }
+}
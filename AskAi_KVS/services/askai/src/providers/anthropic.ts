@@ -0,0 +1,162 @@
+/**
+ * Anthropic provider: the Messages API
+ *
+ * System messages become the top-level `system` prompt, wherever they were in the
+ * conversation, and consecutive turns from the same role are joined, since the API wants user
+ * and assistant to alternate. Structured output is asked for in the prompt.
+ */
+
+import { ProviderError, postJson, readJson, readProviderEvents } from '../provider';
+import type { AIProvider, ChatMessage, Completion, CompletionChunk, CompletionRequest } from '../provider';
+import type { StructuredOutputMode } from '../structured';
+
+export const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export interface AnthropicProviderConfig {
+  name: string;
+  baseUrl?: string;
+  timeoutMs: number;
+  getApiKey: () => Promise<string | undefined>;
+}
+
+interface AnthropicUsage {
+  input_tokens?: number;
+  output_tokens?: number;
+}
+
+/**
+ * Splits a conversation into the `system` prompt and alternating user / assistant turns
+ */
+function toAnthropicMessages(messages: ChatMessage[]): { system?: string; messages: ChatMessage[] } {
+  const system = messages.filter((message) => message.role === 'system').map((message) => message.content);
+  const turns: ChatMessage[] = [];
+  for (const message of messages) {
+    const previous = turns[turns.length - 1];
+    if (message.role === 'system') {
+      continue;
+    }
+    if (previous?.role === message.role) {
+      previous.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role: message.role, content: message.content });
+    }
+  }
+  return { ...(system.length > 0 ? { system: system.join('\n\n') } : {}), messages: turns };
+}
+
+function totalTokens(usage: AnthropicUsage | undefined): number {
+  return (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+}
+
+export class AnthropicProvider implements AIProvider {
+  readonly name: string;
+  readonly type = 'anthropic' as const;
+  private url: string;
+
+  constructor(private config: AnthropicProviderConfig) {
+    this.name = config.name;
+    this.url = `${(config.baseUrl || ANTHROPIC_BASE_URL).replace(/\/+$/, '')}/v1/messages`;
+  }
+
+  getStructuredOutputMode(): StructuredOutputMode {
+    return 'prompt';
+  }
+
+  async complete(request: CompletionRequest): Promise<Completion> {
+    const response = await this.send(request, false);
+    const message = await readJson(this.name, response);
+    const content = (message.content as Array<{ type?: string; text?: string }> | undefined) || [];
+    const output = content
+      .filter((block) => block.type === 'text' && typeof block.text === 'string')
+      .map((block) => block.text)
+      .join('');
+    if (output.trim().length === 0) {
+      throw new ProviderError(this.name, 'produced empty output');
+    }
+    return {
+      output,
+      tokensUsed: totalTokens(message.usage as AnthropicUsage | undefined),
+      model: (message.model as string) || request.model,
+      finishReason: message.stop_reason as string | undefined,
+    };
+  }
+
+  async stream(request: CompletionRequest): Promise<AsyncIterable<CompletionChunk>> {
+    const response = await this.send(request, true);
+    if (!response.body) {
+      throw new ProviderError(this.name, 'returned no stream');
+    }
+    return this.readChunks(response.body, request.signal);
+  }
+
+  /**
+   * `message_start` carries the model and input tokens, `content_block_delta` the text, and
+   * `message_delta` the stop reason and output tokens
+   */
+  private async *readChunks(body: ReadableStream<Uint8Array>, signal?: AbortSignal): AsyncGenerator<CompletionChunk> {
+    let inputTokens = 0;
+    for await (const { event, data } of readProviderEvents(this.name, body, signal)) {
+      let payload: {
+        message?: { model?: string; usage?: AnthropicUsage };
+        delta?: { type?: string; text?: string; stop_reason?: string };
+        usage?: AnthropicUsage;
+        error?: { type?: string; message?: string };
+      };
+      try {
+        payload = JSON.parse(data);
+      } catch {
+        throw new ProviderError(this.name, 'sent a malformed stream event');
+      }
+
+      switch (event) {
+        case 'message_start':
+          inputTokens = payload.message?.usage?.input_tokens || 0;
+          yield { model: payload.message?.model };
+          break;
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            yield { text: payload.delta.text };
+          }
+          break;
+        case 'message_delta':
+          yield {
+            finishReason: payload.delta?.stop_reason,
+            tokensUsed: inputTokens + (payload.usage?.output_tokens || 0),
+          };
+          break;
+        case 'message_stop':
+          return;
+        case 'error':
+          throw new ProviderError(
+            this.name,
+            `stream failed: ${payload.error?.type} ${payload.error?.message}`,
+            payload.error?.type === 'overloaded_error' ? 529 : undefined
+          );
+      }
+    }
+  }
+
+  private async send(request: CompletionRequest, stream: boolean): Promise<Response> {
+    const apiKey = await this.config.getApiKey();
+    return postJson(
+      this.name,
+      this.url,
+      {
+        'anthropic-version': ANTHROPIC_VERSION,
+        ...(apiKey ? { 'x-api-key': apiKey } : {}),
+      },
+      {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        ...toAnthropicMessages(request.messages),
+        ...(request.temperature !== undefined && request.capabilities.temperature
+          ? { temperature: request.temperature }
+          : {}),
+        ...(stream ? { stream: true } : {}),
+      },
+      this.config.timeoutMs,
+      request.signal
+    );
+  }
+}
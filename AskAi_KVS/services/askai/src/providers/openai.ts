@@ -0,0 +1,167 @@
+/**
+ * OpenAI provider: Chat Completions
+ *
+ * The token limit parameter, temperature and reasoning effort sent for a model come from its
+ * entry in shared/clients/models. Also speaks to OpenAI-compatible servers (Ollama, llama.cpp,
+ * vLLM, ...) as type `openai-compatible`. Those get plain `max_tokens`, no reasoning effort, and
+ * the schema in the prompt for structured output, since what else they accept varies from server
+ * to server.
+ */
+
+import type { ModelCapabilities } from '../../../../shared/clients/models';
+import { ProviderError, postJson, readJson, readProviderEvents } from '../provider';
+import type { AIProvider, Completion, CompletionChunk, CompletionRequest, ProviderType } from '../provider';
+import { buildResponseFormat, getStructuredOutputMode } from '../structured';
+import type { StructuredOutputMode, StructuredOutputOptions } from '../structured';
+
+export const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+export interface OpenAIProviderConfig {
+  name: string;
+  /** Defaults to OpenAI's API; for a local server e.g. `http://localhost:11434/v1` */
+  baseUrl?: string;
+  compatible: boolean;
+  timeoutMs: number;
+  /** Undefined when the server needs no key */
+  getApiKey: () => Promise<string | undefined>;
+}
+
+/**
+ * Extracts text content from various OpenAI response formats
+ */
+function extractTextFromCompletion(completion: unknown): string {
+  const comp = completion as Record<string, unknown>;
+  const choices = comp?.choices as Array<Record<string, unknown>> | undefined;
+  const choice0 = choices?.[0];
+
+  // Chat Completions: message.content
+  const msg = choice0?.message as Record<string, unknown> | undefined;
+  const content = msg?.content;
+  if (typeof content === 'string') return content;
+
+  if (content && typeof content === 'object' && !Array.isArray(content)) {
+    const c = content as Record<string, unknown>;
+    if (typeof c.text === 'string') return c.text;
+    if (typeof c.content === 'string') return c.content;
+    if (typeof c.value === 'string') return c.value;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map((part: unknown) => {
+        if (typeof part === 'string') return part;
+        const p = part as Record<string, unknown>;
+        if (typeof p?.text === 'string') return p.text;
+        if (typeof p?.content === 'string') return p.content;
+        if (typeof p?.value === 'string') return p.value;
+        return '';
+      })
+      .join('');
+  }
+
+  // Legacy Completions: choices[0].text
+  if (typeof choice0?.text === 'string') return choice0.text;
+
+  // Responses API style
+  if (typeof comp?.output_text === 'string') return comp.output_text as string;
+
+  // Refusals
+  const refusal = msg?.refusal;
+  if (typeof refusal === 'string' && refusal.trim().length > 0) return refusal;
+
+  return '';
+}
+
+export class OpenAIProvider implements AIProvider {
+  readonly name: string;
+  readonly type: ProviderType;
+  private url: string;
+
+  constructor(private config: OpenAIProviderConfig) {
+    this.name = config.name;
+    this.type = config.compatible ? 'openai-compatible' : 'openai';
+    this.url = `${(config.baseUrl || OPENAI_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+  }
+
+  getStructuredOutputMode(capabilities: ModelCapabilities, options: StructuredOutputOptions): StructuredOutputMode {
+    return this.config.compatible ? 'prompt' : getStructuredOutputMode(capabilities.structuredOutput, options.schema);
+  }
+
+  async complete(request: CompletionRequest): Promise<Completion> {
+    const response = await this.send(request, false);
+    const completion = await readJson(this.name, response);
+    const output = extractTextFromCompletion(completion);
+    if (!output || output.trim().length === 0) {
+      throw new ProviderError(this.name, 'produced empty output');
+    }
+    const usage = completion.usage as Record<string, number> | undefined;
+    const choices = completion.choices as Array<{ finish_reason?: string }> | undefined;
+    return {
+      output,
+      tokensUsed: usage?.total_tokens || 0,
+      model: (completion.model as string) || request.model,
+      finishReason: choices?.[0]?.finish_reason,
+    };
+  }
+
+  async stream(request: CompletionRequest): Promise<AsyncIterable<CompletionChunk>> {
+    const response = await this.send(request, true);
+    if (!response.body) {
+      throw new ProviderError(this.name, 'returned no stream');
+    }
+    return this.readChunks(response.body, request.signal);
+  }
+
+  private async *readChunks(body: ReadableStream<Uint8Array>, signal?: AbortSignal): AsyncGenerator<CompletionChunk> {
+    for await (const { data } of readProviderEvents(this.name, body, signal)) {
+      if (data === '[DONE]') {
+        return;
+      }
+      let chunk: {
+        model?: string;
+        choices?: Array<{ delta?: { content?: string | null }; finish_reason?: string | null }>;
+        usage?: { total_tokens?: number } | null;
+      };
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        throw new ProviderError(this.name, 'sent a malformed stream event');
+      }
+      const choice = chunk.choices?.[0];
+      yield {
+        text: choice?.delta?.content || undefined,
+        model: chunk.model,
+        finishReason: choice?.finish_reason || undefined,
+        // Sent in a final chunk with no choices (stream_options.include_usage)
+        tokensUsed: chunk.usage?.total_tokens,
+      };
+    }
+  }
+
+  private async send(request: CompletionRequest, stream: boolean): Promise<Response> {
+    const { model, maxTokens, capabilities } = request;
+    const { compatible } = this.config;
+    const temperature = capabilities.temperature ? (request.temperature ?? 0.7) : undefined;
+    const reasoningEffort = compatible ? undefined : (request.reasoningEffort ?? capabilities.defaultReasoningEffort);
+    const responseFormat =
+      request.structured && buildResponseFormat(request.structured.mode, request.structured.options);
+
+    const apiKey = await this.config.getApiKey();
+    return postJson(
+      this.name,
+      this.url,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      {
+        model,
+        messages: request.messages,
+        [compatible ? 'max_tokens' : capabilities.tokenParam]: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : {}),
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+      },
+      this.config.timeoutMs,
+      request.signal
+    );
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * Which providers answer which models (see ./provider)
+ *
+ * Providers come from AI_PROVIDERS, keyed by the name routes use:
+ * `{ "openai": { "type": "openai" }, "claude": { "type": "anthropic" },
+ *    "local": { "type": "openai-compatible", "baseUrl": "http://localhost:11434/v1" } }`.
+ * Each may set `baseUrl`, `timeoutMs` (until the provider starts answering, default 15000) and
+ * where its API key is: `apiKeyEnv` (an environment variable's name) or `apiKeySecretArn`.
+ * Without those, OpenAI uses OPENAI_API_KEY / OPENAI_API_KEY_SECRET_ARN, Anthropic uses
+ * ANTHROPIC_API_KEY / ANTHROPIC_API_KEY_SECRET_ARN, and compatible servers send no key.
+ * When AI_PROVIDERS is unset there is one provider, `openai`.
+ *
+ * Routes come from AI_ROUTES, an ordered list of `{ "match": "<model pattern>", "chain": [...] }`.
+ * The first route whose pattern (`*` matches anything) matches the requested model gives the
+ * chain: provider names, or `{ "provider", "model" }` to use another model there. Each is tried
+ * in turn until one answers; any failure, timeout included, moves on to the next, except the
+ * caller going away. When AI_ROUTES is unset, every model goes to the first provider alone.
+ *
+ * Each model is asked according to its entry in shared/clients/models, adjusted by AI_MODELS,
+ * and a request it cannot take (too many tokens, an effort it lacks) is refused here rather than
+ * by the provider: with 400 for the first model in the chain, by skipping a fallback. A fallback
+ * that takes no such effort is asked without one instead.
+ */
+
+import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import { matchesPattern, ModelRegistry } from '../../../shared/clients/models';
+import type { ModelOverrides } from '../../../shared/clients/models';
+import { ProviderError } from './provider';
+import type { AIProvider, Completion, CompletionChunk, CompletionRequest, ProviderType } from './provider';
+import { AnthropicProvider } from './providers/anthropic';
+import { OpenAIProvider } from './providers/openai';
+import { withStructuredInstruction } from './structured';
+import type { StructuredOutputMode, StructuredOutputOptions } from './structured';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const PROVIDER_TYPES: ReadonlySet<string> = new Set<ProviderType>(['openai', 'anthropic', 'openai-compatible']);
+
+/** Where each provider type finds its API key by default */
+const DEFAULT_KEY_SOURCES: Record<ProviderType, { env?: string; secretArnEnv?: string }> = {
+  openai: { env: 'OPENAI_API_KEY', secretArnEnv: 'OPENAI_API_KEY_SECRET_ARN' },
+  anthropic: { env: 'ANTHROPIC_API_KEY', secretArnEnv: 'ANTHROPIC_API_KEY_SECRET_ARN' },
+  'openai-compatible': {},
+};
+
+export interface ProviderConfig {
+  type: ProviderType;
+  baseUrl?: string;
+  timeoutMs?: number;
+  apiKeyEnv?: string;
+  apiKeySecretArn?: string;
+}
+
+export interface ChainEntry {
+  provider: string;
+  /** Instead of the requested model */
+  model?: string;
+}
+
+export interface Route {
+  match: string;
+  chain: ChainEntry[];
+}
+
+export interface RouteRequest extends Omit<CompletionRequest, 'structured' | 'capabilities'> {
+  /** Asked for in whichever mode each provider supports */
+  structured?: StructuredOutputOptions;
+}
+
+export interface RoutedCompletion extends Completion {
+  /** The provider that answered */
+  provider: string;
+  structuredOutput?: StructuredOutputMode;
+}
+
+export interface RoutedStream {
+  provider: string;
+  model: string;
+  chunks: AsyncIterable<CompletionChunk>;
+}
+
+/**
+ * No route matches the requested model (400)
+ */
+export class RoutingError extends Error {
+  statusCode = 400 as const;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'RoutingError';
+  }
+}
+
+/**
+ * The requested model cannot take the request (400)
+ */
+export class ModelRequestError extends Error {
+  statusCode = 400 as const;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'ModelRequestError';
+  }
+}
+
+/**
+ * The model registry with AI_MODELS applied
+ *
+ * @throws Error if AI_MODELS is malformed
+ */
+export function loadModelRegistry(raw: string | undefined): ModelRegistry {
+  if (!raw || !raw.trim()) {
+    return new ModelRegistry();
+  }
+  const parsed = JSON.parse(raw) as unknown;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('AI_MODELS must be an object of model patterns to capabilities');
+  }
+  return new ModelRegistry(parsed as ModelOverrides);
+}
+
+/**
+ * Parses AI_PROVIDERS
+ *
+ * @throws Error if it is malformed, so a bad deploy fails loudly instead of answering from the
+ *   wrong place
+ */
+export function loadProviderConfigs(raw: string | undefined): Map<string, ProviderConfig> {
+  if (!raw || !raw.trim()) {
+    return new Map([['openai', { type: 'openai' }]]);
+  }
+
+  const parsed = JSON.parse(raw) as Record<string, Partial<ProviderConfig> | null>;
+  const configs = new Map<string, ProviderConfig>();
+  for (const [name, entry] of Object.entries(parsed)) {
+    if (!entry || typeof entry.type !== 'string' || !PROVIDER_TYPES.has(entry.type)) {
+      throw new Error(`AI_PROVIDERS: ${name} needs a type of openai, anthropic or openai-compatible`);
+    }
+    if (entry.type === 'openai-compatible' && typeof entry.baseUrl !== 'string') {
+      throw new Error(`AI_PROVIDERS: ${name} needs a baseUrl`);
+    }
+    if (entry.timeoutMs !== undefined && (!Number.isInteger(entry.timeoutMs) || entry.timeoutMs <= 0)) {
+      throw new Error(`AI_PROVIDERS: ${name} timeoutMs must be a positive integer`);
+    }
+    configs.set(name, entry as ProviderConfig);
+  }
+  if (configs.size === 0) {
+    throw new Error('AI_PROVIDERS must name at least one provider');
+  }
+  return configs;
+}
+
+/**
+ * Parses AI_ROUTES against the configured providers
+ *
+ * @throws Error if it is malformed or names a provider that is not configured
+ */
+export function loadRoutes(raw: string | undefined, providers: ReadonlyMap<string, unknown>): Route[] {
+  if (!raw || !raw.trim()) {
+    return [{ match: '*', chain: [{ provider: providers.keys().next().value as string }] }];
+  }
+
+  const parsed = JSON.parse(raw) as unknown;
+  if (!Array.isArray(parsed)) {
+    throw new Error('AI_ROUTES must be an array of { match, chain }');
+  }
+  return parsed.map((route: { match?: unknown; chain?: unknown }, index) => {
+    if (typeof route?.match !== 'string' || !Array.isArray(route.chain) || route.chain.length === 0) {
+      throw new Error(`AI_ROUTES[${index}] needs a match pattern and a non-empty chain`);
+    }
+    const chain = route.chain.map((entry: unknown) => {
+      const link = (typeof entry === 'string' ? { provider: entry } : entry) as Partial<ChainEntry> | null;
+      if (typeof link?.provider !== 'string' || !providers.has(link.provider)) {
+        throw new Error(`AI_ROUTES[${index}]: ${JSON.stringify(entry)} is not a configured provider`);
+      }
+      if (link.model !== undefined && (typeof link.model !== 'string' || !link.model)) {
+        throw new Error(`AI_ROUTES[${index}]: ${link.provider} model must be a non-empty string`);
+      }
+      return { provider: link.provider, ...(link.model ? { model: link.model } : {}) };
+    });
+    return { match: route.match, chain };
+  });
+}
+
+/**
+ * Resolves API keys once per instance, from the environment or Secrets Manager
+ */
+function createKeyLoader(
+  name: string,
+  config: ProviderConfig,
+  env: NodeJS.ProcessEnv
+): () => Promise<string | undefined> {
+  const defaults = DEFAULT_KEY_SOURCES[config.type];
+  const envName = config.apiKeyEnv ?? defaults.env;
+  const secretArn = config.apiKeySecretArn ?? (defaults.secretArnEnv ? env[defaults.secretArnEnv] : undefined);
+  let cached: string | undefined;
+  let secretsClient: SecretsManagerClient | undefined;
+
+  return async () => {
+    if (cached) {
+      return cached;
+    }
+    if (secretArn) {
+      secretsClient ??= new SecretsManagerClient({});
+      const secret = await secretsClient
+        .send(new GetSecretValueCommand({ SecretId: secretArn }))
+        .catch((error: Error) => {
+          throw new ProviderError(name, `cannot read API key secret (${error.message})`);
+        });
+      const secretValue =
+        secret.SecretString ||
+        (secret.SecretBinary ? Buffer.from(secret.SecretBinary as Uint8Array).toString('utf8') : '');
+      if (!secretValue) {
+        throw new ProviderError(name, 'API key secret is empty');
+      }
+      cached = secretValue;
+      return cached;
+    }
+    if (envName && env[envName]) {
+      cached = env[envName];
+      return cached;
+    }
+    if (config.type === 'openai-compatible' && !config.apiKeyEnv) {
+      return undefined;
+    }
+    throw new ProviderError(
+      name,
+      `${envName ?? 'an API key'}${defaults.secretArnEnv ? ` or ${defaults.secretArnEnv}` : ''} is required`
+    );
+  };
+}
+
+export function createProvider(name: string, config: ProviderConfig, env: NodeJS.ProcessEnv): AIProvider {
+  const common = {
+    name,
+    baseUrl: config.baseUrl,
+    timeoutMs: config.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    getApiKey: createKeyLoader(name, config, env),
+  };
+  return config.type === 'anthropic'
+    ? new AnthropicProvider(common)
+    : new OpenAIProvider({ ...common, compatible: config.type === 'openai-compatible' });
+}
+
+export class ProviderRouter {
+  constructor(
+    private providers: ReadonlyMap<string, AIProvider>,
+    private routes: Route[],
+    private models: ModelRegistry = new ModelRegistry()
+  ) {}
+
+  /**
+   * Providers to try for `model`, in order, with the model each is asked for
+   *
+   * @throws RoutingError when no route matches
+   */
+  resolve(model: string): Array<{ provider: AIProvider; model: string }> {
+    const route = this.routes.find((candidate) => matchesPattern(candidate.match, model));
+    if (!route) {
+      throw new RoutingError(`No provider route for model ${model}`);
+    }
+    return route.chain.map((entry) => ({ provider: this.providers.get(entry.provider)!, model: entry.model ?? model }));
+  }
+
+  /**
+   * One whole completion from the first provider in the chain that answers
+   *
+   * @throws ModelRequestError when the requested model cannot take the request
+   * @throws ProviderError when every provider failed
+   */
+  complete(request: RouteRequest): Promise<RoutedCompletion> {
+    return this.tryChain(request, async (provider, providerRequest) => ({
+      ...(await provider.complete(providerRequest)),
+      provider: provider.name,
+      structuredOutput: providerRequest.structured?.mode,
+    }));
+  }
+
+  /**
+   * A stream from the first provider in the chain that starts one. Once it has started there is
+   * no falling back; a stream that breaks off throws from its iterator.
+   *
+   * @throws ModelRequestError when the requested model cannot take the request
+   * @throws ProviderError when no provider started streaming
+   */
+  stream(request: RouteRequest): Promise<RoutedStream> {
+    return this.tryChain(request, async (provider, providerRequest) => ({
+      provider: provider.name,
+      model: providerRequest.model,
+      chunks: await provider.stream(providerRequest),
+    }));
+  }
+
+  private async tryChain<T>(
+    request: RouteRequest,
+    call: (provider: AIProvider, request: CompletionRequest) => Promise<T>
+  ): Promise<T> {
+    const failures: ProviderError[] = [];
+    for (const [index, { provider, model }] of this.resolve(request.model).entries()) {
+      const capabilities = this.models.get(model);
+      const reasoningEffort =
+        index === 0 || (request.reasoningEffort && capabilities.reasoningEfforts.includes(request.reasoningEffort))
+          ? request.reasoningEffort
+          : undefined;
+      const mode = request.structured && provider.getStructuredOutputMode(capabilities, request.structured);
+      const providerRequest: CompletionRequest = {
+        ...request,
+        model,
+        capabilities,
+        reasoningEffort,
+        messages:
+          request.structured && mode
+            ? withStructuredInstruction(request.messages, mode, request.structured.schema)
+            : request.messages,
+        structured: request.structured && mode ? { mode, options: request.structured } : undefined,
+      };
+
+      const refusal = this.models.check(model, {
+        maxTokens: request.maxTokens,
+        reasoningEffort,
+        promptChars: providerRequest.messages.reduce((total, message) => total + message.content.length, 0),
+      });
+      if (refusal && index === 0) {
+        throw new ModelRequestError(refusal);
+      }
+      if (refusal) {
+        console.warn('AskAI fallback skipped', { provider: provider.name, model, reason: refusal });
+        failures.push(new ProviderError(provider.name, refusal));
+        continue;
+      }
+
+      try {
+        return await call(provider, providerRequest);
+      } catch (error) {
+        if (!(error instanceof ProviderError) || request.signal?.aborted) {
+          throw error;
+        }
+        console.warn('AskAI provider failed', { provider: provider.name, model, error: error.message });
+        failures.push(error);
+      }
+    }
+
+    if (failures.length === 1) {
+      throw failures[0];
+    }
+    const last = failures[failures.length - 1];
+    throw new ProviderError(
+      'all providers',
+      failures.map((failure) => failure.message).join('; '),
+      last.statusCode,
+      last.body
+    );
+  }
+}
+
+/**
+ * The router for AI_PROVIDERS, AI_ROUTES and AI_MODELS in `env`
+ *
+ * @throws Error if any of them is malformed
+ */
+export function createRouter(env: NodeJS.ProcessEnv): ProviderRouter {
+  const configs = loadProviderConfigs(env.AI_PROVIDERS);
+  const providers = new Map([...configs].map(([name, config]) => [name, createProvider(name, config, env)]));
+  return new ProviderRouter(providers, loadRoutes(env.AI_ROUTES, configs), loadModelRegistry(env.AI_MODELS));
+}
@@ -0,0 +1,70 @@
+/**
+ * Server-Sent Events
+ *
+ * Streamed answers go out as SSE (`event:` name plus one `data:` line of JSON per event), and
+ * OpenAI's streamed completions come in the same way. Chunks split events at arbitrary points,
+ * so `readServerSentEvents` buffers until an event's blank line arrives.
+ */
+
+export interface ServerSentEvent {
+  /** `message` when the event has no `event:` line */
+  event: string;
+  data: string;
+}
+
+/**
+ * Formats one event; `data` is sent as JSON on a single line
+ */
+export function formatServerSentEvent(event: string, data: unknown): string {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Yields the events of an SSE body as they complete. Comments and `id:` / `retry:` lines are
+ * skipped, and multi-line `data:` fields are joined with newlines. Leaving the loop early
+ * cancels the body.
+ */
+export async function* readServerSentEvents(
+  body: ReadableStream<Uint8Array>
+): AsyncGenerator<ServerSentEvent> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let event = '';
+  let data: string[] = [];
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffered += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      // A trailing \r may be the first half of a \r\n split across chunks
+      const lines = buffered.split(/\r\n|\n|\r(?!$)/);
+      // The last piece may be a partial line; a final one is complete once the body ends
+      buffered = done ? '' : lines.pop()!;
+
+      for (const line of lines) {
+        if (line === '') {
+          if (data.length > 0) {
+            yield { event: event || 'message', data: data.join('\n') };
+          }
+          event = '';
+          data = [];
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+        }
+      }
+
+      if (done) {
+        if (data.length > 0) {
+          yield { event: event || 'message', data: data.join('\n') };
+        }
+        return;
+      }
+    }
+  } finally {
+    // Stops the upstream body when the caller leaves early
+    await reader.cancel().catch(() => {});
+  }
+}
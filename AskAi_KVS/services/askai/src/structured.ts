@@ -0,0 +1,154 @@
+/**
+ * Structured output
+ *
+ * A request with `responseSchema` is answered with JSON that matches it. OpenAI models that
+ * support it get the schema as the native `response_format: json_schema`; older JSON-mode models
+ * get `json_object`, and other models and providers only the schema in the system prompt (which
+ * models support what is in shared/clients/models).
+ * Whatever the mode, the answer is parsed and checked against the schema here (with
+ * shared/utils/json-schema), and a failing answer is sent back to the model with its violations,
+ * up to `maxRepairs` times.
+ */
+
+import { checkSchemaDefinition, SchemaDefinitionError, validateValue } from '../../../shared/utils/json-schema';
+import type { JsonSchema, SchemaViolation } from '../../../shared/utils/json-schema';
+import type { StructuredOutputMode } from '../../../shared/clients/models';
+import type { ChatMessage } from './provider';
+
+export type { StructuredOutputMode };
+
+export const DEFAULT_MAX_REPAIRS = 1;
+export const MAX_REPAIRS = 3;
+
+// OpenAI's rule for json_schema names
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export interface StructuredOutputOptions {
+  schema: JsonSchema;
+  /** Sent to OpenAI as the schema's name (default: `response`) */
+  name: string;
+  maxRepairs: number;
+}
+
+export interface StructuredOutputResult {
+  /** The parsed answer; undefined when it is not JSON */
+  data?: unknown;
+  /** Empty when `data` matches the schema */
+  violations: SchemaViolation[];
+}
+
+/**
+ * Checks the structured-output fields of a request
+ *
+ * @returns The options to answer with, undefined without `responseSchema`, or an error message
+ */
+export function readStructuredOutputOptions(request: {
+  responseSchema?: unknown;
+  responseSchemaName?: unknown;
+  maxRepairs?: unknown;
+}): StructuredOutputOptions | undefined | string {
+  if (request.responseSchema === undefined) {
+    return request.responseSchemaName !== undefined || request.maxRepairs !== undefined
+      ? 'responseSchemaName and maxRepairs need a responseSchema'
+      : undefined;
+  }
+  try {
+    checkSchemaDefinition(request.responseSchema);
+  } catch (error) {
+    if (error instanceof SchemaDefinitionError) {
+      return `responseSchema: ${error.message}`;
+    }
+    throw error;
+  }
+  const name = request.responseSchemaName ?? 'response';
+  if (typeof name !== 'string' || !SCHEMA_NAME_PATTERN.test(name)) {
+    return 'responseSchemaName must be 1-64 letters, digits, _ or -';
+  }
+  const maxRepairs = request.maxRepairs ?? DEFAULT_MAX_REPAIRS;
+  if (!Number.isInteger(maxRepairs) || (maxRepairs as number) < 0 || (maxRepairs as number) > MAX_REPAIRS) {
+    return `maxRepairs must be an integer from 0 to ${MAX_REPAIRS}`;
+  }
+  return { schema: request.responseSchema as JsonSchema, name, maxRepairs: maxRepairs as number };
+}
+
+/**
+ * How a model with `supported` as its best mode is asked for JSON. OpenAI's JSON modes only
+ * produce objects, so a schema for anything else is always described in the prompt.
+ */
+export function getStructuredOutputMode(supported: StructuredOutputMode, schema: JsonSchema): StructuredOutputMode {
+  return typeof schema === 'object' && schema.type === 'object' ? supported : 'prompt';
+}
+
+/**
+ * The `response_format` for a completion, if the mode has one
+ */
+export function buildResponseFormat(
+  mode: StructuredOutputMode,
+  options: StructuredOutputOptions
+): Record<string, unknown> | undefined {
+  switch (mode) {
+    case 'json_schema':
+      // Strict mode rejects optional properties, which most schemas have; answers are
+      // validated here either way
+      return { type: 'json_schema', json_schema: { name: options.name, schema: options.schema, strict: false } };
+    case 'json_object':
+      return { type: 'json_object' };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * The system instruction asking for JSON. OpenAI's JSON mode also requires "JSON" to appear
+ * in the messages.
+ */
+export function buildStructuredInstruction(mode: StructuredOutputMode, schema: JsonSchema): string {
+  return mode === 'json_schema'
+    ? 'Respond with JSON only.'
+    : `Respond with JSON only, no code fences or other text, matching this JSON Schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * `messages` with the JSON instruction added to the first system message, or in one before them
+ */
+export function withStructuredInstruction(
+  messages: ChatMessage[],
+  mode: StructuredOutputMode,
+  schema: JsonSchema
+): ChatMessage[] {
+  const instruction = buildStructuredInstruction(mode, schema);
+  const [first, ...rest] = messages;
+  return first?.role === 'system'
+    ? [{ role: 'system', content: `${first.content}\n\n${instruction}` }, ...rest]
+    : [{ role: 'system', content: instruction }, ...messages];
+}
+
+/**
+ * Parses an answer, allowing for a Markdown code fence around it, and checks it against the schema
+ */
+export function parseStructuredOutput(output: string, schema: JsonSchema): StructuredOutputResult {
+  const trimmed = output.trim();
+  const fenced = /^```[\w-]*\s*\n([\s\S]*?)\n?```$/.exec(trimmed);
+  let data: unknown;
+  try {
+    data = JSON.parse(fenced ? fenced[1] : trimmed);
+  } catch (error) {
+    return { violations: [{ path: '', message: `is not valid JSON (${(error as Error).message})` }] };
+  }
+  return { data, violations: validateValue(schema, data) };
+}
+
+/**
+ * The follow-up message asking the model to fix an answer
+ */
+export function buildRepairMessage(violations: SchemaViolation[]): string {
+  const listed = violations
+    .slice(0, 20)
+    .map((violation) => `- ${violation.path || '(root)'}: ${violation.message}`)
+    .join('\n');
+  return (
+    `Your response does not match the required JSON Schema:\n${listed}` +
+    `${violations.length > 20 ? `\n- ...and ${violations.length - 20} more` : ''}\n` +
+    'Reply with the corrected JSON only.'
+  );
+}
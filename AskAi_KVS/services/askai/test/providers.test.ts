@@ -0,0 +1,223 @@
+/**
+ * The OpenAI and Anthropic adapters against stub servers: what they send, how they read whole
+ * and streamed answers, and how failures become ProviderErrors
+ */
+
+import { afterEach, describe, expect, it } from 'vitest';
+import { ModelRegistry } from '../../../shared/clients/models';
+import { ProviderError } from '../src/provider';
+import type { CompletionChunk, CompletionRequest } from '../src/provider';
+import { AnthropicProvider } from '../src/providers/anthropic';
+import { OpenAIProvider } from '../src/providers/openai';
+import { hang, sendJson, startStubServer, writeEvents } from './stub-server';
+import type { StubServer } from './stub-server';
+
+const models = new ModelRegistry();
+let server: StubServer | undefined;
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+function request(model: string, overrides: Partial<CompletionRequest> = {}): CompletionRequest {
+  return {
+    model,
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+    ],
+    maxTokens: 100,
+    capabilities: models.get(model),
+    ...overrides,
+  };
+}
+
+async function collect(chunks: AsyncIterable<CompletionChunk>): Promise<CompletionChunk[]> {
+  const collected: CompletionChunk[] = [];
+  for await (const chunk of chunks) {
+    collected.push(chunk);
+  }
+  return collected;
+}
+
+function openai(url: string, timeoutMs = 2000): OpenAIProvider {
+  return new OpenAIProvider({
+    name: 'openai',
+    baseUrl: `${url}/v1`,
+    compatible: false,
+    timeoutMs,
+    getApiKey: async () => 'sk-test',
+  });
+}
+
+function anthropic(url: string, timeoutMs = 2000): AnthropicProvider {
+  return new AnthropicProvider({ name: 'claude', baseUrl: url, timeoutMs, getApiKey: async () => 'ant-test' });
+}
+
+describe('OpenAIProvider', () => {
+  it('sends a Chat Completions request and reads the answer', async () => {
+    server = await startStubServer((_, response) =>
+      sendJson(response, 200, {
+        model: 'gpt-4o-2024-08-06',
+        choices: [{ message: { content: 'Hello' }, finish_reason: 'stop' }],
+        usage: { total_tokens: 12 },
+      })
+    );
+
+    const completion = await openai(server.url).complete(request('gpt-4o'));
+
+    expect(completion).toEqual({ output: 'Hello', tokensUsed: 12, model: 'gpt-4o-2024-08-06', finishReason: 'stop' });
+    const [sent] = server.requests;
+    expect(sent.path).toBe('/v1/chat/completions');
+    expect(sent.headers.authorization).toBe('Bearer sk-test');
+    expect(sent.body).toMatchObject({ model: 'gpt-4o', max_tokens: 100, messages: request('gpt-4o').messages });
+  });
+
+  it('sends the token parameter and reasoning effort the model takes', async () => {
+    server = await startStubServer((_, response) =>
+      sendJson(response, 200, { choices: [{ message: { content: 'ok' } }] })
+    );
+
+    await openai(server.url).complete(request('o3-mini', { reasoningEffort: 'low', temperature: 0.2 }));
+
+    expect(server.requests[0].body).toMatchObject({ max_completion_tokens: 100, reasoning_effort: 'low' });
+    expect(server.requests[0].body).not.toHaveProperty('temperature');
+  });
+
+  it('streams text, then usage from the final chunk', async () => {
+    server = await startStubServer((_, response) => {
+      writeEvents(response, [
+        { data: { model: 'gpt-4o', choices: [{ delta: { content: 'Hel' } }] } },
+        { data: { model: 'gpt-4o', choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] } },
+        { data: { model: 'gpt-4o', choices: [], usage: { total_tokens: 9 } } },
+        { data: '[DONE]' },
+      ]);
+      response.end();
+    });
+
+    const chunks = await collect(await openai(server.url).stream(request('gpt-4o')));
+
+    expect(chunks.map((chunk) => chunk.text ?? '').join('')).toBe('Hello');
+    expect(chunks.some((chunk) => chunk.finishReason === 'stop')).toBe(true);
+    expect(chunks[chunks.length - 1].tokensUsed).toBe(9);
+    expect(server.requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+  });
+
+  it('turns an error status into a ProviderError with the status and body', async () => {
+    server = await startStubServer((_, response) => sendJson(response, 503, { error: 'overloaded' }));
+
+    const error = await openai(server.url).complete(request('gpt-4o')).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error).toMatchObject({ provider: 'openai', statusCode: 503, body: '{"error":"overloaded"}' });
+  });
+
+  it('gives up when no response arrives in time', async () => {
+    server = await startStubServer(hang);
+
+    await expect(openai(server.url, 100).complete(request('gpt-4o'))).rejects.toThrow(
+      new ProviderError('openai', 'no response within 100ms')
+    );
+  });
+
+  it('treats an empty answer as a failure', async () => {
+    server = await startStubServer((_, response) =>
+      sendJson(response, 200, { choices: [{ message: { content: ' ' } }] })
+    );
+
+    await expect(openai(server.url).complete(request('gpt-4o'))).rejects.toThrow(/empty output/);
+  });
+});
+
+describe('AnthropicProvider', () => {
+  it('sends a Messages request with the system prompt on top and reads the answer', async () => {
+    server = await startStubServer((_, response) =>
+      sendJson(response, 200, {
+        model: 'claude-sonnet-4-20250514',
+        content: [{ type: 'text', text: 'Hello' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 7, output_tokens: 3 },
+      })
+    );
+
+    const completion = await anthropic(server.url).complete(request('claude-sonnet-4'));
+
+    expect(completion).toEqual({
+      output: 'Hello',
+      tokensUsed: 10,
+      model: 'claude-sonnet-4-20250514',
+      finishReason: 'end_turn',
+    });
+    const [sent] = server.requests;
+    expect(sent.path).toBe('/v1/messages');
+    expect(sent.headers['x-api-key']).toBe('ant-test');
+    expect(sent.headers['anthropic-version']).toBeDefined();
+    expect(sent.body).toMatchObject({
+      model: 'claude-sonnet-4',
+      max_tokens: 100,
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+  });
+
+  it('joins consecutive turns from the same role', async () => {
+    server = await startStubServer((_, response) =>
+      sendJson(response, 200, { content: [{ type: 'text', text: 'ok' }] })
+    );
+
+    await anthropic(server.url).complete(
+      request('claude-sonnet-4', {
+        messages: [
+          { role: 'user', content: 'a' },
+          { role: 'system', content: 'rules' },
+          { role: 'user', content: 'b' },
+        ],
+      })
+    );
+
+    expect(server.requests[0].body).toMatchObject({ system: 'rules', messages: [{ role: 'user', content: 'a\n\nb' }] });
+  });
+
+  it('streams text with the model first and usage last', async () => {
+    server = await startStubServer((_, response) => {
+      writeEvents(response, [
+        { event: 'message_start', data: { message: { model: 'claude-sonnet-4', usage: { input_tokens: 5 } } } },
+        { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'Hel' } } },
+        { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'lo' } } },
+        { event: 'message_delta', data: { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } } },
+        { event: 'message_stop', data: {} },
+      ]);
+      response.end();
+    });
+
+    const chunks = await collect(await anthropic(server.url).stream(request('claude-sonnet-4')));
+
+    expect(chunks[0].model).toBe('claude-sonnet-4');
+    expect(chunks.map((chunk) => chunk.text ?? '').join('')).toBe('Hello');
+    expect(chunks[chunks.length - 1]).toEqual({ finishReason: 'end_turn', tokensUsed: 7 });
+  });
+
+  it('throws from the iterator when the stream reports an error', async () => {
+    server = await startStubServer((_, response) => {
+      writeEvents(response, [
+        { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'Hel' } } },
+        { event: 'error', data: { error: { type: 'overloaded_error', message: 'Overloaded' } } },
+      ]);
+      response.end();
+    });
+
+    const chunks = await anthropic(server.url).stream(request('claude-sonnet-4'));
+
+    await expect(collect(chunks)).rejects.toMatchObject({ provider: 'claude', statusCode: 529 });
+  });
+
+  it('turns an error status into a ProviderError', async () => {
+    server = await startStubServer((_, response) => sendJson(response, 529, { type: 'error' }));
+
+    await expect(anthropic(server.url).stream(request('claude-sonnet-4'))).rejects.toMatchObject({
+      provider: 'claude',
+      statusCode: 529,
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Falling back along a route's chain, with each provider a stub server behind the real adapter
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ServerResponse } from 'http';
+import type { AIProvider } from '../src/provider';
+import { ProviderError } from '../src/provider';
+import { AnthropicProvider } from '../src/providers/anthropic';
+import { OpenAIProvider } from '../src/providers/openai';
+import { ModelRequestError, ProviderRouter } from '../src/router';
+import type { ChainEntry, RouteRequest } from '../src/router';
+import { hang, sendJson, startStubServer, writeEvents } from './stub-server';
+import type { StubRequest, StubServer } from './stub-server';
+
+const TIMEOUT_MS = 200;
+let servers: StubServer[] = [];
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await Promise.all(servers.map((server) => server.close()));
+  servers = [];
+});
+
+async function stub(handle: (request: StubRequest, response: ServerResponse) => void | Promise<void>) {
+  const server = await startStubServer(handle);
+  servers.push(server);
+  return server;
+}
+
+function openai(name: string, server: StubServer): AIProvider {
+  return new OpenAIProvider({
+    name,
+    baseUrl: server.url,
+    compatible: false,
+    timeoutMs: TIMEOUT_MS,
+    getApiKey: async () => 'sk-test',
+  });
+}
+
+function anthropic(name: string, server: StubServer): AIProvider {
+  return new AnthropicProvider({ name, baseUrl: server.url, timeoutMs: TIMEOUT_MS, getApiKey: async () => 'ant-test' });
+}
+
+function router(providers: AIProvider[], chain: Array<string | ChainEntry>): ProviderRouter {
+  return new ProviderRouter(new Map(providers.map((provider) => [provider.name, provider])), [
+    { match: '*', chain: chain.map((entry) => (typeof entry === 'string' ? { provider: entry } : entry)) },
+  ]);
+}
+
+function request(overrides: Partial<RouteRequest> = {}): RouteRequest {
+  return { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 100, ...overrides };
+}
+
+const answerOpenAI = (text: string) => (_: StubRequest, response: ServerResponse) =>
+  sendJson(response, 200, { choices: [{ message: { content: text } }], usage: { total_tokens: 3 } });
+
+const answerAnthropic = (text: string) => (_: StubRequest, response: ServerResponse) =>
+  sendJson(response, 200, { content: [{ type: 'text', text }], usage: { input_tokens: 1, output_tokens: 2 } });
+
+const fail = (statusCode: number) => (_: StubRequest, response: ServerResponse) =>
+  sendJson(response, statusCode, { error: `failed with ${statusCode}` });
+
+describe('ProviderRouter.complete', () => {
+  it('answers from the first provider without touching the fallbacks', async () => {
+    const primary = await stub(answerOpenAI('from primary'));
+    const backup = await stub(answerAnthropic('from backup'));
+
+    const result = await router([openai('primary', primary), anthropic('backup', backup)], [
+      'primary',
+      { provider: 'backup', model: 'claude-sonnet-4' },
+    ]).complete(request());
+
+    expect(result).toMatchObject({ provider: 'primary', output: 'from primary' });
+    expect(backup.requests).toHaveLength(0);
+  });
+
+  it('falls back when a provider answers 5xx', async () => {
+    const primary = await stub(fail(503));
+    const backup = await stub(answerAnthropic('from backup'));
+
+    const result = await router([openai('primary', primary), anthropic('backup', backup)], [
+      'primary',
+      { provider: 'backup', model: 'claude-sonnet-4' },
+    ]).complete(request());
+
+    expect(result).toMatchObject({ provider: 'backup', output: 'from backup', model: 'claude-sonnet-4' });
+    expect(primary.requests).toHaveLength(1);
+    expect(backup.requests[0].body).toMatchObject({ model: 'claude-sonnet-4' });
+  });
+
+  it('falls back when a provider does not answer in time', async () => {
+    const primary = await stub(hang);
+    const backup = await stub(answerOpenAI('from backup'));
+
+    const result = await router([openai('primary', primary), openai('backup', backup)], [
+      'primary',
+      'backup',
+    ]).complete(request());
+
+    expect(result).toMatchObject({ provider: 'backup', output: 'from backup' });
+  });
+
+  it('skips a fallback whose model cannot take the request', async () => {
+    const primary = await stub(fail(500));
+    const small = await stub(answerOpenAI('from small'));
+    const backup = await stub(answerAnthropic('from backup'));
+
+    // gpt-4o-2024-05-13 writes at most 4096 tokens
+    const result = await router(
+      [openai('primary', primary), openai('small', small), anthropic('backup', backup)],
+      ['primary', { provider: 'small', model: 'gpt-4o-2024-05-13' }, { provider: 'backup', model: 'claude-sonnet-4' }]
+    ).complete(request({ maxTokens: 10000 }));
+
+    expect(result).toMatchObject({ provider: 'backup', output: 'from backup' });
+    expect(small.requests).toHaveLength(0);
+  });
+
+  it('refuses a request the first model cannot take without asking anyone', async () => {
+    const primary = await stub(answerOpenAI('from primary'));
+    const backup = await stub(answerAnthropic('from backup'));
+
+    await expect(
+      router([openai('primary', primary), anthropic('backup', backup)], [
+        { provider: 'primary', model: 'gpt-4o-2024-05-13' },
+        { provider: 'backup', model: 'claude-sonnet-4' },
+      ]).complete(request({ maxTokens: 10000 }))
+    ).rejects.toThrow(ModelRequestError);
+    expect(primary.requests).toHaveLength(0);
+    expect(backup.requests).toHaveLength(0);
+  });
+
+  it('reports every failure, with the last status, once the chain runs out', async () => {
+    const primary = await stub(fail(503));
+    const backup = await stub(fail(429));
+
+    const error = await router([openai('primary', primary), openai('backup', backup)], ['primary', 'backup'])
+      .complete(request())
+      .catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.message).toMatch(/primary: API error: 503.*backup: API error: 429/);
+    expect(error.rateLimited).toBe(true);
+  });
+
+  it('does not fall back once the caller has gone away', async () => {
+    const primary = await stub(hang);
+    const backup = await stub(answerOpenAI('from backup'));
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('client disconnected')), 50);
+
+    await expect(
+      router([openai('primary', primary), openai('backup', backup)], ['primary', 'backup']).complete(
+        request({ signal: controller.signal })
+      )
+    ).rejects.toThrow('client disconnected');
+    expect(backup.requests).toHaveLength(0);
+  });
+});
+
+describe('ProviderRouter.stream', () => {
+  const streamOpenAI = (text: string) => (_: StubRequest, response: ServerResponse) => {
+    writeEvents(response, [
+      { data: { choices: [{ delta: { content: text }, finish_reason: 'stop' }] } },
+      { data: '[DONE]' },
+    ]);
+    response.end();
+  };
+
+  async function readText(stream: { chunks: AsyncIterable<{ text?: string }> }): Promise<string> {
+    let text = '';
+    for await (const chunk of stream.chunks) {
+      text += chunk.text ?? '';
+    }
+    return text;
+  }
+
+  it('falls back while no provider has started streaming', async () => {
+    const primary = await stub(fail(502));
+    const slow = await stub(hang);
+    const backup = await stub(streamOpenAI('from backup'));
+
+    const stream = await router([openai('primary', primary), openai('slow', slow), openai('backup', backup)], [
+      'primary',
+      'slow',
+      'backup',
+    ]).stream(request());
+
+    expect(stream.provider).toBe('backup');
+    expect(await readText(stream)).toBe('from backup');
+  });
+
+  it('does not switch providers once a stream has started', async () => {
+    const primary = await stub((_, response) => {
+      writeEvents(response, [
+        { event: 'message_start', data: { message: { model: 'claude-sonnet-4' } } },
+        { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'Hel' } } },
+        { event: 'error', data: { error: { type: 'overloaded_error', message: 'Overloaded' } } },
+      ]);
+      response.end();
+    });
+    const backup = await stub(streamOpenAI('from backup'));
+
+    const stream = await router([anthropic('primary', primary), openai('backup', backup)], [
+      { provider: 'primary', model: 'claude-sonnet-4' },
+      'backup',
+    ]).stream(request());
+
+    expect(stream.provider).toBe('primary');
+    await expect(readText(stream)).rejects.toThrow(ProviderError);
+    expect(backup.requests).toHaveLength(0);
+  });
+
+  it('throws from the iterator when the connection drops mid-stream', async () => {
+    const primary = await stub((_, response) => {
+      writeEvents(response, [{ data: { choices: [{ delta: { content: 'Hel' } }] } }]);
+      setTimeout(() => response.destroy(), 20);
+    });
+    const backup = await stub(streamOpenAI('from backup'));
+
+    const stream = await router([openai('primary', primary), openai('backup', backup)], ['primary', 'backup']).stream(
+      request()
+    );
+
+    await expect(readText(stream)).rejects.toThrow(/^primary: stream broke off/);
+    expect(backup.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * A local HTTP server standing in for a provider's API, for the provider and router suites
+ */
+
+import { createServer } from 'http';
+import type { IncomingMessage, ServerResponse } from 'http';
+import type { AddressInfo } from 'net';
+
+export interface StubRequest {
+  path: string;
+  headers: IncomingMessage['headers'];
+  body: Record<string, unknown>;
+}
+
+export interface StubServer {
+  url: string;
+  /** Every request received, in order */
+  requests: StubRequest[];
+  close(): Promise<void>;
+}
+
+/**
+ * Answers each request with `handle`, which sees the parsed JSON body
+ */
+export async function startStubServer(
+  handle: (request: StubRequest, response: ServerResponse) => void | Promise<void>
+): Promise<StubServer> {
+  const requests: StubRequest[] = [];
+  const server = createServer(async (incoming, response) => {
+    let raw = '';
+    for await (const chunk of incoming) {
+      raw += chunk;
+    }
+    const request = { path: incoming.url ?? '/', headers: incoming.headers, body: raw ? JSON.parse(raw) : {} };
+    requests.push(request);
+    await handle(request, response);
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+export function sendJson(response: ServerResponse, statusCode: number, payload: unknown): void {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(payload));
+}
+
+/**
+ * Starts an event stream and writes `events`; the caller ends or breaks off the response
+ */
+export function writeEvents(response: ServerResponse, events: Array<{ event?: string; data: unknown }>): void {
+  if (!response.headersSent) {
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  }
+  for (const { event, data } of events) {
+    const line = typeof data === 'string' ? data : JSON.stringify(data);
+    response.write(`${event ? `event: ${event}\n` : ''}data: ${line}\n\n`);
+  }
+}
+
+/**
+ * Never answers, so the caller's timeout runs out
+ */
+export function hang(): Promise<void> {
+  return new Promise(() => {});
+}
@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+/**
+ * The provider adapters and the router run against local stub servers (test/stub-server.ts),
+ * so no suite reaches a real provider
+ */
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.ts'],
+  },
+});
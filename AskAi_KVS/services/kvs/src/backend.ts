@@ -0,0 +1,288 @@
+/**
+ * Storage backend interface for the KVS core (see ./core)
+ *
+ * The core owns HTTP, validation, value encoding, history policy and retries. A backend only
+ * stores items and evaluates the conditions it is handed, each call atomically:
+ *
+ * - ./backends/dynamodb: the Lambda's table
+ * - ./backends/memory: a process-local store
+ * - ./backends/file: the memory store persisted to a JSON file, for the local dev server
+ *
+ * Backends return items as stored, expired ones included; the core decides what is live.
+ */
+
+import type { StoredValue } from './overflow';
+import type { ValueOperation } from './ops';
+import type { SchemaRegistry } from './schema';
+import type { IdempotencyStore } from '../../../shared/utils/idempotency';
+
+/**
+ * ETag precondition: a specific version or `*` (any existing item)
+ */
+export type ETagCondition = number | '*';
+
+/**
+ * A fencing token from a lease acquisition
+ */
+export interface Fence {
+  lease: string;
+  token: number;
+}
+
+/**
+ * Conditions on the live item. Expired items count as absent.
+ */
+export interface Preconditions {
+  ifMatch?: ETagCondition;
+  ifNoneMatch?: ETagCondition;
+  /** Fails if the item was last fenced by a newer token from the same lease */
+  fence?: Fence;
+}
+
+export interface ItemMetadata {
+  key: string;
+  /** 0 for items written before versioning existed */
+  version: number;
+  updatedAt?: string;
+  /** Epoch seconds; expired items read as absent until the backend sweeps them */
+  expiresAt?: number;
+  /** Version of the prefix's schema the value was written under (see ./schema) */
+  schemaVersion?: number;
+  /** Fence of the latest fenced write; later unfenced writes keep it */
+  fence?: Fence;
+}
+
+/**
+ * The current value of a key, or one kept version of it
+ */
+export type ValueItem = ItemMetadata & StoredValue;
+
+export interface StreamEvent {
+  sequence: number;
+  event: unknown;
+  appendedAt: string;
+  expiresAt?: number;
+}
+
+/**
+ * A named lease. Released and expired leases keep their record, so fencing tokens only grow.
+ */
+export interface Lease {
+  name: string;
+  /** Absent once released */
+  owner?: string;
+  /** Fencing token of the latest acquisition, from 1 */
+  token: number;
+  /** Epoch milliseconds; the lease is free from then on */
+  expiresAtMs: number;
+}
+
+export interface ValueWrite {
+  key: string;
+  stored: StoredValue;
+  updatedAt: string;
+  /** Epoch seconds to expire at, null to clear an existing expiry, undefined to leave it unchanged */
+  expiresAt?: number | null;
+  /** Replaces the stored schema version; undefined removes it */
+  schemaVersion?: number;
+  /** A fenced condition also records its fence on the item; otherwise the stored fence is kept */
+  condition: Preconditions;
+}
+
+export type TransactionWrite =
+  | { op: 'put'; item: ValueItem; condition: Preconditions }
+  | { op: 'delete' | 'check'; key: string; condition: Preconditions };
+
+export interface ListOptions {
+  prefix: string;
+  limit: number;
+  cursor?: string;
+  includeValues: boolean;
+}
+
+export interface ListPage {
+  /** Live items; value attributes only when `includeValues` was set */
+  items: Array<ItemMetadata | ValueItem>;
+  /** Opaque; null when there is nothing more to read */
+  cursor: string | null;
+}
+
+export interface KVSBackend extends IdempotencyStore {
+  getValue(key: string): Promise<ValueItem | undefined>;
+  /**
+   * @returns Items by key and keys the backend could not read this time (safe to retry)
+   */
+  getValues(
+    keys: string[],
+    consistentRead: boolean
+  ): Promise<{ items: Map<string, ValueItem>; unprocessed: Set<string> }>;
+  /**
+   * Stores a value under the next version: one more than the stored item's, expired or not.
+   *
+   * @returns The new item and the one it replaced
+   * @throws ConditionFailedError when the condition does not hold
+   */
+  writeValue(write: ValueWrite): Promise<{ item: ValueItem; previous?: ValueItem }>;
+  /**
+   * @throws ConditionFailedError when the condition does not hold
+   */
+  deleteValue(key: string, condition: Preconditions): Promise<void>;
+  /**
+   * Unconditional deletes, for `POST /_batch`
+   *
+   * @returns Keys still not deleted (safe to retry)
+   */
+  deleteValues(keys: string[]): Promise<Set<string>>;
+  /**
+   * All writes or none.
+   *
+   * @throws TransactionCancelledError with one code per write when any condition fails
+   */
+  transactWrite(writes: TransactionWrite[]): Promise<void>;
+  /**
+   * @throws InvalidCursorError for a cursor this backend cannot resume from
+   */
+  listValues(options: ListOptions): Promise<ListPage>;
+
+  /**
+   * Optional: applies increments and plain appends in place, without a read. Backends
+   * without it get the core's read-modify-write, which is equivalent but can conflict.
+   *
+   * @returns The updated item
+   * @throws ConditionFailedError when the condition does not hold or the value is not inline
+   * @throws OperationError (422) when an operation does not fit the stored value
+   */
+  applyOperations?(
+    key: string,
+    operations: ValueOperation[],
+    condition: Preconditions,
+    updatedAt: string
+  ): Promise<ValueItem>;
+
+  getHistory(key: string, version: number): Promise<ValueItem | undefined>;
+  /** Kept versions, newest first, without their values */
+  listHistory(key: string): Promise<ItemMetadata[]>;
+  /**
+   * Adds history copies and drops versions that fell out of the window.
+   *
+   * @returns false if some of it could not be written
+   */
+  writeHistory(items: ValueItem[], drops: Array<{ key: string; version: number }>): Promise<boolean>;
+  deleteHistory(key: string): Promise<void>;
+
+  /** Highest sequence number in the stream (expired events included), 0 when empty */
+  getLastSequence(name: string): Promise<number>;
+  /**
+   * Writes events whose sequence numbers must all be unused, all or nothing.
+   *
+   * @returns false if another append claimed one of the sequence numbers first
+   */
+  appendEvents(name: string, events: StreamEvent[]): Promise<boolean>;
+  /** Up to `limit` events from sequence `from` on, in order */
+  readEvents(name: string, from: number, limit: number): Promise<{ events: StreamEvent[]; hasMore: boolean }>;
+  /** The last `count` events, oldest first */
+  tailEvents(name: string, count: number): Promise<StreamEvent[]>;
+  /** @returns Events deleted and events still left (safe to retry) */
+  deleteStream(name: string): Promise<{ deleted: number; remaining: number }>;
+
+  /**
+   * Records a nonce until `expiresAt` (epoch seconds)
+   *
+   * @returns false if the nonce was already used
+   */
+  claimNonce(clientId: string, nonce: string, expiresAt: number): Promise<boolean>;
+
+  /** The registered value schemas and the registry's revision, 0 before the first registration */
+  getSchemaRegistry(): Promise<{ registry: SchemaRegistry; revision: number }>;
+  /**
+   * Replaces the whole registry, as revision `revision + 1`
+   *
+   * @returns false if the registry is no longer at `revision`
+   */
+  putSchemaRegistry(registry: SchemaRegistry, revision: number): Promise<boolean>;
+
+  /** The lease and its record's revision, 0 (and no lease) before the first acquisition */
+  getLease(name: string): Promise<{ lease?: Lease; revision: number }>;
+  /**
+   * Replaces the lease, as revision `revision + 1`
+   *
+   * @returns false if the lease record is no longer at `revision`
+   */
+  putLease(lease: Lease, revision: number): Promise<boolean>;
+}
+
+/**
+ * What the stored item looked like when a condition failed
+ */
+export interface ConflictState {
+  version: number;
+  expiresAt?: number;
+  /** False when the value is packed or in the blob store, out of reach of `applyOperations` */
+  inline: boolean;
+  fence?: Fence;
+}
+
+export class ConditionFailedError extends Error {
+  constructor(public current?: ConflictState) {
+    super('Condition failed');
+    this.name = 'ConditionFailedError';
+  }
+}
+
+/**
+ * A cancelled transaction. Codes follow DynamoDB's CancellationReasons: `None` for writes that
+ * were fine, `ConditionalCheckFailed` for a failed condition, `TransactionConflict` for a race.
+ */
+export class TransactionCancelledError extends Error {
+  constructor(
+    public codes: string[],
+    public messages: Array<string | undefined> = []
+  ) {
+    super('Transaction cancelled');
+    this.name = 'TransactionCancelledError';
+  }
+}
+
+export class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+export function nowEpochSeconds(): number {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function isExpired(item: { expiresAt?: number }): boolean {
+  return typeof item.expiresAt === 'number' && item.expiresAt <= nowEpochSeconds();
+}
+
+export function matchesETag(condition: ETagCondition, item: { version: number } | undefined): boolean {
+  if (!item) {
+    return false;
+  }
+  return condition === '*' || condition === item.version;
+}
+
+/**
+ * A fenced write may go ahead unless the item was written under a newer token of the same lease
+ */
+export function fenceHolds(fence: Fence | undefined, item: { fence?: Fence } | undefined): boolean {
+  return !fence || !item?.fence || item.fence.lease !== fence.lease || item.fence.token <= fence.token;
+}
+
+/**
+ * Evaluates preconditions against the stored item, treating an expired one as absent
+ */
+export function conditionHolds(
+  condition: Preconditions,
+  item: { version: number; expiresAt?: number; fence?: Fence } | undefined
+): boolean {
+  const live = item && !isExpired(item) ? item : undefined;
+  return (
+    (condition.ifMatch === undefined || matchesETag(condition.ifMatch, live)) &&
+    (condition.ifNoneMatch === undefined || !matchesETag(condition.ifNoneMatch, live)) &&
+    fenceHolds(condition.fence, live)
+  );
+}
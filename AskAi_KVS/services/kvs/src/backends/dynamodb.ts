@@ -0,0 +1,920 @@
+/**
+ * DynamoDB backend: the Lambda's storage
+ *
+ * One table keyed by `pk` / `sk`:
+ * - current values: `pk = <key>`, `sk = "v0"`
+ * - history copies: `pk = <key>`, `sk = "v#<12-digit version>"`
+ * - stream events: `pk = "stream#<name>"`, `sk = "e#<12-digit sequence>"`
+ * - auth nonces: `pk = "nonce#<client>:<nonce>"`, `sk = "nonce"`
+ * - the schema registry: `pk = "schema#registry"`, `sk = "registry"`, one item for every prefix
+ * - idempotency records: `pk = "idem#<client>:<key>"`, `sk = "idempotency"`, kept by the shared
+ *   DynamoDBIdempotencyStore
+ * - leases: `pk = "lease#<name>"`, `sk = "lease"`, expiring by `expiresAtMs` rather than the
+ *   table's TTL attribute, so a lease's fencing token survives its expiry
+ *
+ * Conditions become condition expressions, so every write is a single conditional request.
+ * Expired items linger until DynamoDB's TTL sweep and are returned like any other.
+ */
+
+import {
+  DynamoDBClient,
+  ConditionalCheckFailedException,
+  TransactionCanceledException,
+} from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  ScanCommand,
+  QueryCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+} from '@aws-sdk/lib-dynamodb';
+import type { BatchWriteCommandInput, TransactWriteCommandInput } from '@aws-sdk/lib-dynamodb';
+import { ConditionFailedError, InvalidCursorError, nowEpochSeconds, TransactionCancelledError } from '../backend';
+import type {
+  ConflictState,
+  Fence,
+  ItemMetadata,
+  KVSBackend,
+  Lease,
+  ListOptions,
+  ListPage,
+  Preconditions,
+  StreamEvent,
+  TransactionWrite,
+  ValueItem,
+  ValueWrite,
+} from '../backend';
+import { OperationError, parseOperationPath } from '../ops';
+import type { ValueOperation } from '../ops';
+import { getStoredValue, STORED_VALUE_ATTRIBUTES } from '../overflow';
+import type { StoredValue } from '../overflow';
+import type { SchemaRegistry } from '../schema';
+import type { IdempotencyRecord } from '../../../../shared/utils/idempotency';
+import { DynamoDBIdempotencyStore } from '../../../../shared/utils/idempotency-dynamodb';
+
+const DEFAULT_SORT_KEY = 'v0';
+const HISTORY_SORT_KEY_PREFIX = 'v#';
+const STREAM_PARTITION_PREFIX = 'stream#';
+const STREAM_SORT_KEY_PREFIX = 'e#';
+const STREAM_LAST_SORT_KEY = `${STREAM_SORT_KEY_PREFIX}${'9'.repeat(12)}`;
+const NONCE_PARTITION_PREFIX = 'nonce#';
+const SCHEMA_REGISTRY_KEY = { pk: 'schema#registry', sk: 'registry' };
+const LEASE_PARTITION_PREFIX = 'lease#';
+const LEASE_SORT_KEY = 'lease';
+const BATCH_GET_LIMIT = 100;
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_MAX_ATTEMPTS = 4;
+const BATCH_RETRY_BASE_MS = 50;
+const LIST_MAX_SCAN_PAGES = 10;
+
+// Condition fragments: an item is "live" if it exists and has not passed its expiry.
+const LIVE_CONDITION = '(attribute_exists(pk) AND (attribute_not_exists(expiresAt) OR expiresAt > :now))';
+const NOT_LIVE_CONDITION = '(attribute_not_exists(pk) OR expiresAt <= :now)';
+
+type BatchWriteRequest = NonNullable<BatchWriteCommandInput['RequestItems']>[string][number];
+type TransactItem = NonNullable<TransactWriteCommandInput['TransactItems']>[number];
+
+interface ConditionExpression {
+  expression?: string;
+  names: Record<string, string>;
+  values: Record<string, unknown>;
+}
+
+/**
+ * Translates preconditions into a DynamoDB condition expression on the current item.
+ * Expired items count as absent, matching what GET reports.
+ */
+function buildConditionExpression(preconditions: Preconditions): ConditionExpression {
+  const clauses: string[] = [];
+  const names: Record<string, string> = {};
+  const values: Record<string, unknown> = {};
+
+  const { ifMatch, ifNoneMatch } = preconditions;
+  if (ifMatch === '*') {
+    clauses.push(LIVE_CONDITION);
+  } else if (ifMatch === 0) {
+    clauses.push(`(${LIVE_CONDITION} AND attribute_not_exists(#version))`);
+  } else if (ifMatch !== undefined) {
+    clauses.push(`(${LIVE_CONDITION} AND #version = :ifMatch)`);
+    values[':ifMatch'] = ifMatch;
+  }
+
+  if (ifNoneMatch === '*') {
+    clauses.push(NOT_LIVE_CONDITION);
+  } else if (ifNoneMatch === 0) {
+    clauses.push(`(${NOT_LIVE_CONDITION} OR attribute_exists(#version))`);
+  } else if (ifNoneMatch !== undefined) {
+    clauses.push(`(${NOT_LIVE_CONDITION} OR attribute_not_exists(#version) OR #version <> :ifNoneMatch)`);
+    values[':ifNoneMatch'] = ifNoneMatch;
+  }
+
+  const { fence } = preconditions;
+  if (fence) {
+    clauses.push(
+      `(${NOT_LIVE_CONDITION} OR attribute_not_exists(#fence) OR #fence.#fenceLease <> :fenceLease OR #fence.#fenceToken <= :fenceToken)`
+    );
+    Object.assign(names, { '#fence': 'fence', '#fenceLease': 'lease', '#fenceToken': 'token' });
+    Object.assign(values, { ':fenceLease': fence.lease, ':fenceToken': fence.token });
+  }
+
+  if (clauses.some((clause) => clause.includes('#version'))) {
+    names['#version'] = 'version';
+  }
+  if (clauses.some((clause) => clause.includes(':now'))) {
+    values[':now'] = nowEpochSeconds();
+  }
+
+  return {
+    expression: clauses.length > 0 ? clauses.join(' AND ') : undefined,
+    names,
+    values,
+  };
+}
+
+/**
+ * Spreads a condition into command input, omitting empty name/value maps (DynamoDB rejects them).
+ */
+function conditionParams(condition: ConditionExpression): {
+  ConditionExpression?: string;
+  ExpressionAttributeNames?: Record<string, string>;
+  ExpressionAttributeValues?: Record<string, unknown>;
+} {
+  if (!condition.expression) {
+    return {};
+  }
+  return {
+    ConditionExpression: condition.expression,
+    ...(Object.keys(condition.names).length > 0 ? { ExpressionAttributeNames: condition.names } : {}),
+    ...(Object.keys(condition.values).length > 0 ? { ExpressionAttributeValues: condition.values } : {}),
+  };
+}
+
+/**
+ * Reads the stored item from a ConditionalCheckFailedException (ReturnValuesOnConditionCheckFailure)
+ */
+function getConflictState(error: ConditionalCheckFailedException): ConflictState | undefined {
+  if (!error.Item) {
+    return undefined;
+  }
+  // The document client does not unmarshall exception payloads, so these are raw AttributeValues
+  const { version, expiresAt, packed, blobRef, fence } = error.Item;
+  return {
+    version: version?.N !== undefined ? parseInt(version.N, 10) : 0,
+    ...(expiresAt?.N !== undefined ? { expiresAt: parseInt(expiresAt.N, 10) } : {}),
+    inline: packed === undefined && blobRef === undefined,
+    ...(fence?.M?.lease?.S !== undefined && fence.M.token?.N !== undefined
+      ? { fence: { lease: fence.M.lease.S, token: parseInt(fence.M.token.N, 10) } }
+      : {}),
+  };
+}
+
+/**
+ * Update clauses that put a stored value in its attribute and clear the other two,
+ * so an item never carries a stale `value` next to a `blobRef`
+ */
+function storedValueUpdate(stored: StoredValue): {
+  set: string;
+  remove: string[];
+  names: Record<string, string>;
+  values: Record<string, unknown>;
+} {
+  const [attribute, data] = Object.entries(stored)[0];
+  return {
+    set: `#${attribute} = :${attribute}`,
+    remove: STORED_VALUE_ATTRIBUTES.filter((name) => name !== attribute).map((name) => `#${name}`),
+    names: Object.fromEntries(STORED_VALUE_ATTRIBUTES.map((name) => [`#${name}`, name])),
+    values: { [`:${attribute}`]: data },
+  };
+}
+
+/**
+ * Builds one SET clause per operation; DynamoDB computes increments and appends in place.
+ */
+function buildOperationsUpdate(operations: ValueOperation[]): {
+  clauses: string[];
+  names: Record<string, string>;
+  values: Record<string, unknown>;
+} {
+  const clauses: string[] = [];
+  const names: Record<string, string> = {};
+  const values: Record<string, unknown> = {};
+
+  operations.forEach((operation, index) => {
+    const tokens = parseOperationPath(operation.path);
+    const path = ['#value', ...tokens.map((token, depth) => {
+      names[`#o${index}_${depth}`] = token;
+      return `#o${index}_${depth}`;
+    })].join('.');
+
+    if (operation.op === 'increment') {
+      values[`:by${index}`] = operation.by;
+      clauses.push(`${path} = if_not_exists(${path}, :zero) + :by${index}`);
+    } else {
+      values[`:values${index}`] = operation.values;
+      values[':empty'] = [];
+      clauses.push(`${path} = list_append(if_not_exists(${path}, :empty), :values${index})`);
+    }
+  });
+
+  return { clauses, names, values };
+}
+
+function historySortKey(version: number): string {
+  return `${HISTORY_SORT_KEY_PREFIX}${version.toString().padStart(12, '0')}`;
+}
+
+function streamPartitionKey(name: string): string {
+  return `${STREAM_PARTITION_PREFIX}${name}`;
+}
+
+function streamSortKey(sequence: number): string {
+  return `${STREAM_SORT_KEY_PREFIX}${sequence.toString().padStart(12, '0')}`;
+}
+
+/**
+ * Items written before versioning existed have no `version` attribute and report as version 0.
+ */
+function toMetadata(record: Record<string, unknown>): ItemMetadata {
+  return {
+    key: record.pk as string,
+    version: typeof record.version === 'number' ? record.version : 0,
+    ...(typeof record.updatedAt === 'string' ? { updatedAt: record.updatedAt } : {}),
+    ...(typeof record.expiresAt === 'number' ? { expiresAt: record.expiresAt } : {}),
+    ...(typeof record.schemaVersion === 'number' ? { schemaVersion: record.schemaVersion } : {}),
+    ...(record.fence && typeof record.fence === 'object' ? { fence: record.fence as Fence } : {}),
+  };
+}
+
+function toValueItem(record: Record<string, unknown>): ValueItem {
+  return { ...toMetadata(record), ...getStoredValue(record) };
+}
+
+function toRecord(item: ValueItem, sk: string): Record<string, unknown> {
+  const { key, ...attributes } = item;
+  return { pk: key, sk, ...attributes };
+}
+
+function toStreamEvent(record: Record<string, unknown>): StreamEvent {
+  return {
+    sequence: record.sequence as number,
+    event: record.event,
+    appendedAt: record.appendedAt as string,
+    ...(typeof record.expiresAt === 'number' ? { expiresAt: record.expiresAt } : {}),
+  };
+}
+
+/**
+ * Cursors are the opaque, base64url-encoded primary key the next scan starts after: the last item
+ * returned, or where the scan stopped, which can be any item in the table (the prefix is a scan
+ * filter, so the key need not share it).
+ */
+function encodeCursor(lastKey: Record<string, unknown>): string {
+  return Buffer.from(JSON.stringify({ pk: lastKey.pk, sk: lastKey.sk }), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor: string): Record<string, unknown> | null {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) as {
+      pk?: unknown;
+      sk?: unknown;
+    };
+    if (typeof decoded.pk !== 'string' || typeof decoded.sk !== 'string') {
+      return null;
+    }
+    return { pk: decoded.pk, sk: decoded.sk };
+  } catch {
+    return null;
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function batchRetryDelay(attempt: number): number {
+  return BATCH_RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random() / 2);
+}
+
+export class DynamoDBBackend implements KVSBackend {
+  private docClient: DynamoDBDocumentClient;
+  private idempotency: DynamoDBIdempotencyStore;
+
+  constructor(
+    private tableName: string,
+    client: DynamoDBClient = new DynamoDBClient({})
+  ) {
+    this.docClient = DynamoDBDocumentClient.from(client);
+    this.idempotency = new DynamoDBIdempotencyStore(tableName, this.docClient);
+  }
+
+  async getValue(key: string): Promise<ValueItem | undefined> {
+    const result = await this.docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { pk: key, sk: DEFAULT_SORT_KEY },
+      })
+    );
+    return result.Item ? toValueItem(result.Item) : undefined;
+  }
+
+  /**
+   * BatchGet in chunks, retrying unprocessed keys with backoff.
+   */
+  async getValues(
+    keys: string[],
+    consistentRead: boolean
+  ): Promise<{ items: Map<string, ValueItem>; unprocessed: Set<string> }> {
+    const items = new Map<string, ValueItem>();
+    const unprocessed = new Set<string>();
+
+    for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+      let pending: Array<Record<string, unknown>> = keys
+        .slice(i, i + BATCH_GET_LIMIT)
+        .map((key) => ({ pk: key, sk: DEFAULT_SORT_KEY }));
+
+      for (let attempt = 0; attempt < BATCH_MAX_ATTEMPTS && pending.length > 0; attempt++) {
+        if (attempt > 0) {
+          await sleep(batchRetryDelay(attempt));
+        }
+        const result = await this.docClient.send(
+          new BatchGetCommand({
+            RequestItems: { [this.tableName]: { Keys: pending, ConsistentRead: consistentRead } },
+          })
+        );
+        for (const record of result.Responses?.[this.tableName] || []) {
+          items.set(record.pk as string, toValueItem(record));
+        }
+        pending = result.UnprocessedKeys?.[this.tableName]?.Keys || [];
+      }
+
+      for (const key of pending) {
+        unprocessed.add(key.pk as string);
+      }
+    }
+
+    return { items, unprocessed };
+  }
+
+  /**
+   * A single conditional update that also bumps the version
+   */
+  async writeValue(write: ValueWrite): Promise<{ item: ValueItem; previous?: ValueItem }> {
+    const { key, stored, updatedAt, expiresAt, schemaVersion } = write;
+    const { fence } = write.condition;
+    const condition = buildConditionExpression(write.condition);
+    const update = storedValueUpdate(stored);
+    const setExpiry = typeof expiresAt === 'number';
+
+    let updateExpression = `SET ${update.set}, updatedAt = :updatedAt, #version = if_not_exists(#version, :zero) + :one`;
+    if (setExpiry) {
+      updateExpression += ', expiresAt = :expiresAt';
+    }
+    if (schemaVersion !== undefined) {
+      updateExpression += ', schemaVersion = :schemaVersion';
+    }
+    if (fence) {
+      updateExpression += ', #fence = :fence';
+    }
+    updateExpression += ` REMOVE ${[
+      ...update.remove,
+      ...(expiresAt === null ? ['expiresAt'] : []),
+      ...(schemaVersion === undefined ? ['schemaVersion'] : []),
+    ].join(', ')}`;
+
+    let result;
+    try {
+      result = await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { pk: key, sk: DEFAULT_SORT_KEY },
+          UpdateExpression: updateExpression,
+          ConditionExpression: condition.expression,
+          ExpressionAttributeNames: {
+            ...condition.names,
+            ...update.names,
+            '#version': 'version',
+            ...(fence ? { '#fence': 'fence' } : {}),
+          },
+          ExpressionAttributeValues: {
+            ...update.values,
+            ':updatedAt': updatedAt,
+            ':zero': 0,
+            ':one': 1,
+            ...(setExpiry ? { ':expiresAt': expiresAt } : {}),
+            ...(schemaVersion !== undefined ? { ':schemaVersion': schemaVersion } : {}),
+            ...(fence ? { ':fence': fence } : {}),
+            ...condition.values,
+          },
+          ReturnValues: 'ALL_OLD',
+          ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+        })
+      );
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        throw new ConditionFailedError(getConflictState(error));
+      }
+      throw error;
+    }
+
+    const previous = result.Attributes ? toValueItem(result.Attributes) : undefined;
+    const newExpiresAt = expiresAt === undefined ? previous?.expiresAt : expiresAt;
+    const newFence = fence ?? previous?.fence;
+    const item: ValueItem = {
+      key,
+      ...stored,
+      version: (previous?.version ?? 0) + 1,
+      updatedAt,
+      ...(typeof newExpiresAt === 'number' ? { expiresAt: newExpiresAt } : {}),
+      ...(schemaVersion !== undefined ? { schemaVersion } : {}),
+      ...(newFence !== undefined ? { fence: newFence } : {}),
+    };
+    return { item, previous };
+  }
+
+  async deleteValue(key: string, condition: Preconditions): Promise<void> {
+    try {
+      await this.docClient.send(
+        new DeleteCommand({
+          TableName: this.tableName,
+          Key: { pk: key, sk: DEFAULT_SORT_KEY },
+          ...conditionParams(buildConditionExpression(condition)),
+          ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+        })
+      );
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        throw new ConditionFailedError(getConflictState(error));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * BatchWrite in chunks, retrying unprocessed items with backoff.
+   *
+   * @returns Requests still unprocessed after the last attempt
+   */
+  private async batchWriteItems(requests: BatchWriteRequest[]): Promise<BatchWriteRequest[]> {
+    const unprocessed: BatchWriteRequest[] = [];
+
+    for (let i = 0; i < requests.length; i += BATCH_WRITE_LIMIT) {
+      let pending = requests.slice(i, i + BATCH_WRITE_LIMIT);
+
+      for (let attempt = 0; attempt < BATCH_MAX_ATTEMPTS && pending.length > 0; attempt++) {
+        if (attempt > 0) {
+          await sleep(batchRetryDelay(attempt));
+        }
+        const result = await this.docClient.send(
+          new BatchWriteCommand({ RequestItems: { [this.tableName]: pending } })
+        );
+        pending = result.UnprocessedItems?.[this.tableName] || [];
+      }
+
+      unprocessed.push(...pending);
+    }
+
+    return unprocessed;
+  }
+
+  async deleteValues(keys: string[]): Promise<Set<string>> {
+    const unprocessed = await this.batchWriteItems(
+      keys.map((key) => ({ DeleteRequest: { Key: { pk: key, sk: DEFAULT_SORT_KEY } } }))
+    );
+    return new Set(unprocessed.map((request) => request.DeleteRequest?.Key?.pk as string));
+  }
+
+  async transactWrite(writes: TransactionWrite[]): Promise<void> {
+    const items = writes.map((write): TransactItem => {
+      const condition = conditionParams(buildConditionExpression(write.condition));
+      if (write.op === 'put') {
+        return { Put: { TableName: this.tableName, Item: toRecord(write.item, DEFAULT_SORT_KEY), ...condition } };
+      }
+      const key = { pk: write.key, sk: DEFAULT_SORT_KEY };
+      return write.op === 'delete'
+        ? { Delete: { TableName: this.tableName, Key: key, ...condition } }
+        : {
+            ConditionCheck: {
+              TableName: this.tableName,
+              Key: key,
+              ...condition,
+              ConditionExpression: condition.ConditionExpression as string,
+            },
+          };
+    });
+
+    try {
+      await this.docClient.send(new TransactWriteCommand({ TransactItems: items }));
+    } catch (error) {
+      if (error instanceof TransactionCanceledException) {
+        const reasons = error.CancellationReasons || [];
+        throw new TransactionCancelledError(
+          writes.map((_, index) => reasons[index]?.Code || 'None'),
+          writes.map((_, index) => reasons[index]?.Message)
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Keys are not indexed by prefix, so this scans the table with a filter. Each call
+   * reads at most LIST_MAX_SCAN_PAGES pages and may return fewer than `limit` items
+   * along with a cursor; callers keep paging until the cursor is null.
+   */
+  async listValues(options: ListOptions): Promise<ListPage> {
+    const { prefix, limit, includeValues } = options;
+
+    let startKey: Record<string, unknown> | undefined;
+    if (options.cursor) {
+      const decoded = decodeCursor(options.cursor);
+      if (!decoded) {
+        throw new InvalidCursorError();
+      }
+      startKey = decoded;
+    }
+
+    const records: Array<Record<string, unknown>> = [];
+    let lastEvaluatedKey: Record<string, unknown> | undefined = startKey;
+
+    for (let page = 0; page < LIST_MAX_SCAN_PAGES && records.length < limit; page++) {
+      const result = await this.docClient.send(
+        new ScanCommand({
+          TableName: this.tableName,
+          FilterExpression: `sk = :sk AND (attribute_not_exists(expiresAt) OR expiresAt > :now)${
+            prefix ? ' AND begins_with(pk, :prefix)' : ''
+          }`,
+          ProjectionExpression: includeValues
+            ? 'pk, sk, #version, updatedAt, expiresAt, schemaVersion, #value, packed, blobRef'
+            : 'pk, sk, #version, updatedAt, expiresAt',
+          ExpressionAttributeNames: includeValues
+            ? { '#version': 'version', '#value': 'value' }
+            : { '#version': 'version' },
+          ExpressionAttributeValues: {
+            ':sk': DEFAULT_SORT_KEY,
+            ':now': nowEpochSeconds(),
+            ...(prefix ? { ':prefix': prefix } : {}),
+          },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      records.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      if (!lastEvaluatedKey) {
+        break;
+      }
+    }
+
+    // A page can overshoot the limit; resume right after the last item we return.
+    const page = records.slice(0, limit);
+    const nextKey = records.length > limit ? page[page.length - 1] : lastEvaluatedKey;
+
+    return {
+      items: page.map(includeValues ? toValueItem : toMetadata),
+      cursor: nextKey ? encodeCursor(nextKey) : null,
+    };
+  }
+
+  /**
+   * Increments and plain appends as one update expression. The value must be inline
+   * (`attribute_exists(#value)`), since packed and blob-stored values have no `value` attribute.
+   */
+  async applyOperations(
+    key: string,
+    operations: ValueOperation[],
+    preconditions: Preconditions,
+    updatedAt: string
+  ): Promise<ValueItem> {
+    const condition = buildConditionExpression(preconditions);
+    const update = buildOperationsUpdate(operations);
+    const { fence } = preconditions;
+
+    try {
+      const result = await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { pk: key, sk: DEFAULT_SORT_KEY },
+          UpdateExpression: `SET ${update.clauses.join(', ')}, updatedAt = :updatedAt, #version = if_not_exists(#version, :zero) + :one${
+            fence ? ', #fence = :fence' : ''
+          }`,
+          ConditionExpression: [condition.expression, 'attribute_exists(#value)'].filter(Boolean).join(' AND '),
+          ExpressionAttributeNames: {
+            ...condition.names,
+            ...update.names,
+            '#value': 'value',
+            '#version': 'version',
+            ...(fence ? { '#fence': 'fence' } : {}),
+          },
+          ExpressionAttributeValues: {
+            ...update.values,
+            ':updatedAt': updatedAt,
+            ':zero': 0,
+            ':one': 1,
+            ...(fence ? { ':fence': fence } : {}),
+            ...condition.values,
+          },
+          ReturnValues: 'ALL_NEW',
+          ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+        })
+      );
+      return toValueItem(result.Attributes || {});
+    } catch (error) {
+      // DynamoDB reports a missing parent field or a type mismatch as a validation error
+      if (error instanceof Error && error.name === 'ValidationException') {
+        throw new OperationError(`Operation does not fit the stored value: ${error.message}`, 422);
+      }
+      if (error instanceof ConditionalCheckFailedException) {
+        throw new ConditionFailedError(getConflictState(error));
+      }
+      throw error;
+    }
+  }
+
+  async getHistory(key: string, version: number): Promise<ValueItem | undefined> {
+    const result = await this.docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { pk: key, sk: historySortKey(version) },
+      })
+    );
+    return result.Item ? toValueItem(result.Item) : undefined;
+  }
+
+  private async queryHistory(key: string): Promise<Array<Record<string, unknown>>> {
+    const records: Array<Record<string, unknown>> = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.docClient.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+          ProjectionExpression: 'pk, sk, #version, updatedAt, expiresAt',
+          ExpressionAttributeNames: { '#version': 'version' },
+          ExpressionAttributeValues: { ':pk': key, ':prefix': HISTORY_SORT_KEY_PREFIX },
+          ScanIndexForward: false,
+          ExclusiveStartKey: startKey,
+        })
+      );
+      records.push(...(result.Items || []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return records;
+  }
+
+  async listHistory(key: string): Promise<ItemMetadata[]> {
+    return (await this.queryHistory(key)).map(toMetadata);
+  }
+
+  async writeHistory(items: ValueItem[], drops: Array<{ key: string; version: number }>): Promise<boolean> {
+    const unprocessed = await this.batchWriteItems([
+      ...items.map((item) => ({ PutRequest: { Item: toRecord(item, historySortKey(item.version)) } })),
+      ...drops.map((drop) => ({ DeleteRequest: { Key: { pk: drop.key, sk: historySortKey(drop.version) } } })),
+    ]);
+    return unprocessed.length === 0;
+  }
+
+  async deleteHistory(key: string): Promise<void> {
+    const records = await this.queryHistory(key);
+    const unprocessed = await this.batchWriteItems(
+      records.map((record) => ({ DeleteRequest: { Key: { pk: record.pk, sk: record.sk } } }))
+    );
+    if (unprocessed.length > 0) {
+      console.error('KVS history delete incomplete', { key, remaining: unprocessed.length });
+    }
+  }
+
+  async getLastSequence(name: string): Promise<number> {
+    const result = await this.docClient.send(
+      new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+        ProjectionExpression: '#sequence',
+        ExpressionAttributeNames: { '#sequence': 'sequence' },
+        ExpressionAttributeValues: { ':pk': streamPartitionKey(name), ':prefix': STREAM_SORT_KEY_PREFIX },
+        ScanIndexForward: false,
+        Limit: 1,
+        ConsistentRead: true,
+      })
+    );
+    const sequence = result.Items?.[0]?.sequence;
+    return typeof sequence === 'number' ? sequence : 0;
+  }
+
+  /**
+   * Each item requires its sort key to be unused, so two appenders can never interleave
+   * or overwrite each other.
+   */
+  async appendEvents(name: string, events: StreamEvent[]): Promise<boolean> {
+    const records = events.map((event) => ({
+      pk: streamPartitionKey(name),
+      sk: streamSortKey(event.sequence),
+      ...event,
+    }));
+
+    try {
+      if (records.length === 1) {
+        await this.docClient.send(
+          new PutCommand({ TableName: this.tableName, Item: records[0], ConditionExpression: 'attribute_not_exists(pk)' })
+        );
+      } else {
+        await this.docClient.send(
+          new TransactWriteCommand({
+            TransactItems: records.map((record) => ({
+              Put: { TableName: this.tableName, Item: record, ConditionExpression: 'attribute_not_exists(pk)' },
+            })),
+          })
+        );
+      }
+      return true;
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        return false;
+      }
+      if (
+        error instanceof TransactionCanceledException &&
+        (error.CancellationReasons || []).some(
+          (reason) => reason.Code === 'ConditionalCheckFailed' || reason.Code === 'TransactionConflict'
+        )
+      ) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async readEvents(name: string, from: number, limit: number): Promise<{ events: StreamEvent[]; hasMore: boolean }> {
+    const result = await this.docClient.send(
+      new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'pk = :pk AND sk BETWEEN :from AND :to',
+        ExpressionAttributeValues: {
+          ':pk': streamPartitionKey(name),
+          ':from': streamSortKey(from),
+          ':to': STREAM_LAST_SORT_KEY,
+        },
+        Limit: limit,
+        ConsistentRead: true,
+      })
+    );
+    return { events: (result.Items || []).map(toStreamEvent), hasMore: Boolean(result.LastEvaluatedKey) };
+  }
+
+  async tailEvents(name: string, count: number): Promise<StreamEvent[]> {
+    const result = await this.docClient.send(
+      new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+        ExpressionAttributeValues: { ':pk': streamPartitionKey(name), ':prefix': STREAM_SORT_KEY_PREFIX },
+        ScanIndexForward: false,
+        Limit: count,
+        ConsistentRead: true,
+      })
+    );
+    return (result.Items || []).reverse().map(toStreamEvent);
+  }
+
+  async deleteStream(name: string): Promise<{ deleted: number; remaining: number }> {
+    const requests: BatchWriteRequest[] = [];
+    let startKey: Record<string, unknown> | undefined;
+    do {
+      const result = await this.docClient.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+          ProjectionExpression: 'pk, sk',
+          ExpressionAttributeValues: { ':pk': streamPartitionKey(name), ':prefix': STREAM_SORT_KEY_PREFIX },
+          ExclusiveStartKey: startKey,
+        })
+      );
+      for (const record of result.Items || []) {
+        requests.push({ DeleteRequest: { Key: { pk: record.pk, sk: record.sk } } });
+      }
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    const remaining = (await this.batchWriteItems(requests)).length;
+    return { deleted: requests.length - remaining, remaining };
+  }
+
+  async getSchemaRegistry(): Promise<{ registry: SchemaRegistry; revision: number }> {
+    const result = await this.docClient.send(
+      new GetCommand({ TableName: this.tableName, Key: SCHEMA_REGISTRY_KEY, ConsistentRead: true })
+    );
+    return {
+      registry: (result.Item?.registry as SchemaRegistry | undefined) || {},
+      revision: typeof result.Item?.revision === 'number' ? result.Item.revision : 0,
+    };
+  }
+
+  /**
+   * Guarded by the revision read, so concurrent registrations cannot drop each other's prefixes
+   */
+  async putSchemaRegistry(registry: SchemaRegistry, revision: number): Promise<boolean> {
+    try {
+      await this.docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: { ...SCHEMA_REGISTRY_KEY, registry, revision: revision + 1 },
+          ...(revision === 0
+            ? { ConditionExpression: 'attribute_not_exists(pk)' }
+            : { ConditionExpression: 'revision = :revision', ExpressionAttributeValues: { ':revision': revision } }),
+        })
+      );
+      return true;
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  private leaseKey(name: string): { pk: string; sk: string } {
+    return { pk: `${LEASE_PARTITION_PREFIX}${name}`, sk: LEASE_SORT_KEY };
+  }
+
+  async getLease(name: string): Promise<{ lease?: Lease; revision: number }> {
+    const result = await this.docClient.send(
+      new GetCommand({ TableName: this.tableName, Key: this.leaseKey(name), ConsistentRead: true })
+    );
+    if (!result.Item) {
+      return { revision: 0 };
+    }
+    return {
+      lease: {
+        name,
+        ...(typeof result.Item.owner === 'string' ? { owner: result.Item.owner } : {}),
+        token: result.Item.token as number,
+        expiresAtMs: result.Item.expiresAtMs as number,
+      },
+      revision: result.Item.revision as number,
+    };
+  }
+
+  /**
+   * Guarded by the revision read, like the schema registry, so two acquirers cannot both win
+   */
+  async putLease(lease: Lease, revision: number): Promise<boolean> {
+    try {
+      await this.docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: {
+            ...this.leaseKey(lease.name),
+            ...(lease.owner !== undefined ? { owner: lease.owner } : {}),
+            token: lease.token,
+            expiresAtMs: lease.expiresAtMs,
+            revision: revision + 1,
+          },
+          ...(revision === 0
+            ? { ConditionExpression: 'attribute_not_exists(pk)' }
+            : { ConditionExpression: 'revision = :revision', ExpressionAttributeValues: { ':revision': revision } }),
+        })
+      );
+      return true;
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Nonces live beside the data and expire through the table's TTL
+   */
+  async claimNonce(clientId: string, nonce: string, expiresAt: number): Promise<boolean> {
+    try {
+      await this.docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: { pk: `${NONCE_PARTITION_PREFIX}${clientId}:${nonce}`, sk: 'nonce', expiresAt },
+          ConditionExpression: 'attribute_not_exists(pk)',
+        })
+      );
+      return true;
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  claimIdempotencyKey(id: string, record: IdempotencyRecord): Promise<IdempotencyRecord | undefined> {
+    return this.idempotency.claimIdempotencyKey(id, record);
+  }
+
+  completeIdempotencyKey(id: string, record: IdempotencyRecord): Promise<void> {
+    return this.idempotency.completeIdempotencyKey(id, record);
+  }
+
+  releaseIdempotencyKey(id: string): Promise<void> {
+    return this.idempotency.releaseIdempotencyKey(id);
+  }
+}
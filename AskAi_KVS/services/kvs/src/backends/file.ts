@@ -0,0 +1,95 @@
+/**
+ * File backend: the in-memory backend, saved to a JSON file after every change
+ *
+ * Meant for the local dev server, so data survives restarts. The whole store is rewritten on
+ * each change (to a temporary file, then renamed over the old one), which is fine for dev-sized
+ * data and never leaves a half-written file behind. Packed values are kept as base64.
+ */
+
+import { mkdirSync, readFileSync, promises as fs } from 'fs';
+import * as path from 'path';
+import { MemoryBackend } from './memory';
+import type { Lease, StreamEvent, ValueItem } from '../backend';
+import type { SchemaRegistry } from '../schema';
+import type { IdempotencyRecord } from '../../../../shared/utils/idempotency';
+
+type SavedItem = Omit<ValueItem, 'packed'> & { packed?: string };
+
+interface Snapshot {
+  values?: SavedItem[];
+  history?: SavedItem[];
+  streams?: Record<string, StreamEvent[]>;
+  nonces?: Record<string, number>;
+  schemas?: { registry: SchemaRegistry; revision: number };
+  idempotency?: Record<string, IdempotencyRecord>;
+  leases?: Record<string, { lease: Lease; revision: number }>;
+}
+
+function toSaved(item: ValueItem): SavedItem {
+  return 'packed' in item ? { ...item, packed: Buffer.from(item.packed).toString('base64') } : item;
+}
+
+function fromSaved(item: SavedItem): ValueItem {
+  return (typeof item.packed === 'string' ? { ...item, packed: Buffer.from(item.packed, 'base64') } : item) as ValueItem;
+}
+
+export class FileBackend extends MemoryBackend {
+  /** Saves run one after another, so an older snapshot never lands after a newer one */
+  private saving: Promise<void> = Promise.resolve();
+
+  constructor(private file: string) {
+    super();
+    this.load();
+  }
+
+  private load(): void {
+    let raw: string;
+    try {
+      raw = readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        mkdirSync(path.dirname(this.file), { recursive: true });
+        return;
+      }
+      throw error;
+    }
+
+    const snapshot = JSON.parse(raw) as Snapshot;
+    for (const item of (snapshot.values || []).map(fromSaved)) {
+      this.values.set(item.key, item);
+    }
+    for (const item of (snapshot.history || []).map(fromSaved)) {
+      const versions = this.history.get(item.key) || new Map<number, ValueItem>();
+      versions.set(item.version, item);
+      this.history.set(item.key, versions);
+    }
+    this.streams = new Map(Object.entries(snapshot.streams || {}));
+    this.nonces = new Map(Object.entries(snapshot.nonces || {}));
+    this.schemas = snapshot.schemas || this.schemas;
+    this.idempotency = new Map(Object.entries(snapshot.idempotency || {}));
+    this.leases = new Map(Object.entries(snapshot.leases || {}));
+  }
+
+  protected persist(): Promise<void> {
+    // Taken now, so the save reflects the change that triggered it even if it waits its turn
+    const snapshot: Snapshot = {
+      values: [...this.values.values()].map(toSaved),
+      history: [...this.history.values()].flatMap((versions) => [...versions.values()].map(toSaved)),
+      streams: Object.fromEntries(this.streams),
+      nonces: Object.fromEntries(this.nonces),
+      schemas: this.schemas,
+      idempotency: Object.fromEntries(this.idempotency),
+      leases: Object.fromEntries(this.leases),
+    };
+    const data = JSON.stringify(snapshot);
+    const temporary = `${this.file}.tmp`;
+
+    this.saving = this.saving
+      .catch(() => undefined)
+      .then(async () => {
+        await fs.writeFile(temporary, data);
+        await fs.rename(temporary, this.file);
+      });
+    return this.saving;
+  }
+}
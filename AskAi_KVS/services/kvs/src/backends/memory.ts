@@ -0,0 +1,346 @@
+/**
+ * In-memory backend: everything in Maps, gone when the process exits
+ *
+ * Each method checks and mutates synchronously before its first await, so calls are atomic
+ * the same way single DynamoDB requests are. Items are cloned on the way in and out, so
+ * callers can never mutate what is stored.
+ */
+
+import {
+  ConditionFailedError,
+  conditionHolds,
+  InvalidCursorError,
+  isExpired,
+  nowEpochSeconds,
+  TransactionCancelledError,
+} from '../backend';
+import type {
+  ConflictState,
+  ItemMetadata,
+  KVSBackend,
+  Lease,
+  ListOptions,
+  ListPage,
+  Preconditions,
+  StreamEvent,
+  TransactionWrite,
+  ValueItem,
+  ValueWrite,
+} from '../backend';
+import { isInlineValue } from '../overflow';
+import type { SchemaRegistry } from '../schema';
+import type { IdempotencyRecord } from '../../../../shared/utils/idempotency';
+
+function toMetadata(item: ValueItem): ItemMetadata {
+  return {
+    key: item.key,
+    version: item.version,
+    ...(item.updatedAt !== undefined ? { updatedAt: item.updatedAt } : {}),
+    ...(item.expiresAt !== undefined ? { expiresAt: item.expiresAt } : {}),
+    ...(item.schemaVersion !== undefined ? { schemaVersion: item.schemaVersion } : {}),
+    ...(item.fence !== undefined ? { fence: item.fence } : {}),
+  };
+}
+
+function getConflictState(item: ValueItem | undefined): ConflictState | undefined {
+  return item && { version: item.version, expiresAt: item.expiresAt, inline: isInlineValue(item), fence: item.fence };
+}
+
+/**
+ * Cursors are the base64url-encoded last key returned; keys are listed in sorted order.
+ */
+function encodeCursor(key: string): string {
+  return Buffer.from(key, 'utf8').toString('base64url');
+}
+
+export class MemoryBackend implements KVSBackend {
+  protected values = new Map<string, ValueItem>();
+  /** Kept versions per key */
+  protected history = new Map<string, Map<number, ValueItem>>();
+  /** Events per stream name, in sequence order */
+  protected streams = new Map<string, StreamEvent[]>();
+  /** Nonce expiry (epoch seconds) by `<client>:<nonce>` */
+  protected nonces = new Map<string, number>();
+  protected schemas: { registry: SchemaRegistry; revision: number } = { registry: {}, revision: 0 };
+  /** Idempotency records by `<client>:<key>` */
+  protected idempotency = new Map<string, IdempotencyRecord>();
+  /** Leases by name, with their record's revision */
+  protected leases = new Map<string, { lease: Lease; revision: number }>();
+
+  /**
+   * Called after every change; subclasses save the Maps here
+   */
+  protected async persist(): Promise<void> {}
+
+  async getValue(key: string): Promise<ValueItem | undefined> {
+    return structuredClone(this.values.get(key));
+  }
+
+  async getValues(keys: string[]): Promise<{ items: Map<string, ValueItem>; unprocessed: Set<string> }> {
+    const items = new Map<string, ValueItem>();
+    for (const key of keys) {
+      const item = this.values.get(key);
+      if (item) {
+        items.set(key, structuredClone(item));
+      }
+    }
+    return { items, unprocessed: new Set() };
+  }
+
+  async writeValue(write: ValueWrite): Promise<{ item: ValueItem; previous?: ValueItem }> {
+    const previous = this.values.get(write.key);
+    if (!conditionHolds(write.condition, previous)) {
+      throw new ConditionFailedError(getConflictState(previous));
+    }
+
+    const expiresAt = write.expiresAt === undefined ? previous?.expiresAt : write.expiresAt;
+    const fence = write.condition.fence ?? previous?.fence;
+    const item: ValueItem = {
+      key: write.key,
+      ...structuredClone(write.stored),
+      version: (previous?.version ?? 0) + 1,
+      updatedAt: write.updatedAt,
+      ...(typeof expiresAt === 'number' ? { expiresAt } : {}),
+      ...(write.schemaVersion !== undefined ? { schemaVersion: write.schemaVersion } : {}),
+      ...(fence !== undefined ? { fence: structuredClone(fence) } : {}),
+    };
+    this.values.set(write.key, item);
+    await this.persist();
+    return { item: structuredClone(item), previous };
+  }
+
+  async deleteValue(key: string, condition: Preconditions): Promise<void> {
+    const current = this.values.get(key);
+    if (!conditionHolds(condition, current)) {
+      throw new ConditionFailedError(getConflictState(current));
+    }
+    if (this.values.delete(key)) {
+      await this.persist();
+    }
+  }
+
+  async deleteValues(keys: string[]): Promise<Set<string>> {
+    if (keys.map((key) => this.values.delete(key)).some(Boolean)) {
+      await this.persist();
+    }
+    return new Set();
+  }
+
+  async transactWrite(writes: TransactionWrite[]): Promise<void> {
+    const codes = writes.map((write) =>
+      conditionHolds(write.condition, this.values.get(write.op === 'put' ? write.item.key : write.key))
+        ? 'None'
+        : 'ConditionalCheckFailed'
+    );
+    if (codes.some((code) => code !== 'None')) {
+      throw new TransactionCancelledError(codes);
+    }
+
+    for (const write of writes) {
+      if (write.op === 'put') {
+        this.values.set(write.item.key, structuredClone(write.item));
+      } else if (write.op === 'delete') {
+        this.values.delete(write.key);
+      }
+    }
+    await this.persist();
+  }
+
+  async listValues(options: ListOptions): Promise<ListPage> {
+    const { prefix, limit, includeValues } = options;
+
+    let after = '';
+    if (options.cursor) {
+      after = Buffer.from(options.cursor, 'base64url').toString('utf8');
+      if (!after || !after.startsWith(prefix)) {
+        throw new InvalidCursorError();
+      }
+    }
+
+    const matching = [...this.values.values()]
+      .filter((item) => item.key.startsWith(prefix) && item.key > after && !isExpired(item))
+      .sort((a, b) => (a.key < b.key ? -1 : 1));
+    const page = matching.slice(0, limit);
+
+    return {
+      items: page.map((item) => (includeValues ? structuredClone(item) : toMetadata(item))),
+      cursor: matching.length > limit ? encodeCursor(page[page.length - 1].key) : null,
+    };
+  }
+
+  async getHistory(key: string, version: number): Promise<ValueItem | undefined> {
+    return structuredClone(this.history.get(key)?.get(version));
+  }
+
+  async listHistory(key: string): Promise<ItemMetadata[]> {
+    return [...(this.history.get(key)?.values() || [])]
+      .sort((a, b) => b.version - a.version)
+      .map(toMetadata);
+  }
+
+  async writeHistory(items: ValueItem[], drops: Array<{ key: string; version: number }>): Promise<boolean> {
+    for (const item of items) {
+      const versions = this.history.get(item.key) || new Map<number, ValueItem>();
+      versions.set(item.version, structuredClone(item));
+      this.history.set(item.key, versions);
+    }
+    for (const drop of drops) {
+      this.history.get(drop.key)?.delete(drop.version);
+    }
+    await this.persist();
+    return true;
+  }
+
+  async deleteHistory(key: string): Promise<void> {
+    if (this.history.delete(key)) {
+      await this.persist();
+    }
+  }
+
+  async getLastSequence(name: string): Promise<number> {
+    const events = this.streams.get(name) || [];
+    return events.length > 0 ? events[events.length - 1].sequence : 0;
+  }
+
+  async appendEvents(name: string, events: StreamEvent[]): Promise<boolean> {
+    const stream = this.streams.get(name) || [];
+    const last = stream.length > 0 ? stream[stream.length - 1].sequence : 0;
+    if (events[0].sequence <= last) {
+      return false;
+    }
+    this.streams.set(name, [...stream, ...structuredClone(events)]);
+    await this.persist();
+    return true;
+  }
+
+  async readEvents(name: string, from: number, limit: number): Promise<{ events: StreamEvent[]; hasMore: boolean }> {
+    const matching = (this.streams.get(name) || []).filter((event) => event.sequence >= from);
+    return { events: structuredClone(matching.slice(0, limit)), hasMore: matching.length > limit };
+  }
+
+  async tailEvents(name: string, count: number): Promise<StreamEvent[]> {
+    return structuredClone((this.streams.get(name) || []).slice(-count));
+  }
+
+  async deleteStream(name: string): Promise<{ deleted: number; remaining: number }> {
+    const deleted = this.streams.get(name)?.length ?? 0;
+    if (this.streams.delete(name)) {
+      await this.persist();
+    }
+    return { deleted, remaining: 0 };
+  }
+
+  async claimNonce(clientId: string, nonce: string, expiresAt: number): Promise<boolean> {
+    const id = `${clientId}:${nonce}`;
+    if ((this.nonces.get(id) ?? 0) > nowEpochSeconds()) {
+      return false;
+    }
+    this.nonces.set(id, expiresAt);
+    await this.persist();
+    return true;
+  }
+
+  async claimIdempotencyKey(id: string, record: IdempotencyRecord): Promise<IdempotencyRecord | undefined> {
+    const existing = this.idempotency.get(id);
+    if (existing && existing.expiresAt > nowEpochSeconds()) {
+      return structuredClone(existing);
+    }
+    this.idempotency.set(id, structuredClone(record));
+    await this.persist();
+    return undefined;
+  }
+
+  async completeIdempotencyKey(id: string, record: IdempotencyRecord): Promise<void> {
+    this.idempotency.set(id, structuredClone(record));
+    await this.persist();
+  }
+
+  async releaseIdempotencyKey(id: string): Promise<void> {
+    if (this.idempotency.delete(id)) {
+      await this.persist();
+    }
+  }
+
+  async getSchemaRegistry(): Promise<{ registry: SchemaRegistry; revision: number }> {
+    return structuredClone(this.schemas);
+  }
+
+  async putSchemaRegistry(registry: SchemaRegistry, revision: number): Promise<boolean> {
+    if (this.schemas.revision !== revision) {
+      return false;
+    }
+    this.schemas = { registry: structuredClone(registry), revision: revision + 1 };
+    await this.persist();
+    return true;
+  }
+
+  async getLease(name: string): Promise<{ lease?: Lease; revision: number }> {
+    return structuredClone(this.leases.get(name)) || { revision: 0 };
+  }
+
+  async putLease(lease: Lease, revision: number): Promise<boolean> {
+    if ((this.leases.get(lease.name)?.revision ?? 0) !== revision) {
+      return false;
+    }
+    this.leases.set(lease.name, { lease: structuredClone(lease), revision: revision + 1 });
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Removes expired items, history copies, events, nonces and idempotency records, the way DynamoDB's TTL sweep
+   * lags behind the core's read-time check.
+   *
+   * @returns Keys whose current value was removed
+   */
+  async sweepExpired(): Promise<string[]> {
+    const now = nowEpochSeconds();
+    const expired = (expiresAt: number | undefined) => expiresAt !== undefined && expiresAt <= now;
+    let changed = false;
+
+    const keys = [...this.values.values()].filter((item) => expired(item.expiresAt)).map((item) => item.key);
+    for (const key of keys) {
+      this.values.delete(key);
+      changed = true;
+    }
+    for (const [key, versions] of this.history) {
+      for (const [version, item] of versions) {
+        if (expired(item.expiresAt)) {
+          versions.delete(version);
+          changed = true;
+        }
+      }
+      if (versions.size === 0) {
+        this.history.delete(key);
+      }
+    }
+    for (const [name, events] of this.streams) {
+      const live = events.filter((event) => !expired(event.expiresAt));
+      if (live.length < events.length) {
+        changed = true;
+        if (live.length === 0) {
+          this.streams.delete(name);
+        } else {
+          this.streams.set(name, live);
+        }
+      }
+    }
+    for (const [id, expiresAt] of this.nonces) {
+      if (expired(expiresAt)) {
+        this.nonces.delete(id);
+        changed = true;
+      }
+    }
+    for (const [id, record] of this.idempotency) {
+      if (expired(record.expiresAt)) {
+        this.idempotency.delete(id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.persist();
+    }
+    return keys;
+  }
+}
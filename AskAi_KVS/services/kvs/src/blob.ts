@@ -0,0 +1,121 @@
+/**
+ * Blob stores for values too large to keep in a DynamoDB item (see ./overflow)
+ *
+ * - BLOB_BUCKET: S3, for deployed stacks
+ * - BLOB_DIR: a local directory, for development
+ *
+ * With neither set there is no blob store and values must fit inline once compressed.
+ * Blob names look like `<key>/<id>`, so everything stored for one key shares a prefix.
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  NoSuchKey,
+} from '@aws-sdk/client-s3';
+
+export interface BlobStore {
+  put(name: string, data: Uint8Array): Promise<void>;
+  /** @returns The blob, or undefined if it does not exist */
+  get(name: string): Promise<Uint8Array | undefined>;
+  delete(name: string): Promise<void>;
+  /** Deletes every blob whose name starts with `prefix` (always ending in `/`) */
+  deletePrefix(prefix: string): Promise<void>;
+}
+
+export class S3BlobStore implements BlobStore {
+  private client = new S3Client({});
+
+  constructor(private bucket: string) {}
+
+  async put(name: string, data: Uint8Array): Promise<void> {
+    await this.client.send(
+      new PutObjectCommand({ Bucket: this.bucket, Key: name, Body: data, ContentType: 'application/gzip' })
+    );
+  }
+
+  async get(name: string): Promise<Uint8Array | undefined> {
+    try {
+      const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: name }));
+      return result.Body ? await result.Body.transformToByteArray() : undefined;
+    } catch (error) {
+      if (error instanceof NoSuchKey) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async delete(name: string): Promise<void> {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: name }));
+  }
+
+  async deletePrefix(prefix: string): Promise<void> {
+    let token: string | undefined;
+    do {
+      const listed = await this.client.send(
+        new ListObjectsV2Command({ Bucket: this.bucket, Prefix: prefix, ContinuationToken: token })
+      );
+      const objects = (listed.Contents || []).map((object) => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({ Bucket: this.bucket, Delete: { Objects: objects } }));
+      }
+      token = listed.NextContinuationToken;
+    } while (token);
+  }
+}
+
+export class FileBlobStore implements BlobStore {
+  constructor(private directory: string) {}
+
+  /** Each `/`-separated segment is URI-encoded, so names cannot escape the directory */
+  private resolve(name: string): string {
+    return path.join(this.directory, ...name.split('/').map((segment) => encodeURIComponent(segment)));
+  }
+
+  async put(name: string, data: Uint8Array): Promise<void> {
+    const file = this.resolve(name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+
+  async get(name: string): Promise<Uint8Array | undefined> {
+    try {
+      return await fs.readFile(this.resolve(name));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async delete(name: string): Promise<void> {
+    await fs.rm(this.resolve(name), { force: true });
+  }
+
+  async deletePrefix(prefix: string): Promise<void> {
+    await fs.rm(this.resolve(prefix.replace(/\/$/, '')), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Picks the blob store from BLOB_BUCKET / BLOB_DIR
+ *
+ * @returns The store, or null when overflow to a blob store is disabled
+ */
+export function createBlobStore(env: Record<string, string | undefined>): BlobStore | null {
+  if (env.BLOB_BUCKET) {
+    return new S3BlobStore(env.BLOB_BUCKET);
+  }
+  if (env.BLOB_DIR) {
+    return new FileBlobStore(env.BLOB_DIR);
+  }
+  return null;
+}
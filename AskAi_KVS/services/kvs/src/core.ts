@@ -0,0 +1,2273 @@
+/**
+ * KVS core: the HTTP API over a storage backend (see ./backend)
+ *
+ * Supports: GET, PUT, POST, PATCH, DELETE operations, plus prefix listing on `GET /`.
+ * The Lambda (./index) runs it over DynamoDB; the local dev server (mocks/kvs-server.ts)
+ * runs the same code over a JSON file, so both answer every request the same way.
+ *
+ * Every item carries a monotonically increasing `version`, returned as an ETag.
+ * Writes honor `If-Match` / `If-None-Match` and answer 412 when the precondition fails.
+ * Reads also send `Last-Modified`, and answer a matching `If-None-Match` with 304 and no body.
+ *
+ * With a version history limit > 0, each write also keeps a copy of that version, readable
+ * via `GET /{key}?version=n` and `GET /{key}/_versions`, and restorable via `POST /{key}/_restore`.
+ *
+ * PATCH picks its semantics from Content-Type (see ./patch): JSON Merge Patch, JSON Patch,
+ * or the original shallow merge for plain `application/json`.
+ *
+ * `POST /{key}/_ops` runs atomic increments and appends (see ./ops), in place when the backend
+ * supports it and as a version-guarded read-modify-write otherwise.
+ *
+ * `/_streams/{name}` is an append-only event log with one entry per server-assigned sequence
+ * number, so appends never rewrite the log.
+ *
+ * Values over COMPRESS_THRESHOLD_BYTES are stored gzipped, and ones still too large for an item go
+ * to the blob store behind a pointer (see ./overflow). Every read decodes them, so callers only
+ * notice the higher MAX_VALUE_BYTES limit.
+ *
+ * With auth clients configured, every request must be signed (see shared/utils/auth) and may
+ * only touch keys under its client's prefixes; nonces are claimed through the backend.
+ *
+ * `/_schemas/{prefix}` registers a JSON Schema for every key under a prefix (see ./schema). Writes
+ * that would leave a non-conforming value are rejected with 422, and values stored under an older
+ * schema version are migrated forward on every read (the stored copy is left as written).
+ *
+ * Writes sent with an `Idempotency-Key` header run once per key (see shared/utils/idempotency): duplicates
+ * within the idempotency window get the first response back instead of writing again.
+ *
+ * `/_leases/{name}` hands out expiring, owner-held leases, each acquisition with a higher fencing
+ * token. A write sent with `X-KVS-Fence: <lease>=<token>` is rejected with 412 once that lease has
+ * moved on to a newer token, or when the item was already written under one.
+ *
+ * PUT/POST accept an optional TTL (`X-KVS-TTL` header or `?ttl=` in seconds), stored as
+ * `expiresAt`. Expired items read as absent until the backend sweeps them.
+ */
+
+import { applyPatch, getPatchFormat, PatchError } from './patch';
+import type { PatchFormat } from './patch';
+import { applyValueOperations, needsCurrentValue, OperationError, parseValueOperations } from './ops';
+import type { ValueOperation } from './ops';
+import { createBlobStore } from './blob';
+import type { BlobStore } from './blob';
+import { decodeValue, encodeValue, getBlobRef, INLINE_MAX_BYTES, packValue, ValueTooLargeError } from './overflow';
+import {
+  assertKeyAccess,
+  AUTH_HEADERS,
+  authenticateRequest,
+  AuthError,
+  canAccessKey,
+  getRequestHeader,
+  loadAuthClients,
+} from '../../../shared/utils/auth';
+import type { AuthClient } from '../../../shared/utils/auth';
+import {
+  buildSchemaEntry,
+  findSchema,
+  migrateValue,
+  SchemaDefinitionError,
+  SchemaValidationError,
+  validateValue,
+} from './schema';
+import type { SchemaRegistry, SchemaViolation } from './schema';
+import {
+  DEFAULT_IDEMPOTENCY_TTL_SECONDS,
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENCY_REPLAYED_HEADER,
+  loadIdempotencyTtl,
+  runIdempotent,
+  validateIdempotencyKey,
+} from '../../../shared/utils/idempotency';
+import {
+  ConditionFailedError,
+  conditionHolds,
+  fenceHolds,
+  InvalidCursorError,
+  isExpired,
+  nowEpochSeconds,
+  TransactionCancelledError,
+} from './backend';
+import type {
+  ETagCondition,
+  Fence,
+  KVSBackend,
+  Lease,
+  ListPage,
+  Preconditions,
+  StreamEvent,
+  TransactionWrite,
+  ValueItem,
+  ValueWrite,
+} from './backend';
+
+const MAX_BODY_BYTES = 256 * 1024; // 256KB max for batches, transactions and streams
+// Single-key writes may be larger: big values are compressed or overflow to the blob store
+const DEFAULT_MAX_VALUE_BYTES = 5 * 1024 * 1024;
+const KEY_REGEX = /^[a-zA-Z0-9:_\-.]+$/;
+const BATCH_MAX_OPERATIONS = 100;
+const PATCH_MAX_ATTEMPTS = 3;
+const TRANSACTION_MAX_OPERATIONS = 100;
+const TRANSACTION_MAX_ATTEMPTS = 3;
+const STREAMS_ROUTE = '_streams';
+const SCHEMAS_ROUTE = '_schemas';
+const LEASES_ROUTE = '_leases';
+// Registrations reach other instances once their cached copy expires
+const SCHEMA_CACHE_MS = 30 * 1000;
+const SCHEMA_UPDATE_MAX_ATTEMPTS = 3;
+const LEASE_DEFAULT_TTL_SECONDS = 30;
+const LEASE_MAX_TTL_SECONDS = 60 * 60;
+const LEASE_OWNER_MAX_LENGTH = 256;
+const LEASE_UPDATE_MAX_ATTEMPTS = 3;
+const STREAM_MAX_SEQUENCE = 1e12 - 1; // 12 padded digits
+const STREAM_MAX_APPEND = 100; // TransactWriteItems limit
+const STREAM_APPEND_MAX_ATTEMPTS = 3;
+const STREAM_READ_DEFAULT_LIMIT = 100;
+const STREAM_READ_MAX_LIMIT = 1000;
+const LIST_DEFAULT_LIMIT = 100;
+const LIST_MAX_LIMIT = 1000;
+const MAX_TTL_SECONDS = 365 * 24 * 60 * 60;
+const TTL_HEADER = 'X-KVS-TTL';
+const FENCE_HEADER = 'X-KVS-Fence';
+
+/**
+ * Service routes share the top-level path namespace with keys, so these names are reserved
+ */
+const SERVICE_ROUTES = new Set(['_batch', '_transaction', STREAMS_ROUTE, SCHEMAS_ROUTE, LEASES_ROUTE]);
+
+/**
+ * Sub-resources addressed as `/{key}/{action}`
+ */
+type KeyAction = '_versions' | '_restore' | '_ops';
+
+export interface KVSRequest {
+  method: string;
+  /** Decoded request path as signed by the client, e.g. `/game:123/_ops` */
+  path: string;
+  query: Record<string, string | undefined>;
+  headers: Record<string, string | undefined>;
+  body: string | null;
+}
+
+export interface KVSResponse {
+  statusCode: number;
+  headers: Record<string, string>;
+  body: string;
+}
+
+export interface KVSServiceOptions {
+  backend: KVSBackend;
+  /** Where values too large for an item go; without one they are rejected with 413 */
+  blobStore?: BlobStore | null;
+  /** Versions kept per key; 0 keeps none */
+  versionHistoryLimit?: number;
+  /** Signed-request clients; requests are not authenticated without them */
+  authClients?: Map<string, AuthClient> | null;
+  allowedOrigin?: string;
+  maxValueBytes?: number;
+  /** How long responses to writes with an `Idempotency-Key` are replayed; 0 ignores the header */
+  idempotencyTtlSeconds?: number;
+}
+
+interface RequestContext {
+  key: string;
+  action?: KeyAction;
+  body: string | null;
+  query: Record<string, string | undefined>;
+  headers: Record<string, string>;
+  preconditions: Preconditions;
+  ttlSeconds?: number;
+  contentType?: string;
+}
+
+interface ListEntry {
+  key: string;
+  version: number;
+  updatedAt?: string;
+  expiresAt?: number;
+  value?: unknown;
+}
+
+interface WriteOptions {
+  condition: Preconditions;
+  /** Epoch seconds to expire at, null to clear an existing expiry, undefined to leave it unchanged */
+  expiresAt?: number | null;
+}
+
+/**
+ * Reads the service settings shared by every deployment from the environment:
+ * VERSION_HISTORY_LIMIT, AUTH_CLIENTS, ALLOWED_ORIGINS, MAX_VALUE_BYTES, BLOB_BUCKET / BLOB_DIR and
+ * IDEMPOTENCY_TTL_SECONDS
+ */
+export function loadServiceOptions(env: Record<string, string | undefined>): Omit<KVSServiceOptions, 'backend'> {
+  return {
+    blobStore: createBlobStore(env),
+    versionHistoryLimit: Math.max(0, parseInt(env.VERSION_HISTORY_LIMIT || '0', 10) || 0),
+    authClients: loadAuthClients(env.AUTH_CLIENTS),
+    allowedOrigin: (env.ALLOWED_ORIGINS || '*').split(',')[0].trim() || '*',
+    maxValueBytes: parseInt(env.MAX_VALUE_BYTES || '', 10) || DEFAULT_MAX_VALUE_BYTES,
+    idempotencyTtlSeconds: loadIdempotencyTtl(env.IDEMPOTENCY_TTL_SECONDS),
+  };
+}
+
+function respond(
+  statusCode: number,
+  headers: Record<string, string>,
+  payload: unknown
+): KVSResponse {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(payload),
+  };
+}
+
+function formatETag(version: number): string {
+  return `"${version}"`;
+}
+
+/**
+ * Parses an If-Match / If-None-Match header value.
+ * Accepts `*`, `"3"`, `W/"3"` or a bare version number.
+ */
+function parseETagCondition(raw: string | undefined): ETagCondition | undefined | null {
+  if (raw === undefined) {
+    return undefined;
+  }
+  const trimmed = raw.trim();
+  if (trimmed === '*') {
+    return '*';
+  }
+  const unquoted = trimmed.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  if (!/^\d+$/.test(unquoted)) {
+    return null;
+  }
+  return parseInt(unquoted, 10);
+}
+
+function parsePreconditions(headers: Record<string, string | undefined>): Preconditions | string {
+  const ifMatch = parseETagCondition(getRequestHeader(headers, 'If-Match'));
+  if (ifMatch === null) {
+    return 'Invalid If-Match header';
+  }
+  const ifNoneMatch = parseETagCondition(getRequestHeader(headers, 'If-None-Match'));
+  if (ifNoneMatch === null) {
+    return 'Invalid If-None-Match header';
+  }
+  const fence = parseFence(getRequestHeader(headers, FENCE_HEADER));
+  if (fence === null) {
+    return `Invalid ${FENCE_HEADER} header`;
+  }
+  return { ifMatch, ifNoneMatch, ...(fence ? { fence } : {}) };
+}
+
+/**
+ * Parses an `X-KVS-Fence` header value: `<lease>=<token>`
+ */
+function parseFence(raw: string | undefined): Fence | undefined | null {
+  if (raw === undefined) {
+    return undefined;
+  }
+  const match = /^(.+)=(\d+)$/.exec(raw.trim());
+  return match ? toFence(match[1], Number(match[2])) : null;
+}
+
+function toFence(lease: unknown, token: unknown): Fence | null {
+  return typeof lease === 'string' && !validateKey(lease) && Number.isSafeInteger(token) && (token as number) >= 1
+    ? { lease, token: token as number }
+    : null;
+}
+
+/**
+ * Reads the TTL from the `X-KVS-TTL` header or `ttl` query parameter.
+ */
+function parseTtl(request: KVSRequest): number | undefined | string {
+  const raw = getRequestHeader(request.headers, TTL_HEADER) ?? request.query.ttl;
+  if (raw === undefined) {
+    return undefined;
+  }
+  const ttlSeconds = Number(raw);
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_TTL_SECONDS) {
+    return `TTL must be a whole number of seconds between 1 and ${MAX_TTL_SECONDS}`;
+  }
+  return ttlSeconds;
+}
+
+/**
+ * The live version behind a failed condition, if there is one
+ */
+function getConflictVersion(error: ConditionFailedError): number | undefined {
+  return error.current && !isExpired(error.current) ? error.current.version : undefined;
+}
+
+function preconditionFailed(
+  headers: Record<string, string>,
+  currentVersion: number | undefined
+): KVSResponse {
+  return respond(412, headers, {
+    error: 'Precondition failed',
+    ...(currentVersion !== undefined ? { currentVersion } : {}),
+  });
+}
+
+function staleFence(headers: Record<string, string>, fence: Fence, currentToken: number): KVSResponse {
+  return respond(412, headers, { error: 'Fencing token is stale', lease: fence.lease, currentToken });
+}
+
+/**
+ * 412 for a write whose conditions did not hold against `current`: a stale fence when the item
+ * was written under a newer token of the caller's lease, otherwise a failed If-Match / If-None-Match
+ */
+function conditionFailed(
+  headers: Record<string, string>,
+  preconditions: Preconditions,
+  current: { version: number; expiresAt?: number; fence?: Fence } | undefined
+): KVSResponse {
+  const live = current && !isExpired(current) ? current : undefined;
+  if (preconditions.fence && live?.fence && !fenceHolds(preconditions.fence, live)) {
+    return staleFence(headers, preconditions.fence, live.fence.token);
+  }
+  return preconditionFailed(headers, live?.version);
+}
+
+/**
+ * Splits `/{key}` or `/{key}/{action}`. Keys cannot contain `/`, so the split is unambiguous.
+ */
+function parseRoute(path: string): { key: string; action?: string } {
+  const [key, action, ...rest] = path.replace(/^\//, '').split('/');
+  return { key, action: rest.length > 0 ? `${action}/${rest.join('/')}` : action };
+}
+
+function isKeyAction(action: string): action is KeyAction {
+  return action === '_versions' || action === '_restore' || action === '_ops';
+}
+
+function validateKey(key: string): string | null {
+  if (!key) {
+    return 'Key required';
+  }
+  if (key.length > 512) {
+    return 'Key too long';
+  }
+  if (!KEY_REGEX.test(key)) {
+    return 'Key contains invalid characters';
+  }
+  return null;
+}
+
+function validateBodySize(body: string | null, limit = MAX_BODY_BYTES): string | null {
+  if (!body) {
+    return null;
+  }
+  if (Buffer.byteLength(body, 'utf8') > limit) {
+    return 'Body too large';
+  }
+  return null;
+}
+
+function parseJsonBody(body: string | null): { value: unknown } | { error: string } {
+  if (!body) {
+    return { error: 'Body required' };
+  }
+  try {
+    return { value: JSON.parse(body) };
+  } catch {
+    return { error: 'Invalid JSON body' };
+  }
+}
+
+function ttlToExpiresAt(ttlSeconds: number | undefined): number | null {
+  return ttlSeconds !== undefined ? nowEpochSeconds() + ttlSeconds : null;
+}
+
+/**
+ * Maps errors thrown while handling a request to responses
+ */
+function errorResponse(error: unknown, headers: Record<string, string>): KVSResponse {
+  if (error instanceof AuthError || error instanceof ValueTooLargeError) {
+    return respond(error.statusCode, headers, { error: error.message });
+  }
+  if (error instanceof SchemaValidationError) {
+    return schemaViolated(headers, error);
+  }
+  console.error('KVS error', error);
+  return respond(500, headers, {
+    error: 'Internal server error',
+    message: error instanceof Error ? error.message : 'Unknown error',
+  });
+}
+
+function schemaViolated(headers: Record<string, string>, error: SchemaValidationError): KVSResponse {
+  return respond(422, headers, {
+    error: error.message,
+    schema: error.entry.prefix,
+    schemaVersion: error.entry.version,
+    errors: error.violations,
+  });
+}
+
+function writeSucceeded(headers: Record<string, string>, version: number): KVSResponse {
+  return respond(200, { ...headers, ETag: formatETag(version) }, { success: true, version });
+}
+
+function parseListLimit(raw: string | undefined): number | null {
+  if (raw === undefined) {
+    return LIST_DEFAULT_LIMIT;
+  }
+  const limit = parseInt(raw, 10);
+  if (isNaN(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+    return null;
+  }
+  return limit;
+}
+
+function parseVersionNumber(raw: unknown): number | null {
+  const version = typeof raw === 'number' ? raw : Number(raw);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+// ============================================================================
+// BATCH
+// ============================================================================
+
+type BatchOperation =
+  | { op: 'get' | 'delete'; key: string }
+  | { op: 'put'; key: string; value: unknown; ttlSeconds?: number };
+
+interface BatchResult {
+  op: string;
+  key: string;
+  /** HTTP-style status for this item; 503 means unprocessed, safe to retry */
+  status: number;
+  value?: unknown;
+  version?: number;
+  error?: string;
+  /** Field-level schema errors for a rejected put */
+  errors?: SchemaViolation[];
+}
+
+/**
+ * Keys inside batch/transaction bodies: the usual rules, minus the reserved route names
+ */
+function validateOperationKey(key: string): string | null {
+  return validateKey(key) || (SERVICE_ROUTES.has(key) ? 'Key is reserved' : null);
+}
+
+/**
+ * `ttlSeconds` inside batch/transaction bodies, same range as the TTL header
+ */
+function validateTtlSeconds(ttlSeconds: unknown): string | null {
+  if (
+    ttlSeconds !== undefined &&
+    (typeof ttlSeconds !== 'number' || !Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_TTL_SECONDS)
+  ) {
+    return `ttlSeconds must be a whole number between 1 and ${MAX_TTL_SECONDS}`;
+  }
+  return null;
+}
+
+function parseBatchOperation(raw: unknown): BatchOperation | BatchResult {
+  const candidate = (raw && typeof raw === 'object' ? raw : {}) as Record<string, unknown>;
+  const op = typeof candidate.op === 'string' ? candidate.op : '';
+  const key = typeof candidate.key === 'string' ? candidate.key : '';
+  const invalid = (error: string): BatchResult => ({ op, key, status: 400, error });
+
+  if (op !== 'get' && op !== 'put' && op !== 'delete') {
+    return invalid('op must be get, put or delete');
+  }
+  const keyError = validateOperationKey(key);
+  if (keyError) {
+    return invalid(keyError);
+  }
+
+  if (op !== 'put') {
+    return { op, key };
+  }
+  if (!('value' in candidate)) {
+    return invalid('value required');
+  }
+  const ttlError = validateTtlSeconds(candidate.ttlSeconds);
+  if (ttlError) {
+    return invalid(ttlError);
+  }
+  return { op, key, value: candidate.value, ttlSeconds: candidate.ttlSeconds as number | undefined };
+}
+
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
+
+interface TransactionTarget extends Preconditions {
+  key: string;
+}
+
+type TransactionOperation =
+  | (TransactionTarget & { op: 'put'; value: unknown; ttlSeconds?: number })
+  | (TransactionTarget & { op: 'patch'; value: unknown; format: PatchFormat })
+  | (TransactionTarget & { op: 'delete' })
+  | (TransactionTarget & { op: 'check' });
+
+/**
+ * Per-operation outcome of a cancelled transaction, in the spirit of DynamoDB's
+ * CancellationReasons: `None` for operations that were fine on their own.
+ */
+interface CancellationReason {
+  index: number;
+  op: string;
+  key: string;
+  code:
+    | 'None'
+    | 'PreconditionFailed'
+    | 'NotFound'
+    | 'TestFailed'
+    | 'InvalidPatch'
+    | 'ValueTooLarge'
+    | 'SchemaViolation'
+    | 'StaleFence'
+    | 'TransactionConflict'
+    | string;
+  message?: string;
+  currentVersion?: number;
+  /** The newer fencing token behind a StaleFence */
+  currentToken?: number;
+  errors?: SchemaViolation[];
+}
+
+function parseOperationCondition(raw: unknown): ETagCondition | undefined | null {
+  if (raw === undefined) {
+    return undefined;
+  }
+  return typeof raw === 'number' || typeof raw === 'string' ? parseETagCondition(String(raw)) : null;
+}
+
+function parseTransactionOperation(raw: unknown): TransactionOperation | string {
+  const candidate = (raw && typeof raw === 'object' ? raw : {}) as Record<string, unknown>;
+  const { op, key } = candidate;
+
+  if (op !== 'put' && op !== 'patch' && op !== 'delete' && op !== 'check') {
+    return 'op must be put, patch, delete or check';
+  }
+  if (typeof key !== 'string') {
+    return 'Key required';
+  }
+  const keyError = validateOperationKey(key);
+  if (keyError) {
+    return keyError;
+  }
+
+  const ifMatch = parseOperationCondition(candidate.ifMatch);
+  const ifNoneMatch = parseOperationCondition(candidate.ifNoneMatch);
+  if (ifMatch === null || ifNoneMatch === null) {
+    return `Invalid ${ifMatch === null ? 'ifMatch' : 'ifNoneMatch'}`;
+  }
+  const rawFence = (candidate.fence ?? {}) as { lease?: unknown; token?: unknown };
+  const fence = candidate.fence === undefined ? undefined : toFence(rawFence.lease, rawFence.token);
+  if (fence === null) {
+    return 'fence must be { lease, token }';
+  }
+  const conditions = { ifMatch, ifNoneMatch, ...(fence ? { fence } : {}) };
+
+  if (op === 'check') {
+    return ifMatch === undefined && ifNoneMatch === undefined && !fence
+      ? 'check requires ifMatch, ifNoneMatch or fence'
+      : { op, key, ...conditions };
+  }
+  if (op === 'delete') {
+    return { op, key, ...conditions };
+  }
+  if (!('value' in candidate)) {
+    return 'value required';
+  }
+  if (op === 'patch') {
+    const { format = 'shallow' } = candidate;
+    if (format !== 'shallow' && format !== 'merge-patch' && format !== 'json-patch') {
+      return 'format must be shallow, merge-patch or json-patch';
+    }
+    return { op, key, value: candidate.value, format, ...conditions };
+  }
+
+  const ttlError = validateTtlSeconds(candidate.ttlSeconds);
+  if (ttlError) {
+    return ttlError;
+  }
+  return { op, key, value: candidate.value, ttlSeconds: candidate.ttlSeconds as number | undefined, ...conditions };
+}
+
+/**
+ * Condition that the item is still exactly as read: same live version, or still absent
+ */
+function unchangedCondition(item: ValueItem | undefined): Preconditions {
+  return item && !isExpired(item) ? { ifMatch: item.version } : { ifNoneMatch: '*' };
+}
+
+/**
+ * Evaluates an operation against the state read for this attempt. `current` is the decoded
+ * value of the live item, needed only by patches.
+ *
+ * Transaction writes are packed but never moved to the blob store (the upload could not be
+ * part of the transaction), so a patch whose result does not fit inline is cancelled.
+ *
+ * @returns The write to send, or the reason the operation cannot go ahead
+ */
+function buildTransactionWrite(
+  operation: TransactionOperation,
+  existing: ValueItem | undefined,
+  current: unknown,
+  updatedAt: string,
+  schemas: SchemaRegistry
+): { write: TransactionWrite; written?: ValueItem } | Omit<CancellationReason, 'index' | 'op' | 'key'> {
+  const live = existing && !isExpired(existing) ? existing : undefined;
+  const currentVersion = live?.version;
+
+  if (!fenceHolds(operation.fence, live)) {
+    return { code: 'StaleFence', currentToken: live?.fence?.token, currentVersion };
+  }
+  if (!conditionHolds(operation, existing)) {
+    return { code: 'PreconditionFailed', currentVersion };
+  }
+  if (operation.op === 'patch' && !live) {
+    return { code: 'NotFound' };
+  }
+
+  let patched: unknown;
+  if (operation.op === 'patch') {
+    try {
+      patched = applyPatch(operation.format, current, operation.value);
+    } catch (error) {
+      if (!(error instanceof PatchError)) {
+        throw error;
+      }
+      return {
+        code: error.statusCode === 409 ? 'TestFailed' : 'InvalidPatch',
+        message: error.message,
+        currentVersion,
+      };
+    }
+  }
+
+  const condition = unchangedCondition(existing);
+  if (operation.op === 'check' || operation.op === 'delete') {
+    return { write: { op: operation.op, key: operation.key, condition } };
+  }
+
+  const value = operation.op === 'put' ? operation.value : patched;
+  const schema = findSchema(schemas, operation.key);
+  const violations = schema ? validateValue(schema.schema, value) : [];
+  if (violations.length > 0) {
+    return { code: 'SchemaViolation', message: 'Value does not match schema', errors: violations, currentVersion };
+  }
+
+  const stored = packValue(value);
+  if ('packed' in stored && stored.packed.byteLength > INLINE_MAX_BYTES) {
+    return { code: 'ValueTooLarge', message: `${stored.packed.byteLength} bytes compressed`, currentVersion };
+  }
+
+  // PUT replaces the expiry (clearing it without a TTL); PATCH keeps it
+  const expiresAt = operation.op === 'put' ? ttlToExpiresAt(operation.ttlSeconds) : live?.expiresAt ?? null;
+  const fence = operation.fence ?? existing?.fence;
+  const written: ValueItem = {
+    key: operation.key,
+    ...stored,
+    // Expired items keep counting, matching single writes
+    version: (existing?.version ?? 0) + 1,
+    updatedAt,
+    ...(expiresAt !== null ? { expiresAt } : {}),
+    ...(schema ? { schemaVersion: schema.version } : {}),
+    ...(fence ? { fence } : {}),
+  };
+
+  return { write: { op: 'put', item: written, condition }, written };
+}
+
+function transactionCancelled(
+  headers: Record<string, string>,
+  reasons: CancellationReason[],
+  error = 'Transaction cancelled'
+): KVSResponse {
+  return respond(409, headers, { error, reasons });
+}
+
+// ============================================================================
+// ATOMIC OPERATIONS
+// ============================================================================
+
+function operationFailed(headers: Record<string, string>, error: OperationError): KVSResponse {
+  return respond(error.statusCode, headers, {
+    error: error.message,
+    ...(error.path !== undefined ? { path: error.path } : {}),
+  });
+}
+
+// ============================================================================
+// STREAMS
+// ============================================================================
+
+function parseStreamCount(raw: string | undefined, fallback: number): number | null {
+  if (raw === undefined) {
+    return fallback;
+  }
+  const count = Number(raw);
+  return Number.isInteger(count) && count >= 1 && count <= STREAM_READ_MAX_LIMIT ? count : null;
+}
+
+function streamConflict(headers: Record<string, string>, currentSequence: number): KVSResponse {
+  return respond(409, headers, { error: 'Sequence conflict', currentSequence });
+}
+
+// ============================================================================
+// LEASES
+// ============================================================================
+
+interface LeaseRequest {
+  owner: string;
+  /** Required to renew or release */
+  token?: number;
+  ttlSeconds: number;
+}
+
+/**
+ * Reads `owner`, `token` and `ttlSeconds` from a lease request body (or DELETE's query string)
+ */
+function parseLeaseRequest(raw: unknown, requireToken: boolean): LeaseRequest | string {
+  const candidate = (raw && typeof raw === 'object' ? raw : {}) as Record<string, unknown>;
+  const { owner, ttlSeconds = LEASE_DEFAULT_TTL_SECONDS } = candidate;
+
+  if (typeof owner !== 'string' || owner.length === 0 || owner.length > LEASE_OWNER_MAX_LENGTH) {
+    return `owner must be a string of 1-${LEASE_OWNER_MAX_LENGTH} characters`;
+  }
+  if (typeof ttlSeconds !== 'number' || !Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > LEASE_MAX_TTL_SECONDS) {
+    return `ttlSeconds must be a whole number between 1 and ${LEASE_MAX_TTL_SECONDS}`;
+  }
+  if (!requireToken) {
+    return { owner, ttlSeconds };
+  }
+  const token = typeof candidate.token === 'string' ? Number(candidate.token) : candidate.token;
+  if (typeof token !== 'number' || !Number.isSafeInteger(token) || token < 1) {
+    return 'token must be a positive integer';
+  }
+  return { owner, token, ttlSeconds };
+}
+
+function isLeaseHeld(lease: Lease | undefined, now: number): lease is Lease & { owner: string } {
+  return lease?.owner !== undefined && lease.expiresAtMs > now;
+}
+
+function leaseBody(lease: Lease): { name: string; owner?: string; token: number; expiresAt: string } {
+  return {
+    name: lease.name,
+    owner: lease.owner,
+    token: lease.token,
+    expiresAt: new Date(lease.expiresAtMs).toISOString(),
+  };
+}
+
+/**
+ * 409 naming the current holder, if there is one
+ */
+function leaseConflict(headers: Record<string, string>, error: string, holder: Lease | undefined): KVSResponse {
+  return respond(409, headers, { error, ...(holder ? { holder: leaseBody(holder) } : {}) });
+}
+
+/**
+ * Handles KVS requests against one backend
+ */
+export class KVSService {
+  private backend: KVSBackend;
+  private blobStore: BlobStore | null;
+  private historyLimit: number;
+  private authClients: Map<string, AuthClient> | null;
+  private allowedOrigin: string;
+  private maxValueBytes: number;
+  private idempotencyTtlSeconds: number;
+  private schemaCache: { registry: SchemaRegistry; loadedAt: number } | null = null;
+
+  constructor(options: KVSServiceOptions) {
+    this.backend = options.backend;
+    this.blobStore = options.blobStore ?? null;
+    this.historyLimit = options.versionHistoryLimit ?? 0;
+    this.authClients = options.authClients ?? null;
+    this.allowedOrigin = options.allowedOrigin ?? '*';
+    this.maxValueBytes = options.maxValueBytes ?? DEFAULT_MAX_VALUE_BYTES;
+    this.idempotencyTtlSeconds = options.idempotencyTtlSeconds ?? DEFAULT_IDEMPOTENCY_TTL_SECONDS;
+  }
+
+  private getHeaders(origin?: string): Record<string, string> {
+    const resolvedOrigin =
+      this.allowedOrigin === '*'
+        ? '*'
+        : origin && origin === this.allowedOrigin
+        ? origin
+        : this.allowedOrigin;
+    return {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': resolvedOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': [
+        'Content-Type',
+        'If-Match',
+        'If-None-Match',
+        TTL_HEADER,
+        FENCE_HEADER,
+        IDEMPOTENCY_HEADER,
+        ...AUTH_HEADERS,
+      ].join(', '),
+      'Access-Control-Expose-Headers': ['ETag', 'Last-Modified', 'Retry-After', IDEMPOTENCY_REPLAYED_HEADER].join(
+        ', '
+      ),
+    };
+  }
+
+  async handle(request: KVSRequest): Promise<KVSResponse> {
+    const headers = this.getHeaders(getRequestHeader(request.headers, 'Origin'));
+    const { method, query } = request;
+
+    // CORS preflight
+    if (method === 'OPTIONS') {
+      return { statusCode: 200, headers, body: '' };
+    }
+
+    try {
+      const client = this.authClients
+        ? await authenticateRequest(
+            { method, path: request.path, query, headers: request.headers, body: request.body || '' },
+            this.authClients,
+            (clientId, nonce, expiresAt) => this.backend.claimNonce(clientId, nonce, expiresAt)
+          )
+        : undefined;
+
+      const idempotencyKey = getRequestHeader(request.headers, IDEMPOTENCY_HEADER);
+      if (idempotencyKey === undefined || method === 'GET' || this.idempotencyTtlSeconds === 0) {
+        return await this.route(request, headers, client);
+      }
+      const idempotencyKeyError = validateIdempotencyKey(idempotencyKey);
+      if (idempotencyKeyError) {
+        return respond(400, headers, { error: idempotencyKeyError });
+      }
+      return await runIdempotent(
+        this.backend,
+        client?.id ?? '',
+        idempotencyKey,
+        { method, path: request.path, query, body: request.body || '' },
+        this.idempotencyTtlSeconds,
+        headers,
+        () => this.route(request, headers, client).catch((error) => errorResponse(error, headers))
+      );
+    } catch (error) {
+      return errorResponse(error, headers);
+    }
+  }
+
+  /**
+   * Dispatches an authenticated request to its handler
+   */
+  private async route(
+    request: KVSRequest,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    const { method, query } = request;
+
+    // Parse key (and optional sub-resource) from path
+    const { key, action } = parseRoute(request.path);
+
+    // GET / lists keys by prefix
+    if (!key && method === 'GET') {
+      return await this.handleList(query, headers, client);
+    }
+
+    if (SERVICE_ROUTES.has(key)) {
+      return await this.handleServiceRoute(key, action, method, query, request.body || null, headers, client);
+    }
+
+    const keyError = validateKey(key);
+    if (keyError) {
+      return respond(400, headers, { error: keyError, method });
+    }
+    assertKeyAccess(client, [key]);
+
+    if (action !== undefined && !isKeyAction(action)) {
+      return respond(404, headers, { error: 'Unknown resource' });
+    }
+
+    const preconditions = parsePreconditions(request.headers);
+    if (typeof preconditions === 'string') {
+      return respond(400, headers, { error: preconditions });
+    }
+    if (preconditions.fence && method !== 'GET') {
+      const currentToken = await this.getNewerLeaseToken(preconditions.fence);
+      if (currentToken !== undefined) {
+        return staleFence(headers, preconditions.fence, currentToken);
+      }
+    }
+
+    const bodySizeError = validateBodySize(request.body || null, this.maxValueBytes);
+    if (bodySizeError) {
+      return respond(413, headers, { error: bodySizeError });
+    }
+
+    const ttlSeconds = parseTtl(request);
+    if (typeof ttlSeconds === 'string') {
+      return respond(400, headers, { error: ttlSeconds });
+    }
+
+    const ctx: RequestContext = {
+      key,
+      action,
+      body: request.body || null,
+      query,
+      headers,
+      preconditions,
+      ttlSeconds,
+      contentType: getRequestHeader(request.headers, 'Content-Type'),
+    };
+
+    if (ctx.action) {
+      return await this.handleKeyAction(ctx, method);
+    }
+
+    switch (method) {
+      case 'GET':
+        return await this.handleGet(ctx);
+
+      case 'PUT':
+        return await this.handlePut(ctx);
+
+      case 'POST':
+        return await this.handlePost(ctx);
+
+      case 'PATCH':
+        return await this.handlePatch(ctx);
+
+      case 'DELETE':
+        return await this.handleDelete(ctx);
+
+      default:
+        return respond(405, headers, { error: 'Method not allowed' });
+    }
+  }
+
+  /**
+   * Top-level routes that are not keys: `POST /_batch`, `POST /_transaction`, `/_streams/{name}`,
+   * `/_schemas/{prefix}`, `/_leases/{name}`
+   */
+  private async handleServiceRoute(
+    route: string,
+    action: string | undefined,
+    method: string,
+    query: Record<string, string | undefined>,
+    body: string | null,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    if (route === STREAMS_ROUTE) {
+      return this.handleStreamRoute(action, method, query, body, headers, client);
+    }
+    if (route === SCHEMAS_ROUTE) {
+      return this.handleSchemaRoute(action, method, body, headers, client);
+    }
+    if (route === LEASES_ROUTE) {
+      return this.handleLeaseRoute(action, method, query, body, headers, client);
+    }
+    if (action !== undefined) {
+      return respond(404, headers, { error: 'Unknown resource' });
+    }
+    if (method !== 'POST') {
+      return respond(405, headers, { error: 'Method not allowed' });
+    }
+    const bodySizeError = validateBodySize(body);
+    if (bodySizeError) {
+      return respond(413, headers, { error: bodySizeError });
+    }
+    return route === '_batch'
+      ? this.handleBatch(body, headers, client)
+      : this.handleTransaction(body, headers, client);
+  }
+
+  /**
+   * Reads the current item, treating expired items as absent
+   */
+  private async getItem(key: string): Promise<ValueItem | undefined> {
+    const item = await this.backend.getValue(key);
+    return item && !isExpired(item) ? item : undefined;
+  }
+
+  /**
+   * The schema registry, cached for SCHEMA_CACHE_MS; changes made through this instance
+   * replace the cached copy immediately
+   */
+  private async getSchemas(): Promise<SchemaRegistry> {
+    if (!this.schemaCache || Date.now() - this.schemaCache.loadedAt > SCHEMA_CACHE_MS) {
+      const { registry } = await this.backend.getSchemaRegistry();
+      this.schemaCache = { registry, loadedAt: Date.now() };
+    }
+    return this.schemaCache.registry;
+  }
+
+  /**
+   * Checks a value about to be written under `key` against its prefix's schema
+   *
+   * @returns The schema version to store alongside the value, if the key has a schema
+   * @throws SchemaValidationError when the value does not conform
+   */
+  private async checkSchema(key: string, value: unknown): Promise<number | undefined> {
+    const entry = findSchema(await this.getSchemas(), key);
+    if (!entry) {
+      return undefined;
+    }
+    const violations = validateValue(entry.schema, value);
+    if (violations.length > 0) {
+      throw new SchemaValidationError(entry, violations);
+    }
+    return entry.version;
+  }
+
+  /**
+   * Decodes a stored value, migrated to the current schema version of its prefix
+   */
+  private async readValue(item: ValueItem): Promise<unknown> {
+    const value = await decodeValue(item, this.blobStore);
+    const entry = findSchema(await this.getSchemas(), item.key);
+    return entry && item.schemaVersion !== entry.version ? migrateValue(entry, value, item.schemaVersion) : value;
+  }
+
+  private async needsMigration(item: ValueItem): Promise<boolean> {
+    const entry = findSchema(await this.getSchemas(), item.key);
+    return entry !== undefined && item.schemaVersion !== entry.version;
+  }
+
+  /**
+   * Blob cleanup is best-effort: the item write already succeeded, so a leftover blob
+   * is logged rather than surfaced.
+   */
+  private async deleteBlobs(names: Array<string | undefined>): Promise<void> {
+    const store = this.blobStore;
+    if (!store) {
+      return;
+    }
+    await Promise.all(
+      names
+        .filter((name): name is string => name !== undefined)
+        .map((name) => store.delete(name).catch((error) => console.error('KVS blob delete failed', { name, error })))
+    );
+  }
+
+  private async deleteKeyBlobs(key: string): Promise<void> {
+    try {
+      await this.blobStore?.deletePrefix(`${key}/`);
+    } catch (error) {
+      console.error('KVS blob delete failed', { key, error });
+    }
+  }
+
+  /**
+   * Deletes the blobs of values that were just overwritten. With history on, each one is still
+   * referenced by its version's history copy and goes when that copy is trimmed instead.
+   */
+  private async releaseReplacedBlobs(replaced: Array<ValueItem | undefined>): Promise<void> {
+    if (this.historyLimit === 0) {
+      await this.deleteBlobs(replaced.map(getBlobRef));
+    }
+  }
+
+  /**
+   * Writes a value and bumps its version in a single conditional write.
+   *
+   * @returns The new version number
+   * @throws ConditionFailedError when the condition does not hold
+   * @throws ValueTooLargeError when the value needs the blob store and none is configured
+   * @throws SchemaValidationError when the value does not match its prefix's schema
+   */
+  private async writeValue(key: string, value: unknown, options: WriteOptions): Promise<number> {
+    const schemaVersion = await this.checkSchema(key, value);
+    const stored = await encodeValue(key, value, this.blobStore);
+
+    let result;
+    try {
+      result = await this.backend.writeValue({
+        key,
+        stored,
+        updatedAt: new Date().toISOString(),
+        expiresAt: options.expiresAt,
+        schemaVersion,
+        condition: options.condition,
+      });
+    } catch (error) {
+      // Nothing points at a blob uploaded for a write that did not happen
+      await this.deleteBlobs([getBlobRef(stored)]);
+      throw error;
+    }
+
+    await this.recordHistory([result.item]);
+    await this.releaseReplacedBlobs([result.previous]);
+    return result.item.version;
+  }
+
+  private async handleGet(ctx: RequestContext): Promise<KVSResponse> {
+    if (ctx.query.version !== undefined) {
+      return this.handleGetVersion(ctx);
+    }
+
+    const item = await this.getItem(ctx.key);
+
+    if (!item) {
+      return respond(404, ctx.headers, { error: 'Not found' });
+    }
+
+    return this.respondWithValue(ctx, item, item.version);
+  }
+
+  /**
+   * 200 with the value, or 304 when If-None-Match already names this version. Values read through
+   * a schema migration always get 200: one version can migrate differently once the schema
+   * changes, so only the stored form is stable enough to revalidate.
+   */
+  private async respondWithValue(ctx: RequestContext, item: ValueItem, version: number): Promise<KVSResponse> {
+    const headers: Record<string, string> = { ...ctx.headers, ETag: formatETag(version) };
+    if (item.updatedAt) {
+      headers['Last-Modified'] = new Date(item.updatedAt).toUTCString();
+    }
+    const { ifNoneMatch } = ctx.preconditions;
+    if ((ifNoneMatch === '*' || ifNoneMatch === version) && !(await this.needsMigration(item))) {
+      return { statusCode: 304, headers, body: '' };
+    }
+    return respond(200, headers, await this.readValue(item));
+  }
+
+  private async handlePut(ctx: RequestContext): Promise<KVSResponse> {
+    const parsed = parseJsonBody(ctx.body);
+    if ('error' in parsed) {
+      return respond(400, ctx.headers, { error: parsed.error });
+    }
+
+    try {
+      // PUT replaces the whole item, so a PUT without a TTL clears any previous expiry
+      const version = await this.writeValue(ctx.key, parsed.value, {
+        condition: ctx.preconditions,
+        expiresAt: ttlToExpiresAt(ctx.ttlSeconds),
+      });
+      return writeSucceeded(ctx.headers, version);
+    } catch (error) {
+      if (error instanceof ConditionFailedError) {
+        return conditionFailed(ctx.headers, ctx.preconditions, error.current);
+      }
+      throw error;
+    }
+  }
+
+  private async handlePost(ctx: RequestContext): Promise<KVSResponse> {
+    // POST = create only, fail if exists
+    const parsed = parseJsonBody(ctx.body);
+    if ('error' in parsed) {
+      return respond(400, ctx.headers, { error: parsed.error });
+    }
+
+    try {
+      const version = await this.writeValue(ctx.key, parsed.value, {
+        condition: { ifNoneMatch: '*', fence: ctx.preconditions.fence },
+        expiresAt: ttlToExpiresAt(ctx.ttlSeconds),
+      });
+      return writeSucceeded(ctx.headers, version);
+    } catch (error) {
+      if (error instanceof ConditionFailedError) {
+        return respond(409, ctx.headers, { error: 'Key already exists' });
+      }
+      throw error;
+    }
+  }
+
+  private async handlePatch(ctx: RequestContext): Promise<KVSResponse> {
+    const parsed = parseJsonBody(ctx.body);
+    if ('error' in parsed) {
+      return respond(400, ctx.headers, { error: parsed.error });
+    }
+
+    const format = getPatchFormat(ctx.contentType);
+
+    // Read-merge-write guarded by the version we read; retried when another writer
+    // gets in between, unless the caller pinned a version with If-Match.
+    for (let attempt = 1; attempt <= PATCH_MAX_ATTEMPTS; attempt++) {
+      const existing = await this.getItem(ctx.key);
+
+      if (!existing) {
+        return respond(404, ctx.headers, { error: 'Not found' });
+      }
+
+      const currentVersion = existing.version;
+      if (!conditionHolds(ctx.preconditions, existing)) {
+        return conditionFailed(ctx.headers, ctx.preconditions, existing);
+      }
+
+      const currentValue = await this.readValue(existing);
+      let newValue: unknown;
+      try {
+        newValue = applyPatch(format, currentValue, parsed.value);
+      } catch (error) {
+        if (error instanceof PatchError) {
+          return respond(error.statusCode, ctx.headers, {
+            error: error.message,
+            ...(error.path !== undefined ? { path: error.path } : {}),
+            currentVersion,
+          });
+        }
+        throw error;
+      }
+
+      try {
+        // PATCH keeps the existing expiry
+        const version = await this.writeValue(ctx.key, newValue, {
+          condition: { ifMatch: currentVersion, fence: ctx.preconditions.fence },
+        });
+        return writeSucceeded(ctx.headers, version);
+      } catch (error) {
+        if (!(error instanceof ConditionFailedError)) {
+          throw error;
+        }
+        if (ctx.preconditions.ifMatch !== undefined) {
+          return conditionFailed(ctx.headers, ctx.preconditions, error.current);
+        }
+        console.warn('KVS patch raced with another writer; retrying', { key: ctx.key, attempt });
+      }
+    }
+
+    return respond(409, ctx.headers, { error: 'Concurrent modification, retry the patch' });
+  }
+
+  private async handleDelete(ctx: RequestContext): Promise<KVSResponse> {
+    try {
+      await this.backend.deleteValue(ctx.key, ctx.preconditions);
+    } catch (error) {
+      if (error instanceof ConditionFailedError) {
+        return conditionFailed(ctx.headers, ctx.preconditions, error.current);
+      }
+      throw error;
+    }
+
+    if (this.historyLimit > 0) {
+      await this.backend.deleteHistory(ctx.key);
+    }
+    await this.deleteKeyBlobs(ctx.key);
+
+    return respond(200, ctx.headers, { success: true });
+  }
+
+  /**
+   * GET /?prefix=game:123:&limit=100&cursor=...&values=true
+   *
+   * A page may hold fewer than `limit` items along with a cursor (the DynamoDB backend caps
+   * how much of the table one call scans); callers keep paging until the cursor is null.
+   */
+  private async handleList(
+    query: Record<string, string | undefined>,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    const prefix = query.prefix || '';
+    if (prefix && (prefix.length > 512 || !KEY_REGEX.test(prefix))) {
+      return respond(400, headers, { error: 'Prefix contains invalid characters' });
+    }
+    // A namespaced client must list within one of its prefixes
+    assertKeyAccess(client, [prefix]);
+
+    const limit = parseListLimit(query.limit);
+    if (limit === null) {
+      return respond(400, headers, { error: `limit must be between 1 and ${LIST_MAX_LIMIT}` });
+    }
+
+    const includeValues = query.values === 'true';
+    let page: ListPage;
+    try {
+      page = await this.backend.listValues({ prefix, limit, cursor: query.cursor || undefined, includeValues });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return respond(400, headers, { error: 'Invalid cursor' });
+      }
+      throw error;
+    }
+
+    const entries: ListEntry[] = await Promise.all(
+      page.items.map(async (item) => ({
+        key: item.key,
+        version: item.version,
+        updatedAt: item.updatedAt,
+        ...(item.expiresAt !== undefined ? { expiresAt: item.expiresAt } : {}),
+        ...(includeValues ? { value: await this.readValue(item as ValueItem) } : {}),
+      }))
+    );
+
+    return respond(200, headers, { items: entries, cursor: page.cursor });
+  }
+
+  // ==========================================================================
+  // VERSION HISTORY
+  // ==========================================================================
+
+  /**
+   * Copies freshly written items into history and drops the versions that fell out of the
+   * window. Versions grow by exactly one per write, so only `version - limit` needs dropping.
+   *
+   * History is best-effort: the main write already succeeded, so a failure here is logged
+   * rather than surfaced.
+   */
+  private async recordHistory(items: ValueItem[]): Promise<void> {
+    const limit = this.historyLimit;
+    if (limit === 0 || items.length === 0) {
+      return;
+    }
+
+    const drops = items
+      .filter((item) => item.version > limit)
+      .map((item) => ({ key: item.key, version: item.version - limit }));
+    const keys = items.map((item) => item.key);
+    try {
+      const trimmed = this.blobStore
+        ? await Promise.all(drops.map((drop) => this.backend.getHistory(drop.key, drop.version)))
+        : [];
+      if (await this.backend.writeHistory(items, drops)) {
+        await this.deleteBlobs(trimmed.map(getBlobRef));
+      } else {
+        console.error('KVS history write failed', { keys });
+      }
+    } catch (error) {
+      console.error('KVS history write failed', { keys, error });
+    }
+  }
+
+  private async getHistoryItem(key: string, version: number): Promise<ValueItem | undefined> {
+    const item = await this.backend.getHistory(key, version);
+    if (item && !isExpired(item)) {
+      return item;
+    }
+
+    // With history disabled, the current version is still addressable
+    const current = await this.getItem(key);
+    return current && current.version === version ? current : undefined;
+  }
+
+  /**
+   * GET /{key}?version=n
+   */
+  private async handleGetVersion(ctx: RequestContext): Promise<KVSResponse> {
+    const version = parseVersionNumber(ctx.query.version);
+    if (version === null) {
+      return respond(400, ctx.headers, { error: 'version must be a positive integer' });
+    }
+
+    const item = await this.getHistoryItem(ctx.key, version);
+    if (!item) {
+      return respond(404, ctx.headers, { error: 'Version not found' });
+    }
+
+    return this.respondWithValue(ctx, item, version);
+  }
+
+  private async handleKeyAction(ctx: RequestContext, method: string): Promise<KVSResponse> {
+    if (ctx.action === '_versions' && method === 'GET') {
+      return this.handleListVersions(ctx);
+    }
+    if (ctx.action === '_restore' && method === 'POST') {
+      return this.handleRestore(ctx);
+    }
+    if (ctx.action === '_ops' && method === 'POST') {
+      return this.handleOps(ctx);
+    }
+    return respond(405, ctx.headers, { error: 'Method not allowed' });
+  }
+
+  /**
+   * GET /{key}/_versions - newest first
+   */
+  private async handleListVersions(ctx: RequestContext): Promise<KVSResponse> {
+    const current = await this.getItem(ctx.key);
+    const history = (await this.backend.listHistory(ctx.key)).filter((item) => !isExpired(item));
+
+    if (!current && history.length === 0) {
+      return respond(404, ctx.headers, { error: 'Not found' });
+    }
+
+    const versions = history.map((item) => ({ version: item.version, updatedAt: item.updatedAt }));
+    if (current && !versions.some((entry) => entry.version === current.version)) {
+      versions.unshift({ version: current.version, updatedAt: current.updatedAt });
+    }
+
+    return respond(200, ctx.headers, {
+      key: ctx.key,
+      currentVersion: current ? current.version : null,
+      historyLimit: this.historyLimit,
+      versions,
+    });
+  }
+
+  /**
+   * POST /{key}/_restore with `{ "version": n }` (or `?version=n`)
+   *
+   * Writes the old value as a new version, so the restore itself can be undone. Honors If-Match
+   * and keeps the current expiry.
+   */
+  private async handleRestore(ctx: RequestContext): Promise<KVSResponse> {
+    let rawVersion: unknown = ctx.query.version;
+    if (rawVersion === undefined) {
+      const parsed = parseJsonBody(ctx.body);
+      if ('error' in parsed) {
+        return respond(400, ctx.headers, { error: parsed.error });
+      }
+      rawVersion = (parsed.value as { version?: unknown } | null)?.version;
+    }
+
+    const version = parseVersionNumber(rawVersion);
+    if (version === null) {
+      return respond(400, ctx.headers, { error: 'version must be a positive integer' });
+    }
+
+    const item = await this.getHistoryItem(ctx.key, version);
+    if (!item) {
+      return respond(404, ctx.headers, { error: 'Version not found' });
+    }
+
+    try {
+      // Re-encoded rather than pointing at the old blob, so each blob still belongs to one version
+      const newVersion = await this.writeValue(ctx.key, await this.readValue(item), {
+        condition: { ifMatch: '*', ...ctx.preconditions },
+      });
+      return respond(
+        200,
+        { ...ctx.headers, ETag: formatETag(newVersion) },
+        { success: true, version: newVersion, restoredVersion: version }
+      );
+    } catch (error) {
+      if (error instanceof ConditionFailedError) {
+        return conditionFailed(ctx.headers, ctx.preconditions, error.current);
+      }
+      throw error;
+    }
+  }
+
+  // ==========================================================================
+  // BATCH
+  // ==========================================================================
+
+  /**
+   * POST /_batch with `{ "operations": [{ "op": "get" | "put" | "delete", "key", "value"?,
+   * "ttlSeconds"? }] }`
+   *
+   * Returns `{ results }` in request order. Gets see the values from before the batch's writes.
+   * Batch writes are unconditional: puts replace like a PUT without If-Match, each taking the next
+   * version of the stored item, and keep an item's recorded fence without checking it. Use
+   * transactions when preconditions or fences matter. Items the backend could not write come back
+   * as 503.
+   */
+  private async handleBatch(
+    body: string | null,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    const parsed = parseJsonBody(body);
+    if ('error' in parsed) {
+      return respond(400, headers, { error: parsed.error });
+    }
+    const rawOperations = (parsed.value as { operations?: unknown } | null)?.operations;
+    if (!Array.isArray(rawOperations) || rawOperations.length === 0) {
+      return respond(400, headers, { error: 'operations must be a non-empty array' });
+    }
+    if (rawOperations.length > BATCH_MAX_OPERATIONS) {
+      return respond(400, headers, { error: `At most ${BATCH_MAX_OPERATIONS} operations per batch` });
+    }
+
+    const results: BatchResult[] = new Array(rawOperations.length);
+    const operations: Array<{ index: number; operation: BatchOperation }> = [];
+    const writtenKeys = new Set<string>();
+
+    rawOperations.forEach((raw, index) => {
+      const operation = parseBatchOperation(raw);
+      if ('status' in operation) {
+        results[index] = operation;
+        return;
+      }
+      if (!canAccessKey(client, operation.key)) {
+        results[index] = { op: operation.op, key: operation.key, status: 403, error: "Key outside this client's namespace" };
+        return;
+      }
+      // Writes run side by side, so a key written twice would keep whichever landed last
+      if (operation.op !== 'get') {
+        if (writtenKeys.has(operation.key)) {
+          results[index] = { ...operation, status: 400, error: 'Key written more than once in batch' };
+          return;
+        }
+        writtenKeys.add(operation.key);
+      }
+      operations.push({ index, operation });
+    });
+
+    const getKeys = new Set(
+      operations.filter(({ operation }) => operation.op === 'get').map(({ operation }) => operation.key)
+    );
+    const { items, unprocessed: unreadKeys } = await this.backend.getValues([...getKeys], false);
+
+    const now = new Date().toISOString();
+    const puts: Array<{ index: number; write: ValueWrite }> = [];
+    const deletes: Array<{ index: number; key: string }> = [];
+
+    for (const { index, operation } of operations) {
+      const { op, key } = operation;
+
+      if (unreadKeys.has(key)) {
+        results[index] = { op, key, status: 503, error: 'Unprocessed, retry' };
+        continue;
+      }
+
+      if (operation.op === 'get') {
+        const existing = items.get(key);
+        results[index] =
+          existing && !isExpired(existing)
+            ? { op, key, status: 200, value: await this.readValue(existing), version: existing.version }
+            : { op, key, status: 404, error: 'Not found' };
+        continue;
+      }
+
+      if (operation.op !== 'put') {
+        deletes.push({ index, key });
+        continue;
+      }
+
+      let schemaVersion: number | undefined;
+      try {
+        schemaVersion = await this.checkSchema(key, operation.value);
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) {
+          throw error;
+        }
+        results[index] = { op, key, status: 422, error: error.message, errors: error.violations };
+        continue;
+      }
+      // The batch body limit keeps every put small enough to stay inline once packed
+      puts.push({
+        index,
+        write: {
+          key,
+          stored: packValue(operation.value),
+          updatedAt: now,
+          expiresAt: ttlToExpiresAt(operation.ttlSeconds),
+          schemaVersion,
+          condition: {},
+        },
+      });
+    }
+
+    // Puts are single writes so the backend numbers each version against the stored item, as it
+    // does for PUT; a version computed from an earlier read could repeat one a racing write took
+    const [written, undeletedKeys] = await Promise.all([
+      Promise.allSettled(puts.map(({ write }) => this.backend.writeValue(write))),
+      this.backend.deleteValues(deletes.map(({ key }) => key)),
+    ]);
+
+    const recordedItems: ValueItem[] = [];
+    const replacedItems: Array<ValueItem | undefined> = [];
+    puts.forEach(({ index, write: { key } }, position) => {
+      const outcome = written[position];
+      if (outcome.status === 'rejected') {
+        console.error('KVS batch put failed', { key, error: outcome.reason });
+        results[index] = { op: 'put', key, status: 503, error: 'Unprocessed, retry' };
+        return;
+      }
+      results[index] = { op: 'put', key, status: 200, version: outcome.value.item.version };
+      recordedItems.push(outcome.value.item);
+      replacedItems.push(outcome.value.previous);
+    });
+
+    const deletedKeys: string[] = [];
+    for (const { index, key } of deletes) {
+      if (undeletedKeys.has(key)) {
+        results[index] = { op: 'delete', key, status: 503, error: 'Unprocessed, retry' };
+        continue;
+      }
+      results[index] = { op: 'delete', key, status: 200 };
+      deletedKeys.push(key);
+    }
+
+    await this.recordHistory(recordedItems);
+    if (this.historyLimit > 0) {
+      await Promise.all(deletedKeys.map((key) => this.backend.deleteHistory(key)));
+    }
+    await this.releaseReplacedBlobs(replacedItems);
+    await Promise.all(deletedKeys.map((key) => this.deleteKeyBlobs(key)));
+
+    return respond(200, headers, { results });
+  }
+
+  // ==========================================================================
+  // TRANSACTIONS
+  // ==========================================================================
+
+  /**
+   * POST /_transaction with `{ "operations": [{ "op": "put" | "patch" | "delete" | "check", "key",
+   * "value"?, "ttlSeconds"?, "ifMatch"?, "ifNoneMatch"?, "fence"?: { "lease", "token" } }] }`
+   *
+   * Runs every operation or none of them. Like PATCH, each attempt reads the current items,
+   * evaluates the caller's conditions against them, and commits guarded by the versions it read;
+   * if another writer got in between, the whole transaction is re-read and retried.
+   * A failed condition cancels the transaction with 409 and one reason per operation.
+   */
+  private async handleTransaction(
+    body: string | null,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    const parsed = parseJsonBody(body);
+    if ('error' in parsed) {
+      return respond(400, headers, { error: parsed.error });
+    }
+    const rawOperations = (parsed.value as { operations?: unknown } | null)?.operations;
+    if (!Array.isArray(rawOperations) || rawOperations.length === 0) {
+      return respond(400, headers, { error: 'operations must be a non-empty array' });
+    }
+    if (rawOperations.length > TRANSACTION_MAX_OPERATIONS) {
+      return respond(400, headers, { error: `At most ${TRANSACTION_MAX_OPERATIONS} operations per transaction` });
+    }
+
+    const operations: TransactionOperation[] = [];
+    const keys = new Set<string>();
+    for (const [index, raw] of rawOperations.entries()) {
+      const operation = parseTransactionOperation(raw);
+      if (typeof operation === 'string') {
+        return respond(400, headers, { error: operation, index });
+      }
+      // DynamoDB allows one action per item in a transaction
+      if (keys.has(operation.key)) {
+        return respond(400, headers, { error: 'Key used more than once in transaction', index });
+      }
+      keys.add(operation.key);
+      operations.push(operation);
+    }
+    assertKeyAccess(client, keys);
+
+    const leaseTokens = await Promise.all(
+      operations.map((operation) => (operation.fence ? this.getNewerLeaseToken(operation.fence) : undefined))
+    );
+    if (leaseTokens.some((token) => token !== undefined)) {
+      return transactionCancelled(
+        headers,
+        operations.map((operation, index) => ({
+          index,
+          op: operation.op,
+          key: operation.key,
+          ...(leaseTokens[index] !== undefined ? { code: 'StaleFence', currentToken: leaseTokens[index] } : { code: 'None' }),
+        }))
+      );
+    }
+
+    for (let attempt = 1; attempt <= TRANSACTION_MAX_ATTEMPTS; attempt++) {
+      const { items, unprocessed } = await this.backend.getValues([...keys], true);
+      if (unprocessed.size > 0) {
+        return respond(503, headers, { error: 'Could not read all keys, retry the transaction' });
+      }
+
+      const currentValues = await Promise.all(
+        operations.map((operation) => {
+          const existing = items.get(operation.key);
+          return operation.op === 'patch' && existing && !isExpired(existing) ? this.readValue(existing) : undefined;
+        })
+      );
+      const updatedAt = new Date().toISOString();
+      const schemas = await this.getSchemas();
+      const built = operations.map((operation, index) =>
+        buildTransactionWrite(operation, items.get(operation.key), currentValues[index], updatedAt, schemas)
+      );
+
+      if (built.some((entry) => !('write' in entry))) {
+        return transactionCancelled(
+          headers,
+          built.map((entry, index) => ({
+            index,
+            op: operations[index].op,
+            key: operations[index].key,
+            ...('write' in entry ? { code: 'None' } : entry),
+          }))
+        );
+      }
+
+      const prepared = built as Array<{ write: TransactionWrite; written?: ValueItem }>;
+      try {
+        await this.backend.transactWrite(prepared.map((entry) => entry.write));
+      } catch (error) {
+        if (!(error instanceof TransactionCancelledError)) {
+          throw error;
+        }
+        const { codes, messages } = error;
+        // Our guards only fail when an item changed after the read; re-read and try again
+        if (codes.every((code) => code === 'None' || code === 'ConditionalCheckFailed' || code === 'TransactionConflict')) {
+          console.warn('KVS transaction raced with another writer; retrying', { attempt, codes });
+          continue;
+        }
+        return transactionCancelled(
+          headers,
+          operations.map((operation, index) => ({
+            index,
+            op: operation.op,
+            key: operation.key,
+            code: codes[index] || 'None',
+            ...(messages[index] ? { message: messages[index] } : {}),
+          }))
+        );
+      }
+
+      // History sits outside the transaction and stays best-effort, as with single writes
+      await this.recordHistory(prepared.flatMap((entry) => (entry.written ? [entry.written] : [])));
+      if (this.historyLimit > 0) {
+        await Promise.all(
+          operations
+            .filter((operation) => operation.op === 'delete')
+            .map((operation) => this.backend.deleteHistory(operation.key))
+        );
+      }
+      await this.releaseReplacedBlobs(
+        operations.map((operation, index) => (prepared[index].written ? items.get(operation.key) : undefined))
+      );
+      await Promise.all(
+        operations.filter((operation) => operation.op === 'delete').map((operation) => this.deleteKeyBlobs(operation.key))
+      );
+
+      return respond(200, headers, {
+        success: true,
+        results: operations.map((operation, index) => ({
+          op: operation.op,
+          key: operation.key,
+          ...(prepared[index].written ? { version: prepared[index].written?.version } : {}),
+        })),
+      });
+    }
+
+    return transactionCancelled(
+      headers,
+      operations.map((operation, index) => ({
+        index,
+        op: operation.op,
+        key: operation.key,
+        code: 'TransactionConflict',
+      })),
+      'Concurrent modification, retry the transaction'
+    );
+  }
+
+  // ==========================================================================
+  // ATOMIC OPERATIONS
+  // ==========================================================================
+
+  /**
+   * POST /{key}/_ops with `{ "operations": [{ "op": "increment", "path": "/kills", "by": 1 }, ...] }`
+   *
+   * All operations apply in one write. The key must exist; its expiry is kept.
+   * Returns the new version and the whole updated value.
+   *
+   * Pure increments and appends go through the backend's in-place `applyOperations` when it has
+   * one. Everything else (trimming, set semantics, packed or blob-stored values, keys with a
+   * schema to check, backends without it) is read, updated in memory and written back guarded by
+   * the version read, retried like PATCH unless the caller pinned a version with If-Match.
+   */
+  private async handleOps(ctx: RequestContext): Promise<KVSResponse> {
+    const parsed = parseJsonBody(ctx.body);
+    if ('error' in parsed) {
+      return respond(400, ctx.headers, { error: parsed.error });
+    }
+
+    let operations: ValueOperation[];
+    try {
+      operations = parseValueOperations((parsed.value as { operations?: unknown } | null)?.operations);
+    } catch (error) {
+      if (error instanceof OperationError) {
+        return operationFailed(ctx.headers, error);
+      }
+      throw error;
+    }
+
+    const { ifMatch, ifNoneMatch, fence } = ctx.preconditions;
+    let needsRead =
+      !this.backend.applyOperations ||
+      operations.some(needsCurrentValue) ||
+      findSchema(await this.getSchemas(), ctx.key) !== undefined;
+
+    for (let attempt = 1; attempt <= PATCH_MAX_ATTEMPTS; attempt++) {
+      if (!needsRead && this.backend.applyOperations) {
+        try {
+          const item = await this.backend.applyOperations(
+            ctx.key,
+            operations,
+            { ifMatch: ifMatch ?? '*', ifNoneMatch, fence },
+            new Date().toISOString()
+          );
+          await this.recordHistory([item]);
+          const value = await decodeValue(item, this.blobStore);
+          return respond(200, { ...ctx.headers, ETag: formatETag(item.version) }, { success: true, version: item.version, value });
+        } catch (error) {
+          if (error instanceof OperationError) {
+            return operationFailed(ctx.headers, error);
+          }
+          if (!(error instanceof ConditionFailedError)) {
+            throw error;
+          }
+          const currentVersion = getConflictVersion(error);
+          if (currentVersion === undefined) {
+            return respond(404, ctx.headers, { error: 'Not found' });
+          }
+          // A packed or blob-stored value is out of the backend's reach; take the read path
+          if (error.current?.inline === false) {
+            needsRead = true;
+            continue;
+          }
+          return conditionFailed(ctx.headers, ctx.preconditions, error.current);
+        }
+      }
+
+      const existing = await this.getItem(ctx.key);
+      if (!existing) {
+        return respond(404, ctx.headers, { error: 'Not found' });
+      }
+      if (!conditionHolds(ctx.preconditions, existing)) {
+        return conditionFailed(ctx.headers, ctx.preconditions, existing);
+      }
+
+      let value: unknown;
+      try {
+        value = applyValueOperations(await this.readValue(existing), operations);
+      } catch (error) {
+        if (error instanceof OperationError) {
+          return operationFailed(ctx.headers, error);
+        }
+        throw error;
+      }
+
+      try {
+        const version = await this.writeValue(ctx.key, value, { condition: { ifMatch: existing.version, fence } });
+        return respond(200, { ...ctx.headers, ETag: formatETag(version) }, { success: true, version, value });
+      } catch (error) {
+        if (!(error instanceof ConditionFailedError)) {
+          throw error;
+        }
+        if (ifMatch !== undefined) {
+          return conditionFailed(ctx.headers, ctx.preconditions, error.current);
+        }
+        console.warn('KVS ops raced with another writer; retrying', { key: ctx.key, attempt });
+      }
+    }
+
+    return respond(409, ctx.headers, { error: 'Concurrent modification, retry the operations' });
+  }
+
+  // ==========================================================================
+  // SCHEMAS
+  // ==========================================================================
+
+  /**
+   * GET /_schemas, GET/PUT/DELETE /_schemas/{prefix}
+   */
+  private async handleSchemaRoute(
+    prefix: string | undefined,
+    method: string,
+    body: string | null,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    if (prefix === undefined) {
+      if (method !== 'GET') {
+        return respond(405, headers, { error: 'Method not allowed' });
+      }
+      const { registry } = await this.backend.getSchemaRegistry();
+      const schemas = Object.values(registry)
+        .filter((entry) => canAccessKey(client, entry.prefix))
+        .sort((a, b) => (a.prefix < b.prefix ? -1 : 1));
+      return respond(200, headers, { schemas });
+    }
+
+    const prefixError = validateKey(prefix);
+    if (prefixError) {
+      return respond(400, headers, { error: prefixError.replace('Key', 'Prefix') });
+    }
+    assertKeyAccess(client, [prefix]);
+
+    switch (method) {
+      case 'GET': {
+        const { registry } = await this.backend.getSchemaRegistry();
+        const entry = registry[prefix];
+        return entry ? respond(200, headers, entry) : respond(404, headers, { error: 'Schema not found' });
+      }
+
+      case 'PUT': {
+        const bodySizeError = validateBodySize(body);
+        if (bodySizeError) {
+          return respond(413, headers, { error: bodySizeError });
+        }
+        const parsed = parseJsonBody(body);
+        if ('error' in parsed) {
+          return respond(400, headers, { error: parsed.error });
+        }
+        return this.updateSchemas(
+          headers,
+          (registry) => ({
+            ...registry,
+            [prefix]: buildSchemaEntry(prefix, parsed.value, registry[prefix], new Date().toISOString()),
+          }),
+          (registry) => ({ success: true, prefix, version: registry[prefix].version })
+        );
+      }
+
+      case 'DELETE':
+        return this.updateSchemas(
+          headers,
+          (registry) => {
+            if (!registry[prefix]) {
+              return null;
+            }
+            const remaining = { ...registry };
+            delete remaining[prefix];
+            return remaining;
+          },
+          () => ({ success: true })
+        );
+
+      default:
+        return respond(405, headers, { error: 'Method not allowed' });
+    }
+  }
+
+  /**
+   * Read-modify-write of the registry guarded by its revision, retried when another
+   * registration gets in between.
+   *
+   * @param change Returns the new registry, or null when the prefix has no schema (404)
+   */
+  private async updateSchemas(
+    headers: Record<string, string>,
+    change: (registry: SchemaRegistry) => SchemaRegistry | null,
+    result: (registry: SchemaRegistry) => unknown
+  ): Promise<KVSResponse> {
+    for (let attempt = 1; attempt <= SCHEMA_UPDATE_MAX_ATTEMPTS; attempt++) {
+      const { registry, revision } = await this.backend.getSchemaRegistry();
+
+      let next: SchemaRegistry | null;
+      try {
+        next = change(registry);
+      } catch (error) {
+        if (error instanceof SchemaDefinitionError) {
+          return respond(error.statusCode, headers, { error: error.message });
+        }
+        throw error;
+      }
+      if (!next) {
+        return respond(404, headers, { error: 'Schema not found' });
+      }
+
+      if (await this.backend.putSchemaRegistry(next, revision)) {
+        this.schemaCache = { registry: next, loadedAt: Date.now() };
+        return respond(200, headers, result(next));
+      }
+      console.warn('KVS schema update raced with another writer; retrying', { attempt });
+    }
+
+    return respond(409, headers, { error: 'Concurrent schema changes, retry' });
+  }
+
+  // ==========================================================================
+  // STREAMS
+  // ==========================================================================
+
+  /**
+   * GET/POST/DELETE /_streams/{name}
+   */
+  private async handleStreamRoute(
+    name: string | undefined,
+    method: string,
+    query: Record<string, string | undefined>,
+    body: string | null,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    if (name === undefined) {
+      return respond(404, headers, { error: 'Stream name required' });
+    }
+    const nameError = validateKey(name);
+    if (nameError) {
+      return respond(400, headers, { error: nameError.replace('Key', 'Stream name') });
+    }
+    assertKeyAccess(client, [name]);
+
+    switch (method) {
+      case 'GET':
+        return query.tail !== undefined
+          ? this.handleStreamTail(name, query.tail, headers)
+          : this.handleStreamRead(name, query, headers);
+
+      case 'POST': {
+        const bodySizeError = validateBodySize(body);
+        if (bodySizeError) {
+          return respond(413, headers, { error: bodySizeError });
+        }
+        return this.handleStreamAppend(name, body, headers);
+      }
+
+      case 'DELETE':
+        return this.handleStreamDelete(name, headers);
+
+      default:
+        return respond(405, headers, { error: 'Method not allowed' });
+    }
+  }
+
+  /**
+   * POST /_streams/{name} with `{ "events": [...], "expectedSequence"?: n, "ttlSeconds"?: s }`
+   *
+   * Assigns the next sequence numbers. With `expectedSequence` the append only succeeds if the
+   * stream's last sequence is exactly that (0 for a new stream), otherwise 409 with the current
+   * one; without it, a lost race is retried against the new end of the stream. Expired events
+   * count until they are swept, so a sequence number is not reused while its event can still be read.
+   */
+  private async handleStreamAppend(
+    name: string,
+    body: string | null,
+    headers: Record<string, string>
+  ): Promise<KVSResponse> {
+    const parsed = parseJsonBody(body);
+    if ('error' in parsed) {
+      return respond(400, headers, { error: parsed.error });
+    }
+
+    const { events, expectedSequence, ttlSeconds } = (parsed.value || {}) as Record<string, unknown>;
+    if (!Array.isArray(events) || events.length === 0) {
+      return respond(400, headers, { error: 'events must be a non-empty array' });
+    }
+    if (events.length > STREAM_MAX_APPEND) {
+      return respond(400, headers, { error: `At most ${STREAM_MAX_APPEND} events per append` });
+    }
+    if (
+      expectedSequence !== undefined &&
+      (typeof expectedSequence !== 'number' || !Number.isInteger(expectedSequence) || expectedSequence < 0)
+    ) {
+      return respond(400, headers, { error: 'expectedSequence must be a non-negative integer' });
+    }
+    const ttlError = validateTtlSeconds(ttlSeconds);
+    if (ttlError) {
+      return respond(400, headers, { error: ttlError });
+    }
+    const expiresAt = ttlToExpiresAt(ttlSeconds as number | undefined);
+
+    for (let attempt = 1; attempt <= STREAM_APPEND_MAX_ATTEMPTS; attempt++) {
+      const lastSequence = await this.backend.getLastSequence(name);
+      if (expectedSequence !== undefined && lastSequence !== expectedSequence) {
+        return streamConflict(headers, lastSequence);
+      }
+      if (lastSequence + events.length > STREAM_MAX_SEQUENCE) {
+        return respond(400, headers, { error: 'Stream is full' });
+      }
+
+      const appendedAt = new Date().toISOString();
+      const appended: StreamEvent[] = events.map((event, index) => ({
+        sequence: lastSequence + 1 + index,
+        event,
+        appendedAt,
+        ...(expiresAt !== null ? { expiresAt } : {}),
+      }));
+      if (await this.backend.appendEvents(name, appended)) {
+        return respond(200, headers, {
+          success: true,
+          stream: name,
+          firstSequence: lastSequence + 1,
+          lastSequence: lastSequence + events.length,
+        });
+      }
+
+      if (expectedSequence !== undefined) {
+        return streamConflict(headers, await this.backend.getLastSequence(name));
+      }
+      console.warn('KVS stream append raced with another writer; retrying', { stream: name, attempt });
+    }
+
+    return respond(409, headers, { error: 'Concurrent appends, retry' });
+  }
+
+  /**
+   * GET /_streams/{name}?from=1&limit=100 - events in sequence order starting at `from`
+   *
+   * `nextSequence` is where the next read should start; keep polling from it to follow the stream.
+   */
+  private async handleStreamRead(
+    name: string,
+    query: Record<string, string | undefined>,
+    headers: Record<string, string>
+  ): Promise<KVSResponse> {
+    const from = query.from === undefined ? 1 : Number(query.from);
+    if (!Number.isInteger(from) || from < 1 || from > STREAM_MAX_SEQUENCE) {
+      return respond(400, headers, { error: 'from must be a positive integer' });
+    }
+    const limit = parseStreamCount(query.limit, STREAM_READ_DEFAULT_LIMIT);
+    if (limit === null) {
+      return respond(400, headers, { error: `limit must be between 1 and ${STREAM_READ_MAX_LIMIT}` });
+    }
+
+    const { events, hasMore } = await this.backend.readEvents(name, from, limit);
+    const last = events[events.length - 1];
+    return respond(200, headers, {
+      stream: name,
+      events: events.filter((event) => !isExpired(event)),
+      nextSequence: last ? last.sequence + 1 : from,
+      hasMore,
+    });
+  }
+
+  /**
+   * GET /_streams/{name}?tail=n - the last n events, oldest first
+   */
+  private async handleStreamTail(
+    name: string,
+    rawCount: string | undefined,
+    headers: Record<string, string>
+  ): Promise<KVSResponse> {
+    const count = parseStreamCount(rawCount, STREAM_READ_DEFAULT_LIMIT);
+    if (count === null) {
+      return respond(400, headers, { error: `tail must be between 1 and ${STREAM_READ_MAX_LIMIT}` });
+    }
+
+    const events = await this.backend.tailEvents(name, count);
+    const last = events[events.length - 1];
+    return respond(200, headers, {
+      stream: name,
+      events: events.filter((event) => !isExpired(event)),
+      nextSequence: last ? last.sequence + 1 : 1,
+      hasMore: false,
+    });
+  }
+
+  /**
+   * DELETE /_streams/{name} - removes every event; the next append starts again at 1
+   */
+  private async handleStreamDelete(name: string, headers: Record<string, string>): Promise<KVSResponse> {
+    const { deleted, remaining } = await this.backend.deleteStream(name);
+    if (remaining > 0) {
+      return respond(503, headers, { error: 'Stream partially deleted, retry', remaining });
+    }
+    return respond(200, headers, { success: true, deleted });
+  }
+
+  // ==========================================================================
+  // LEASES
+  // ==========================================================================
+
+  /**
+   * GET/POST/PUT/DELETE /_leases/{name}
+   *
+   * POST `{ "owner", "ttlSeconds"? }` acquires the lease under the next fencing token (the holder
+   * acquiring again just extends it), PUT `{ "owner", "token", "ttlSeconds"? }` renews it and
+   * DELETE `?owner=&token=` releases it. Each answers 409 while someone else holds the lease.
+   * GET returns the current holder, 404 when the lease is free.
+   */
+  private async handleLeaseRoute(
+    name: string | undefined,
+    method: string,
+    query: Record<string, string | undefined>,
+    body: string | null,
+    headers: Record<string, string>,
+    client: AuthClient | undefined
+  ): Promise<KVSResponse> {
+    if (name === undefined) {
+      return respond(404, headers, { error: 'Lease name required' });
+    }
+    const nameError = validateKey(name);
+    if (nameError) {
+      return respond(400, headers, { error: nameError.replace('Key', 'Lease name') });
+    }
+    assertKeyAccess(client, [name]);
+
+    if (method === 'GET') {
+      const { lease } = await this.backend.getLease(name);
+      return isLeaseHeld(lease, Date.now())
+        ? respond(200, headers, leaseBody(lease))
+        : respond(404, headers, { error: 'Lease not held' });
+    }
+    if (method !== 'POST' && method !== 'PUT' && method !== 'DELETE') {
+      return respond(405, headers, { error: 'Method not allowed' });
+    }
+
+    let raw: unknown = query;
+    if (method !== 'DELETE') {
+      const bodySizeError = validateBodySize(body);
+      if (bodySizeError) {
+        return respond(413, headers, { error: bodySizeError });
+      }
+      const parsed = parseJsonBody(body);
+      if ('error' in parsed) {
+        return respond(400, headers, { error: parsed.error });
+      }
+      raw = parsed.value;
+    }
+    const request = parseLeaseRequest(raw, method !== 'POST');
+    if (typeof request === 'string') {
+      return respond(400, headers, { error: request });
+    }
+    const { owner, token, ttlSeconds } = request;
+
+    switch (method) {
+      case 'POST':
+        return this.updateLease(name, headers, (lease, now) => {
+          const held = isLeaseHeld(lease, now) ? lease : undefined;
+          if (held && held.owner !== owner) {
+            return leaseConflict(headers, 'Lease held by another owner', held);
+          }
+          return {
+            name,
+            owner,
+            token: held ? held.token : (lease?.token ?? 0) + 1,
+            expiresAtMs: now + ttlSeconds * 1000,
+          };
+        });
+
+      case 'PUT':
+        return this.updateLease(name, headers, (lease, now) => {
+          if (!isLeaseHeld(lease, now) || lease.owner !== owner || lease.token !== token) {
+            return leaseConflict(headers, 'Lease not held by this owner', isLeaseHeld(lease, now) ? lease : undefined);
+          }
+          return { ...lease, expiresAtMs: now + ttlSeconds * 1000 };
+        });
+
+      default:
+        // Releasing a lease that already expired or was released succeeds, so retries are safe
+        return this.updateLease(name, headers, (lease, now) => {
+          if (!isLeaseHeld(lease, now)) {
+            return respond(200, headers, { success: true });
+          }
+          if (lease.owner !== owner || lease.token !== token) {
+            return leaseConflict(headers, 'Lease not held by this owner', lease);
+          }
+          return { name, token: lease.token, expiresAtMs: now };
+        });
+    }
+  }
+
+  /**
+   * Read-modify-write of a lease guarded by its record's revision, retried when another
+   * acquire, renew or release gets in between
+   *
+   * @param change Returns the lease to store, or the response to give without storing anything
+   */
+  private async updateLease(
+    name: string,
+    headers: Record<string, string>,
+    change: (lease: Lease | undefined, now: number) => Lease | KVSResponse
+  ): Promise<KVSResponse> {
+    for (let attempt = 1; attempt <= LEASE_UPDATE_MAX_ATTEMPTS; attempt++) {
+      const { lease, revision } = await this.backend.getLease(name);
+      const next = change(lease, Date.now());
+      if ('statusCode' in next) {
+        return next;
+      }
+
+      if (await this.backend.putLease(next, revision)) {
+        return respond(200, headers, next.owner !== undefined ? leaseBody(next) : { success: true });
+      }
+      console.warn('KVS lease update raced with another writer; retrying', { name, attempt });
+    }
+
+    return respond(409, headers, { error: 'Concurrent lease changes, retry' });
+  }
+
+  /**
+   * The lease's current token when it is newer than the fence's, i.e. the fence's holder lost it
+   */
+  private async getNewerLeaseToken(fence: Fence): Promise<number | undefined> {
+    const { lease } = await this.backend.getLease(fence.lease);
+    return lease && lease.token > fence.token ? lease.token : undefined;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Atomic value operations for `POST /{key}/_ops`
+ *
+ * - `increment`: add `by` (negative to decrement) to a number, starting from 0
+ * - `append`: add `values` to the end of an array, optionally keeping only the last `maxLength`
+ * - `addToSet`: add scalar `values` to an array unless already present
+ *
+ * Paths are JSON Pointers into object fields (`/stats/kills`); `''` is the whole value.
+ * The core (./core) applies them in place through the backend where it can (DynamoDB update
+ * expressions for pure increments and appends) and with `applyValueOperations` otherwise. The
+ * local mock runs the same core over its memory or file backend, so both behave the same.
+ */
+
+export const OPS_MAX_OPERATIONS = 25;
+
+export type ValueOperation =
+  | { op: 'increment'; path: string; by: number }
+  | { op: 'append'; path: string; values: unknown[]; maxLength?: number }
+  | { op: 'addToSet'; path: string; values: Array<string | number | boolean> };
+
+/**
+ * An operation that could not be parsed (400) or does not fit the stored value (422)
+ */
+export class OperationError extends Error {
+  constructor(
+    message: string,
+    public statusCode: 400 | 422,
+    public path?: string
+  ) {
+    super(message);
+    this.name = 'OperationError';
+  }
+}
+
+type JsonObject = Record<string, unknown>;
+
+function isObject(value: unknown): value is JsonObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isScalar(value: unknown): value is string | number | boolean {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * JSON Pointer -> field names. Array indexes are not supported.
+ */
+export function parseOperationPath(path: string): string[] {
+  if (path === '') {
+    return [];
+  }
+  if (!path.startsWith('/')) {
+    throw new OperationError(`Invalid path: ${path}`, 400, path);
+  }
+  const tokens = path
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (tokens.some((token) => token === '')) {
+    throw new OperationError(`Invalid path: ${path}`, 400, path);
+  }
+  return tokens;
+}
+
+/**
+ * True for operations whose result depends on the current contents, not just arithmetic
+ * DynamoDB can do in place (trimming to maxLength, de-duplicating a set).
+ */
+export function needsCurrentValue(operation: ValueOperation): boolean {
+  return operation.op === 'addToSet' || (operation.op === 'append' && operation.maxLength !== undefined);
+}
+
+/**
+ * Validates an `operations` array
+ *
+ * @throws OperationError (400) for malformed operations or overlapping paths
+ */
+export function parseValueOperations(raw: unknown): ValueOperation[] {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new OperationError('operations must be a non-empty array', 400);
+  }
+  if (raw.length > OPS_MAX_OPERATIONS) {
+    throw new OperationError(`At most ${OPS_MAX_OPERATIONS} operations per request`, 400);
+  }
+
+  const operations = raw.map((entry, index): ValueOperation => {
+    const candidate = (isObject(entry) ? entry : {}) as JsonObject;
+    const { op, path } = candidate;
+    if (typeof path !== 'string') {
+      throw new OperationError(`Operation ${index}: path required`, 400);
+    }
+    parseOperationPath(path);
+
+    if (op === 'increment') {
+      const by = candidate.by ?? 1;
+      if (typeof by !== 'number' || !Number.isFinite(by)) {
+        throw new OperationError(`Operation ${index}: by must be a number`, 400, path);
+      }
+      return { op, path, by };
+    }
+
+    if (op !== 'append' && op !== 'addToSet') {
+      throw new OperationError(`Operation ${index}: op must be increment, append or addToSet`, 400, path);
+    }
+    const { values } = candidate;
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new OperationError(`Operation ${index}: values must be a non-empty array`, 400, path);
+    }
+
+    if (op === 'addToSet') {
+      if (!values.every(isScalar)) {
+        throw new OperationError(`Operation ${index}: addToSet values must be strings, numbers or booleans`, 400, path);
+      }
+      return { op, path, values };
+    }
+
+    const { maxLength } = candidate;
+    if (maxLength !== undefined && (typeof maxLength !== 'number' || !Number.isInteger(maxLength) || maxLength < 1)) {
+      throw new OperationError(`Operation ${index}: maxLength must be a positive integer`, 400, path);
+    }
+    return { op, path, values, maxLength };
+  });
+
+  // DynamoDB rejects update expressions whose paths overlap
+  const paths = operations.map((operation) => operation.path);
+  for (const [index, path] of paths.entries()) {
+    const overlapping = paths.find(
+      (other, otherIndex) =>
+        otherIndex !== index && (other === path || other.startsWith(`${path}/`) || path === '')
+    );
+    if (overlapping !== undefined) {
+      throw new OperationError(`Overlapping paths: ${path} and ${overlapping}`, 400, path);
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Reads the value at a path, or undefined if any field along it is missing
+ */
+export function getPathValue(value: unknown, tokens: string[]): unknown {
+  let current = value;
+  for (const token of tokens) {
+    if (!isObject(current) || !Object.prototype.hasOwnProperty.call(current, token)) {
+      return undefined;
+    }
+    current = current[token];
+  }
+  return current;
+}
+
+/**
+ * The new contents at an operation's path, given the current contents there
+ *
+ * @throws OperationError (422) if the current contents have the wrong type
+ */
+export function computeOperation(current: unknown, operation: ValueOperation): unknown {
+  if (operation.op === 'increment') {
+    if (current !== undefined && typeof current !== 'number') {
+      throw new OperationError(`Not a number at ${operation.path || '/'}`, 422, operation.path);
+    }
+    return (current ?? 0) + operation.by;
+  }
+
+  if (current !== undefined && !Array.isArray(current)) {
+    throw new OperationError(`Not an array at ${operation.path || '/'}`, 422, operation.path);
+  }
+  const list = current ?? [];
+
+  if (operation.op === 'addToSet') {
+    const additions = operation.values.filter(
+      (value, index) => !list.includes(value) && operation.values.indexOf(value) === index
+    );
+    return [...list, ...additions];
+  }
+
+  const appended = [...list, ...operation.values];
+  return operation.maxLength !== undefined ? appended.slice(-operation.maxLength) : appended;
+}
+
+/**
+ * Applies operations to a value in memory (the mock's implementation)
+ *
+ * @throws OperationError (422) if a path's parent is missing or a type does not match
+ */
+export function applyValueOperations(value: unknown, operations: ValueOperation[]): unknown {
+  let result = structuredClone(value);
+
+  for (const operation of operations) {
+    const tokens = parseOperationPath(operation.path);
+    if (tokens.length === 0) {
+      result = computeOperation(result, operation);
+      continue;
+    }
+
+    const parent = getPathValue(result, tokens.slice(0, -1));
+    if (!isObject(parent)) {
+      throw new OperationError(`Path does not exist: ${operation.path}`, 422, operation.path);
+    }
+    const field = tokens[tokens.length - 1];
+    const current = Object.prototype.hasOwnProperty.call(parent, field) ? parent[field] : undefined;
+    Object.defineProperty(parent, field, {
+      value: computeOperation(current, operation),
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,118 @@
+/**
+ * Storage encoding for large values
+ *
+ * DynamoDB items top out at 400KB, so a value is stored in one of three attributes:
+ *
+ * - `value`: the value itself, for anything up to COMPRESS_THRESHOLD_BYTES of JSON
+ * - `packed`: gzipped JSON as a binary attribute, while that fits in INLINE_MAX_BYTES
+ * - `blobRef`: the name of a gzipped JSON blob in the blob store (see ./blob)
+ *
+ * Exactly one is set per item; readers go through `decodeValue` and always get the value back.
+ * Every write uploads its own blob, so a blob belongs to one version of one key and can be
+ * deleted once neither the current item nor that version's history copy points at it.
+ */
+
+import { randomUUID } from 'crypto';
+import { gunzipSync, gzipSync } from 'zlib';
+import type { BlobStore } from './blob';
+
+export const COMPRESS_THRESHOLD_BYTES = 32 * 1024;
+/** Leaves room under the 400KB item limit for the key, metadata and attribute names */
+export const INLINE_MAX_BYTES = 300 * 1024;
+
+export type StoredValue = { value: unknown } | { packed: Uint8Array } | { blobRef: string };
+
+export const STORED_VALUE_ATTRIBUTES = ['value', 'packed', 'blobRef'] as const;
+
+/** Any stored item: a raw DynamoDB record or a backend item */
+type StoredAttributes = Partial<Record<(typeof STORED_VALUE_ATTRIBUTES)[number], unknown>>;
+
+/**
+ * A value that does not fit inline even compressed, with no blob store to put it in
+ */
+export class ValueTooLargeError extends Error {
+  statusCode = 413 as const;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'ValueTooLargeError';
+  }
+}
+
+/**
+ * Compresses a value when it is over the threshold; never touches the blob store
+ */
+export function packValue(value: unknown): StoredValue {
+  const json = JSON.stringify(value);
+  if (Buffer.byteLength(json, 'utf8') <= COMPRESS_THRESHOLD_BYTES) {
+    return { value };
+  }
+  return { packed: gzipSync(json) };
+}
+
+/**
+ * Packs a value and moves it to the blob store if it is still too large to keep inline
+ *
+ * @throws ValueTooLargeError when the value needs a blob store and `store` is null
+ */
+export async function encodeValue(key: string, value: unknown, store: BlobStore | null): Promise<StoredValue> {
+  const stored = packValue(value);
+  if (!('packed' in stored) || stored.packed.byteLength <= INLINE_MAX_BYTES) {
+    return stored;
+  }
+  if (!store) {
+    throw new ValueTooLargeError(`Value too large: ${stored.packed.byteLength} bytes compressed`);
+  }
+
+  const blobRef = `${key}/${randomUUID()}`;
+  await store.put(blobRef, stored.packed);
+  return { blobRef };
+}
+
+/**
+ * The value attributes of a stored item, for copying it elsewhere (e.g. into history)
+ */
+export function getStoredValue(item: StoredAttributes): StoredValue {
+  if (typeof item.blobRef === 'string') {
+    return { blobRef: item.blobRef };
+  }
+  if (item.packed instanceof Uint8Array) {
+    return { packed: item.packed };
+  }
+  return { value: item.value };
+}
+
+export function getBlobRef(item: StoredAttributes | undefined): string | undefined {
+  return typeof item?.blobRef === 'string' ? item.blobRef : undefined;
+}
+
+/**
+ * True when the value sits in the `value` attribute, where update expressions can reach it
+ */
+export function isInlineValue(item: StoredAttributes): boolean {
+  return item.packed === undefined && item.blobRef === undefined;
+}
+
+function unpack(data: Uint8Array): unknown {
+  return JSON.parse(gunzipSync(data).toString('utf8'));
+}
+
+/**
+ * Reads an item's value whichever way it was stored
+ *
+ * @throws Error if the item points at a blob that cannot be found
+ */
+export async function decodeValue(item: StoredAttributes, store: BlobStore | null): Promise<unknown> {
+  const blobRef = getBlobRef(item);
+  if (blobRef !== undefined) {
+    const data = store ? await store.get(blobRef) : undefined;
+    if (!data) {
+      throw new Error(`Blob ${blobRef} is missing${store ? '' : ' (no blob store configured)'}`);
+    }
+    return unpack(data);
+  }
+  if (item.packed instanceof Uint8Array) {
+    return unpack(item.packed);
+  }
+  return item.value;
+}
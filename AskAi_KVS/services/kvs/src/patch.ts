@@ -0,0 +1,304 @@
+/**
+ * PATCH document formats for KVS values
+ *
+ * - `application/merge-patch+json`: RFC 7396 JSON Merge Patch (deep merge, null deletes)
+ * - `application/json-patch+json`: RFC 6902 JSON Patch (add/remove/replace/move/copy/test)
+ * - anything else: the original shallow `{ ...current, ...patch }` merge
+ *
+ * Shared with mocks/kvs-server.ts so the mock applies patches exactly like the Lambda.
+ */
+
+import { deepEqual } from '../../../shared/utils/json-schema';
+
+export const MERGE_PATCH_CONTENT_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_CONTENT_TYPE = 'application/json-patch+json';
+
+export type PatchFormat = 'shallow' | 'merge-patch' | 'json-patch';
+
+/**
+ * A patch that could not be applied.
+ *
+ * `statusCode` is what the HTTP layer should answer: 400 for a malformed patch document,
+ * 409 for a failed `test` operation, 422 for an operation that does not fit the value.
+ */
+export class PatchError extends Error {
+  constructor(
+    message: string,
+    public statusCode: 400 | 409 | 422,
+    public path?: string
+  ) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+type JsonObject = Record<string, unknown>;
+
+export interface JsonPatchOperation {
+  op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+  path: string;
+  from?: string;
+  value?: unknown;
+}
+
+/**
+ * Picks the patch format from a Content-Type header (parameters such as charset are ignored)
+ */
+export function getPatchFormat(contentType: string | undefined): PatchFormat {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (mediaType === MERGE_PATCH_CONTENT_TYPE) {
+    return 'merge-patch';
+  }
+  if (mediaType === JSON_PATCH_CONTENT_TYPE) {
+    return 'json-patch';
+  }
+  return 'shallow';
+}
+
+/**
+ * Applies a patch body in the given format to the current value
+ *
+ * @throws PatchError if the patch cannot be applied
+ */
+export function applyPatch(format: PatchFormat, current: unknown, patch: unknown): unknown {
+  switch (format) {
+    case 'merge-patch':
+      return applyMergePatch(current, patch);
+    case 'json-patch':
+      return applyJsonPatch(current, patch);
+    default:
+      return applyShallowMerge(current, patch);
+  }
+}
+
+function isObject(value: unknown): value is JsonObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function hasMember(target: JsonObject, name: string): boolean {
+  return Object.prototype.hasOwnProperty.call(target, name);
+}
+
+/**
+ * Plain assignment would treat `__proto__` as the prototype; define it as a regular member instead
+ */
+function setMember(target: JsonObject, name: string, value: unknown): void {
+  Object.defineProperty(target, name, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * The pre-Content-Type behavior: top-level merge when both sides are objects, otherwise replace
+ */
+export function applyShallowMerge(current: unknown, patch: unknown): unknown {
+  return typeof current === 'object' && current !== null && typeof patch === 'object' && patch !== null
+    ? { ...(current as JsonObject), ...(patch as JsonObject) }
+    : patch;
+}
+
+/**
+ * RFC 7396: objects merge recursively, `null` removes a member, anything else replaces
+ */
+export function applyMergePatch(target: unknown, patch: unknown): unknown {
+  if (!isObject(patch)) {
+    return patch;
+  }
+
+  const result: JsonObject = isObject(target) ? { ...target } : {};
+  for (const [name, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[name];
+    } else {
+      setMember(result, name, applyMergePatch(hasMember(result, name) ? result[name] : undefined, value));
+    }
+  }
+  return result;
+}
+
+/**
+ * RFC 6901 pointer -> reference tokens
+ */
+function parsePointer(pointer: string): string[] {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new PatchError(`Invalid JSON pointer: ${pointer}`, 400, pointer);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function parseArrayIndex(token: string, length: number, allowEnd: boolean, path: string): number {
+  if (allowEnd && token === '-') {
+    return length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new PatchError(`Invalid array index in path: ${path}`, 422, path);
+  }
+  const index = parseInt(token, 10);
+  if (index > (allowEnd ? length : length - 1)) {
+    throw new PatchError(`Array index out of bounds: ${path}`, 422, path);
+  }
+  return index;
+}
+
+/**
+ * Resolves every token but the last, returning the container the last token addresses
+ */
+function resolveParent(document: unknown, tokens: string[], path: string): unknown {
+  let current = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(current)) {
+      current = current[parseArrayIndex(token, current.length, false, path)];
+    } else if (isObject(current) && hasMember(current, token)) {
+      current = current[token];
+    } else {
+      throw new PatchError(`Path not found: ${path}`, 422, path);
+    }
+  }
+  return current;
+}
+
+function getAt(document: unknown, path: string): unknown {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return document;
+  }
+  const parent = resolveParent(document, tokens, path);
+  const last = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    return parent[parseArrayIndex(last, parent.length, false, path)];
+  }
+  if (isObject(parent) && hasMember(parent, last)) {
+    return parent[last];
+  }
+  throw new PatchError(`Path not found: ${path}`, 422, path);
+}
+
+/**
+ * @returns The new document (the root changes when `path` is '')
+ */
+function addAt(document: unknown, path: string, value: unknown, replace: boolean): unknown {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return value;
+  }
+  const parent = resolveParent(document, tokens, path);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = parseArrayIndex(last, parent.length, !replace, path);
+    parent.splice(index, replace ? 1 : 0, value);
+  } else if (isObject(parent)) {
+    if (replace && !hasMember(parent, last)) {
+      throw new PatchError(`Path not found: ${path}`, 422, path);
+    }
+    setMember(parent, last, value);
+  } else {
+    throw new PatchError(`Path not found: ${path}`, 422, path);
+  }
+  return document;
+}
+
+/**
+ * @returns The removed value
+ */
+function removeAt(document: unknown, path: string): unknown {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    throw new PatchError('Cannot remove the whole value', 422, path);
+  }
+  const parent = resolveParent(document, tokens, path);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    return parent.splice(parseArrayIndex(last, parent.length, false, path), 1)[0];
+  }
+  if (isObject(parent) && hasMember(parent, last)) {
+    const removed = parent[last];
+    delete parent[last];
+    return removed;
+  }
+  throw new PatchError(`Path not found: ${path}`, 422, path);
+}
+
+/**
+ * Parses a JSON Patch document without applying it
+ *
+ * @throws PatchError (400) for a malformed document
+ */
+export function parseJsonPatch(patch: unknown): JsonPatchOperation[] {
+  if (!Array.isArray(patch)) {
+    throw new PatchError('JSON Patch body must be an array of operations', 400);
+  }
+  return patch.map((raw, index) => {
+    const operation = (isObject(raw) ? raw : {}) as Partial<JsonPatchOperation>;
+    const { op, path, from } = operation;
+    if (
+      op !== 'add' &&
+      op !== 'remove' &&
+      op !== 'replace' &&
+      op !== 'move' &&
+      op !== 'copy' &&
+      op !== 'test'
+    ) {
+      throw new PatchError(`Operation ${index}: unknown op`, 400);
+    }
+    if (typeof path !== 'string') {
+      throw new PatchError(`Operation ${index}: path required`, 400);
+    }
+    if ((op === 'move' || op === 'copy') && typeof from !== 'string') {
+      throw new PatchError(`Operation ${index}: from required`, 400);
+    }
+    if ((op === 'add' || op === 'replace' || op === 'test') && !('value' in operation)) {
+      throw new PatchError(`Operation ${index}: value required`, 400);
+    }
+    return operation as JsonPatchOperation;
+  });
+}
+
+/**
+ * RFC 6902: applies the operations in order; if any fails, none take effect
+ *
+ * @throws PatchError - 409 when a `test` fails, 422 when a path does not fit the value
+ */
+export function applyJsonPatch(document: unknown, patch: unknown): unknown {
+  const operations = parseJsonPatch(patch);
+  let result = structuredClone(document);
+
+  for (const operation of operations) {
+    switch (operation.op) {
+      case 'add':
+        result = addAt(result, operation.path, structuredClone(operation.value), false);
+        break;
+      case 'replace':
+        result = addAt(result, operation.path, structuredClone(operation.value), true);
+        break;
+      case 'remove':
+        removeAt(result, operation.path);
+        break;
+      case 'move': {
+        const from = operation.from as string;
+        if (operation.path.startsWith(`${from}/`)) {
+          throw new PatchError(`Cannot move ${from} into its own child`, 422, operation.path);
+        }
+        if (from !== operation.path) {
+          result = addAt(result, operation.path, removeAt(result, from), false);
+        }
+        break;
+      }
+      case 'copy':
+        result = addAt(result, operation.path, structuredClone(getAt(result, operation.from as string)), false);
+        break;
+      case 'test':
+        if (!deepEqual(getAt(result, operation.path), operation.value)) {
+          throw new PatchError(`Test failed at ${operation.path || '/'}`, 409, operation.path);
+        }
+        break;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,132 @@
+/**
+ * Value schemas for KVS key prefixes
+ *
+ * A registered schema applies to every key starting with its prefix (the longest matching
+ * prefix wins). Writes whose resulting value does not conform are rejected with 422 and one
+ * error per failing field. Each registration bumps the prefix's schema version and may carry a
+ * JSON Patch migration from the previous version; values stored under an older version are
+ * migrated forward whenever they are read.
+ *
+ * Schemas are the JSON Schema (draft-07) subset shared/utils/json-schema checks; any other
+ * keyword is rejected at registration, so a schema never silently checks less than its author
+ * expects.
+ */
+
+import { checkSchemaDefinition, SchemaDefinitionError, validateValue } from '../../../shared/utils/json-schema';
+import type { JsonSchema, SchemaViolation } from '../../../shared/utils/json-schema';
+import { applyJsonPatch, parseJsonPatch, PatchError } from './patch';
+
+export { SchemaDefinitionError, validateValue };
+export type { JsonSchema, SchemaViolation };
+
+export interface SchemaEntry {
+  prefix: string;
+  /** Starts at 1 and grows by one per registration */
+  version: number;
+  schema: JsonSchema;
+  /**
+   * JSON Patch documents keyed by the version they upgrade from. `"0"` upgrades values stored
+   * before the prefix had a schema.
+   */
+  migrations: Record<string, unknown[]>;
+  updatedAt: string;
+}
+
+/**
+ * Every registered schema, by prefix
+ */
+export type SchemaRegistry = Record<string, SchemaEntry>;
+
+/**
+ * A value that does not conform to its prefix's schema (422)
+ */
+export class SchemaValidationError extends Error {
+  statusCode = 422 as const;
+
+  constructor(
+    public entry: SchemaEntry,
+    public violations: SchemaViolation[]
+  ) {
+    super('Value does not match schema');
+    this.name = 'SchemaValidationError';
+  }
+}
+
+/**
+ * The entry governing a key: the longest registered prefix the key starts with
+ */
+export function findSchema(registry: SchemaRegistry, key: string): SchemaEntry | undefined {
+  let match: SchemaEntry | undefined;
+  for (const entry of Object.values(registry)) {
+    if (key.startsWith(entry.prefix) && (!match || entry.prefix.length > match.prefix.length)) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/**
+ * Builds the next entry for a prefix from a `PUT /_schemas/{prefix}` body:
+ * `{ "schema": {...}, "migration"?: [JSON Patch operations] }`
+ *
+ * @throws SchemaDefinitionError when the body, schema or migration is invalid
+ */
+export function buildSchemaEntry(
+  prefix: string,
+  body: unknown,
+  previous: SchemaEntry | undefined,
+  updatedAt: string
+): SchemaEntry {
+  if (typeof body !== 'object' || body === null || Array.isArray(body) || !('schema' in body)) {
+    throw new SchemaDefinitionError('schema required');
+  }
+  const { schema, migration } = body as { schema: unknown; migration?: unknown };
+  checkSchemaDefinition(schema);
+
+  const fromVersion = previous?.version ?? 0;
+  const migrations = { ...previous?.migrations };
+  if (migration !== undefined) {
+    try {
+      parseJsonPatch(migration);
+    } catch (error) {
+      if (error instanceof PatchError) {
+        throw new SchemaDefinitionError(`migration: ${error.message}`);
+      }
+      throw error;
+    }
+    migrations[fromVersion] = migration as unknown[];
+  }
+
+  return {
+    prefix,
+    version: fromVersion + 1,
+    schema: schema as JsonSchema,
+    migrations,
+    updatedAt,
+  };
+}
+
+/**
+ * Upgrades a value stored under `fromVersion` (undefined: before the prefix had a schema) to
+ * the entry's current version, one migration at a time. Steps without a migration leave the
+ * value as it is.
+ *
+ * Reads must not break on old data, so a migration that does not apply is logged and the value
+ * is returned as of the last step that did.
+ */
+export function migrateValue(entry: SchemaEntry, value: unknown, fromVersion: number | undefined): unknown {
+  let migrated = value;
+  for (let version = fromVersion ?? 0; version < entry.version; version++) {
+    const migration = entry.migrations[version];
+    if (!migration) {
+      continue;
+    }
+    try {
+      migrated = applyJsonPatch(migrated, migration);
+    } catch (error) {
+      console.error('KVS schema migration failed', { prefix: entry.prefix, fromVersion: version, error });
+      break;
+    }
+  }
+  return migrated;
+}
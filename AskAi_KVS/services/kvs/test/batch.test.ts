@@ -0,0 +1,110 @@
+/**
+ * POST /_batch: per-operation results, and versions that stay unique when other writers race it
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createService } from './service';
+import type { Reply } from './service';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('POST /_batch', () => {
+  it('answers every operation in request order', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1 } });
+    await send('PUT', '/game:2', { body: { turn: 2 } });
+
+    const { status, body } = await send('POST', '/_batch', {
+      body: {
+        operations: [
+          { op: 'get', key: 'game:1' },
+          { op: 'get', key: 'game:9' },
+          { op: 'put', key: 'game:1', value: { turn: 5 } },
+          { op: 'delete', key: 'game:2' },
+          { op: 'rename', key: 'game:3' },
+        ],
+      },
+    });
+
+    expect(status).toBe(200);
+    expect(body.results).toMatchObject([
+      { op: 'get', key: 'game:1', status: 200, value: { turn: 1 }, version: 1 },
+      { op: 'get', key: 'game:9', status: 404 },
+      { op: 'put', key: 'game:1', status: 200, version: 2 },
+      { op: 'delete', key: 'game:2', status: 200 },
+      { key: 'game:3', status: 400 },
+    ]);
+    expect((await send('GET', '/game:1')).body).toEqual({ turn: 5 });
+    expect((await send('GET', '/game:2')).status).toBe(404);
+  });
+
+  it('refuses to write a key twice in one batch', async () => {
+    const { send } = createService();
+
+    const { body } = await send('POST', '/_batch', {
+      body: {
+        operations: [
+          { op: 'put', key: 'game:1', value: 1 },
+          { op: 'delete', key: 'game:1' },
+        ],
+      },
+    });
+
+    expect(body.results.map((result: { status: number }) => result.status)).toEqual([200, 400]);
+  });
+
+  it('gives a put the next version when a conditional write lands after the batch read', async () => {
+    const { backend, send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1 } });
+
+    // The batch's gets are read first; another client's If-Match write lands right after
+    const getValues = backend.getValues.bind(backend);
+    let racing: Promise<Reply> | undefined;
+    vi.spyOn(backend, 'getValues').mockImplementationOnce(async (keys) => {
+      const read = await getValues(keys);
+      racing = send('PUT', '/game:1', { body: { turn: 2 }, headers: { 'If-Match': '"1"' } });
+      await racing;
+      return read;
+    });
+
+    const { body } = await send('POST', '/_batch', {
+      body: {
+        operations: [
+          { op: 'get', key: 'game:1' },
+          { op: 'put', key: 'game:1:log', value: [] },
+          { op: 'put', key: 'game:1', value: { turn: 3 } },
+        ],
+      },
+    });
+
+    expect(await racing).toMatchObject({ status: 200, body: { version: 2 } });
+    expect(body.results[0]).toMatchObject({ status: 200, version: 1 });
+    expect(body.results[2]).toMatchObject({ status: 200, version: 3 });
+    const current = await send('GET', '/game:1');
+    expect(current.headers.ETag).toBe('"3"');
+    expect(current.body).toEqual({ turn: 3 });
+    expect((await send('GET', '/game:1', { query: { version: '2' } })).body).toEqual({ turn: 2 });
+    const versions = await send('GET', '/game:1/_versions');
+    expect(versions.body.versions.map((entry: { version: number }) => entry.version)).toEqual([3, 2, 1]);
+  });
+
+  it('replaces the expiry like a PUT', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: 1, headers: { 'X-KVS-TTL': '60' } });
+
+    await send('POST', '/_batch', {
+      body: {
+        operations: [
+          { op: 'put', key: 'game:1', value: 2 },
+          { op: 'put', key: 'game:2', value: 2, ttlSeconds: 60 },
+        ],
+      },
+    });
+
+    const { body } = await send('GET', '/', { query: { prefix: 'game:' } });
+    expect(body.items[0]).not.toHaveProperty('expiresAt');
+    expect(body.items[1].expiresAt).toBeGreaterThan(Date.now() / 1000);
+  });
+});
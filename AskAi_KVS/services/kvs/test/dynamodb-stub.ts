@@ -0,0 +1,66 @@
+/**
+ * A local HTTP server standing in for the DynamoDB API, for suites that drive DynamoDBBackend
+ */
+
+import { createServer } from 'http';
+import type { AddressInfo } from 'net';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+
+export interface DynamoDBStubRequest {
+  /** The action from X-Amz-Target, e.g. 'Scan' */
+  operation: string;
+  input: Record<string, unknown>;
+}
+
+export interface DynamoDBStub {
+  /** A client for the stub, to hand to DynamoDBBackend */
+  client: DynamoDBClient;
+  /** Every request received, in order */
+  requests: DynamoDBStubRequest[];
+  close(): Promise<void>;
+}
+
+/**
+ * Answers each request with the JSON `handle` returns, in DynamoDB's wire format
+ */
+export async function startDynamoDBStub(handle: (request: DynamoDBStubRequest) => unknown): Promise<DynamoDBStub> {
+  const requests: DynamoDBStubRequest[] = [];
+  const server = createServer(async (incoming, response) => {
+    let raw = '';
+    for await (const chunk of incoming) {
+      raw += chunk;
+    }
+    const target = String(incoming.headers['x-amz-target'] ?? '');
+    const request = { operation: target.slice(target.indexOf('.') + 1), input: raw ? JSON.parse(raw) : {} };
+    requests.push(request);
+    response.writeHead(200, { 'Content-Type': 'application/x-amz-json-1.0' });
+    response.end(JSON.stringify(handle(request)));
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const client = new DynamoDBClient({
+    endpoint: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+    region: 'us-east-1',
+    credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+    maxAttempts: 1,
+  });
+  return {
+    client,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        client.destroy();
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+/**
+ * Marshals a plain item of strings and numbers into DynamoDB attribute values
+ */
+export function toAttributes(item: Record<string, string | number>): Record<string, { S: string } | { N: string }> {
+  return Object.fromEntries(
+    Object.entries(item).map(([name, value]) => [name, typeof value === 'number' ? { N: String(value) } : { S: value }])
+  );
+}
@@ -0,0 +1,94 @@
+/**
+ * DynamoDBBackend against a stub of the DynamoDB API: the requests it sends and how it reads the
+ * answers
+ */
+
+import { afterEach, describe, expect, it } from 'vitest';
+import { DynamoDBBackend } from '../src/backends/dynamodb';
+import { startDynamoDBStub, toAttributes } from './dynamodb-stub';
+import type { DynamoDBStub } from './dynamodb-stub';
+
+let stub: DynamoDBStub | undefined;
+
+afterEach(async () => {
+  await stub?.close();
+  stub = undefined;
+});
+
+describe('DynamoDBBackend.listValues', () => {
+  // Every other key is outside the prefix, so the scan's 10th page ends on one of those
+  const table = Array.from({ length: 24 }, (_, index) => ({
+    pk: index % 2 === 0 ? `game:1:${String(index).padStart(2, '0')}` : `player:${index}`,
+    sk: 'v0',
+    version: 1,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+  }));
+  const SCAN_PAGE_SIZE = 2;
+
+  /**
+   * Reads SCAN_PAGE_SIZE items a page, as the 1MB read limit would, and applies the prefix filter
+   */
+  function scan(input: Record<string, unknown>) {
+    const startKey = input.ExclusiveStartKey as { pk: { S: string } } | undefined;
+    const start = startKey ? table.findIndex((item) => item.pk === startKey.pk.S) + 1 : 0;
+    const scanned = table.slice(start, start + SCAN_PAGE_SIZE);
+    const prefix = (input.ExpressionAttributeValues as Record<string, { S: string }>)[':prefix'].S;
+    const last = scanned[scanned.length - 1];
+    const more = start + SCAN_PAGE_SIZE < table.length;
+    return {
+      Items: scanned.filter((item) => item.pk.startsWith(prefix)).map(toAttributes),
+      ...(more ? { LastEvaluatedKey: toAttributes({ pk: last.pk, sk: last.sk }) } : {}),
+    };
+  }
+
+  it('resumes from a cursor where the scan stopped on a key outside the prefix', async () => {
+    stub = await startDynamoDBStub(({ input }) => scan(input));
+    const backend = new DynamoDBBackend('kvs', stub.client);
+
+    const first = await backend.listValues({ prefix: 'game:1:', limit: 100, includeValues: false });
+    expect(first.items).toHaveLength(10);
+    expect(first.cursor).not.toBeNull();
+
+    const second = await backend.listValues({
+      prefix: 'game:1:',
+      limit: 100,
+      cursor: first.cursor ?? undefined,
+      includeValues: false,
+    });
+    expect(stub.requests[10].input.ExclusiveStartKey).toEqual(toAttributes({ pk: 'player:19', sk: 'v0' }));
+    expect(second.cursor).toBeNull();
+
+    const keys = [...first.items, ...second.items].map((item) => item.key);
+    expect(keys).toEqual(table.filter((item) => item.pk.startsWith('game:1:')).map((item) => item.pk));
+  });
+
+  it('resumes right after the last item returned when a page overshoots the limit', async () => {
+    stub = await startDynamoDBStub(({ input }) => scan(input));
+    const backend = new DynamoDBBackend('kvs', stub.client);
+
+    const first = await backend.listValues({ prefix: 'game:1:', limit: 2, includeValues: false });
+    const second = await backend.listValues({
+      prefix: 'game:1:',
+      limit: 2,
+      cursor: first.cursor ?? undefined,
+      includeValues: false,
+    });
+
+    expect([...first.items, ...second.items].map((item) => item.key)).toEqual([
+      'game:1:00',
+      'game:1:02',
+      'game:1:04',
+      'game:1:06',
+    ]);
+  });
+
+  it('rejects a cursor that is not a primary key', async () => {
+    stub = await startDynamoDBStub(({ input }) => scan(input));
+    const backend = new DynamoDBBackend('kvs', stub.client);
+
+    await expect(
+      backend.listValues({ prefix: 'game:1:', limit: 10, cursor: 'not-a-cursor', includeValues: false })
+    ).rejects.toThrow('Invalid cursor');
+    expect(stub.requests).toHaveLength(0);
+  });
+});
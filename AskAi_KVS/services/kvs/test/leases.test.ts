@@ -0,0 +1,93 @@
+/**
+ * Leases under /_leases/{name}, and writes fenced with their tokens through X-KVS-Fence
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createService } from './service';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('leases', () => {
+  it('hands out a growing fencing token and refuses a second owner', async () => {
+    const { send } = createService();
+
+    const first = await send('POST', '/_leases/match:1', { body: { owner: 'worker-a', ttlSeconds: 30 } });
+    const again = await send('POST', '/_leases/match:1', { body: { owner: 'worker-a', ttlSeconds: 30 } });
+    const other = await send('POST', '/_leases/match:1', { body: { owner: 'worker-b' } });
+
+    expect(first).toMatchObject({ status: 200, body: { name: 'match:1', owner: 'worker-a', token: 1 } });
+    expect(again.body.token).toBe(1);
+    expect(other).toMatchObject({ status: 409, body: { holder: { owner: 'worker-a', token: 1 } } });
+    expect((await send('GET', '/_leases/match:1')).body.owner).toBe('worker-a');
+  });
+
+  it('moves to the next token once released or expired', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const { send } = createService();
+    await send('POST', '/_leases/match:1', { body: { owner: 'worker-a', ttlSeconds: 30 } });
+
+    const released = await send('DELETE', '/_leases/match:1', { query: { owner: 'worker-a', token: '1' } });
+    const second = await send('POST', '/_leases/match:1', { body: { owner: 'worker-b', ttlSeconds: 30 } });
+    vi.setSystemTime(Date.now() + 31_000);
+    const third = await send('POST', '/_leases/match:1', { body: { owner: 'worker-a', ttlSeconds: 30 } });
+
+    expect(released.status).toBe(200);
+    expect(second.body.token).toBe(2);
+    expect(third.body.token).toBe(3);
+  });
+
+  it('renews only for the holder and token it was given', async () => {
+    const { send } = createService();
+    await send('POST', '/_leases/match:1', { body: { owner: 'worker-a', ttlSeconds: 30 } });
+
+    const renewed = await send('PUT', '/_leases/match:1', { body: { owner: 'worker-a', token: 1, ttlSeconds: 60 } });
+    const wrongToken = await send('PUT', '/_leases/match:1', { body: { owner: 'worker-a', token: 2 } });
+
+    expect(renewed.status).toBe(200);
+    expect(wrongToken.status).toBe(409);
+  });
+});
+
+describe('fenced writes', () => {
+  it('turns away a write from a holder that lost the lease', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const { send } = createService();
+    await send('POST', '/_leases/match:1', { body: { owner: 'worker-a', ttlSeconds: 30 } });
+    const fenced = await send('PUT', '/match:1:state', { body: { turn: 1 }, headers: { 'X-KVS-Fence': 'match:1=1' } });
+
+    vi.setSystemTime(Date.now() + 31_000);
+    await send('POST', '/_leases/match:1', { body: { owner: 'worker-b', ttlSeconds: 30 } });
+    const stale = await send('PUT', '/match:1:state', { body: { turn: 2 }, headers: { 'X-KVS-Fence': 'match:1=1' } });
+    const current = await send('PUT', '/match:1:state', { body: { turn: 2 }, headers: { 'X-KVS-Fence': 'match:1=2' } });
+
+    expect(fenced.status).toBe(200);
+    expect(stale).toMatchObject({ status: 412, body: { lease: 'match:1', currentToken: 2 } });
+    expect(current.status).toBe(200);
+  });
+
+  it('turns away an older token once an item was written under a newer one', async () => {
+    const { send } = createService();
+    // No lease record to compare against, so only the fence recorded on the item can refuse it
+    await send('PUT', '/match:1:state', { body: { turn: 1 }, headers: { 'X-KVS-Fence': 'match:1=2' } });
+
+    const stale = await send('PUT', '/match:1:state', { body: { turn: 2 }, headers: { 'X-KVS-Fence': 'match:1=1' } });
+
+    expect(stale).toMatchObject({ status: 412, body: { currentToken: 2 } });
+  });
+
+  it('cancels a transaction carrying a stale fence', async () => {
+    const { send } = createService();
+    await send('POST', '/_leases/match:1', { body: { owner: 'worker-a' } });
+    await send('DELETE', '/_leases/match:1', { query: { owner: 'worker-a', token: '1' } });
+    await send('POST', '/_leases/match:1', { body: { owner: 'worker-b' } });
+
+    const { status, body } = await send('POST', '/_transaction', {
+      body: { operations: [{ op: 'put', key: 'match:1:state', value: {}, fence: { lease: 'match:1', token: 1 } }] },
+    });
+
+    expect(status).toBe(409);
+    expect(body.reasons[0]).toMatchObject({ code: 'StaleFence', currentToken: 2 });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Drives KVSService with plain requests, as the Lambda and the mock server do, over a MemoryBackend
+ */
+
+import { KVSService } from '../src/core';
+import type { KVSServiceOptions } from '../src/core';
+import { MemoryBackend } from '../src/backends/memory';
+
+export interface Reply {
+  status: number;
+  headers: Record<string, string>;
+  /** Parsed JSON */
+  body: any;
+}
+
+export interface RequestOptions {
+  /** Sent as is when a string, as JSON otherwise */
+  body?: unknown;
+  headers?: Record<string, string>;
+  query?: Record<string, string>;
+}
+
+export type Send = (method: string, path: string, options?: RequestOptions) => Promise<Reply>;
+
+export function createService(options: Partial<KVSServiceOptions> = {}): {
+  backend: MemoryBackend;
+  service: KVSService;
+  send: Send;
+} {
+  const backend = (options.backend as MemoryBackend | undefined) ?? new MemoryBackend();
+  const service = new KVSService({ versionHistoryLimit: 10, ...options, backend });
+
+  const send: Send = async (method, path, { body, headers = {}, query = {} } = {}) => {
+    const response = await service.handle({
+      method,
+      path,
+      query,
+      headers,
+      body: body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return {
+      status: response.statusCode,
+      headers: response.headers,
+      body: response.body ? JSON.parse(response.body) : undefined,
+    };
+  };
+
+  return { backend, service, send };
+}
@@ -0,0 +1,69 @@
+/**
+ * Append-only streams under /_streams/{name}: sequencing, reads, tails and expiry
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createService } from './service';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('streams', () => {
+  it('numbers appended events from 1 and reads them back in order', async () => {
+    const { send } = createService();
+
+    const first = await send('POST', '/_streams/match:1', { body: { events: ['start', 'move'] } });
+    const second = await send('POST', '/_streams/match:1', { body: { events: ['end'] } });
+    const read = await send('GET', '/_streams/match:1', { query: { from: '2', limit: '1' } });
+
+    expect(first.body).toMatchObject({ firstSequence: 1, lastSequence: 2 });
+    expect(second.body).toMatchObject({ firstSequence: 3, lastSequence: 3 });
+    expect(read.body).toMatchObject({ events: [{ sequence: 2, event: 'move' }], nextSequence: 3, hasMore: true });
+  });
+
+  it('appends with expectedSequence only at the end it names', async () => {
+    const { send } = createService();
+    await send('POST', '/_streams/match:1', { body: { events: ['start'], expectedSequence: 0 } });
+
+    const stale = await send('POST', '/_streams/match:1', { body: { events: ['move'], expectedSequence: 0 } });
+    const current = await send('POST', '/_streams/match:1', { body: { events: ['move'], expectedSequence: 1 } });
+
+    expect(stale).toMatchObject({ status: 409, body: { currentSequence: 1 } });
+    expect(current.body.firstSequence).toBe(2);
+  });
+
+  it('tails the last events, oldest first', async () => {
+    const { send } = createService();
+    await send('POST', '/_streams/match:1', { body: { events: [1, 2, 3, 4] } });
+
+    const { body } = await send('GET', '/_streams/match:1', { query: { tail: '2' } });
+
+    expect(body.events.map((event: { event: number }) => event.event)).toEqual([3, 4]);
+    expect(body.nextSequence).toBe(5);
+  });
+
+  it('skips expired events without reusing their sequence numbers', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const { send } = createService();
+    await send('POST', '/_streams/match:1', { body: { events: ['old'], ttlSeconds: 60 } });
+
+    vi.setSystemTime(Date.now() + 61_000);
+    const appended = await send('POST', '/_streams/match:1', { body: { events: ['new'] } });
+    const { body } = await send('GET', '/_streams/match:1');
+
+    expect(appended.body.firstSequence).toBe(2);
+    expect(body.events).toMatchObject([{ sequence: 2, event: 'new' }]);
+  });
+
+  it('starts again from 1 once deleted', async () => {
+    const { send } = createService();
+    await send('POST', '/_streams/match:1', { body: { events: ['a', 'b'] } });
+
+    const deleted = await send('DELETE', '/_streams/match:1');
+    const appended = await send('POST', '/_streams/match:1', { body: { events: ['c'] } });
+
+    expect(deleted.body).toEqual({ success: true, deleted: 2 });
+    expect(appended.body.firstSequence).toBe(1);
+  });
+});
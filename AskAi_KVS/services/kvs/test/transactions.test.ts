@@ -0,0 +1,102 @@
+/**
+ * POST /_transaction: all writes or none, cancellation reasons, and retries after a racing write
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createService } from './service';
+import type { Reply } from './service';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('POST /_transaction', () => {
+  it('applies every operation and reports the new versions', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1, score: 0 } });
+    await send('PUT', '/game:2', { body: { turn: 1 } });
+
+    const { status, body } = await send('POST', '/_transaction', {
+      body: {
+        operations: [
+          { op: 'patch', key: 'game:1', value: { score: 5 }, ifMatch: 1 },
+          { op: 'put', key: 'game:3', value: { turn: 0 }, ifNoneMatch: '*' },
+          { op: 'delete', key: 'game:2' },
+          { op: 'check', key: 'game:4', ifNoneMatch: '*' },
+        ],
+      },
+    });
+
+    expect(status).toBe(200);
+    expect(body.results).toEqual([
+      { op: 'patch', key: 'game:1', version: 2 },
+      { op: 'put', key: 'game:3', version: 1 },
+      { op: 'delete', key: 'game:2' },
+      { op: 'check', key: 'game:4' },
+    ]);
+    expect((await send('GET', '/game:1')).body).toEqual({ turn: 1, score: 5 });
+    expect((await send('GET', '/game:2')).status).toBe(404);
+  });
+
+  it('writes nothing when one condition fails, with a reason per operation', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1 } });
+    await send('PUT', '/game:1', { body: { turn: 2 } });
+
+    const { status, body } = await send('POST', '/_transaction', {
+      body: {
+        operations: [
+          { op: 'put', key: 'game:2', value: { turn: 1 } },
+          { op: 'check', key: 'game:1', ifMatch: 1 },
+        ],
+      },
+    });
+
+    expect(status).toBe(409);
+    expect(body.reasons).toEqual([
+      { index: 0, op: 'put', key: 'game:2', code: 'None' },
+      { index: 1, op: 'check', key: 'game:1', code: 'PreconditionFailed', currentVersion: 2 },
+    ]);
+    expect((await send('GET', '/game:2')).status).toBe(404);
+  });
+
+  it('rejects a key used twice before touching anything', async () => {
+    const { send } = createService();
+
+    const { status, body } = await send('POST', '/_transaction', {
+      body: {
+        operations: [
+          { op: 'put', key: 'game:1', value: 1 },
+          { op: 'delete', key: 'game:1' },
+        ],
+      },
+    });
+
+    expect(status).toBe(400);
+    expect(body.index).toBe(1);
+  });
+
+  it('re-reads and retries when another write lands between its read and its commit', async () => {
+    const { backend, send } = createService();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await send('PUT', '/game:1', { body: { score: 1 } });
+
+    const getValues = backend.getValues.bind(backend);
+    let racing: Promise<Reply> | undefined;
+    vi.spyOn(backend, 'getValues').mockImplementationOnce(async (keys) => {
+      const read = await getValues(keys);
+      racing = send('PUT', '/game:1', { body: { score: 10 } });
+      await racing;
+      return read;
+    });
+
+    const { status, body } = await send('POST', '/_transaction', {
+      body: { operations: [{ op: 'patch', key: 'game:1', value: { bonus: true } }] },
+    });
+
+    expect((await racing)?.body.version).toBe(2);
+    expect(status).toBe(200);
+    expect(body.results[0].version).toBe(3);
+    expect((await send('GET', '/game:1')).body).toEqual({ score: 10, bonus: true });
+  });
+});
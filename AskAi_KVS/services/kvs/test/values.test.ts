@@ -0,0 +1,132 @@
+/**
+ * Single-key reads and writes: ETags and preconditions, expiry, and listing by prefix
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createService } from './service';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('ETags and preconditions', () => {
+  it('tags every write and read with the version', async () => {
+    const { send } = createService();
+
+    const created = await send('PUT', '/game:1', { body: { turn: 1 } });
+    const updated = await send('PUT', '/game:1', { body: { turn: 2 } });
+    const read = await send('GET', '/game:1');
+
+    expect(created).toMatchObject({ status: 200, headers: { ETag: '"1"' }, body: { version: 1 } });
+    expect(updated).toMatchObject({ status: 200, headers: { ETag: '"2"' }, body: { version: 2 } });
+    expect(read).toMatchObject({ status: 200, headers: { ETag: '"2"' }, body: { turn: 2 } });
+  });
+
+  it('writes with If-Match only while the version is unchanged', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1 } });
+    await send('PUT', '/game:1', { body: { turn: 2 } });
+
+    const stale = await send('PUT', '/game:1', { body: { turn: 3 }, headers: { 'If-Match': '"1"' } });
+    const current = await send('PUT', '/game:1', { body: { turn: 3 }, headers: { 'If-Match': 'W/"2"' } });
+
+    expect(stale).toMatchObject({ status: 412, body: { currentVersion: 2 } });
+    expect(current).toMatchObject({ status: 200, body: { version: 3 } });
+  });
+
+  it('creates with If-None-Match: * only while the key is absent', async () => {
+    const { send } = createService();
+
+    const first = await send('PUT', '/game:1', { body: 1, headers: { 'If-None-Match': '*' } });
+    const second = await send('PUT', '/game:1', { body: 2, headers: { 'If-None-Match': '*' } });
+
+    expect(first.status).toBe(200);
+    expect(second).toMatchObject({ status: 412, body: { currentVersion: 1 } });
+    expect((await send('GET', '/game:1')).body).toBe(1);
+  });
+
+  it('answers a revalidation of the current version with 304', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1 } });
+
+    const unchanged = await send('GET', '/game:1', { headers: { 'If-None-Match': '"1"' } });
+    await send('PUT', '/game:1', { body: { turn: 2 } });
+    const changed = await send('GET', '/game:1', { headers: { 'If-None-Match': '"1"' } });
+
+    expect(unchanged).toMatchObject({ status: 304, headers: { ETag: '"1"' } });
+    expect(changed).toMatchObject({ status: 200, headers: { ETag: '"2"' }, body: { turn: 2 } });
+  });
+
+  it('rejects a malformed condition', async () => {
+    const { send } = createService();
+
+    const { status } = await send('PUT', '/game:1', { body: 1, headers: { 'If-Match': 'version one' } });
+
+    expect(status).toBe(400);
+  });
+});
+
+describe('expiry', () => {
+  it('reads an expired key as absent and counts its versions on', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: 1, headers: { 'X-KVS-TTL': '60' } });
+
+    vi.setSystemTime(Date.now() + 61_000);
+
+    expect((await send('GET', '/game:1')).status).toBe(404);
+    expect((await send('GET', '/', { query: { prefix: 'game:' } })).body.items).toEqual([]);
+    expect((await send('PUT', '/game:1', { body: 2, headers: { 'If-None-Match': '*' } })).body.version).toBe(2);
+  });
+
+  it('clears the expiry on a PUT without a TTL', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: 1, headers: { 'X-KVS-TTL': '60' } });
+    await send('PUT', '/game:1', { body: 2 });
+
+    vi.setSystemTime(Date.now() + 61_000);
+
+    expect((await send('GET', '/game:1')).body).toBe(2);
+  });
+
+  it('rejects a TTL that is not a whole number of seconds', async () => {
+    const { send } = createService();
+
+    expect((await send('PUT', '/game:1', { body: 1, headers: { 'X-KVS-TTL': '1.5' } })).status).toBe(400);
+  });
+});
+
+describe('listing', () => {
+  it('pages through a prefix in key order until the cursor is null', async () => {
+    const { send } = createService();
+    for (const key of ['game:1:c', 'game:1:a', 'game:2:a', 'game:1:b']) {
+      await send('PUT', `/${key}`, { body: { key } });
+    }
+
+    const first = await send('GET', '/', { query: { prefix: 'game:1:', limit: '2' } });
+    const second = await send('GET', '/', { query: { prefix: 'game:1:', limit: '2', cursor: first.body.cursor } });
+
+    expect(first.body.items.map((item: { key: string }) => item.key)).toEqual(['game:1:a', 'game:1:b']);
+    expect(second.body.items).toMatchObject([{ key: 'game:1:c', version: 1 }]);
+    expect(second.body.cursor).toBeNull();
+  });
+
+  it('returns values when asked', async () => {
+    const { send } = createService();
+    await send('PUT', '/game:1', { body: { turn: 1 } });
+
+    const { body } = await send('GET', '/', { query: { prefix: 'game:', values: 'true' } });
+
+    expect(body.items).toMatchObject([{ key: 'game:1', value: { turn: 1 } }]);
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    const { send } = createService();
+
+    const { status, body } = await send('GET', '/', { query: { prefix: 'game:', cursor: '!!' } });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid cursor');
+  });
+});
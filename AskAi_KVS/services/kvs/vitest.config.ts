@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+/**
+ * KVSService runs over MemoryBackend, and DynamoDBBackend against a local stub of the DynamoDB API
+ * (test/dynamodb-stub.ts), so no suite reaches AWS
+ */
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.ts'],
+  },
+});
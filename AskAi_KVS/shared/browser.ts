@@ -0,0 +1,20 @@
+/**
+ * Shared Package (browser)
+ *
+ * Same clients and schemas as index.ts, with only the isomorphic utilities: signing and hashing
+ * go through Web Crypto and are async (`signRequestAsync`, `createSignedLinkAsync`, ...).
+ * Nothing reachable from here may import a Node built-in; `pnpm check:browser` enforces that.
+ */
+
+// Clients
+export * from './clients';
+
+// Schemas
+export * from './schemas';
+
+// The clients' request and response types take precedence over the schemas' inferred ones of
+// the same names, which stay available from './schemas'
+export type { AskAIRequest, AskAIResponse } from './clients';
+
+// Utilities
+export * from './utils';
@@ -3,26 +3,221 @@
  *
  * A TypeScript client for interacting with the AskAI Lambda service.
  * Provides structured AI responses with retry logic and validation.
+ *
+ * Calls go through the shared {@link HttpTransport}: timeouts, connection failures, 429 and
+ * 502-504 are retried with backoff inside a deadline, behind a per-endpoint circuit breaker.
+ * Retries send the same `Idempotency-Key`, so the service answers a retry from the first attempt
+ * instead of asking OpenAI again. Failures throw the transport's typed errors.
+ *
+ * {@link AIClient.askStream} asks for the answer as Server-Sent Events and yields the text as
+ * it is generated. {@link AIClient.askStructured} asks for JSON matching a Zod schema, which the
+ * service enforces and repairs before the client validates it again.
+ *
+ * Which models take a temperature, and their limits and prices, come from the same model
+ * registry as the service's (./models), adjustable with the `models` option.
  */
 
-export interface AskAIRequest {
-  /** System prompt to set AI behavior */
-  systemPrompt: string;
-  /** User input/question */
-  input: string;
+import type { z } from 'zod';
+import { zodToJsonSchema } from '../schemas';
+import type { AskAIMessage, AskAISchemaViolation, AskAIStructuredError, AskAIStructuredResponse } from '../schemas';
+import type { RequestCredentials } from '../utils';
+import { ModelRegistry } from './models';
+import type { ModelCapabilities, ModelOverrides, ReasoningEffort } from './models';
+import { createHttpError, HttpError, HttpTransport, readHttpError, ServerError, TimeoutError } from './transport';
+import type { TransportOptions } from './transport';
+
+const RETRY_BASE_MS = 200;
+const DEFAULT_MODEL = 'gpt-4-turbo';
+
+export type { AskAIMessage, AskAISchemaViolation };
+
+interface AskAIRequestOptions {
   /** Maximum tokens in response (default: 500) */
   maxTokens?: number;
   /** Model to use (default: gpt-4-turbo) */
   model?: string;
-  /** Temperature for response creativity (0-1, default: 0.7) */
+  /** Temperature for response creativity (0-1, default: 0.7); not sent to models without one */
   temperature?: number;
+  /** For reasoning models; one of the model's `reasoningEfforts` (default: its cheapest) */
+  reasoningEffort?: ReasoningEffort;
 }
 
+/**
+ * A single prompt (`systemPrompt` + `input`), or a conversation in `messages` that the
+ * service passes to the model turn by turn
+ */
+export type AskAIRequest = AskAIRequestOptions &
+  (
+    | {
+        /** System prompt to set AI behavior */
+        systemPrompt: string;
+        /** User input/question */
+        input: string;
+        messages?: undefined;
+      }
+    | {
+        /** System/user/assistant turns, oldest first; needs at least one user message */
+        messages: AskAIMessage[];
+        /** Sent as a system message before `messages` */
+        systemPrompt?: string;
+        input?: undefined;
+      }
+  );
+
 export interface AskAIResponse {
   /** AI-generated response text */
   output: string;
   /** Number of tokens used */
   tokensUsed?: number;
+  /** Model that answered, which differs from the requested one after a fallback */
+  model?: string;
+  /** Provider that answered (as named in the service's AI_PROVIDERS) */
+  provider?: string;
+}
+
+/**
+ * One event of a streamed answer: text as it is generated, then the finished answer
+ */
+export type AskAIStreamEvent =
+  | { type: 'delta'; text: string }
+  | { type: 'done'; output: string; tokensUsed?: number; model?: string; provider?: string; finishReason?: string };
+
+export interface AskAIStreamOptions {
+  /** Stops the stream; the service stops generating once it notices */
+  signal?: AbortSignal;
+}
+
+/**
+ * A streamed answer broke off: the service reported an error after it had started answering,
+ * or the stream ended before its final event
+ */
+export class AIStreamError extends ServerError {
+  constructor(message: string, body?: unknown) {
+    super(message, 502, body);
+    this.name = 'AIStreamError';
+  }
+}
+
+export interface AskAIStructuredOptions<T> {
+  /** Names the schema for the model: letters, digits, _ and - (default: `response`) */
+  name?: string;
+  /** Times the service sends an answer that does not match back to be fixed (0-3, default: 1) */
+  maxRepairs?: number;
+  /** Returned instead of throwing when no answer matches */
+  fallback?: T;
+}
+
+export interface AskAIStructuredResult<T> {
+  data: T;
+  /** The model's last answer as text */
+  rawOutput: string;
+  /** Completions the service asked for, counting repairs */
+  attempts: number;
+  /** No answer matched, so `data` is the fallback */
+  usedFallback: boolean;
+  tokensUsed?: number;
+  model?: string;
+  provider?: string;
+}
+
+/**
+ * Thrown by {@link AIClient.askStructured} when no answer matched the schema (422)
+ */
+export class AIStructuredOutputError extends HttpError {
+  constructor(
+    public violations: AskAISchemaViolation[],
+    public rawOutput: string,
+    public attempts: number,
+    body?: unknown
+  ) {
+    super(
+      `AskAI output does not match schema after ${attempts} attempt(s): ${violations
+        .slice(0, 3)
+        .map((violation) => `${violation.path || '/'} ${violation.message}`)
+        .join('; ')}${violations.length > 3 ? '; ...' : ''}`,
+      422,
+      'VALIDATION_FAILED',
+      body
+    );
+    this.name = 'AIStructuredOutputError';
+  }
+}
+
+interface StreamEventData {
+  text?: string;
+  tokensUsed?: number;
+  model?: string;
+  provider?: string;
+  finishReason?: string;
+  error?: string;
+  message?: string;
+}
+
+/**
+ * Yields `{ event, data }` for each Server-Sent Event in `body` once its blank line arrives, so
+ * events split across chunks come out whole. Leaving early cancels the body. Kept in step with
+ * services/askai/src/sse.ts, which the service streams with.
+ */
+async function* readServerSentEvents(
+  body: ReadableStream<Uint8Array>
+): AsyncGenerator<{ event: string; data: string }> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let event = '';
+  let data: string[] = [];
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffered += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      // A trailing \r may be the first half of a \r\n split across chunks
+      const lines = buffered.split(/\r\n|\n|\r(?!$)/);
+      buffered = done ? '' : lines.pop()!;
+
+      for (const line of lines) {
+        if (line === '') {
+          if (data.length > 0) {
+            yield { event: event || 'message', data: data.join('\n') };
+          }
+          event = '';
+          data = [];
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+        }
+      }
+
+      if (done) {
+        if (data.length > 0) {
+          yield { event: event || 'message', data: data.join('\n') };
+        }
+        return;
+      }
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Adds `instruction` to the request's system prompt, which for a conversation is a system
+ * message before its turns
+ */
+function withInstruction(request: AskAIRequest, instruction: string): AskAIRequest {
+  return {
+    ...request,
+    systemPrompt: request.systemPrompt ? `${request.systemPrompt}\n\n${instruction}` : instruction,
+  };
+}
+
+export interface AIClientOptions extends TransportOptions {
+  /**
+   * Model capability overrides, keyed by model pattern; keep them in step with the service's
+   * AI_MODELS
+   */
+  models?: ModelOverrides;
 }
 
 /**
@@ -42,18 +237,67 @@ export interface AskAIResponse {
  * ```
  */
 export class AIClient {
-  private endpoint: string;
+  private transport: HttpTransport;
   private timeout: number;
+  private models: ModelRegistry;
 
   /**
    * Create a new AI client
    *
    * @param endpoint - AskAI Lambda endpoint URL
-   * @param timeout - Request timeout in milliseconds (default: 10000)
+   * @param timeout - Per-attempt timeout in milliseconds (default: 10000)
+   * @param credentials - Sign every request (required when the service sets AUTH_CLIENTS)
+   * @param retries - Times a call that timed out, could not connect, or got a 429/502-504 is sent again (default: 2)
+   * @param options - Deadline, backoff and circuit breaker tuning, and model capability overrides
+   * @throws Error if a model override is malformed
    */
-  constructor(endpoint: string, timeout: number = 10000) {
-    this.endpoint = endpoint.replace(/\/$/, '');
+  constructor(
+    endpoint: string,
+    timeout: number = 10000,
+    credentials?: RequestCredentials,
+    retries: number = 2,
+    options: AIClientOptions = {}
+  ) {
+    const { models, ...transportOptions } = options;
     this.timeout = timeout;
+    this.models = new ModelRegistry(models);
+    this.transport = new HttpTransport({
+      retryBaseMs: RETRY_BASE_MS,
+      ...transportOptions,
+      endpoint,
+      timeout,
+      credentials,
+      retries,
+    });
+  }
+
+  /**
+   * POSTs to the endpoint through the transport, which retries with one idempotency key and
+   * waits while the service reports an earlier attempt still running
+   */
+  private post(body: string): Promise<Response> {
+    return this.transport.send('POST', '', { body, operation: 'AskAI' });
+  }
+
+  /**
+   * What a model accepts, its limits and its price
+   *
+   * @param model - Defaults to the model requests are sent with when they name none
+   */
+  getModelCapabilities(model: string = DEFAULT_MODEL): ModelCapabilities {
+    return this.models.get(model);
+  }
+
+  /**
+   * Fills in the model, and a temperature if the model takes one
+   */
+  private prepareRequest(request: AskAIRequest): AskAIRequest {
+    const model = request.model ?? DEFAULT_MODEL;
+    return {
+      ...request,
+      model,
+      temperature: this.models.get(model).temperature ? (request.temperature ?? 0.7) : undefined,
+    };
   }
 
   /**
@@ -61,58 +305,191 @@ export class AIClient {
    *
    * @param request - The AI request parameters
    * @returns The AI-generated response text
+   * @throws TransportError (TimeoutError, RateLimitedError, ServerError, ...) if the call fails
    */
   async ask(request: AskAIRequest): Promise<string> {
+    const response = await this.post(JSON.stringify(this.prepareRequest(request)));
+
+    if (!response.ok) {
+      throw await readHttpError('AskAI', response);
+    }
+
+    const data = (await response.json()) as AskAIResponse;
+    return data.output;
+  }
+
+  /**
+   * Send a prompt and receive the response as it is generated
+   *
+   * Yields a `delta` for each piece of text, then one `done` with the whole output and usage.
+   * Breaking out of the loop or aborting `options.signal` cancels the request, and the service
+   * stops generating. The call is retried like `ask` until the stream starts, but not after.
+   *
+   * @param request - The AI request parameters
+   * @param options - Cancellation
+   * @throws TransportError if the call fails before streaming starts, AIStreamError if the
+   *   stream breaks off, TimeoutError if nothing arrives for the client's timeout, or the
+   *   signal's reason once aborted
+   *
+   * @example
+   * ```typescript
+   * for await (const event of ai.askStream({ systemPrompt, input }, { signal })) {
+   *   if (event.type === 'delta') narration.value += event.text;
+   * }
+   * ```
+   */
+  async *askStream(request: AskAIRequest, options: AskAIStreamOptions = {}): AsyncGenerator<AskAIStreamEvent> {
+    options.signal?.throwIfAborted();
+    const controller = new AbortController();
+    const cancel = (): void => controller.abort(options.signal?.reason);
+    options.signal?.addEventListener('abort', cancel, { once: true });
+    let idleTimer: ReturnType<typeof setTimeout> | undefined;
+    let stalled = false;
+    const waitForEvent = (): void => {
+      idleTimer = setTimeout(() => {
+        stalled = true;
+        controller.abort();
+      }, this.timeout);
+    };
+
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      // Handle GPT-5 family temperature quirks
-      const resolvedModel = (request.model ?? 'gpt-4-turbo').trim();
-      const normalized = resolvedModel.toLowerCase();
-      const isGpt5Family = normalized.startsWith('gpt-5') || normalized.startsWith('o');
-      const safeTemperature = isGpt5Family ? 1 : request.temperature;
-
-      const safeRequest: AskAIRequest = {
-        ...request,
-        model: request.model ?? resolvedModel,
-        temperature: safeTemperature ?? 0.7,
-      };
-
-      const response = await fetch(this.endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(safeRequest),
+      const response = await this.transport.send('POST', '', {
+        body: JSON.stringify({ ...this.prepareRequest(request), stream: true }),
+        headers: { Accept: 'text/event-stream' },
+        operation: 'AskAI stream',
         signal: controller.signal,
       });
-
-      clearTimeout(timeoutId);
-
       if (!response.ok) {
-        throw new Error(`AskAI failed: ${response.status} ${response.statusText}`);
+        throw await readHttpError('AskAI', response);
+      }
+      if (!response.body) {
+        throw new AIStreamError('AskAI stream has no body');
       }
 
-      const data = (await response.json()) as AskAIResponse;
-      return data.output;
+      let output = '';
+      waitForEvent();
+      for await (const { event, data } of readServerSentEvents(response.body)) {
+        // The caller's time between events doesn't count towards the idle timeout
+        clearTimeout(idleTimer);
+        const payload = JSON.parse(data) as StreamEventData;
+        if (event === 'delta' && payload.text) {
+          output += payload.text;
+          yield { type: 'delta', text: payload.text };
+        } else if (event === 'done') {
+          yield {
+            type: 'done',
+            output,
+            tokensUsed: payload.tokensUsed,
+            model: payload.model,
+            provider: payload.provider,
+            finishReason: payload.finishReason,
+          };
+          return;
+        } else if (event === 'error') {
+          throw new AIStreamError(`AskAI stream failed: ${payload.message ?? payload.error}`, payload);
+        }
+        waitForEvent();
+      }
+      throw new AIStreamError('AskAI stream ended before it finished');
     } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw new Error('AskAI timeout');
+      if (stalled) {
+        throw new TimeoutError(`AskAI stream stalled (nothing received for ${this.timeout}ms)`);
       }
       throw error;
+    } finally {
+      clearTimeout(idleTimer);
+      options.signal?.removeEventListener('abort', cancel);
+      controller.abort();
+    }
+  }
+
+  /**
+   * Ask for JSON matching a Zod schema
+   *
+   * The service gets the schema as JSON Schema (see {@link zodToJsonSchema}) and uses the
+   * model's native structured output where it has one. It validates every answer, sending one
+   * that does not match back to the model with what is wrong, up to `options.maxRepairs` times.
+   * The answer is then parsed with `schema` here, which also applies refinements and transforms
+   * that JSON Schema cannot express.
+   *
+   * @param schema - What the answer must look like
+   * @param request - The AI request parameters
+   * @param options - Schema name, repair budget and fallback
+   * @returns The parsed answer with how many attempts it took
+   * @throws AIStructuredOutputError if no answer matched and there is no fallback, or the
+   *   transport's typed errors if the call fails
+   *
+   * @example
+   * ```typescript
+   * const { data } = await ai.askStructured(z.object({ narration: z.string() }), {
+   *   systemPrompt: 'You narrate battles.',
+   *   input: JSON.stringify(turn),
+   * });
+   * ```
+   */
+  async askStructured<S extends z.ZodTypeAny>(
+    schema: S,
+    request: AskAIRequest,
+    options: AskAIStructuredOptions<z.output<S>> = {}
+  ): Promise<AskAIStructuredResult<z.output<S>>> {
+    const response = await this.post(
+      JSON.stringify({
+        ...this.prepareRequest(request),
+        responseSchema: zodToJsonSchema(schema),
+        ...(options.name ? { responseSchemaName: options.name } : {}),
+        ...(options.maxRepairs !== undefined ? { maxRepairs: options.maxRepairs } : {}),
+      })
+    );
+
+    let failure: AIStructuredOutputError;
+    if (response.status === 422) {
+      const body = (await response.json().catch(() => undefined)) as AskAIStructuredError | undefined;
+      if (!Array.isArray(body?.violations)) {
+        throw createHttpError('AskAI', response, body);
+      }
+      failure = new AIStructuredOutputError(body.violations, body.output, body.attempts, body);
+    } else if (!response.ok) {
+      throw await readHttpError('AskAI', response);
+    } else {
+      const body = (await response.json()) as AskAIStructuredResponse;
+      const parsed = schema.safeParse(body.data);
+      if (parsed.success) {
+        return {
+          data: parsed.data,
+          rawOutput: body.output,
+          attempts: body.attempts,
+          usedFallback: false,
+          tokensUsed: body.tokensUsed,
+          model: body.model,
+          provider: body.provider,
+        };
+      }
+      const violations = parsed.error.issues.map((issue) => ({
+        path: issue.path.length > 0 ? `/${issue.path.join('/')}` : '',
+        message: issue.message,
+      }));
+      failure = new AIStructuredOutputError(violations, body.output, body.attempts, body);
     }
+
+    if (options.fallback === undefined) {
+      throw failure;
+    }
+    console.warn(`${failure.message}; using fallback`);
+    return { data: options.fallback, rawOutput: failure.rawOutput, attempts: failure.attempts, usedFallback: true };
   }
 
   /**
    * Ask for a JSON response and parse it
    *
+   * The shape is not checked; {@link AIClient.askStructured} validates it against a schema.
+   *
    * @param request - The AI request parameters
    * @returns Parsed JSON response
    */
   async askJson<T>(request: AskAIRequest): Promise<T> {
-    const output = await this.ask({
-      ...request,
-      systemPrompt: `${request.systemPrompt}\n\nYou MUST respond with valid JSON only. No additional text.`,
-    });
+    const output = await this.ask(
+      withInstruction(request, 'You MUST respond with valid JSON only. No additional text.')
+    );
 
     try {
       return JSON.parse(output) as T;
@@ -136,18 +513,17 @@ export class AIClient {
   async askJsonWithFallback<T>(request: AskAIRequest, fallback: T): Promise<T> {
     // First attempt
     try {
-      const output = await this.ask({
-        ...request,
-        systemPrompt: `${request.systemPrompt}\n\nOutput JSON only.`,
-      });
+      const output = await this.ask(withInstruction(request, 'Output JSON only.'));
 
       return JSON.parse(output) as T;
     } catch {
       // Retry with stricter prompt
       try {
         const output = await this.ask({
-          ...request,
-          systemPrompt: `${request.systemPrompt}\n\nIMPORTANT: You MUST output ONLY valid JSON. No markdown, no code blocks, no explanations. Just the JSON object.`,
+          ...withInstruction(
+            request,
+            'IMPORTANT: You MUST output ONLY valid JSON. No markdown, no code blocks, no explanations. Just the JSON object.'
+          ),
           temperature: Math.min(request.temperature ?? 0.7, 0.5), // Lower temperature for reliability
         });
 
@@ -166,22 +542,7 @@ export class AIClient {
    * @param options - Additional options
    * @returns AI response
    */
-  async chat(
-    messages: Array<{ role: 'system' | 'user' | 'assistant'; content: string }>,
-    options?: { maxTokens?: number; temperature?: number; model?: string }
-  ): Promise<string> {
-    // Convert to system + user format (AskAI expects this format)
-    const systemMessage = messages.find((m) => m.role === 'system');
-    const userMessages = messages.filter((m) => m.role !== 'system');
-
-    const conversationHistory = userMessages
-      .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
-      .join('\n\n');
-
-    return this.ask({
-      systemPrompt: systemMessage?.content || 'You are a helpful assistant.',
-      input: conversationHistory,
-      ...options,
-    });
+  async chat(messages: AskAIMessage[], options?: AskAIRequestOptions): Promise<string> {
+    return this.ask({ messages, ...options });
   }
 }
@@ -2,8 +2,111 @@
  * Client SDKs for AskAI and KVS services
  */
 
-export { KVSClient } from './kvs-client';
-export type { KVSClientConfig } from './kvs-client';
+export {
+  KVSClient,
+  KVSConflictError,
+  KVSFenceError,
+  KVSLeaseError,
+  KVSValidationError,
+  KVSBatchError,
+  KVSTransaction,
+  KVSTransactionError,
+  KVSStream,
+  KVSStreamConflictError,
+  KVSCollection,
+  KVSCollectionValidationError,
+} from './kvs-client';
+export type {
+  KVSClientConfig,
+  KVSCacheOptions,
+  KVSWriteOptions,
+  KVSExpiryOptions,
+  KVSPutOptions,
+  KVSWriteResult,
+  KVSVersionedValue,
+  KVSVersionInfo,
+  KVSVersionHistory,
+  KVSRestoreResult,
+  KVSBatchOperation,
+  KVSBatchResult,
+  KVSBatchPutEntry,
+  KVSPatchFormat,
+  KVSJsonPatchOperation,
+  KVSValueOperation,
+  KVSOperationsResult,
+  KVSFieldResult,
+  KVSTransactionOperation,
+  KVSTransactionResult,
+  KVSCancellationReason,
+  KVSListOptions,
+  KVSListEntry,
+  KVSListPage,
+  KVSStreamEvent,
+  KVSStreamPage,
+  KVSStreamAppendOptions,
+  KVSStreamAppendResult,
+  KVSSchemaViolation,
+  KVSSchemaInfo,
+  KVSRegisterSchemaOptions,
+  KVSFence,
+  KVSLease,
+  KVSLeaseOptions,
+  KVSLockOptions,
+  KVSLockContext,
+  KVSCollectionOptions,
+  KVSCollectionEntry,
+  KVSMergePatch,
+} from './kvs-client';
 
-export { AIClient } from './ai-client';
-export type { AskAIRequest, AskAIResponse } from './ai-client';
+export { AIClient, AIStreamError, AIStructuredOutputError } from './ai-client';
+export type {
+  AIClientOptions,
+  AskAIRequest,
+  AskAIResponse,
+  AskAIMessage,
+  AskAIStreamEvent,
+  AskAIStreamOptions,
+  AskAIStructuredOptions,
+  AskAIStructuredResult,
+  AskAISchemaViolation,
+} from './ai-client';
+
+export { ModelRegistry, BUILT_IN_MODELS, DEFAULT_MODEL_CAPABILITIES } from './models';
+export type {
+  ModelCapabilities,
+  ModelEntry,
+  ModelOverrides,
+  ModelPricing,
+  ModelRequest,
+  ReasoningEffort,
+  TokenParam,
+  StructuredOutputMode,
+} from './models';
+
+export {
+  HttpTransport,
+  TransportError,
+  TimeoutError,
+  NetworkError,
+  CircuitOpenError,
+  HttpError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  ServerError,
+  createHttpError,
+  readHttpError,
+  parseRetryAfter,
+} from './transport';
+export type { TransportConfig, TransportOptions, TransportRequest, CircuitBreakerOptions } from './transport';
+
+export { KVSOfflineQueue, MemoryQueueStorage, IndexedDBQueueStorage } from './kvs-offline';
+export type {
+  KVSOfflineQueueOptions,
+  KVSOfflineStatus,
+  KVSOfflineResult,
+  KVSOfflineConflict,
+  KVSConflictResolution,
+  KVSQueuedWrite,
+  KVSQueueStorage,
+} from './kvs-offline';
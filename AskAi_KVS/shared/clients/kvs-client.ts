@@ -2,14 +2,954 @@
  * KVS Client SDK
  *
  * A TypeScript client for interacting with the KVS Lambda service.
- * Provides typed methods for all CRUD operations with timeout support.
+ * Provides typed methods for all CRUD operations with timeout support,
+ * plus batched reads and writes through `POST /_batch`.
+ *
+ * Requests go through the shared {@link HttpTransport}: timeouts, connection failures, 429 and 5xx
+ * are retried with backoff inside a deadline, behind a per-endpoint circuit breaker. Every write
+ * carries an `Idempotency-Key` that its retries reuse, so the service applies it once even if the
+ * first attempt got through. Failures throw the transport's typed errors; the KVS-specific ones
+ * below extend them (e.g. {@link KVSConflictError} is a {@link ConflictError}).
+ *
+ * With `cache` set, reads keep recent values and revalidate them with `If-None-Match`, so a key
+ * that has not changed costs a bodyless 304; the client's own writes drop the keys they touch.
+ *
+ * {@link KVSClient.withLock} runs work under a lease that renews itself; its fencing token keeps
+ * a holder that lost the lease from overwriting keys its successor already wrote.
  */
 
-export interface KVSClientConfig {
+import { z } from 'zod';
+import { AppError, generateId, IDEMPOTENCY_HEADER } from '../utils';
+import type { RequestCredentials } from '../utils';
+import { ConflictError, createHttpError, HttpError, HttpTransport, NotFoundError, readHttpError } from './transport';
+import type { TransportOptions } from './transport';
+import { zodToJsonSchema } from '../schemas';
+import type { JsonSchema } from '../schemas';
+
+export interface KVSClientConfig extends TransportOptions {
   /** KVS Lambda endpoint URL */
   endpoint: string;
   /** Request timeout in milliseconds (default: 5000) */
   timeout?: number;
+  /** Times a request that timed out, could not connect, or got a 429/5xx is sent again (default: 2) */
+  retries?: number;
+  /** Sign every request with these credentials (required when the service sets AUTH_CLIENTS) */
+  credentials?: RequestCredentials;
+  /** Keep recently read values and revalidate them with If-None-Match (off unless set; `{}` for defaults) */
+  cache?: KVSCacheOptions;
+}
+
+/**
+ * Read-through cache for {@link KVSClient.get} / {@link KVSClient.getVersioned}.
+ *
+ * A cached value is revalidated with `If-None-Match`, so an unchanged key costs a 304 with no
+ * body. The client's own writes to a key drop its entry; writes by other clients are picked up
+ * by the next revalidation.
+ */
+export interface KVSCacheOptions {
+  /** Most values kept; the least recently read go first (default: 500) */
+  maxEntries?: number;
+  /** Drop a value this long after it was last fetched or revalidated (default: 60000) */
+  ttlMs?: number;
+  /** Serve a value without asking the service for this long after that (default: 0, always revalidate) */
+  freshMs?: number;
+}
+
+/**
+ * Optimistic concurrency options for write operations.
+ *
+ * Versions come from {@link KVSClient.getVersioned} or a previous write result.
+ */
+export interface KVSWriteOptions {
+  /** Only write if the stored version matches (version number, ETag, or '*' for "must exist") */
+  ifMatch?: number | string;
+  /** Only write if the stored version does not match ('*' for "must not exist") */
+  ifNoneMatch?: number | string;
+  /** Only write while this lease token is current (see {@link KVSClient.withLock}) */
+  fence?: KVSFence;
+  /** Send this `Idempotency-Key` instead of a fresh one, to replay a write that may already have applied */
+  idempotencyKey?: string;
+}
+
+/**
+ * Expiry options for PUT/POST. The key reads as missing once the TTL elapses.
+ */
+export interface KVSExpiryOptions {
+  /** Seconds until the key expires (max 1 year). PUT without a TTL clears any previous expiry. */
+  ttlSeconds?: number;
+}
+
+export type KVSPutOptions = KVSWriteOptions & KVSExpiryOptions;
+
+/**
+ * A lease's fencing token. Each acquisition gets a higher one, so a write carrying it fails once
+ * the lease has moved on, or once the key was written under a newer token.
+ */
+export interface KVSFence {
+  lease: string;
+  token: number;
+}
+
+export interface KVSLease {
+  name: string;
+  owner: string;
+  /** Fencing token of this acquisition */
+  token: number;
+  /** ISO timestamp; renew before then */
+  expiresAt: string;
+}
+
+export interface KVSLeaseOptions {
+  /** Identifies the holder (default: a random id per acquisition) */
+  owner?: string;
+  /** Seconds until the lease lapses unless renewed (default 30, max 3600) */
+  ttlSeconds?: number;
+}
+
+export interface KVSLockOptions extends KVSLeaseOptions {
+  /** How long to keep trying while someone else holds the lease (default 0: fail at once) */
+  waitMs?: number;
+}
+
+/**
+ * Handed to the function run by {@link KVSClient.withLock}
+ */
+export interface KVSLockContext {
+  lease: KVSLease;
+  /** Pass as `fence` on writes that must not land after the lease is lost */
+  fence: KVSFence;
+  /** Aborted if the lease is lost while the function runs */
+  signal: AbortSignal;
+}
+
+export interface KVSCollectionOptions<Id extends string | number> {
+  /**
+   * Upgrades a stored value that no longer matches the schema (an older shape) into one that
+   * does. Only called for values that fail validation; the stored copy is left as it was.
+   */
+  migrate?: (value: unknown, key: string) => unknown;
+  /** Turns a key's suffix back into an id for `list()` (default: the suffix itself) */
+  parseId?: (suffix: string) => Id;
+}
+
+/**
+ * JSON Merge Patch (RFC 7396) for a value of type `T`: nested objects merge, `null` removes a
+ * field, anything else (arrays included) replaces it
+ */
+export type KVSMergePatch<T> = T extends unknown[]
+  ? T
+  : T extends object
+  ? { [K in keyof T]?: KVSMergePatch<T[K]> | null }
+  : T;
+
+export interface KVSCollectionEntry<T, Id> {
+  id: Id;
+  key: string;
+  value: T;
+  version: number;
+}
+
+export interface KVSWriteResult {
+  /** Version of the value after the write */
+  version: number;
+}
+
+export interface KVSVersionedValue<T> {
+  value: T;
+  version: number;
+}
+
+export interface KVSVersionInfo {
+  version: number;
+  updatedAt?: string;
+}
+
+export interface KVSVersionHistory {
+  key: string;
+  /** Null when the key was deleted or expired but history remains */
+  currentVersion: number | null;
+  /** How many previous versions the service keeps (0 = history disabled) */
+  historyLimit: number;
+  /** Newest first */
+  versions: KVSVersionInfo[];
+}
+
+export interface KVSRestoreResult extends KVSWriteResult {
+  /** The historical version whose value was written back */
+  restoredVersion: number;
+}
+
+/**
+ * How PATCH combines the body with the stored value:
+ * 'shallow' (top-level merge), 'merge-patch' (RFC 7396) or 'json-patch' (RFC 6902)
+ */
+export type KVSPatchFormat = 'shallow' | 'merge-patch' | 'json-patch';
+
+/** One RFC 6902 operation; paths are JSON Pointers like '/vitals/hp' or '/inventory/-' */
+export type KVSJsonPatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: unknown }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
+/**
+ * Atomic operation on part of a stored value (`POST /{key}/_ops`).
+ * Paths are JSON Pointers into object fields, e.g. '/stats/kills'; '' is the whole value.
+ */
+export type KVSValueOperation =
+  | { op: 'increment'; path: string; by?: number }
+  | { op: 'append'; path: string; values: unknown[]; maxLength?: number }
+  | { op: 'addToSet'; path: string; values: Array<string | number | boolean> };
+
+export interface KVSOperationsResult<T = unknown> extends KVSWriteResult {
+  /** The whole value after the operations */
+  value: T;
+}
+
+export interface KVSFieldResult<T> extends KVSWriteResult {
+  /** The field's contents after the operation */
+  value: T;
+}
+
+export type KVSBatchOperation =
+  | { op: 'get'; key: string }
+  | { op: 'put'; key: string; value: unknown; ttlSeconds?: number }
+  | { op: 'delete'; key: string };
+
+export interface KVSBatchResult<T = unknown> {
+  op: KVSBatchOperation['op'];
+  key: string;
+  /** HTTP-style status for this item (200, 404 for a missing get, 400, or 503 if still unprocessed) */
+  status: number;
+  value?: T;
+  version?: number;
+  error?: string;
+  /** Field-level schema errors for a put rejected with 422 */
+  errors?: KVSSchemaViolation[];
+}
+
+export interface KVSBatchPutEntry {
+  key: string;
+  value: unknown;
+  ttlSeconds?: number;
+}
+
+export type KVSTransactionOperation =
+  | ({ op: 'put'; key: string; value: unknown; ttlSeconds?: number } & KVSWriteOptions)
+  | ({ op: 'patch'; key: string; value: unknown; format?: KVSPatchFormat } & KVSWriteOptions)
+  | ({ op: 'delete' | 'check'; key: string } & KVSWriteOptions);
+
+export interface KVSTransactionResult {
+  /** One entry per operation, in order; `version` is set for puts and patches */
+  results: Array<{ op: KVSTransactionOperation['op']; key: string; version?: number }>;
+}
+
+/**
+ * Why a transaction was cancelled, one entry per operation.
+ * `code` is 'None' for operations that were fine on their own.
+ */
+export interface KVSCancellationReason {
+  index: number;
+  op: KVSTransactionOperation['op'];
+  key: string;
+  code: 'None' | 'PreconditionFailed' | 'NotFound' | 'SchemaViolation' | 'StaleFence' | 'TransactionConflict' | string;
+  message?: string;
+  currentVersion?: number;
+  /** The lease's newer token when `code` is 'StaleFence' */
+  currentToken?: number;
+  /** Field-level schema errors when `code` is 'SchemaViolation' */
+  errors?: KVSSchemaViolation[];
+}
+
+export interface KVSSchemaViolation {
+  /** JSON Pointer to the offending field, '' for the value itself */
+  path: string;
+  message: string;
+}
+
+export interface KVSSchemaInfo {
+  /** Applies to every key starting with this; the longest matching prefix wins */
+  prefix: string;
+  /** Bumped on every registration */
+  version: number;
+  schema: JsonSchema;
+  /** JSON Patch migrations keyed by the version they upgrade from ('0': values stored before any schema) */
+  migrations: Record<string, KVSJsonPatchOperation[]>;
+  updatedAt: string;
+}
+
+export interface KVSRegisterSchemaOptions {
+  /** Upgrades values stored under the previous version; applied whenever they are read */
+  migration?: KVSJsonPatchOperation[];
+}
+
+export interface KVSListOptions {
+  /** Only return keys starting with this prefix (e.g. 'game:123:') */
+  prefix?: string;
+  /** Maximum entries per page (1-1000, default: 100) */
+  limit?: number;
+  /** Continuation token from a previous page */
+  cursor?: string;
+  /** Include stored values in each entry */
+  includeValues?: boolean;
+}
+
+export interface KVSListEntry<T = unknown> {
+  key: string;
+  version: number;
+  updatedAt?: string;
+  /** Expiry as epoch seconds, if the key has a TTL */
+  expiresAt?: number;
+  /** Only present when `includeValues` is set */
+  value?: T;
+}
+
+export interface KVSListPage<T = unknown> {
+  items: KVSListEntry<T>[];
+  /** Pass back as `cursor` to fetch the next page; null when there are no more results */
+  cursor: string | null;
+}
+
+export interface KVSStreamEvent<E = unknown> {
+  /** Server-assigned, starting at 1 and increasing by one per event */
+  sequence: number;
+  event: E;
+  appendedAt: string;
+  /** Expiry as epoch seconds, if the event was appended with a TTL */
+  expiresAt?: number;
+}
+
+export interface KVSStreamPage<E = unknown> {
+  events: KVSStreamEvent<E>[];
+  /** Sequence to read from next (one past the last event returned) */
+  nextSequence: number;
+  /** True when more events were already available past this page */
+  hasMore: boolean;
+}
+
+export interface KVSStreamAppendOptions {
+  /** Only append if the stream's last sequence is exactly this (0 for a new stream) */
+  expectedSequence?: number;
+  /** Expire the appended events after this many seconds */
+  ttlSeconds?: number;
+}
+
+export interface KVSStreamAppendResult {
+  firstSequence: number;
+  lastSequence: number;
+}
+
+/**
+ * Thrown when the stream has moved past `expectedSequence`; nothing was appended.
+ */
+export class KVSStreamConflictError extends ConflictError {
+  constructor(
+    public stream: string,
+    public currentSequence?: number
+  ) {
+    super(
+      `KVS stream conflict: ${stream}${currentSequence !== undefined ? ` (current sequence ${currentSequence})` : ''}`,
+      409
+    );
+    this.name = 'KVSStreamConflictError';
+  }
+}
+
+/**
+ * Thrown when a write is rejected because the stored value changed
+ * (412 precondition failed) or already exists (409 on POST).
+ */
+export class KVSConflictError extends ConflictError {
+  constructor(
+    public key: string,
+    public statusCode: number,
+    public currentVersion?: number
+  ) {
+    super(
+      statusCode === 412
+        ? `KVS precondition failed for key: ${key}${
+            currentVersion !== undefined ? ` (current version ${currentVersion})` : ''
+          }`
+        : `KVS conflict for key: ${key}`,
+      statusCode
+    );
+    this.name = 'KVSConflictError';
+  }
+}
+
+/**
+ * Thrown when a fenced write is rejected (412) because its lease has a newer token: the caller
+ * lost the lease, and nothing was written.
+ */
+export class KVSFenceError extends KVSConflictError {
+  constructor(
+    key: string,
+    public lease: string,
+    public currentToken: number
+  ) {
+    super(key, 412);
+    this.message = `KVS fencing token is stale for key: ${key} (lease ${lease} is at token ${currentToken})`;
+    this.name = 'KVSFenceError';
+  }
+}
+
+/**
+ * Thrown when a lease is held by another owner, or was lost before it could be renewed or released
+ */
+export class KVSLeaseError extends ConflictError {
+  constructor(
+    public lease: string,
+    message: string,
+    public holder?: KVSLease
+  ) {
+    super(`KVS lease ${lease}: ${message}${holder ? ` (held by ${holder.owner} until ${holder.expiresAt})` : ''}`, 409);
+    this.name = 'KVSLeaseError';
+  }
+}
+
+/**
+ * Thrown when a write would leave a value that does not match its prefix's schema (422).
+ * Nothing was written.
+ */
+export class KVSValidationError extends HttpError {
+  constructor(
+    public key: string,
+    public schemaPrefix: string,
+    public schemaVersion: number,
+    public errors: KVSSchemaViolation[]
+  ) {
+    super(
+      `KVS value for key ${key} does not match schema ${schemaPrefix} v${schemaVersion}: ${errors
+        .slice(0, 3)
+        .map((error) => `${error.path || '/'} ${error.message}`)
+        .join('; ')}${errors.length > 3 ? '; ...' : ''}`,
+      422,
+      'VALIDATION_FAILED'
+    );
+    this.name = 'KVSValidationError';
+  }
+}
+
+/**
+ * Thrown by the batch helpers when some items failed even after retries.
+ * Items that succeeded are still applied; `results` holds every outcome.
+ */
+export class KVSBatchError extends Error {
+  constructor(
+    public failures: KVSBatchResult[],
+    public results: KVSBatchResult[]
+  ) {
+    super(
+      `KVS batch failed for ${failures.length} item(s): ${failures
+        .slice(0, 5)
+        .map((failure) => `${failure.op} ${failure.key} (${failure.status})`)
+        .join(', ')}${failures.length > 5 ? ', ...' : ''}`
+    );
+    this.name = 'KVSBatchError';
+  }
+}
+
+/**
+ * Thrown when a transaction is cancelled; nothing in it was applied.
+ */
+export class KVSTransactionError extends ConflictError {
+  constructor(public reasons: KVSCancellationReason[]) {
+    const failed = reasons.filter((reason) => reason.code !== 'None');
+    super(
+      `KVS transaction cancelled: ${failed
+        .map((reason) => `${reason.op} ${reason.key} (${reason.code})`)
+        .join(', ')}`,
+      409
+    );
+    this.name = 'KVSTransactionError';
+  }
+
+  /** Reasons for the operations that actually failed */
+  get failures(): KVSCancellationReason[] {
+    return this.reasons.filter((reason) => reason.code !== 'None');
+  }
+}
+
+/**
+ * Thrown by a {@link KVSCollection} when a value does not match the collection's schema. On a
+ * write nothing was sent; on a read the stored value (after `migrate`, if set) is not valid.
+ */
+export class KVSCollectionValidationError extends AppError {
+  constructor(
+    public key: string,
+    public operation: 'read' | 'write',
+    public issues: z.ZodIssue[]
+  ) {
+    super(
+      `KVS ${operation} of ${key} failed validation: ${issues
+        .slice(0, 3)
+        .map((issue) => `/${issue.path.join('/')} ${issue.message}`)
+        .join('; ')}${issues.length > 3 ? '; ...' : ''}`,
+      'VALIDATION_ERROR',
+      422
+    );
+    this.name = 'KVSCollectionValidationError';
+  }
+}
+
+/**
+ * Collects operations for {@link KVSClient.transact}; nothing is sent until `commit()`.
+ */
+export class KVSTransaction {
+  private operations: KVSTransactionOperation[] = [];
+
+  constructor(private send: (operations: KVSTransactionOperation[]) => Promise<KVSTransactionResult>) {}
+
+  /** Create or replace `key` (clears any expiry unless `ttlSeconds` is set) */
+  put(key: string, value: unknown, options?: KVSPutOptions): this {
+    this.operations.push({ op: 'put', key, value, ...options });
+    return this;
+  }
+
+  /**
+   * Patch the existing value (the key must exist; expiry is kept). Shallow merge by default;
+   * pass `format` for a JSON Merge Patch or a JSON Patch operation list.
+   */
+  patch(key: string, patch: unknown, options?: KVSWriteOptions & { format?: KVSPatchFormat }): this {
+    this.operations.push({ op: 'patch', key, value: patch, ...options });
+    return this;
+  }
+
+  /** Delete `key` */
+  delete(key: string, options?: KVSWriteOptions): this {
+    this.operations.push({ op: 'delete', key, ...options });
+    return this;
+  }
+
+  /** Require a condition on `key` without writing it */
+  check(key: string, options: KVSWriteOptions): this {
+    this.operations.push({ op: 'check', key, ...options });
+    return this;
+  }
+
+  get size(): number {
+    return this.operations.length;
+  }
+
+  /**
+   * Apply every operation, or none of them
+   *
+   * @throws KVSTransactionError if the transaction was cancelled
+   */
+  async commit(): Promise<KVSTransactionResult> {
+    return this.send([...this.operations]);
+  }
+}
+
+type StreamRequest = (
+  method: string,
+  init?: { body?: unknown; query?: URLSearchParams }
+) => Promise<Response>;
+
+/**
+ * An append-only event log returned by {@link KVSClient.stream}
+ */
+export class KVSStream<E = unknown> {
+  constructor(
+    public readonly name: string,
+    private send: StreamRequest
+  ) {}
+
+  /**
+   * Append one event and return its sequence number
+   *
+   * @throws KVSStreamConflictError if `expectedSequence` no longer matches
+   */
+  async append(event: E, options?: KVSStreamAppendOptions): Promise<number> {
+    return (await this.appendAll([event], options)).lastSequence;
+  }
+
+  /**
+   * Append up to 100 events with consecutive sequence numbers, all or nothing
+   *
+   * @throws KVSStreamConflictError if `expectedSequence` no longer matches
+   */
+  async appendAll(events: E[], options: KVSStreamAppendOptions = {}): Promise<KVSStreamAppendResult> {
+    const response = await this.send('POST', { body: { events, ...options } });
+
+    if (response.status === 409) {
+      const data = (await response.json().catch(() => ({}))) as { currentSequence?: number };
+      throw new KVSStreamConflictError(this.name, data.currentSequence);
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS STREAM APPEND', response);
+    }
+
+    const data = (await response.json()) as KVSStreamAppendResult;
+    return { firstSequence: data.firstSequence, lastSequence: data.lastSequence };
+  }
+
+  /**
+   * Read events in sequence order
+   *
+   * @param options - First sequence to return (default 1) and page size (1-1000, default 100)
+   */
+  async read(options: { from?: number; limit?: number } = {}): Promise<KVSStreamPage<E>> {
+    const query = new URLSearchParams();
+    if (options.from !== undefined) query.set('from', String(options.from));
+    if (options.limit !== undefined) query.set('limit', String(options.limit));
+    return this.readPage(query);
+  }
+
+  /**
+   * The last `count` events (1-1000, default 100), oldest first
+   */
+  async tail(count?: number): Promise<KVSStreamPage<E>> {
+    return this.readPage(new URLSearchParams({ tail: String(count ?? 100) }));
+  }
+
+  /**
+   * Iterate over every event from `from` onwards, fetching pages as needed
+   *
+   * @example
+   * ```typescript
+   * let state = initialState;
+   * for await (const { event } of kvs.stream<GameEvent>('match:123').replay()) {
+   *   state = applyEvent(state, event);
+   * }
+   * ```
+   */
+  async *replay(from = 1, pageSize?: number): AsyncGenerator<KVSStreamEvent<E>, void, undefined> {
+    let next = from;
+    let page: KVSStreamPage<E>;
+    do {
+      page = await this.read({ from: next, limit: pageSize });
+      for (const event of page.events) {
+        yield event;
+      }
+      next = page.nextSequence;
+    } while (page.hasMore);
+  }
+
+  /**
+   * Delete every event; the next append starts again at sequence 1
+   */
+  async delete(): Promise<void> {
+    const response = await this.send('DELETE');
+    if (!response.ok) {
+      throw await readHttpError('KVS STREAM DELETE', response);
+    }
+  }
+
+  private async readPage(query: URLSearchParams): Promise<KVSStreamPage<E>> {
+    const response = await this.send('GET', { query });
+    if (!response.ok) {
+      throw await readHttpError('KVS STREAM READ', response);
+    }
+    const data = (await response.json()) as KVSStreamPage<E>;
+    return { events: data.events, nextSequence: data.nextSequence, hasMore: data.hasMore };
+  }
+}
+
+/**
+ * Typed values under one key prefix, returned by {@link KVSClient.collection}. Every value is
+ * checked against the Zod schema on the way in and on the way out.
+ */
+export class KVSCollection<S extends z.ZodTypeAny, Id extends string | number = string> {
+  constructor(
+    private kvs: KVSClient,
+    public readonly prefix: string,
+    public readonly schema: S,
+    private options: KVSCollectionOptions<Id> = {}
+  ) {}
+
+  /** The key an id is stored under: the prefix followed by the id */
+  key(id: Id): string {
+    return `${this.prefix}${id}`;
+  }
+
+  async get(id: Id): Promise<z.output<S> | null> {
+    const result = await this.getVersioned(id);
+    return result ? result.value : null;
+  }
+
+  async getVersioned(id: Id): Promise<KVSVersionedValue<z.output<S>> | null> {
+    const key = this.key(id);
+    const result = await this.kvs.getVersioned(key);
+    return result ? { value: this.read(key, result.value), version: result.version } : null;
+  }
+
+  /**
+   * Validate `value` and store what the schema outputs (defaults applied, unknown keys dropped)
+   *
+   * @throws KVSCollectionValidationError if `value` does not match; nothing is sent
+   */
+  async put(id: Id, value: z.input<S>, options?: KVSPutOptions): Promise<KVSWriteResult> {
+    const key = this.key(id);
+    return this.kvs.put(key, this.write(key, value), options);
+  }
+
+  /**
+   * Merge `patch` into the value as read (migrated, if it had to be) and store the validated
+   * result. It is sent as a JSON Patch replacing the whole value, which keeps any expiry, guarded
+   * by the version it was computed from; if another write got there first it is recomputed
+   * (unless `options.ifMatch` is given).
+   *
+   * @returns The merged value and its new version
+   * @throws NotFoundError if there is no value for `id`
+   * @throws KVSCollectionValidationError if the merged value would not match
+   */
+  async patch(
+    id: Id,
+    patch: KVSMergePatch<z.input<S>>,
+    options: KVSWriteOptions = {}
+  ): Promise<KVSVersionedValue<z.output<S>>> {
+    const key = this.key(id);
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.getVersioned(id);
+      if (!current) {
+        throw new NotFoundError(`KVS collection ${this.prefix}: no value for ${key}`);
+      }
+      const value = this.write(key, applyMergePatch(current.value, patch));
+      try {
+        const { version } = await this.kvs.jsonPatch(key, [{ op: 'replace', path: '', value }], {
+          ...options,
+          ifMatch: options.ifMatch ?? current.version,
+        });
+        return { value, version };
+      } catch (error) {
+        const raced =
+          error instanceof KVSConflictError && !(error instanceof KVSFenceError) && options.ifMatch === undefined;
+        if (!raced || attempt >= COLLECTION_PATCH_MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async delete(id: Id, options?: KVSWriteOptions): Promise<void> {
+    await this.kvs.delete(this.key(id), options);
+  }
+
+  /**
+   * Every value in the collection, in key order, validated as it is read
+   */
+  async *list(options: { limit?: number } = {}): AsyncGenerator<KVSCollectionEntry<z.output<S>, Id>, void, undefined> {
+    const parseId = this.options.parseId ?? ((suffix: string) => suffix as Id);
+    for await (const entry of this.kvs.list(this.prefix, { ...options, includeValues: true })) {
+      yield {
+        id: parseId(entry.key.slice(this.prefix.length)),
+        key: entry.key,
+        value: this.read(entry.key, entry.value),
+        version: entry.version,
+      };
+    }
+  }
+
+  private read(key: string, value: unknown): z.output<S> {
+    const result = this.schema.safeParse(value);
+    if (result.success) {
+      return result.data;
+    }
+    if (!this.options.migrate) {
+      throw new KVSCollectionValidationError(key, 'read', result.error.issues);
+    }
+    const migrated = this.schema.safeParse(this.options.migrate(value, key));
+    if (!migrated.success) {
+      throw new KVSCollectionValidationError(key, 'read', migrated.error.issues);
+    }
+    return migrated.data;
+  }
+
+  private write(key: string, value: unknown): z.output<S> {
+    const result = this.schema.safeParse(value);
+    if (!result.success) {
+      throw new KVSCollectionValidationError(key, 'write', result.error.issues);
+    }
+    return result.data;
+  }
+}
+
+// Service limits for POST /_batch (body is capped at 256KB; leave headroom for the envelope)
+const BATCH_MAX_OPERATIONS = 100;
+const BATCH_MAX_BYTES = 200 * 1024;
+const BATCH_MAX_ATTEMPTS = 3;
+const BATCH_RETRY_BASE_MS = 100;
+const LEASE_DEFAULT_TTL_SECONDS = 30;
+const LOCK_RETRY_MS = 250;
+const CACHE_DEFAULT_MAX_ENTRIES = 500;
+const CACHE_DEFAULT_TTL_MS = 60_000;
+const COLLECTION_PATCH_MAX_ATTEMPTS = 3;
+
+interface CachedValue {
+  /** Response body as received; parsed per hit so callers cannot mutate the cached copy */
+  body: string;
+  version: number;
+  validatedAt: number;
+}
+
+/**
+ * Values read through {@link KVSClient.getVersioned}, least recently used first (Map order)
+ */
+class KVSReadCache {
+  private entries = new Map<string, CachedValue>();
+  /** Bumped by every invalidation, so a read that overlapped a write does not cache what it saw */
+  epoch = 0;
+
+  constructor(
+    private maxEntries: number,
+    private ttlMs: number,
+    private freshMs: number
+  ) {}
+
+  get(key: string): CachedValue | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (Date.now() - entry.validatedAt > this.ttlMs) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  isFresh(entry: CachedValue): boolean {
+    return Date.now() - entry.validatedAt < this.freshMs;
+  }
+
+  /** Stores `entry` unless something was invalidated since `epoch` was read */
+  set(key: string, entry: CachedValue, epoch: number): void {
+    if (epoch !== this.epoch) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(oldest);
+    }
+  }
+
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+
+  invalidate(keys: string[]): void {
+    this.epoch++;
+    for (const key of keys) {
+      this.entries.delete(key);
+    }
+  }
+
+  invalidatePrefix(prefix: string): void {
+    this.epoch++;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear(): void {
+    this.epoch++;
+    this.entries.clear();
+  }
+}
+
+function chunkBatch(operations: KVSBatchOperation[]): KVSBatchOperation[][] {
+  const encoder = new TextEncoder();
+  const chunks: KVSBatchOperation[][] = [];
+  let current: KVSBatchOperation[] = [];
+  let currentBytes = 0;
+
+  for (const operation of operations) {
+    const bytes = encoder.encode(JSON.stringify(operation)).length;
+    if (current.length > 0 && (current.length >= BATCH_MAX_OPERATIONS || currentBytes + bytes > BATCH_MAX_BYTES)) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(operation);
+    currentBytes += bytes;
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * RFC 7396, as the service applies it: objects merge recursively and `null` removes a member
+ */
+function applyMergePatch(target: unknown, patch: unknown): unknown {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  const result: Record<string, unknown> =
+    target && typeof target === 'object' && !Array.isArray(target) ? { ...(target as Record<string, unknown>) } : {};
+  for (const [name, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[name];
+    } else {
+      result[name] = applyMergePatch(result[name], value);
+    }
+  }
+  return result;
+}
+
+function getPointer(value: unknown, path: string): unknown {
+  if (path === '') {
+    return value;
+  }
+  return path
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce<unknown>(
+      (current, token) =>
+        current && typeof current === 'object' ? (current as Record<string, unknown>)[token] : undefined,
+      value
+    );
+}
+
+/**
+ * Reads the error for a failed write: {@link KVSValidationError} for a schema rejection,
+ * otherwise the transport's typed error for the status
+ */
+async function readWriteFailure(operation: string, key: string, response: Response): Promise<HttpError> {
+  const data = (await response.json().catch(() => undefined)) as
+    | { schema?: string; schemaVersion?: number; errors?: KVSSchemaViolation[] }
+    | undefined;
+  if (response.status === 422 && Array.isArray(data?.errors)) {
+    return new KVSValidationError(key, data.schema ?? '', data.schemaVersion ?? 0, data.errors);
+  }
+  return createHttpError(operation, response, data);
+}
+
+/**
+ * Reads the error for a 409/412 write response; stale fences get their own
+ */
+async function readConflict(key: string, response: Response): Promise<KVSConflictError> {
+  const data = (await response.json().catch(() => ({}))) as {
+    currentVersion?: number;
+    lease?: string;
+    currentToken?: number;
+  };
+  return data.lease !== undefined && data.currentToken !== undefined
+    ? new KVSFenceError(key, data.lease, data.currentToken)
+    : new KVSConflictError(key, response.status, data.currentVersion);
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toETag(condition: number | string): string {
+  return typeof condition === 'number' ? `"${condition}"` : condition;
+}
+
+function parseETag(etag: string | null): number {
+  const version = parseInt((etag || '').replace(/^W\//, '').replace(/"/g, ''), 10);
+  return isNaN(version) ? 0 : version;
 }
 
 /**
@@ -24,52 +964,242 @@ export interface KVSClientConfig {
  *
  * // Retrieve data
  * const user = await kvs.get<{ name: string; score: number }>('user:123');
+ *
+ * // Update only if nobody else changed it in between
+ * const current = await kvs.getVersioned<{ score: number }>('user:123');
+ * await kvs.put('user:123', { score: current!.value.score + 1 }, { ifMatch: current!.version });
  * ```
  */
 export class KVSClient {
-  private endpoint: string;
-  private timeout: number;
+  private transport: HttpTransport;
+  private cache?: KVSReadCache;
+
+  constructor(config: KVSClientConfig) {
+    this.transport = new HttpTransport({ ...config, timeout: config.timeout || 5000 });
+    if (config.cache) {
+      this.cache = new KVSReadCache(
+        config.cache.maxEntries ?? CACHE_DEFAULT_MAX_ENTRIES,
+        config.cache.ttlMs ?? CACHE_DEFAULT_TTL_MS,
+        config.cache.freshMs ?? 0
+      );
+    }
+  }
+
+  /**
+   * Sends a request to `/{key}` (or `/{key}/{action}`) through the transport, which retries it,
+   * keeps one idempotency key across a write's attempts and throws on timeouts or an open circuit.
+   * Writes drop the cached values of `invalidates` (default: the key) both before and after.
+   */
+  private async request(
+    method: string,
+    key: string,
+    init: {
+      body?: unknown;
+      headers?: Record<string, string>;
+      query?: URLSearchParams;
+      action?: string;
+      invalidates?: string[];
+    } = {}
+  ): Promise<Response> {
+    const path = init.action ? `${encodeURIComponent(key)}/${init.action}` : encodeURIComponent(key);
+    const search = init.query && init.query.toString() ? `?${init.query.toString()}` : '';
+    const send = () =>
+      this.transport.send(method, `/${path}${search}`, {
+        body: init.body !== undefined ? JSON.stringify(init.body) : undefined,
+        headers: init.headers,
+        operation: key ? `KVS ${method} ${key}` : `KVS ${method}`,
+      });
+
+    const cache = this.cache;
+    if (method === 'GET' || !cache) {
+      return send();
+    }
+    const invalidates = init.invalidates ?? [key];
+    cache.invalidate(invalidates);
+    try {
+      return await send();
+    } finally {
+      cache.invalidate(invalidates);
+    }
+  }
+
+  /**
+   * Drop every cached value (see {@link KVSCacheOptions})
+   */
+  clearCache(): void {
+    this.cache?.clear();
+  }
+
+  private writeHeaders(options?: KVSPutOptions): Record<string, string> {
+    const headers: Record<string, string> = {};
+    if (options?.ttlSeconds !== undefined) {
+      headers['X-KVS-TTL'] = String(options.ttlSeconds);
+    }
+    if (options?.ifMatch !== undefined) {
+      headers['If-Match'] = toETag(options.ifMatch);
+    }
+    if (options?.ifNoneMatch !== undefined) {
+      headers['If-None-Match'] = toETag(options.ifNoneMatch);
+    }
+    if (options?.fence) {
+      headers['X-KVS-Fence'] = `${options.fence.lease}=${options.fence.token}`;
+    }
+    if (options?.idempotencyKey) {
+      headers[IDEMPOTENCY_HEADER] = options.idempotencyKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Turns a write response into a result, surfacing 409/412 as {@link KVSConflictError}
+   * (a {@link KVSFenceError} for a stale fence) and schema rejections as {@link KVSValidationError}.
+   */
+  private async handleWriteResponse(
+    method: string,
+    key: string,
+    response: Response
+  ): Promise<KVSWriteResult> {
+    if (response.status === 409 || response.status === 412) {
+      throw await readConflict(key, response);
+    }
+
+    if (!response.ok) {
+      throw await readWriteFailure(`KVS ${method}`, key, response);
+    }
+
+    const data = (await response.json().catch(() => ({}))) as { version?: number };
+    return { version: data.version ?? parseETag(response.headers.get('ETag')) };
+  }
+
+  /**
+   * GET key -> value
+   *
+   * @param key - The key to retrieve
+   * @returns The value or null if not found
+   */
+  async get<T = unknown>(key: string): Promise<T | null> {
+    const result = await this.getVersioned<T>(key);
+    return result ? result.value : null;
+  }
+
+  /**
+   * GET key -> value with its current version
+   *
+   * @param key - The key to retrieve
+   * @returns The value and version, or null if not found
+   */
+  async getVersioned<T = unknown>(key: string): Promise<KVSVersionedValue<T> | null> {
+    const cache = this.cache;
+    const cached = cache?.get(key);
+    if (cached && cache!.isFresh(cached)) {
+      return { value: JSON.parse(cached.body) as T, version: cached.version };
+    }
+
+    const epoch = cache?.epoch ?? 0;
+    const response = await this.request('GET', key, {
+      headers: cached ? { 'If-None-Match': toETag(cached.version) } : undefined,
+    });
+
+    if (response.status === 304 && cached) {
+      cache!.set(key, { ...cached, validatedAt: Date.now() }, epoch);
+      return { value: JSON.parse(cached.body) as T, version: cached.version };
+    }
+
+    if (response.status === 404) {
+      cache?.delete(key);
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS GET', response);
+    }
+
+    const body = await response.text();
+    const version = parseETag(response.headers.get('ETag'));
+    cache?.set(key, { body, version, validatedAt: Date.now() }, epoch);
+    return { value: JSON.parse(body) as T, version };
+  }
+
+  /**
+   * GET a previous version of a key
+   *
+   * @param key - The key to retrieve
+   * @param version - Version number from {@link KVSClient.listVersions} or a write result
+   * @returns The value at that version, or null if it is no longer kept
+   */
+  async getVersion<T = unknown>(key: string, version: number): Promise<T | null> {
+    const response = await this.request('GET', key, {
+      query: new URLSearchParams({ version: String(version) }),
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS GET', response);
+    }
+
+    return (await response.json()) as T;
+  }
+
+  /**
+   * List the versions kept for a key
+   *
+   * @param key - The key to inspect
+   * @returns Version history (newest first), or null if the key has none
+   */
+  async listVersions(key: string): Promise<KVSVersionHistory | null> {
+    const response = await this.request('GET', key, { action: '_versions' });
 
-  constructor(config: KVSClientConfig) {
-    this.endpoint = config.endpoint.replace(/\/$/, ''); // remove trailing slash
-    this.timeout = config.timeout || 5000;
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS VERSIONS', response);
+    }
+
+    return (await response.json()) as KVSVersionHistory;
   }
 
   /**
-   * GET key -> value
+   * Restore a previous version by writing its value back as a new version
    *
-   * @param key - The key to retrieve
-   * @returns The value or null if not found
+   * @param key - The key to restore
+   * @param version - The version to bring back
+   * @param options - Optional If-Match precondition on the current version
+   * @returns The new version and the version that was restored
+   * @throws KVSConflictError if a precondition fails (412)
+   * @throws Error if the version is no longer kept (404)
+   *
+   * @example
+   * ```typescript
+   * const history = await kvs.listVersions('settings:global');
+   * await kvs.restore('settings:global', history!.versions[1].version);
+   * ```
    */
-  async get<T = unknown>(key: string): Promise<T | null> {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' },
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
+  async restore(key: string, version: number, options?: KVSWriteOptions): Promise<KVSRestoreResult> {
+    const response = await this.request('POST', key, {
+      action: '_restore',
+      body: { version },
+      headers: this.writeHeaders(options),
+    });
 
-      if (response.status === 404) {
-        return null;
-      }
+    if (response.status === 404) {
+      throw new NotFoundError(`KVS version ${version} not found for key: ${key}`);
+    }
 
-      if (!response.ok) {
-        throw new Error(`KVS GET failed: ${response.status} ${response.statusText}`);
-      }
+    if (response.status === 412) {
+      throw await readConflict(key, response);
+    }
 
-      const data = await response.json();
-      return data as T;
-    } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw new Error(`KVS GET timeout for key: ${key}`);
-      }
-      throw error;
+    if (!response.ok) {
+      throw await readWriteFailure('KVS RESTORE', key, response);
     }
+
+    const data = (await response.json()) as { version: number; restoredVersion: number };
+    return { version: data.version, restoredVersion: data.restoredVersion };
   }
 
   /**
@@ -77,30 +1207,21 @@ export class KVSClient {
    *
    * @param key - The key to store
    * @param value - The value to store
+   * @param options - Optional If-Match / If-None-Match preconditions and TTL
+   * @throws KVSConflictError if a precondition fails (412)
+   * @throws KVSValidationError if the value does not match its prefix's schema (422)
+   *
+   * @example
+   * ```typescript
+   * await kvs.put('lobby:abc', lobby, { ttlSeconds: 3600 });
+   * ```
    */
-  async put(key: string, value: unknown): Promise<void> {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(value),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`KVS PUT failed: ${response.status} ${response.statusText}`);
-      }
-    } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw new Error(`KVS PUT timeout for key: ${key}`);
-      }
-      throw error;
-    }
+  async put(key: string, value: unknown, options?: KVSPutOptions): Promise<KVSWriteResult> {
+    const response = await this.request('PUT', key, {
+      body: value,
+      headers: this.writeHeaders(options),
+    });
+    return this.handleWriteResponse('PUT', key, response);
   }
 
   /**
@@ -108,90 +1229,198 @@ export class KVSClient {
    *
    * @param key - The key to create
    * @param value - The value to store
-   * @throws Error if key already exists (409)
+   * @param options - Optional TTL
+   * @throws KVSConflictError if key already exists (409)
+   * @throws KVSValidationError if the value does not match its prefix's schema (422)
    */
-  async post(key: string, value: unknown): Promise<void> {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(value),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`KVS POST failed: ${response.status} ${response.statusText}`);
-      }
-    } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw new Error(`KVS POST timeout for key: ${key}`);
-      }
-      throw error;
-    }
+  async post(key: string, value: unknown, options?: KVSExpiryOptions): Promise<KVSWriteResult> {
+    const response = await this.request('POST', key, {
+      body: value,
+      headers: this.writeHeaders(options),
+    });
+    return this.handleWriteResponse('POST', key, response);
   }
 
   /**
    * PATCH key, patch (partial update/merge)
    *
+   * Merges top-level fields only; use {@link KVSClient.mergePatch} for nested objects.
+   *
    * @param key - The key to update
-   * @param patch - The partial data to merge
+   * @param patch - The partial data to merge (keeps any existing TTL)
+   * @param options - Optional If-Match / If-None-Match preconditions
    * @throws Error if key doesn't exist (404)
+   * @throws KVSConflictError if a precondition fails (412) or the patch kept racing (409)
+   * @throws KVSValidationError if the patched value does not match its prefix's schema (422)
    */
-  async patch(key: string, patch: unknown): Promise<void> {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(patch),
-        signal: controller.signal,
-      });
+  async patch(key: string, patch: unknown, options?: KVSWriteOptions): Promise<KVSWriteResult> {
+    const response = await this.request('PATCH', key, {
+      body: patch,
+      headers: this.writeHeaders(options),
+    });
+    return this.handleWriteResponse('PATCH', key, response);
+  }
+
+  /**
+   * PATCH key with an RFC 7396 JSON Merge Patch: nested objects merge, null removes a field
+   *
+   * @param key - The key to update
+   * @param patch - Merge patch document (keeps any existing TTL)
+   * @param options - Optional If-Match / If-None-Match preconditions
+   * @throws Error if key doesn't exist (404)
+   * @throws KVSConflictError if a precondition fails (412) or the patch kept racing (409)
+   * @throws KVSValidationError if the patched value does not match its prefix's schema (422)
+   *
+   * @example
+   * ```typescript
+   * // Only hp changes; the rest of vitals is kept, and status is removed
+   * await kvs.mergePatch('tribute:4', { vitals: { hp: 50 }, status: null });
+   * ```
+   */
+  async mergePatch(key: string, patch: unknown, options?: KVSWriteOptions): Promise<KVSWriteResult> {
+    const response = await this.request('PATCH', key, {
+      body: patch,
+      headers: { ...this.writeHeaders(options), 'Content-Type': 'application/merge-patch+json' },
+    });
+    return this.handleWriteResponse('PATCH', key, response);
+  }
 
-      clearTimeout(timeoutId);
+  /**
+   * PATCH key with RFC 6902 JSON Patch operations, applied atomically server-side
+   *
+   * @param key - The key to update
+   * @param operations - Operations applied in order; if one fails, none are applied
+   * @param options - Optional If-Match / If-None-Match preconditions
+   * @throws Error if key doesn't exist (404) or an operation does not fit the value (422)
+   * @throws KVSConflictError if a `test` operation fails or a precondition fails (409/412)
+   * @throws KVSValidationError if the patched value does not match its prefix's schema (422)
+   *
+   * @example
+   * ```typescript
+   * await kvs.jsonPatch('tribute:4', [
+   *   { op: 'test', path: '/alive', value: true },
+   *   { op: 'add', path: '/inventory/-', value: 'rope' },
+   *   { op: 'remove', path: '/status' },
+   * ]);
+   * ```
+   */
+  async jsonPatch(
+    key: string,
+    operations: KVSJsonPatchOperation[],
+    options?: KVSWriteOptions
+  ): Promise<KVSWriteResult> {
+    const response = await this.request('PATCH', key, {
+      body: operations,
+      headers: { ...this.writeHeaders(options), 'Content-Type': 'application/json-patch+json' },
+    });
+    return this.handleWriteResponse('PATCH', key, response);
+  }
 
-      if (!response.ok) {
-        throw new Error(`KVS PATCH failed: ${response.status} ${response.statusText}`);
-      }
-    } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw new Error(`KVS PATCH timeout for key: ${key}`);
-      }
-      throw error;
+  /**
+   * Apply atomic operations to a key's value in a single server-side update
+   *
+   * The key must exist; its expiry is kept. Missing fields start at 0 or [].
+   *
+   * @param key - The key to update
+   * @param operations - Operations on non-overlapping paths
+   * @param options - Optional If-Match / If-None-Match preconditions
+   * @returns The new version and the whole updated value
+   * @throws Error if the key doesn't exist (404) or a path does not fit the value (422)
+   * @throws KVSConflictError if a precondition fails (412)
+   * @throws KVSValidationError if the updated value does not match its prefix's schema (422)
+   */
+  async applyOperations<T = unknown>(
+    key: string,
+    operations: KVSValueOperation[],
+    options?: KVSWriteOptions
+  ): Promise<KVSOperationsResult<T>> {
+    const response = await this.request('POST', key, {
+      action: '_ops',
+      body: { operations },
+      headers: this.writeHeaders(options),
+    });
+
+    if (response.status === 409 || response.status === 412) {
+      throw await readConflict(key, response);
+    }
+
+    if (!response.ok) {
+      throw await readWriteFailure('KVS OPS', key, response);
     }
+
+    const data = (await response.json()) as { version: number; value: T };
+    return { version: data.version, value: data.value };
+  }
+
+  /**
+   * Atomically add to a number (negative `by` decrements)
+   *
+   * @example
+   * ```typescript
+   * const { value: kills } = await kvs.increment('match:123:tribute:4', '/stats/kills');
+   * await kvs.increment('match:123', '/aliveCount', -1);
+   * ```
+   */
+  async increment(
+    key: string,
+    path: string,
+    by = 1,
+    options?: KVSWriteOptions
+  ): Promise<KVSFieldResult<number>> {
+    const result = await this.applyOperations(key, [{ op: 'increment', path, by }], options);
+    return { version: result.version, value: getPointer(result.value, path) as number };
+  }
+
+  /**
+   * Atomically append to an array, optionally keeping only the newest `maxLength` items
+   *
+   * @example
+   * ```typescript
+   * await kvs.append('match:123', '/recentEvents', [event], { maxLength: 50 });
+   * ```
+   */
+  async append<T = unknown>(
+    key: string,
+    path: string,
+    values: T[],
+    options?: KVSWriteOptions & { maxLength?: number }
+  ): Promise<KVSFieldResult<T[]>> {
+    const { maxLength, ...preconditions } = options || {};
+    const result = await this.applyOperations(key, [{ op: 'append', path, values, maxLength }], preconditions);
+    return { version: result.version, value: getPointer(result.value, path) as T[] };
+  }
+
+  /**
+   * Atomically add values to an array unless already present
+   */
+  async addToSet<T extends string | number | boolean>(
+    key: string,
+    path: string,
+    values: T[],
+    options?: KVSWriteOptions
+  ): Promise<KVSFieldResult<T[]>> {
+    const result = await this.applyOperations(key, [{ op: 'addToSet', path, values }], options);
+    return { version: result.version, value: getPointer(result.value, path) as T[] };
   }
 
   /**
    * DELETE key
    *
    * @param key - The key to delete
+   * @param options - Optional If-Match precondition
+   * @throws KVSConflictError if a precondition fails (412)
    */
-  async delete(key: string): Promise<void> {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, {
-        method: 'DELETE',
-        signal: controller.signal,
-      });
+  async delete(key: string, options?: KVSWriteOptions): Promise<void> {
+    const response = await this.request('DELETE', key, {
+      headers: this.writeHeaders(options),
+    });
 
-      clearTimeout(timeoutId);
+    if (response.status === 412) {
+      throw await readConflict(key, response);
+    }
 
-      if (!response.ok && response.status !== 404) {
-        throw new Error(`KVS DELETE failed: ${response.status} ${response.statusText}`);
-      }
-    } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw new Error(`KVS DELETE timeout for key: ${key}`);
-      }
-      throw error;
+    if (!response.ok && response.status !== 404) {
+      throw await readHttpError('KVS DELETE', response);
     }
   }
 
@@ -206,26 +1435,482 @@ export class KVSClient {
     return value !== null;
   }
 
+  /**
+   * Fetch a single page of keys
+   *
+   * @param options - Prefix, page size and continuation cursor
+   * @returns Entries on this page and the cursor for the next one
+   */
+  async listPage<T = unknown>(options: KVSListOptions = {}): Promise<KVSListPage<T>> {
+    const query = new URLSearchParams();
+    if (options.prefix) query.set('prefix', options.prefix);
+    if (options.limit !== undefined) query.set('limit', String(options.limit));
+    if (options.cursor) query.set('cursor', options.cursor);
+    if (options.includeValues) query.set('values', 'true');
+
+    const response = await this.request('GET', '', { query });
+
+    if (!response.ok) {
+      throw await readHttpError('KVS LIST', response);
+    }
+
+    return (await response.json()) as KVSListPage<T>;
+  }
+
+  /**
+   * Iterate over every key matching a prefix, fetching pages as needed
+   *
+   * @param prefix - Key prefix to match (e.g. 'game:123:')
+   * @param options - Page size and whether to include values
+   *
+   * @example
+   * ```typescript
+   * for await (const entry of kvs.list('game:123:')) {
+   *   await kvs.delete(entry.key);
+   * }
+   * ```
+   */
+  async *list<T = unknown>(
+    prefix: string,
+    options: Omit<KVSListOptions, 'prefix'> = {}
+  ): AsyncGenerator<KVSListEntry<T>, void, undefined> {
+    let cursor: string | null | undefined = options.cursor;
+    do {
+      const page: KVSListPage<T> = await this.listPage<T>({ ...options, prefix, cursor: cursor ?? undefined });
+      for (const entry of page.items) {
+        yield entry;
+      }
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  /**
+   * Send one POST /_batch request, retrying items the service reports as unprocessed (503)
+   */
+  private async sendBatch<T>(operations: KVSBatchOperation[]): Promise<KVSBatchResult<T>[]> {
+    const results: KVSBatchResult<T>[] = new Array(operations.length);
+    let pending = operations.map((operation, index) => ({ operation, index }));
+
+    for (let attempt = 0; attempt < BATCH_MAX_ATTEMPTS && pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        await sleep(BATCH_RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random() / 2));
+      }
+
+      const response = await this.request('POST', '_batch', {
+        body: { operations: pending.map(({ operation }) => operation) },
+        invalidates: pending.filter(({ operation }) => operation.op !== 'get').map(({ operation }) => operation.key),
+      });
+      if (!response.ok) {
+        throw await readHttpError('KVS BATCH', response);
+      }
+
+      const data = (await response.json()) as { results: KVSBatchResult<T>[] };
+      pending.forEach(({ index }, position) => {
+        results[index] = data.results[position];
+      });
+      pending = pending.filter(({ index }) => results[index].status === 503);
+    }
+
+    return results;
+  }
+
+  /**
+   * Run mixed get/put/delete operations in as few requests as the service limits allow
+   *
+   * Gets see the values from before the batch's writes. Puts replace unconditionally;
+   * use preconditions on single writes when they matter.
+   *
+   * @param operations - Operations to run; a key may be written at most once per batch
+   * @returns One result per operation, in order (per-item failures are reported, not thrown)
+   */
+  async batch<T = unknown>(operations: KVSBatchOperation[]): Promise<KVSBatchResult<T>[]> {
+    const results: KVSBatchResult<T>[] = [];
+    for (const chunk of chunkBatch(operations)) {
+      results.push(...(await this.sendBatch<T>(chunk)));
+    }
+    return results;
+  }
+
+  /**
+   * Run a batch and throw if any item failed (a missing key on get is not a failure)
+   */
+  private async batchOrThrow<T>(operations: KVSBatchOperation[]): Promise<KVSBatchResult<T>[]> {
+    const results = await this.batch<T>(operations);
+    const failures = results.filter((result) => result.status !== 200 && result.status !== 404);
+    if (failures.length > 0) {
+      throw new KVSBatchError(failures, results);
+    }
+    return results;
+  }
+
+  /**
+   * Start an all-or-nothing transaction (up to 100 operations, each key at most once)
+   *
+   * @example
+   * ```typescript
+   * await kvs
+   *   .transact()
+   *   .put('match:123', match, { ifMatch: matchVersion })
+   *   .patch('match:123:tribute:4', { hp: 0, alive: false })
+   *   .delete('match:123:pending:4')
+   *   .check('match:123:lock', { ifMatch: '*' })
+   *   .commit();
+   * ```
+   */
+  transact(): KVSTransaction {
+    return new KVSTransaction((operations) => this.commitTransaction(operations));
+  }
+
+  private async commitTransaction(operations: KVSTransactionOperation[]): Promise<KVSTransactionResult> {
+    const response = await this.request('POST', '_transaction', {
+      body: { operations },
+      invalidates: operations.filter((operation) => operation.op !== 'check').map((operation) => operation.key),
+    });
+
+    if (response.status === 409) {
+      const data = (await response.json().catch(() => ({}))) as { reasons?: KVSCancellationReason[] };
+      throw new KVSTransactionError(data.reasons || []);
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS TRANSACTION', response);
+    }
+
+    const data = (await response.json()) as KVSTransactionResult;
+    return { results: data.results };
+  }
+
+  /**
+   * Register the schema values under a prefix must match, replacing any earlier one
+   *
+   * Writes under the prefix that would leave a non-conforming value fail with
+   * {@link KVSValidationError}. Each registration bumps the schema version; values stored under
+   * the previous version are migrated with `options.migration` whenever they are read.
+   *
+   * @param prefix - Key prefix, e.g. 'match:'
+   * @param schema - A JSON Schema, or a Zod schema to convert (see {@link zodToJsonSchema})
+   * @returns The new schema version
+   *
+   * @example
+   * ```typescript
+   * await kvs.registerSchema('tribute:', TributeSchema);
+   * // v2 renames `hp` to `health`; stored v1 values read back already renamed
+   * await kvs.registerSchema('tribute:', TributeSchemaV2, {
+   *   migration: [{ op: 'move', from: '/hp', path: '/health' }],
+   * });
+   * ```
+   */
+  async registerSchema(
+    prefix: string,
+    schema: JsonSchema | z.ZodTypeAny,
+    options: KVSRegisterSchemaOptions = {}
+  ): Promise<{ version: number }> {
+    const response = await this.request('PUT', '_schemas', {
+      action: encodeURIComponent(prefix),
+      body: {
+        schema: schema instanceof z.ZodType ? zodToJsonSchema(schema) : schema,
+        ...(options.migration ? { migration: options.migration } : {}),
+      },
+    });
+
+    // Values under the prefix now read through the new schema
+    this.cache?.invalidatePrefix(prefix);
+
+    if (!response.ok) {
+      throw await readHttpError('KVS SCHEMA', response);
+    }
+
+    const data = (await response.json()) as { version: number };
+    return { version: data.version };
+  }
+
+  /**
+   * @returns The schema registered for exactly this prefix, or null
+   */
+  async getSchema(prefix: string): Promise<KVSSchemaInfo | null> {
+    const response = await this.request('GET', '_schemas', { action: encodeURIComponent(prefix) });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS SCHEMA', response);
+    }
+
+    return (await response.json()) as KVSSchemaInfo;
+  }
+
+  /**
+   * @returns Every registered schema this client may see, by prefix
+   */
+  async listSchemas(): Promise<KVSSchemaInfo[]> {
+    const response = await this.request('GET', '_schemas');
+
+    if (!response.ok) {
+      throw await readHttpError('KVS SCHEMA', response);
+    }
+
+    return ((await response.json()) as { schemas: KVSSchemaInfo[] }).schemas;
+  }
+
+  /**
+   * Stop validating writes under a prefix (a missing schema is ignored). Stored values are
+   * kept as they are and no longer migrated.
+   */
+  async deleteSchema(prefix: string): Promise<void> {
+    const response = await this.request('DELETE', '_schemas', { action: encodeURIComponent(prefix) });
+    this.cache?.invalidatePrefix(prefix);
+
+    if (!response.ok && response.status !== 404) {
+      throw await readHttpError('KVS SCHEMA', response);
+    }
+  }
+
+  /**
+   * Try to take a lease
+   *
+   * Acquiring a lease the same owner already holds extends it and keeps its token.
+   *
+   * @param name - Lease name (same rules as keys, in its own namespace)
+   * @returns The lease with its fencing token, or null while another owner holds it
+   */
+  async acquireLease(name: string, options: KVSLeaseOptions = {}): Promise<KVSLease | null> {
+    const response = await this.request('POST', '_leases', {
+      action: encodeURIComponent(name),
+      body: { owner: options.owner ?? generateId('lease'), ttlSeconds: options.ttlSeconds ?? LEASE_DEFAULT_TTL_SECONDS },
+    });
+
+    if (response.status === 409) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS LEASE', response);
+    }
+
+    return (await response.json()) as KVSLease;
+  }
+
+  /**
+   * Extend a held lease by `ttlSeconds` from now
+   *
+   * @returns The lease with its new expiry
+   * @throws KVSLeaseError if the lease expired or another owner took it
+   */
+  async renewLease(lease: KVSLease, ttlSeconds = LEASE_DEFAULT_TTL_SECONDS): Promise<KVSLease> {
+    const response = await this.request('PUT', '_leases', {
+      action: encodeURIComponent(lease.name),
+      body: { owner: lease.owner, token: lease.token, ttlSeconds },
+    });
+
+    if (response.status === 409) {
+      const data = (await response.json().catch(() => ({}))) as { holder?: KVSLease };
+      throw new KVSLeaseError(lease.name, 'lost before renewal', data.holder);
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS LEASE', response);
+    }
+
+    return (await response.json()) as KVSLease;
+  }
+
+  /**
+   * Give a lease up early (one that already lapsed is ignored)
+   *
+   * @throws KVSLeaseError if another owner holds it by now
+   */
+  async releaseLease(lease: KVSLease): Promise<void> {
+    const response = await this.request('DELETE', '_leases', {
+      action: encodeURIComponent(lease.name),
+      query: new URLSearchParams({ owner: lease.owner, token: String(lease.token) }),
+    });
+
+    if (response.status === 409) {
+      const data = (await response.json().catch(() => ({}))) as { holder?: KVSLease };
+      throw new KVSLeaseError(lease.name, 'held by another owner', data.holder);
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS LEASE', response);
+    }
+  }
+
+  /**
+   * @returns The current holder of a lease, or null when it is free
+   */
+  async getLease(name: string): Promise<KVSLease | null> {
+    const response = await this.request('GET', '_leases', { action: encodeURIComponent(name) });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw await readHttpError('KVS LEASE', response);
+    }
+
+    return (await response.json()) as KVSLease;
+  }
+
+  /**
+   * Run `fn` while holding a lease, so it runs on one caller at a time
+   *
+   * The lease is renewed every third of its TTL and released when `fn` settles, whether it
+   * returned or threw. If a renewal finds the lease lost (or renewals keep failing until it
+   * lapses), `signal` aborts; writes made with `fence` are rejected from then on with
+   * {@link KVSFenceError}, so a holder that stalled cannot clobber its successor's work.
+   *
+   * @param name - Lease name
+   * @param fn - The work to do under the lease
+   * @returns Whatever `fn` returns
+   * @throws KVSLeaseError if the lease is still held by someone else after `options.waitMs`
+   *
+   * @example
+   * ```typescript
+   * await kvs.withLock(`match:${id}:turn`, async ({ fence }) => {
+   *   const match = await kvs.getVersioned<Match>(`match:${id}`);
+   *   if (match!.value.turn !== turn) return; // someone else resolved it
+   *   await kvs.put(`match:${id}`, resolveTurn(match!.value), { ifMatch: match!.version, fence });
+   * });
+   * ```
+   */
+  async withLock<T>(name: string, fn: (lock: KVSLockContext) => Promise<T>, options: KVSLockOptions = {}): Promise<T> {
+    const { ttlSeconds = LEASE_DEFAULT_TTL_SECONDS, waitMs = 0 } = options;
+    // One owner id for every attempt, so a retried acquire that already won is recognised
+    const owner = options.owner ?? generateId('lock');
+    const deadline = Date.now() + waitMs;
+
+    let lease = await this.acquireLease(name, { owner, ttlSeconds });
+    while (!lease) {
+      if (Date.now() >= deadline) {
+        throw new KVSLeaseError(name, 'held by another owner', (await this.getLease(name)) ?? undefined);
+      }
+      await sleep(Math.min(LOCK_RETRY_MS, deadline - Date.now()));
+      lease = await this.acquireLease(name, { owner, ttlSeconds });
+    }
+
+    let current = lease;
+    const controller = new AbortController();
+    const renewal = setInterval(() => {
+      this.renewLease(current, ttlSeconds).then(
+        (renewed) => {
+          current = renewed;
+        },
+        (error) => {
+          // A failed request may be transient; keep trying until the lease has actually lapsed
+          if (error instanceof KVSLeaseError || Date.now() >= Date.parse(current.expiresAt)) {
+            clearInterval(renewal);
+            controller.abort(error);
+          }
+        }
+      );
+    }, (ttlSeconds * 1000) / 3);
+
+    try {
+      return await fn({ lease, fence: { lease: name, token: lease.token }, signal: controller.signal });
+    } finally {
+      clearInterval(renewal);
+      if (!controller.signal.aborted) {
+        // A release that fails just leaves the lease to lapse on its own
+        await this.releaseLease(current).catch(() => undefined);
+      }
+    }
+  }
+
+  /**
+   * Typed, validated access to the values under `prefix`
+   *
+   * @example
+   * ```typescript
+   * const tributes = kvs.collection('tribute:', TributeSchema, {
+   *   // Values stored before `health` was renamed
+   *   migrate: (old) => {
+   *     const { hp, ...rest } = old as { hp: number };
+   *     return { ...rest, health: hp };
+   *   },
+   * });
+   *
+   * await tributes.put('4', { name: 'Rue', health: 100 });
+   * const rue = await tributes.get('4');          // typed as z.output<typeof TributeSchema>
+   * await tributes.patch('4', { health: 60 });
+   * for await (const { id, value } of tributes.list()) { ... }
+   * ```
+   */
+  collection<S extends z.ZodTypeAny, Id extends string | number = string>(
+    prefix: string,
+    schema: S,
+    options?: KVSCollectionOptions<Id>
+  ): KVSCollection<S, Id> {
+    return new KVSCollection(this, prefix, schema, options);
+  }
+
+  /**
+   * Open an append-only event stream (created by its first append)
+   *
+   * Stream names follow the same rules as keys but live in their own namespace.
+   *
+   * @example
+   * ```typescript
+   * const events = kvs.stream<GameEvent>('match:123');
+   * const sequence = await events.append({ type: 'TRIBUTE_DIED', tributeId: 4 });
+   * const { events: latest } = await events.tail(20);
+   * ```
+   */
+  stream<E = unknown>(name: string): KVSStream<E> {
+    return new KVSStream<E>(name, (method, init) =>
+      this.request(method, '_streams', { ...init, action: encodeURIComponent(name) })
+    );
+  }
+
   /**
    * Get multiple keys at once
    *
    * @param keys - Array of keys to retrieve
    * @returns Map of key -> value (missing keys are omitted)
+   * @throws KVSBatchError if some keys could not be read
    */
   async getMany<T = unknown>(keys: string[]): Promise<Map<string, T>> {
-    const results = await Promise.all(
-      keys.map(async (key) => {
-        const value = await this.get<T>(key);
-        return [key, value] as const;
-      })
-    );
+    const unique = [...new Set(keys)];
+    const results = await this.batchOrThrow<T>(unique.map((key) => ({ op: 'get', key })));
 
     const map = new Map<string, T>();
-    for (const [key, value] of results) {
-      if (value !== null) {
-        map.set(key, value);
+    for (const result of results) {
+      if (result.status === 200) {
+        map.set(result.key, result.value as T);
       }
     }
     return map;
   }
+
+  /**
+   * Put multiple keys at once (create or replace, no preconditions)
+   *
+   * @param entries - Keys, values and optional TTLs; each key at most once
+   * @returns Map of key -> write result
+   * @throws KVSBatchError if some writes failed (the others are applied)
+   *
+   * @example
+   * ```typescript
+   * await kvs.putMany(tributes.map((t) => ({ key: `game:123:tribute:${t.id}`, value: t })));
+   * ```
+   */
+  async putMany(entries: KVSBatchPutEntry[]): Promise<Map<string, KVSWriteResult>> {
+    const results = await this.batchOrThrow(
+      entries.map(({ key, value, ttlSeconds }) => ({ op: 'put', key, value, ttlSeconds }))
+    );
+
+    return new Map(results.map((result) => [result.key, { version: result.version ?? 0 }]));
+  }
+
+  /**
+   * Delete multiple keys at once (missing keys are ignored)
+   *
+   * @param keys - Keys to delete
+   * @throws KVSBatchError if some deletes failed (the others are applied)
+   */
+  async deleteMany(keys: string[]): Promise<void> {
+    await this.batchOrThrow([...new Set(keys)].map((key) => ({ op: 'delete', key })));
+  }
 }
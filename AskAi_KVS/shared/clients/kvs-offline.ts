@@ -0,0 +1,557 @@
+/**
+ * Offline write queue for KVSClient
+ *
+ * {@link KVSOfflineQueue} keeps writes made while the network is down and replays them, in the
+ * order they were made, once requests get through again. Every write is persisted before it is
+ * first sent (IndexedDB in the browser, or any {@link KVSQueueStorage}), so a reload loses
+ * nothing. Each one keeps its `Idempotency-Key` across replays: a write whose first attempt
+ * timed out after reaching the service still applies once.
+ *
+ * Conflicts are detected with the version the write was made against: a replay is sent with
+ * `If-Match` (`If-None-Match: *` for a key that did not exist), and when someone else wrote the
+ * key in the meantime `onConflict` decides between the server's value and the queued one. A
+ * write made while that version cannot be learned is marked `unconditional` and replayed
+ * without a precondition, so it overwrites whatever the key holds by then (last write wins).
+ */
+
+import { AppError, generateId, generateIdempotencyKey } from '../utils';
+import { KVSConflictError } from './kvs-client';
+import type { KVSClient, KVSVersionedValue } from './kvs-client';
+import {
+  CircuitOpenError,
+  NetworkError,
+  NotFoundError,
+  RateLimitedError,
+  ServerError,
+  TimeoutError,
+} from './transport';
+
+export interface KVSQueuedWrite {
+  id: string;
+  /** Replay order */
+  sequence: number;
+  op: 'put' | 'patch' | 'delete';
+  key: string;
+  /** The value for a put, the JSON Merge Patch for a patch */
+  value?: unknown;
+  ttlSeconds?: number;
+  /**
+   * Version the write was made against; replays send it as If-Match, or If-None-Match: * when
+   * it is null (the key did not exist)
+   */
+  baseVersion?: number | null;
+  /** Made with no version known (offline, key never read); replayed as is, so last write wins */
+  unconditional?: boolean;
+  /** Made on top of an earlier queued write for the same key; gets its version once that is sent */
+  afterPrevious?: boolean;
+  /** The earlier write it was made on top of was dropped in a conflict */
+  stale?: boolean;
+  idempotencyKey: string;
+  queuedAt: string;
+}
+
+/**
+ * Where queued writes live between replays. Implement it to keep them somewhere other than
+ * IndexedDB (or in memory for tests).
+ */
+export interface KVSQueueStorage {
+  /** Every stored write, in any order */
+  load(): Promise<KVSQueuedWrite[]>;
+  /** Insert or replace by `id` */
+  save(write: KVSQueuedWrite): Promise<void>;
+  remove(id: string): Promise<void>;
+}
+
+export interface KVSOfflineConflict {
+  write: KVSQueuedWrite;
+  /** The key as the service has it now (null if it was deleted) */
+  server: KVSVersionedValue<unknown> | null;
+}
+
+/**
+ * `'keep-server'` drops the queued write, `'overwrite'` sends it again on top of the server's
+ * version, `{ value }` puts a merged value instead
+ */
+export type KVSConflictResolution = 'keep-server' | 'overwrite' | { value: unknown };
+
+export interface KVSOfflineStatus {
+  /** Writes waiting to be sent */
+  pending: number;
+  /** A replay is running */
+  syncing: boolean;
+  /** Why the last replay stopped early; cleared once a write gets through */
+  lastError?: string;
+}
+
+export type KVSOfflineResult =
+  /** Applied by the service */
+  | { status: 'sent'; id: string; version?: number }
+  /** Could not be sent yet; it will be replayed */
+  | { status: 'queued'; id: string }
+  /** Dropped in favor of the server's value after a conflict */
+  | { status: 'discarded'; id: string; server: KVSVersionedValue<unknown> | null };
+
+export interface KVSOfflineQueueOptions {
+  /** Where writes are kept (default: IndexedDB where available, otherwise memory) */
+  storage?: KVSQueueStorage;
+  /** Decides conflicts found on replay (default: keep the server's value) */
+  onConflict?: (conflict: KVSOfflineConflict) => KVSConflictResolution | Promise<KVSConflictResolution>;
+  /** Called for a write the service rejected outright (e.g. 400 or 422); it is dropped */
+  onError?: (write: KVSQueuedWrite, error: unknown) => void;
+  /** First wait before replaying after a failure, doubling up to 60s (default: 2000) */
+  retryMs?: number;
+  /** Replay when the browser reports it is back online (default: true) */
+  syncOnOnline?: boolean;
+}
+
+const RETRY_MAX_MS = 60_000;
+const DEFAULT_RETRY_MS = 2000;
+
+/**
+ * Failures that say nothing about the write itself: it is kept and replayed later
+ */
+function isTransient(error: unknown): boolean {
+  return (
+    error instanceof NetworkError ||
+    error instanceof TimeoutError ||
+    error instanceof CircuitOpenError ||
+    error instanceof RateLimitedError ||
+    error instanceof ServerError
+  );
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Keeps writes in memory only; for tests, and for runtimes without IndexedDB
+ */
+export class MemoryQueueStorage implements KVSQueueStorage {
+  private writes = new Map<string, KVSQueuedWrite>();
+
+  async load(): Promise<KVSQueuedWrite[]> {
+    return [...this.writes.values()].map((write) => ({ ...write }));
+  }
+
+  async save(write: KVSQueuedWrite): Promise<void> {
+    this.writes.set(write.id, { ...write });
+  }
+
+  async remove(id: string): Promise<void> {
+    this.writes.delete(id);
+  }
+}
+
+// The slice of the IndexedDB API used below (the shared package builds without DOM types)
+interface IDBRequestLike<T> {
+  result: T;
+  error: unknown;
+  onsuccess: (() => void) | null;
+  onerror: (() => void) | null;
+}
+
+interface IDBOpenRequestLike extends IDBRequestLike<IDBDatabaseLike> {
+  onupgradeneeded: (() => void) | null;
+}
+
+interface IDBObjectStoreLike {
+  getAll(): IDBRequestLike<unknown[]>;
+  put(value: unknown): IDBRequestLike<unknown>;
+  delete(key: string): IDBRequestLike<unknown>;
+}
+
+interface IDBTransactionLike {
+  objectStore(name: string): IDBObjectStoreLike;
+  error: unknown;
+  oncomplete: (() => void) | null;
+  onerror: (() => void) | null;
+  onabort: (() => void) | null;
+}
+
+interface IDBDatabaseLike {
+  objectStoreNames: { contains(name: string): boolean };
+  createObjectStore(name: string, options: { keyPath: string }): unknown;
+  transaction(storeName: string, mode: 'readonly' | 'readwrite'): IDBTransactionLike;
+}
+
+interface IDBFactoryLike {
+  open(name: string, version?: number): IDBOpenRequestLike;
+}
+
+function getIndexedDB(): IDBFactoryLike | undefined {
+  return (globalThis as { indexedDB?: IDBFactoryLike }).indexedDB;
+}
+
+/**
+ * Keeps writes in an IndexedDB object store, so they survive reloads and closed tabs
+ */
+export class IndexedDBQueueStorage implements KVSQueueStorage {
+  private database?: Promise<IDBDatabaseLike>;
+
+  constructor(
+    private databaseName: string = 'kvs-offline-queue',
+    private storeName: string = 'writes'
+  ) {}
+
+  async load(): Promise<KVSQueuedWrite[]> {
+    return (await this.run('readonly', (store) => store.getAll())) as KVSQueuedWrite[];
+  }
+
+  async save(write: KVSQueuedWrite): Promise<void> {
+    await this.run('readwrite', (store) => store.put(write));
+  }
+
+  async remove(id: string): Promise<void> {
+    await this.run('readwrite', (store) => store.delete(id));
+  }
+
+  private open(): Promise<IDBDatabaseLike> {
+    this.database ??= new Promise((resolve, reject) => {
+      const factory = getIndexedDB();
+      if (!factory) {
+        reject(new AppError('IndexedDB is not available', 'INDEXEDDB_UNAVAILABLE', 500));
+        return;
+      }
+      const request = factory.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.database;
+  }
+
+  /**
+   * Runs one request in its own transaction and resolves once the transaction commits
+   */
+  private async run<T>(
+    mode: 'readonly' | 'readwrite',
+    operation: (store: IDBObjectStoreLike) => IDBRequestLike<T>
+  ): Promise<T> {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Writes through a {@link KVSClient} that survive going offline.
+ *
+ * `put`, `patch` and `delete` persist the write, then send it (after any writes queued before
+ * it). When the service cannot be reached they resolve `{ status: 'queued' }` and the write is
+ * replayed later: after a backoff, when the browser fires `online`, or on `sync()`.
+ *
+ * @example
+ * ```typescript
+ * const queue = new KVSOfflineQueue(kvs, {
+ *   onConflict: ({ write, server }) => (server ? { value: mergeChoices(server.value, write.value) } : 'overwrite'),
+ * });
+ * queue.subscribe(({ pending, syncing }) => renderSyncBadge(pending, syncing));
+ *
+ * const { value, version } = (await queue.get<Match>('match:123'))!;
+ * await queue.put('match:123', { ...value, choice: 'hide' });   // sent now, or queued
+ * ```
+ */
+export class KVSOfflineQueue {
+  private storage: KVSQueueStorage;
+  private writes: KVSQueuedWrite[] = [];
+  private ready: Promise<void>;
+  /** Latest version seen per key (null: missing), the base for writes made without an explicit ifMatch */
+  private versions = new Map<string, number | null>();
+  private waiters = new Map<string, (outcome: KVSOfflineResult | { status: 'failed'; error: unknown }) => void>();
+  private listeners = new Set<(status: KVSOfflineStatus) => void>();
+  private syncing?: Promise<void>;
+  private lastError?: string;
+  private retryDelay: number;
+  private retryTimer?: ReturnType<typeof setTimeout>;
+  private closed = false;
+  private onOnline = () => void this.sync();
+
+  constructor(
+    private kvs: KVSClient,
+    private options: KVSOfflineQueueOptions = {}
+  ) {
+    this.storage = options.storage ?? (getIndexedDB() ? new IndexedDBQueueStorage() : new MemoryQueueStorage());
+    this.retryDelay = options.retryMs ?? DEFAULT_RETRY_MS;
+    this.ready = this.storage.load().then((writes) => {
+      this.writes = writes.sort((a, b) => a.sequence - b.sequence);
+      if (this.writes.length > 0) {
+        void this.sync();
+      }
+    });
+    if (options.syncOnOnline !== false) {
+      (globalThis as { addEventListener?: (type: string, listener: () => void) => void }).addEventListener?.(
+        'online',
+        this.onOnline
+      );
+    }
+  }
+
+  /**
+   * Read through to the service, remembering the version as the base for later queued writes
+   */
+  async get<T = unknown>(key: string): Promise<KVSVersionedValue<T> | null> {
+    const result = await this.kvs.getVersioned<T>(key);
+    this.versions.set(key, result ? result.version : null);
+    return result;
+  }
+
+  /**
+   * Create or replace `key`
+   *
+   * @param options.ifMatch - Version the value was based on (default: the last one this queue saw,
+   *   else the key's current version, read before the write is queued)
+   * @throws HttpError (e.g. KVSValidationError) if the service rejects the write itself; it is dropped
+   */
+  async put(
+    key: string,
+    value: unknown,
+    options: { ifMatch?: number; ttlSeconds?: number } = {}
+  ): Promise<KVSOfflineResult> {
+    return this.submit('put', key, value, options);
+  }
+
+  /**
+   * Apply a JSON Merge Patch to `key` (see {@link KVSClient.mergePatch})
+   */
+  async patch(key: string, patch: unknown, options: { ifMatch?: number } = {}): Promise<KVSOfflineResult> {
+    return this.submit('patch', key, patch, options);
+  }
+
+  async delete(key: string, options: { ifMatch?: number } = {}): Promise<KVSOfflineResult> {
+    return this.submit('delete', key, undefined, options);
+  }
+
+  /**
+   * Send every queued write now; resolves when the queue is empty or the service is unreachable
+   */
+  async sync(): Promise<void> {
+    this.syncing ??= this.drain();
+    return this.syncing;
+  }
+
+  getStatus(): KVSOfflineStatus {
+    return { pending: this.writes.length, syncing: this.syncing !== undefined, lastError: this.lastError };
+  }
+
+  /** Queued writes in replay order (copies) */
+  getPending(): KVSQueuedWrite[] {
+    return this.writes.map((write) => ({ ...write }));
+  }
+
+  /**
+   * Call `listener` with the status now and after every change
+   *
+   * @returns Unsubscribe function
+   */
+  subscribe(listener: (status: KVSOfflineStatus) => void): () => void {
+    this.listeners.add(listener);
+    listener(this.getStatus());
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Stop replaying in the background. Queued writes stay in storage for the next queue.
+   */
+  close(): void {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    (globalThis as { removeEventListener?: (type: string, listener: () => void) => void }).removeEventListener?.(
+      'online',
+      this.onOnline
+    );
+  }
+
+  private async submit(
+    op: KVSQueuedWrite['op'],
+    key: string,
+    value: unknown,
+    options: { ifMatch?: number; ttlSeconds?: number }
+  ): Promise<KVSOfflineResult> {
+    await this.ready;
+    const afterPrevious = this.writes.some((write) => write.key === key);
+    const baseVersion = options.ifMatch ?? (afterPrevious ? undefined : await this.learnVersion(key));
+    const write: KVSQueuedWrite = {
+      id: generateId(),
+      sequence: (this.writes[this.writes.length - 1]?.sequence ?? 0) + 1,
+      op,
+      key,
+      ...(value !== undefined ? { value } : {}),
+      ...(options.ttlSeconds !== undefined ? { ttlSeconds: options.ttlSeconds } : {}),
+      ...(afterPrevious && options.ifMatch === undefined
+        ? { afterPrevious: true }
+        : baseVersion === undefined
+          ? { unconditional: true }
+          : { baseVersion }),
+      idempotencyKey: generateIdempotencyKey(),
+      queuedAt: new Date().toISOString(),
+    };
+
+    const settled = new Promise<KVSOfflineResult | { status: 'failed'; error: unknown }>((resolve) =>
+      this.waiters.set(write.id, resolve)
+    );
+    await this.storage.save(write);
+    this.writes.push(write);
+    this.notify();
+
+    await this.sync();
+    // Still waiting: the replay stopped before reaching it
+    this.settle(write.id, { status: 'queued', id: write.id });
+
+    const outcome = await settled;
+    if (outcome.status === 'failed') {
+      throw outcome.error;
+    }
+    return outcome;
+  }
+
+  /**
+   * The version a write without ifMatch is made against: the last one seen, else the current one
+   *
+   * @returns undefined when the service cannot be reached to ask
+   */
+  private async learnVersion(key: string): Promise<number | null | undefined> {
+    if (this.versions.has(key)) {
+      return this.versions.get(key);
+    }
+    try {
+      return (await this.get(key))?.version ?? null;
+    } catch (error) {
+      if (isTransient(error)) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  private settle(id: string, outcome: KVSOfflineResult | { status: 'failed'; error: unknown }): void {
+    this.waiters.get(id)?.(outcome);
+    this.waiters.delete(id);
+  }
+
+  private async drain(): Promise<void> {
+    await this.ready;
+    this.notify();
+    try {
+      while (this.writes.length > 0 && !this.closed) {
+        const write = this.writes[0];
+        let outcome: KVSOfflineResult | { status: 'failed'; error: unknown };
+        try {
+          outcome = await this.replay(write);
+        } catch (error) {
+          if (isTransient(error)) {
+            this.lastError = error instanceof Error ? error.message : String(error);
+            this.scheduleRetry();
+            return;
+          }
+          this.options.onError?.(write, error);
+          outcome = { status: 'failed', error };
+        }
+
+        await this.storage.remove(write.id);
+        this.writes.shift();
+        await this.handOff(write, outcome);
+        this.lastError = undefined;
+        this.retryDelay = this.options.retryMs ?? DEFAULT_RETRY_MS;
+        this.settle(write.id, outcome);
+        this.notify();
+      }
+    } finally {
+      this.syncing = undefined;
+      this.notify();
+    }
+  }
+
+  private async replay(write: KVSQueuedWrite): Promise<KVSOfflineResult> {
+    if (write.stale) {
+      return this.resolveConflict(write);
+    }
+    try {
+      return await this.send(write, write.baseVersion, write.idempotencyKey);
+    } catch (error) {
+      // A patch of a key deleted in the meantime is a conflict too
+      if (error instanceof KVSConflictError || (error instanceof NotFoundError && write.op === 'patch')) {
+        return this.resolveConflict(write);
+      }
+      throw error;
+    }
+  }
+
+  private async send(
+    write: KVSQueuedWrite,
+    baseVersion: number | null | undefined,
+    idempotencyKey: string
+  ): Promise<KVSOfflineResult> {
+    const options =
+      baseVersion === null ? { ifNoneMatch: '*', idempotencyKey } : { ifMatch: baseVersion, idempotencyKey };
+    if (write.op === 'delete') {
+      await this.kvs.delete(write.key, options);
+      this.versions.set(write.key, null);
+      return { status: 'sent', id: write.id };
+    }
+    const { version } =
+      write.op === 'put'
+        ? await this.kvs.put(write.key, write.value, { ...options, ttlSeconds: write.ttlSeconds })
+        : await this.kvs.mergePatch(write.key, write.value, options);
+    this.versions.set(write.key, version);
+    return { status: 'sent', id: write.id, version };
+  }
+
+  private async resolveConflict(write: KVSQueuedWrite): Promise<KVSOfflineResult> {
+    const server = await this.get(write.key);
+    const resolution = this.options.onConflict ? await this.options.onConflict({ write, server }) : 'keep-server';
+    if (resolution === 'keep-server') {
+      return { status: 'discarded', id: write.id, server };
+    }
+    const next: KVSQueuedWrite = resolution === 'overwrite' ? write : { ...write, op: 'put', value: resolution.value };
+    // A different request from the one first sent, so it needs its own key
+    return this.send(next, server?.version ?? null, generateIdempotencyKey());
+  }
+
+  /**
+   * Passes a finished write's result to the next queued write on the same key that was made on
+   * top of it: its version to guard with, or the news that it was dropped
+   */
+  private async handOff(write: KVSQueuedWrite, outcome: KVSOfflineResult | { status: 'failed' }): Promise<void> {
+    const next = this.writes.find((candidate) => candidate.key === write.key);
+    if (!next?.afterPrevious) {
+      return;
+    }
+    next.afterPrevious = false;
+    if (outcome.status === 'sent') {
+      next.baseVersion = write.op === 'delete' ? null : outcome.version;
+    } else {
+      next.stale = true;
+    }
+    await this.storage.save(next);
+  }
+
+  private scheduleRetry(): void {
+    if (this.closed) {
+      return;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => void this.sync(), this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, RETRY_MAX_MS);
+  }
+
+  private notify(): void {
+    const status = this.getStatus();
+    for (const listener of this.listeners) {
+      listener(status);
+    }
+  }
+}
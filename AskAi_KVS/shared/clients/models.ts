@@ -0,0 +1,316 @@
+/**
+ * Model capability registry
+ *
+ * What each model accepts and costs, written down instead of guessed from its name: the
+ * parameter its output limit goes in, whether it takes a temperature, the reasoning efforts it
+ * accepts, its context window and output limit, its price, and how it can be asked for JSON.
+ * Entries are matched in order by pattern (`*` matches anything), so a dated snapshot shares
+ * its family's entry unless one of its own comes first. A model no entry matches gets
+ * {@link DEFAULT_MODEL_CAPABILITIES}, with no limits to check.
+ *
+ * Deployments add or adjust models without a release through overrides, keyed by pattern:
+ * `{ "gpt-6*": { "tokenParam": "max_completion_tokens", "temperature": false } }` (AI_MODELS in
+ * the AskAI Lambda, `models` in AIClient's options). An override for a built-in pattern
+ * changes just the fields it sets; any other pattern is a new entry, checked before the
+ * built-in ones.
+ *
+ * The AskAI Lambda routes and validates requests with the same registry AIClient uses.
+ */
+
+export type ReasoningEffort = 'none' | 'minimal' | 'low' | 'medium' | 'high' | 'xhigh';
+export type TokenParam = 'max_tokens' | 'max_completion_tokens';
+export type StructuredOutputMode = 'json_schema' | 'json_object' | 'prompt';
+
+const REASONING_EFFORTS: ReadonlySet<string> = new Set<ReasoningEffort>([
+  'none',
+  'minimal',
+  'low',
+  'medium',
+  'high',
+  'xhigh',
+]);
+const TOKEN_PARAMS: ReadonlySet<string> = new Set<TokenParam>(['max_tokens', 'max_completion_tokens']);
+const STRUCTURED_OUTPUT_MODES: ReadonlySet<string> = new Set<StructuredOutputMode>([
+  'json_schema',
+  'json_object',
+  'prompt',
+]);
+
+/** List prices in USD per million tokens */
+export interface ModelPricing {
+  input: number;
+  output: number;
+}
+
+export interface ModelCapabilities {
+  /** Where OpenAI's Chat Completions takes the output limit (other APIs have their own) */
+  tokenParam: TokenParam;
+  /** False for models that only run at their default temperature; a requested one is left out */
+  temperature: boolean;
+  /** Efforts the model accepts, cheapest first; empty when it takes none */
+  reasoningEfforts: ReasoningEffort[];
+  /** Sent when the request names none */
+  defaultReasoningEffort?: ReasoningEffort;
+  /** Prompt and output tokens together; unchecked when unknown */
+  contextWindow?: number;
+  /** Largest `maxTokens`; unchecked when unknown */
+  maxOutputTokens?: number;
+  pricing?: ModelPricing;
+  /** Best way to ask the model for JSON matching a schema (see structured output) */
+  structuredOutput: StructuredOutputMode;
+}
+
+export interface ModelEntry extends ModelCapabilities {
+  /** Model name pattern; `*` matches anything */
+  match: string;
+}
+
+/** Overrides keyed by model pattern */
+export type ModelOverrides = Record<string, Partial<ModelCapabilities>>;
+
+/**
+ * What a request asks of a model, checked by {@link ModelRegistry.check}
+ */
+export interface ModelRequest {
+  maxTokens: number;
+  reasoningEffort?: ReasoningEffort;
+  /** Characters in the conversation, to estimate its tokens */
+  promptChars?: number;
+}
+
+/**
+ * For models without an entry. OpenAI takes `max_completion_tokens` from every current model,
+ * unlike `max_tokens`, which reasoning models reject.
+ */
+export const DEFAULT_MODEL_CAPABILITIES: ModelCapabilities = {
+  tokenParam: 'max_completion_tokens',
+  temperature: true,
+  reasoningEfforts: [],
+  structuredOutput: 'prompt',
+};
+
+const GPT_5_EFFORTS: ReasoningEffort[] = ['minimal', 'low', 'medium', 'high'];
+const GPT_5_1_EFFORTS: ReasoningEffort[] = ['none', 'low', 'medium', 'high'];
+const O_SERIES_EFFORTS: ReasoningEffort[] = ['low', 'medium', 'high'];
+
+/**
+ * GPT-5 and o-series reasoning models: no temperature, and the cheapest effort by default
+ */
+function reasoningModel(
+  match: string,
+  efforts: ReasoningEffort[],
+  contextWindow: number,
+  maxOutputTokens: number,
+  pricing: ModelPricing,
+  structuredOutput: StructuredOutputMode = 'json_schema'
+): ModelEntry {
+  return {
+    match,
+    tokenParam: 'max_completion_tokens',
+    temperature: false,
+    reasoningEfforts: efforts,
+    ...(efforts.length > 0 ? { defaultReasoningEffort: efforts[0] } : {}),
+    contextWindow,
+    maxOutputTokens,
+    pricing,
+    structuredOutput,
+  };
+}
+
+/**
+ * Models that take a temperature and no reasoning effort
+ */
+function chatModel(
+  match: string,
+  contextWindow: number,
+  maxOutputTokens: number,
+  pricing: ModelPricing,
+  structuredOutput: StructuredOutputMode
+): ModelEntry {
+  return {
+    match,
+    tokenParam: 'max_tokens',
+    temperature: true,
+    reasoningEfforts: [],
+    contextWindow,
+    maxOutputTokens,
+    pricing,
+    structuredOutput,
+  };
+}
+
+/**
+ * Built-in entries, most specific first. Anthropic's API asks for JSON in the prompt whatever
+ * the model, so Claude entries say `prompt`.
+ */
+export const BUILT_IN_MODELS: readonly ModelEntry[] = [
+  reasoningModel('gpt-5.2*', [...GPT_5_1_EFFORTS, 'xhigh'], 400000, 128000, { input: 1.75, output: 14 }),
+  reasoningModel('gpt-5.1*', GPT_5_1_EFFORTS, 400000, 128000, { input: 1.25, output: 10 }),
+  // Not a reasoning model, but as fussy about sampling parameters
+  reasoningModel('gpt-5-chat*', [], 128000, 16384, { input: 1.25, output: 10 }),
+  reasoningModel('gpt-5-nano*', GPT_5_EFFORTS, 400000, 128000, { input: 0.05, output: 0.4 }),
+  reasoningModel('gpt-5-mini*', GPT_5_EFFORTS, 400000, 128000, { input: 0.25, output: 2 }),
+  reasoningModel('gpt-5*', GPT_5_EFFORTS, 400000, 128000, { input: 1.25, output: 10 }),
+  chatModel('gpt-4.1-nano*', 1047576, 32768, { input: 0.1, output: 0.4 }, 'json_schema'),
+  chatModel('gpt-4.1-mini*', 1047576, 32768, { input: 0.4, output: 1.6 }, 'json_schema'),
+  chatModel('gpt-4.1*', 1047576, 32768, { input: 2, output: 8 }, 'json_schema'),
+  // Older than structured outputs
+  chatModel('gpt-4o-2024-05-13', 128000, 4096, { input: 5, output: 15 }, 'json_object'),
+  chatModel('gpt-4o-mini*', 128000, 16384, { input: 0.15, output: 0.6 }, 'json_schema'),
+  chatModel('gpt-4o*', 128000, 16384, { input: 2.5, output: 10 }, 'json_schema'),
+  chatModel('gpt-4-turbo*', 128000, 4096, { input: 10, output: 30 }, 'json_object'),
+  chatModel('gpt-4-1106*', 128000, 4096, { input: 10, output: 30 }, 'json_object'),
+  chatModel('gpt-4-0125*', 128000, 4096, { input: 10, output: 30 }, 'json_object'),
+  chatModel('gpt-4', 8192, 8192, { input: 30, output: 60 }, 'prompt'),
+  chatModel('gpt-4-0613', 8192, 8192, { input: 30, output: 60 }, 'prompt'),
+  chatModel('gpt-3.5-turbo*', 16385, 4096, { input: 0.5, output: 1.5 }, 'json_object'),
+  // o1-mini and o1-preview predate reasoning effort and structured outputs
+  reasoningModel('o1-mini*', [], 128000, 65536, { input: 1.1, output: 4.4 }, 'prompt'),
+  reasoningModel('o1-preview*', [], 128000, 32768, { input: 15, output: 60 }, 'prompt'),
+  reasoningModel('o1*', O_SERIES_EFFORTS, 200000, 100000, { input: 15, output: 60 }),
+  reasoningModel('o3-mini*', O_SERIES_EFFORTS, 200000, 100000, { input: 1.1, output: 4.4 }),
+  reasoningModel('o3*', O_SERIES_EFFORTS, 200000, 100000, { input: 2, output: 8 }),
+  reasoningModel('o4-mini*', O_SERIES_EFFORTS, 200000, 100000, { input: 1.1, output: 4.4 }),
+  chatModel('claude-opus-4-5*', 200000, 64000, { input: 5, output: 25 }, 'prompt'),
+  chatModel('claude-opus-4*', 200000, 32000, { input: 15, output: 75 }, 'prompt'),
+  chatModel('claude-sonnet-4*', 200000, 64000, { input: 3, output: 15 }, 'prompt'),
+  chatModel('claude-haiku-4*', 200000, 64000, { input: 1, output: 5 }, 'prompt'),
+  chatModel('claude-3-7-sonnet*', 200000, 64000, { input: 3, output: 15 }, 'prompt'),
+  chatModel('claude-3-5-haiku*', 200000, 8192, { input: 0.8, output: 4 }, 'prompt'),
+];
+
+/**
+ * Whether `model` fits `pattern`, case-insensitively, where `*` matches anything
+ */
+export function matchesPattern(pattern: string, model: string): boolean {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i').test(model);
+}
+
+function isPositiveInteger(value: unknown): boolean {
+  return Number.isInteger(value) && (value as number) > 0;
+}
+
+/**
+ * @throws Error naming the pattern and field if an override is not a valid set of capabilities
+ */
+function checkOverride(pattern: string, override: Partial<ModelCapabilities>): void {
+  const fail = (message: string): never => {
+    throw new Error(`Model override ${pattern}: ${message}`);
+  };
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    fail('must be an object of capabilities');
+  }
+  const { tokenParam, temperature, reasoningEfforts, defaultReasoningEffort, pricing } = override;
+  if (tokenParam !== undefined && !TOKEN_PARAMS.has(tokenParam)) {
+    fail('tokenParam must be max_tokens or max_completion_tokens');
+  }
+  if (temperature !== undefined && typeof temperature !== 'boolean') {
+    fail('temperature must be true or false');
+  }
+  if (
+    reasoningEfforts !== undefined &&
+    (!Array.isArray(reasoningEfforts) || !reasoningEfforts.every((effort) => REASONING_EFFORTS.has(effort)))
+  ) {
+    fail(`reasoningEfforts must be a list of ${[...REASONING_EFFORTS].join(', ')}`);
+  }
+  if (defaultReasoningEffort !== undefined && !REASONING_EFFORTS.has(defaultReasoningEffort)) {
+    fail(`defaultReasoningEffort must be one of ${[...REASONING_EFFORTS].join(', ')}`);
+  }
+  for (const field of ['contextWindow', 'maxOutputTokens'] as const) {
+    if (override[field] !== undefined && !isPositiveInteger(override[field])) {
+      fail(`${field} must be a positive integer`);
+    }
+  }
+  if (
+    pricing !== undefined &&
+    !(
+      pricing &&
+      typeof pricing.input === 'number' &&
+      typeof pricing.output === 'number' &&
+      pricing.input >= 0 &&
+      pricing.output >= 0
+    )
+  ) {
+    fail('pricing needs input and output prices of 0 or more');
+  }
+  if (override.structuredOutput !== undefined && !STRUCTURED_OUTPUT_MODES.has(override.structuredOutput)) {
+    fail('structuredOutput must be json_schema, json_object or prompt');
+  }
+}
+
+export class ModelRegistry {
+  private entries: ModelEntry[];
+
+  /**
+   * @param overrides - Changes to built-in entries and new entries, keyed by pattern
+   * @throws Error if an override is malformed, so a bad setting fails loudly instead of being
+   *   sent to a model as is
+   */
+  constructor(overrides: ModelOverrides = {}) {
+    const added: ModelEntry[] = [];
+    const builtIn = BUILT_IN_MODELS.map((entry) => ({ ...entry }));
+    for (const [pattern, override] of Object.entries(overrides)) {
+      checkOverride(pattern, override);
+      const existing = builtIn.findIndex((entry) => entry.match === pattern);
+      const entry =
+        existing === -1
+          ? { ...DEFAULT_MODEL_CAPABILITIES, ...override, match: pattern }
+          : { ...builtIn[existing], ...override, match: pattern };
+      if (entry.defaultReasoningEffort && !entry.reasoningEfforts.includes(entry.defaultReasoningEffort)) {
+        throw new Error(`Model override ${pattern}: defaultReasoningEffort must be one of its reasoningEfforts`);
+      }
+      if (existing === -1) {
+        added.push(entry);
+      } else {
+        builtIn[existing] = entry;
+      }
+    }
+    this.entries = [...added, ...builtIn];
+  }
+
+  /**
+   * The capabilities of `model`, from the first entry whose pattern matches it
+   */
+  get(model: string): ModelCapabilities {
+    const normalized = model.trim();
+    const entry = this.entries.find((candidate) => matchesPattern(candidate.match, normalized));
+    if (!entry) {
+      return DEFAULT_MODEL_CAPABILITIES;
+    }
+    const { match: _match, ...capabilities } = entry;
+    return capabilities;
+  }
+
+  /**
+   * Checks a request against what `model` accepts. The prompt's tokens are estimated at four
+   * characters each, so only a conversation clearly too long for the context window is caught.
+   *
+   * @returns An error message, or undefined when the model can take the request
+   */
+  check(model: string, request: ModelRequest): string | undefined {
+    const capabilities = this.get(model);
+    const { maxTokens, reasoningEffort, promptChars } = request;
+    if (capabilities.maxOutputTokens !== undefined && maxTokens > capabilities.maxOutputTokens) {
+      return `maxTokens is ${maxTokens}, but ${model} writes at most ${capabilities.maxOutputTokens}`;
+    }
+    if (reasoningEffort !== undefined && !capabilities.reasoningEfforts.includes(reasoningEffort)) {
+      return capabilities.reasoningEfforts.length === 0
+        ? `${model} takes no reasoningEffort`
+        : `reasoningEffort for ${model} must be one of ${capabilities.reasoningEfforts.join(', ')}`;
+    }
+    if (capabilities.contextWindow !== undefined && promptChars !== undefined) {
+      const needed = Math.ceil(promptChars / 4) + maxTokens;
+      if (needed > capabilities.contextWindow) {
+        return (
+          `The conversation and maxTokens need about ${needed} tokens, ` +
+          `but ${model} has a context window of ${capabilities.contextWindow}`
+        );
+      }
+    }
+    return undefined;
+  }
+}
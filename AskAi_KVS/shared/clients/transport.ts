@@ -0,0 +1,433 @@
+/**
+ * HTTP transport for the client SDKs
+ *
+ * {@link KVSClient} and {@link AIClient} send every request through an {@link HttpTransport},
+ * which gives each call:
+ * - a timeout per attempt, and a deadline for the whole call including backoff
+ * - retries for timeouts, connection failures, 429 and 502/503/504 (any 5xx for GET), with
+ *   exponential backoff and full jitter, waiting at least as long as `Retry-After` asks
+ * - one `Idempotency-Key` per write that its retries reuse, so the service applies it once
+ * - a fresh signature per attempt when credentials are set (the service rejects a reused nonce)
+ * - a circuit breaker per endpoint: once calls keep failing, further calls fail fast with
+ *   {@link CircuitOpenError} until a trial call gets through
+ *
+ * Failures are thrown as {@link TransportError} subclasses. They are `AppError`s, so callers
+ * can switch on the class or on `code` / `statusCode` instead of parsing messages.
+ */
+
+import { AppError, generateIdempotencyKey, getIdempotencyRetryDelay, IDEMPOTENCY_HEADER, signRequestAsync } from '../utils';
+import type { RequestCredentials } from '../utils';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Base class for every failure the transport reports
+ */
+export class TransportError extends AppError {
+  constructor(message: string, code: string, statusCode: number) {
+    super(message, code, statusCode);
+    this.name = 'TransportError';
+  }
+}
+
+/**
+ * No response arrived in time: the last attempt timed out, or the call's deadline ran out
+ */
+export class TimeoutError extends TransportError {
+  constructor(message: string) {
+    super(message, 'TIMEOUT', 504);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The endpoint could not be reached at all
+ */
+export class NetworkError extends TransportError {
+  constructor(message: string) {
+    super(message, 'NETWORK_ERROR', 503);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The endpoint's circuit is open after repeated failures; nothing was sent
+ */
+export class CircuitOpenError extends TransportError {
+  constructor(
+    operation: string,
+    public endpoint: string,
+    public retryAfterMs: number
+  ) {
+    super(`${operation} not sent: circuit open for ${endpoint} (retry in ${retryAfterMs}ms)`, 'CIRCUIT_OPEN', 503);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * The service answered with an error status. `body` is the parsed JSON error body, if any.
+ */
+export class HttpError extends TransportError {
+  constructor(
+    message: string,
+    statusCode: number,
+    code: string = 'HTTP_ERROR',
+    public body?: unknown
+  ) {
+    super(message, code, statusCode);
+    this.name = 'HttpError';
+  }
+}
+
+/**
+ * 404: the key, version or resource does not exist
+ */
+export class NotFoundError extends HttpError {
+  constructor(message: string, body?: unknown) {
+    super(message, 404, 'NOT_FOUND', body);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 409/412: the request lost to a concurrent change, or its precondition no longer holds
+ */
+export class ConflictError extends HttpError {
+  constructor(message: string, statusCode: number = 409, body?: unknown) {
+    super(message, statusCode, 'CONFLICT', body);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * 429 after every retry allowed; `retryAfterMs` is the service's `Retry-After`, if it sent one
+ */
+export class RateLimitedError extends HttpError {
+  constructor(
+    message: string,
+    public retryAfterMs?: number,
+    body?: unknown
+  ) {
+    super(message, 429, 'RATE_LIMITED', body);
+    this.name = 'RateLimitedError';
+  }
+}
+
+/**
+ * 5xx after every retry allowed
+ */
+export class ServerError extends HttpError {
+  constructor(message: string, statusCode: number = 500, body?: unknown) {
+    super(message, statusCode, 'SERVER_ERROR', body);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Builds the typed error for a failed response whose body was already read
+ *
+ * @param operation - Prefix for the message, e.g. 'KVS GET'
+ */
+export function createHttpError(operation: string, response: Response, body?: unknown): HttpError {
+  const detail =
+    body && typeof body === 'object' && typeof (body as { error?: unknown }).error === 'string'
+      ? (body as { error: string }).error
+      : response.statusText;
+  const message = `${operation} failed: ${response.status} ${detail}`;
+
+  if (response.status === 404) {
+    return new NotFoundError(message, body);
+  }
+  if (response.status === 409 || response.status === 412) {
+    return new ConflictError(message, response.status, body);
+  }
+  if (response.status === 429) {
+    return new RateLimitedError(message, parseRetryAfter(response), body);
+  }
+  if (response.status >= 500) {
+    return new ServerError(message, response.status, body);
+  }
+  return new HttpError(message, response.status, 'HTTP_ERROR', body);
+}
+
+/**
+ * Reads a failed response's body and builds its typed error
+ */
+export async function readHttpError(operation: string, response: Response): Promise<HttpError> {
+  return createHttpError(operation, response, await response.json().catch(() => undefined));
+}
+
+/**
+ * Milliseconds a `Retry-After` header (seconds or an HTTP date) asks to wait, if present
+ */
+export function parseRetryAfter(response: Response): number | undefined {
+  const header = response.headers.get('Retry-After');
+  if (header === null || header.trim() === '') {
+    return undefined;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds) * 1000;
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failed attempts (timeouts, connection failures, 5xx) that open the circuit (default: 5) */
+  failureThreshold?: number;
+  /** Milliseconds the circuit stays open before one trial call is let through (default: 30000) */
+  resetTimeoutMs?: number;
+}
+
+/**
+ * Retry and failure tuning the clients accept alongside their own settings
+ */
+export interface TransportOptions {
+  /** Budget for a whole call, attempts and backoff included (default: timeout × (retries + 2)) */
+  deadlineMs?: number;
+  /** First retry waits up to this long, doubling per retry (default: 100) */
+  retryBaseMs?: number;
+  /** Cap on a single backoff (default: 5000); a longer `Retry-After` is still honored */
+  retryMaxMs?: number;
+  /** Per-endpoint circuit breaker; `false` turns it off */
+  circuitBreaker?: CircuitBreakerOptions | false;
+}
+
+export interface TransportConfig extends TransportOptions {
+  /** Base URL; request paths are appended to it */
+  endpoint: string;
+  /** Per-attempt timeout in milliseconds */
+  timeout: number;
+  /** Times a failed attempt is sent again (default: 2) */
+  retries?: number;
+  /** Sign every attempt with these credentials */
+  credentials?: RequestCredentials;
+}
+
+export interface TransportRequest {
+  /** Serialized request body */
+  body?: string;
+  /**
+   * Extra headers. An `Idempotency-Key` set here is used instead of a fresh one, so a write
+   * replayed later (e.g. from an offline queue) still applies once.
+   */
+  headers?: Record<string, string>;
+  /** Names the call in error messages (default: method and URL) */
+  operation?: string;
+  /**
+   * Cancels the call, including reading the response body once it has arrived. The abort
+   * reason is thrown as is and not retried.
+   */
+  signal?: AbortSignal;
+}
+
+interface CircuitState {
+  failures: number;
+  openUntil: number;
+}
+
+/** Failure counts per endpoint, shared by every transport that calls it */
+const circuits = new Map<string, CircuitState>();
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30_000;
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends requests to one endpoint with retries, a deadline and a circuit breaker.
+ *
+ * Responses come back whatever their status once retries are spent, so callers can handle the
+ * statuses they expect (404, 409, ...) and pass the rest to {@link readHttpError}. Calls that
+ * never got a response throw {@link TimeoutError}, {@link NetworkError} or {@link CircuitOpenError}.
+ *
+ * @example
+ * ```typescript
+ * const transport = new HttpTransport({ endpoint: 'https://kvs.example.com', timeout: 5000 });
+ * const response = await transport.send('GET', '/user%3A123', { operation: 'KVS GET user:123' });
+ * if (!response.ok) throw await readHttpError('KVS GET', response);
+ * ```
+ */
+export class HttpTransport {
+  private endpoint: string;
+  private timeout: number;
+  private retries: number;
+  private deadlineMs: number;
+  private retryBaseMs: number;
+  private retryMaxMs: number;
+  private credentials?: RequestCredentials;
+  private breaker: Required<CircuitBreakerOptions> | null;
+
+  constructor(config: TransportConfig) {
+    this.endpoint = config.endpoint.replace(/\/$/, '');
+    this.timeout = config.timeout;
+    this.retries = config.retries ?? 2;
+    this.deadlineMs = config.deadlineMs ?? config.timeout * (this.retries + 2);
+    this.retryBaseMs = config.retryBaseMs ?? 100;
+    this.retryMaxMs = config.retryMaxMs ?? 5000;
+    this.credentials = config.credentials;
+    this.breaker =
+      config.circuitBreaker === false
+        ? null
+        : {
+            failureThreshold: config.circuitBreaker?.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD,
+            resetTimeoutMs: config.circuitBreaker?.resetTimeoutMs ?? DEFAULT_RESET_TIMEOUT_MS,
+          };
+  }
+
+  /**
+   * Sends `method` to the endpoint plus `path`. Writes (anything but GET) carry one idempotency
+   * key across attempts and wait, without spending a retry, while the service reports an earlier
+   * attempt still running.
+   */
+  async send(method: string, path: string, request: TransportRequest = {}): Promise<Response> {
+    const url = `${this.endpoint}${path}`;
+    const operation = request.operation ?? `${method} ${url}`;
+    const idempotencyHeaders: Record<string, string> =
+      method === 'GET' || request.headers?.[IDEMPOTENCY_HEADER] ? {} : { [IDEMPOTENCY_HEADER]: generateIdempotencyKey() };
+    const deadline = Date.now() + this.deadlineMs;
+    let retried = 0;
+    let lastFailure: TransportError | undefined;
+
+    for (;;) {
+      request.signal?.throwIfAborted();
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new TimeoutError(`${operation} timed out (deadline of ${this.deadlineMs}ms exceeded)`);
+      }
+      const blockedMs = this.checkCircuit();
+      if (blockedMs > 0) {
+        // A call that already failed reports that, not the circuit its failures opened
+        throw lastFailure ?? new CircuitOpenError(operation, this.endpoint, blockedMs);
+      }
+
+      let response: Response;
+      try {
+        response = await this.attempt(method, url, request, idempotencyHeaders, Math.min(this.timeout, remaining));
+      } catch (error) {
+        if (request.signal?.aborted) {
+          throw request.signal.reason;
+        }
+        this.recordOutcome(true);
+        const timedOut = error instanceof Error && error.name === 'AbortError';
+        // fetch rejects with a TypeError when it cannot connect
+        if (!timedOut && !(error instanceof TypeError)) {
+          throw error;
+        }
+        lastFailure = timedOut
+          ? new TimeoutError(`${operation} timed out`)
+          : new NetworkError(`${operation} could not connect: ${error.message}`);
+        if (retried < this.retries && (await this.backoff(retried++, deadline))) {
+          continue;
+        }
+        throw lastFailure;
+      }
+      this.recordOutcome(response.status >= 500);
+
+      const inProgress = method === 'GET' ? null : getIdempotencyRetryDelay(response);
+      if (inProgress !== null) {
+        if (Date.now() + inProgress >= deadline) {
+          throw new TimeoutError(`${operation} timed out (an earlier attempt is still running)`);
+        }
+        await sleep(inProgress);
+        continue;
+      }
+
+      const retryable = RETRYABLE_STATUSES.has(response.status) || (method === 'GET' && response.status >= 500);
+      if (retryable && retried < this.retries && (await this.backoff(retried, deadline, parseRetryAfter(response)))) {
+        retried++;
+        lastFailure = createHttpError(operation, response);
+        await response.body?.cancel().catch(() => {});
+        continue;
+      }
+      return response;
+    }
+  }
+
+  private async attempt(
+    method: string,
+    url: string,
+    request: TransportRequest,
+    idempotencyHeaders: Record<string, string>,
+    timeout: number
+  ): Promise<Response> {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    // Left attached, so the caller can still stop the body after fetch resolves
+    request.signal?.addEventListener('abort', () => controller.abort(request.signal?.reason), { once: true });
+    try {
+      return await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...request.headers,
+          ...idempotencyHeaders,
+          // Signed per attempt: the service rejects a reused nonce
+          ...(this.credentials ? await signRequestAsync(method, url, request.body ?? '', this.credentials) : {}),
+        },
+        body: request.body,
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Waits before retry number `retried` + 1: full jitter over an exponential window, but never
+   * less than `retryAfterMs`. Returns false, without waiting, when that would pass the deadline.
+   */
+  private async backoff(retried: number, deadline: number, retryAfterMs?: number): Promise<boolean> {
+    const window = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** retried);
+    const delay = Math.max(Math.random() * window, retryAfterMs ?? 0);
+    if (Date.now() + delay >= deadline) {
+      return false;
+    }
+    await sleep(delay);
+    return true;
+  }
+
+  /**
+   * Milliseconds until the endpoint's circuit lets a call through, 0 if it may go now. Once the
+   * reset timeout passes, one call goes through as a trial and the rest stay blocked until it
+   * settles (or another reset timeout passes).
+   */
+  private checkCircuit(): number {
+    const circuit = circuits.get(this.endpoint);
+    if (!this.breaker || !circuit || circuit.failures < this.breaker.failureThreshold) {
+      return 0;
+    }
+    const wait = circuit.openUntil - Date.now();
+    if (wait > 0) {
+      return Math.ceil(wait);
+    }
+    circuit.openUntil = Date.now() + this.breaker.resetTimeoutMs;
+    return 0;
+  }
+
+  private recordOutcome(failed: boolean): void {
+    if (!this.breaker) {
+      return;
+    }
+    if (!failed) {
+      circuits.delete(this.endpoint);
+      return;
+    }
+    const circuit = circuits.get(this.endpoint) ?? { failures: 0, openUntil: 0 };
+    circuit.failures++;
+    if (circuit.failures >= this.breaker.failureThreshold) {
+      circuit.openUntil = Date.now() + this.breaker.resetTimeoutMs;
+    }
+    circuits.set(this.endpoint, circuit);
+  }
+}
@@ -2,6 +2,8 @@
  * Shared Package
  *
  * Exports all clients, schemas, and utilities for the AskAI and KVS services.
+ * This is the node entry point: utilities include the synchronous node:crypto helpers
+ * (see browser.ts for the one the Preact app gets).
  */
 
 // Clients
@@ -10,5 +12,9 @@ export * from './clients';
 // Schemas
 export * from './schemas';
 
+// The clients' request and response types take precedence over the schemas' inferred ones of
+// the same names, which stay available from './schemas'
+export type { AskAIRequest, AskAIResponse } from './clients';
+
 // Utilities
-export * from './utils';
+export * from './utils/node';
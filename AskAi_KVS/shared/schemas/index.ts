@@ -11,16 +11,53 @@ import { z } from 'zod';
 // ============================================================================
 
 /**
- * AskAI request schema
+ * One turn of an AskAI conversation
  */
-export const AskAIRequestSchema = z.object({
-  systemPrompt: z.string().min(1).max(10000),
-  input: z.string().min(1).max(50000),
-  maxTokens: z.number().min(1).max(4000).optional().default(500),
-  temperature: z.number().min(0).max(1).optional().default(0.7),
-  model: z.string().min(1).max(100).optional(),
+export const AskAIMessageSchema = z.object({
+  role: z.enum(['system', 'user', 'assistant']),
+  content: z.string().min(1).max(50000),
 });
 
+export type AskAIMessage = z.infer<typeof AskAIMessageSchema>;
+
+/**
+ * AskAI request schema
+ *
+ * Either `systemPrompt` + `input`, or a conversation in `messages` (with an optional
+ * `systemPrompt` sent before it) that has at least one user message. With `responseSchema` (a
+ * JSON Schema, see {@link zodToJsonSchema}) the answer is JSON validated against it.
+ */
+export const AskAIRequestSchema = z
+  .object({
+    systemPrompt: z.string().min(1).max(10000).optional(),
+    input: z.string().min(1).max(50000).optional(),
+    messages: z.array(AskAIMessageSchema).min(1).max(100).optional(),
+    maxTokens: z.number().min(1).max(4000).optional().default(500),
+    temperature: z.number().min(0).max(1).optional().default(0.7),
+    model: z.string().min(1).max(100).optional(),
+    /** Checked against the model's reasoning efforts by the service */
+    reasoningEffort: z.enum(['none', 'minimal', 'low', 'medium', 'high', 'xhigh']).optional(),
+    stream: z.boolean().optional(),
+    responseSchema: z.union([z.boolean(), z.record(z.unknown())]).optional(),
+    responseSchemaName: z
+      .string()
+      .regex(/^[a-zA-Z0-9_-]{1,64}$/)
+      .optional(),
+    maxRepairs: z.number().int().min(0).max(3).optional(),
+  })
+  .refine(
+    (request) => (request.messages ? request.input === undefined : Boolean(request.systemPrompt && request.input)),
+    { message: 'Send messages, or systemPrompt and input' }
+  )
+  .refine((request) => !request.messages || request.messages.some((message) => message.role === 'user'), {
+    message: 'messages needs at least one user message',
+    path: ['messages'],
+  })
+  .refine((request) => !(request.responseSchema !== undefined && request.stream), {
+    message: 'responseSchema cannot be combined with stream',
+    path: ['stream'],
+  });
+
 export type AskAIRequest = z.infer<typeof AskAIRequestSchema>;
 
 /**
@@ -30,10 +67,48 @@ export const AskAIResponseSchema = z.object({
   output: z.string().min(1),
   tokensUsed: z.number().optional(),
   model: z.string().optional(),
+  provider: z.string().optional(),
 });
 
 export type AskAIResponse = z.infer<typeof AskAIResponseSchema>;
 
+/**
+ * A violation of the request's `responseSchema`
+ */
+export const AskAISchemaViolationSchema = z.object({
+  /** JSON Pointer to the offending field, `''` for the whole answer */
+  path: z.string(),
+  message: z.string(),
+});
+
+export type AskAISchemaViolation = z.infer<typeof AskAISchemaViolationSchema>;
+
+/**
+ * AskAI response to a request with `responseSchema`
+ */
+export const AskAIStructuredResponseSchema = AskAIResponseSchema.extend({
+  data: z.unknown(),
+  attempts: z.number().int().min(1),
+  structuredOutput: z.enum(['json_schema', 'json_object', 'prompt']),
+});
+
+export type AskAIStructuredResponse = z.infer<typeof AskAIStructuredResponseSchema>;
+
+/**
+ * AskAI 422 when no answer matched `responseSchema` within `maxRepairs`
+ */
+export const AskAIStructuredErrorSchema = z.object({
+  error: z.string(),
+  violations: z.array(AskAISchemaViolationSchema),
+  output: z.string(),
+  attempts: z.number().int().min(1),
+  tokensUsed: z.number(),
+  model: z.string().optional(),
+  provider: z.string().optional(),
+});
+
+export type AskAIStructuredError = z.infer<typeof AskAIStructuredErrorSchema>;
+
 // ============================================================================
 // KVS SCHEMAS
 // ============================================================================
@@ -100,6 +175,7 @@ export const DevKVSRequestSchema = z.object({
   key: z.string().min(1).max(120).regex(/^[a-zA-Z0-9:_-]+$/).optional(),
   value: z.unknown(),
   deleteAfter: z.boolean().optional().default(true),
+  ttlSeconds: z.number().int().min(1).max(86400).optional(),
 });
 
 export type DevKVSRequest = z.infer<typeof DevKVSRequestSchema>;
@@ -172,3 +248,146 @@ export function safeParse<T>(schema: z.ZodSchema<T>, data: unknown): T | null {
   const result = schema.safeParse(data);
   return result.success ? result.data : null;
 }
+
+// ============================================================================
+// JSON SCHEMA CONVERSION (for KVS value schemas)
+// ============================================================================
+
+/**
+ * A JSON Schema document, as accepted by `PUT /_schemas/{prefix}` on KVS
+ */
+export type JsonSchema = boolean | { [keyword: string]: unknown };
+
+/**
+ * Converts a Zod schema to the JSON Schema subset KVS validates against.
+ *
+ * Covers the types that survive a JSON round trip: objects, arrays, records, strings,
+ * numbers, booleans, null, literals, enums, unions, intersections, optional/nullable/default.
+ * Refinements and transforms cannot be expressed and are dropped (the inner type is kept);
+ * anything else (dates, tuples, lazy schemas, ...) throws.
+ */
+export function zodToJsonSchema(schema: z.ZodTypeAny): JsonSchema {
+  const converted = convertZodType(schema);
+  return schema.description && typeof converted === 'object'
+    ? { description: schema.description, ...converted }
+    : converted;
+}
+
+function convertZodType(schema: z.ZodTypeAny): JsonSchema {
+  if (schema instanceof z.ZodObject) {
+    const shape = schema.shape as Record<string, z.ZodTypeAny>;
+    const required = Object.keys(shape).filter((name) => !shape[name].isOptional());
+    const catchall = schema._def.catchall as z.ZodTypeAny;
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([name, field]) => [name, zodToJsonSchema(field)])),
+      ...(required.length > 0 ? { required } : {}),
+      // Zod strips unknown keys by default, so only strict objects reject them
+      ...(!(catchall instanceof z.ZodNever)
+        ? { additionalProperties: zodToJsonSchema(catchall) }
+        : schema._def.unknownKeys === 'strict'
+        ? { additionalProperties: false }
+        : {}),
+    };
+  }
+  if (schema instanceof z.ZodString) {
+    const result: Record<string, unknown> = { type: 'string' };
+    for (const check of schema._def.checks) {
+      if (check.kind === 'min') {
+        result.minLength = check.value;
+      } else if (check.kind === 'max') {
+        result.maxLength = check.value;
+      } else if (check.kind === 'length') {
+        result.minLength = check.value;
+        result.maxLength = check.value;
+      } else if (check.kind === 'regex') {
+        result.pattern = check.regex.source;
+      } else if (check.kind === 'email' || check.kind === 'url' || check.kind === 'uuid' || check.kind === 'datetime') {
+        result.format = check.kind === 'datetime' ? 'date-time' : check.kind === 'url' ? 'uri' : check.kind;
+      }
+    }
+    return result;
+  }
+  if (schema instanceof z.ZodNumber) {
+    const result: Record<string, unknown> = { type: 'number' };
+    for (const check of schema._def.checks) {
+      if (check.kind === 'int') {
+        result.type = 'integer';
+      } else if (check.kind === 'min') {
+        result[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+      } else if (check.kind === 'max') {
+        result[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+      } else if (check.kind === 'multipleOf') {
+        result.multipleOf = check.value;
+      }
+    }
+    return result;
+  }
+  if (schema instanceof z.ZodBoolean) {
+    return { type: 'boolean' };
+  }
+  if (schema instanceof z.ZodNull) {
+    return { type: 'null' };
+  }
+  if (schema instanceof z.ZodAny || schema instanceof z.ZodUnknown) {
+    return {};
+  }
+  if (schema instanceof z.ZodNever) {
+    return false;
+  }
+  if (schema instanceof z.ZodLiteral) {
+    return { const: schema.value };
+  }
+  if (schema instanceof z.ZodEnum) {
+    return { type: 'string', enum: schema.options };
+  }
+  if (schema instanceof z.ZodNativeEnum) {
+    // Numeric TypeScript enums also map values back to names; keep only the values
+    const values = Object.entries(schema.enum as Record<string, string | number>)
+      .filter(([name]) => !/^\d+$/.test(name))
+      .map(([, value]) => value);
+    return { enum: values };
+  }
+  if (schema instanceof z.ZodArray) {
+    const minItems = (schema._def.exactLength ?? schema._def.minLength)?.value;
+    const maxItems = (schema._def.exactLength ?? schema._def.maxLength)?.value;
+    return {
+      type: 'array',
+      items: zodToJsonSchema(schema.element),
+      ...(minItems !== undefined ? { minItems } : {}),
+      ...(maxItems !== undefined ? { maxItems } : {}),
+    };
+  }
+  if (schema instanceof z.ZodRecord) {
+    return { type: 'object', additionalProperties: zodToJsonSchema(schema._def.valueType) };
+  }
+  if (schema instanceof z.ZodUnion || schema instanceof z.ZodDiscriminatedUnion) {
+    return { anyOf: (schema.options as z.ZodTypeAny[]).map(zodToJsonSchema) };
+  }
+  if (schema instanceof z.ZodIntersection) {
+    return { allOf: [zodToJsonSchema(schema._def.left), zodToJsonSchema(schema._def.right)] };
+  }
+  if (schema instanceof z.ZodNullable) {
+    return { anyOf: [zodToJsonSchema(schema.unwrap()), { type: 'null' }] };
+  }
+  if (schema instanceof z.ZodOptional) {
+    return zodToJsonSchema(schema.unwrap());
+  }
+  if (schema instanceof z.ZodDefault) {
+    const inner = zodToJsonSchema(schema._def.innerType);
+    return typeof inner === 'object' ? { ...inner, default: schema._def.defaultValue() } : inner;
+  }
+  if (schema instanceof z.ZodEffects) {
+    return zodToJsonSchema(schema.innerType());
+  }
+  if (schema instanceof z.ZodBranded) {
+    return zodToJsonSchema(schema.unwrap());
+  }
+  if (schema instanceof z.ZodReadonly || schema instanceof z.ZodCatch) {
+    return zodToJsonSchema(schema._def.innerType);
+  }
+  if (schema instanceof z.ZodPipeline) {
+    return zodToJsonSchema(schema._def.in);
+  }
+  throw new Error(`Cannot convert ${schema._def.typeName ?? 'this Zod type'} to JSON Schema`);
+}
@@ -0,0 +1,93 @@
+/**
+ * Request verification as the Lambdas run it, against requests signed by the clients' helper
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  assertKeyAccess,
+  authenticateRequest,
+  AuthError,
+  canAccessKey,
+  createMemoryNonceStore,
+  getRequestHeader,
+  loadAuthClients,
+} from '../utils/auth';
+import type { SignedRequest } from '../utils/auth';
+import { AUTH_TIMESTAMP_HEADER, signRequestAsync } from '../utils';
+
+const SECRET = 's'.repeat(32);
+const clients = loadAuthClients(JSON.stringify({ 'game-server': { secret: SECRET, prefixes: ['game:'] } }))!;
+
+async function signed(method: string, url: string, body = ''): Promise<SignedRequest> {
+  const parsed = new URL(url);
+  return {
+    method,
+    path: decodeURIComponent(parsed.pathname),
+    query: Object.fromEntries(parsed.searchParams),
+    headers: await signRequestAsync(method, url, body, { clientId: 'game-server', secret: SECRET }),
+    body,
+  };
+}
+
+describe('authenticateRequest', () => {
+  it('accepts a request signed with signRequestAsync', async () => {
+    const request = await signed('PUT', 'https://kvs.example/game%3A1?b=2&a=1', '{"value":1}');
+    expect((await authenticateRequest(request, clients, createMemoryNonceStore())).id).toBe('game-server');
+  });
+
+  it('rejects unsigned, tampered, stale and replayed requests', async () => {
+    const claim = createMemoryNonceStore();
+    const request = await signed('PUT', 'https://kvs.example/game:1', '{"value":1}');
+    const reject = (candidate: SignedRequest, store = claim) =>
+      expect(authenticateRequest(candidate, clients, store)).rejects.toThrow(AuthError);
+
+    await reject({ ...request, headers: {} });
+    await reject({ ...request, body: '{"value":2}' });
+    await reject({ ...request, query: { a: '1' } });
+
+    const stale = String(Number(request.headers![AUTH_TIMESTAMP_HEADER]) - 600);
+    await reject({ ...request, headers: { ...request.headers, [AUTH_TIMESTAMP_HEADER]: stale } });
+
+    await authenticateRequest(request, clients, claim);
+    await reject(request);
+  });
+});
+
+describe('createMemoryNonceStore', () => {
+  it('accepts each nonce once per client until it expires', async () => {
+    const claim = createMemoryNonceStore();
+    const now = Math.floor(Date.now() / 1000);
+    expect(await claim('a', 'n1', now + 60)).toBe(true);
+    expect(await claim('a', 'n1', now + 60)).toBe(false);
+    expect(await claim('b', 'n1', now + 60)).toBe(true);
+
+    expect(await claim('a', 'n2', now - 1)).toBe(true);
+    expect(await claim('a', 'n2', now + 60)).toBe(true);
+  });
+});
+
+describe('getRequestHeader', () => {
+  it('looks headers up case-insensitively', () => {
+    expect(getRequestHeader({ 'Idempotency-Key': 'k' }, 'idempotency-key')).toBe('k');
+    expect(getRequestHeader({ origin: 'o' }, 'Origin')).toBe('o');
+    expect(getRequestHeader(undefined, 'Origin')).toBeUndefined();
+  });
+});
+
+describe('key namespaces', () => {
+  it('limits a client to its prefixes', () => {
+    const client = clients.get('game-server');
+    expect(canAccessKey(client, 'game:1')).toBe(true);
+    expect(canAccessKey(client, 'match:1')).toBe(false);
+    expect(canAccessKey(undefined, 'match:1')).toBe(true);
+    expect(() => assertKeyAccess(client, ['game:1', 'match:1'])).toThrow(AuthError);
+  });
+});
+
+describe('loadAuthClients', () => {
+  it('is disabled when unset and fails loudly when malformed', () => {
+    expect(loadAuthClients(undefined)).toBeNull();
+    expect(() => loadAuthClients('{"a":{"secret":"short"}}')).toThrow(/at least 32/);
+    expect(() => loadAuthClients(`{"a":{"secret":"${SECRET}","prefixes":"game:"}}`)).toThrow(/prefixes/);
+  });
+});
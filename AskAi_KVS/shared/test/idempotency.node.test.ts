@@ -0,0 +1,100 @@
+/**
+ * Idempotency keys as both Lambdas run them, over an in-memory record store
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  IDEMPOTENCY_REPLAYED_HEADER,
+  loadIdempotencyTtl,
+  MemoryIdempotencyStore,
+  runIdempotent,
+  validateIdempotencyKey,
+} from '../utils/idempotency';
+import type { IdempotencyStore, IdempotentRequest, IdempotentResponse } from '../utils/idempotency';
+
+const REQUEST: IdempotentRequest = { method: 'PUT', path: '/game:1', query: {}, body: '{"value":1}' };
+
+function run(
+  store: IdempotencyStore,
+  request: IdempotentRequest,
+  execute: () => Promise<IdempotentResponse>,
+  clientId = 'game-server'
+): Promise<IdempotentResponse> {
+  return runIdempotent(store, clientId, 'key-1', request, 60, { 'X-Cors': '1' }, execute);
+}
+
+describe('runIdempotent', () => {
+  it('runs once and replays the stored response', async () => {
+    const store = new MemoryIdempotencyStore();
+    let runs = 0;
+    const execute = async () => ({ statusCode: 200, headers: {}, body: String(++runs) });
+
+    expect((await run(store, REQUEST, execute)).body).toBe('1');
+    const replay = await run(store, REQUEST, execute);
+    expect(replay.body).toBe('1');
+    expect(replay.headers).toEqual({ 'X-Cors': '1', [IDEMPOTENCY_REPLAYED_HEADER]: 'true' });
+    expect(runs).toBe(1);
+  });
+
+  it('scopes keys per client', async () => {
+    const store = new MemoryIdempotencyStore();
+    let runs = 0;
+    const execute = async () => ({ statusCode: 200, headers: {}, body: String(++runs) });
+
+    await run(store, REQUEST, execute, 'a');
+    expect((await run(store, REQUEST, execute, 'b')).body).toBe('2');
+  });
+
+  it('rejects reuse for a different request and duplicates still in progress', async () => {
+    const store = new MemoryIdempotencyStore();
+    let finish!: () => void;
+    const first = run(store, REQUEST, async () => {
+      await new Promise<void>((resolve) => (finish = resolve));
+      return { statusCode: 200, headers: {}, body: '{}' };
+    });
+
+    const duplicate = await run(store, REQUEST, async () => ({ statusCode: 200, headers: {}, body: '' }));
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.headers['Retry-After']).toBe('1');
+
+    finish();
+    await first;
+    const changed = await run(store, { ...REQUEST, body: '{"value":2}' }, async () => ({
+      statusCode: 200,
+      headers: {},
+      body: '',
+    }));
+    expect(changed.statusCode).toBe(422);
+  });
+
+  it('runs again after a server error or a throw', async () => {
+    const store = new MemoryIdempotencyStore();
+    let runs = 0;
+
+    await run(store, REQUEST, async () => ({ statusCode: 503, headers: {}, body: String(++runs) }));
+    await expect(
+      run(store, REQUEST, async () => {
+        runs++;
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+    expect((await run(store, REQUEST, async () => ({ statusCode: 200, headers: {}, body: String(++runs) }))).body).toBe(
+      '3'
+    );
+  });
+});
+
+describe('key and TTL settings', () => {
+  it('accepts 1-255 visible ASCII characters', () => {
+    expect(validateIdempotencyKey('a1b2-c3')).toBeNull();
+    expect(validateIdempotencyKey('')).not.toBeNull();
+    expect(validateIdempotencyKey('has space')).not.toBeNull();
+    expect(validateIdempotencyKey('x'.repeat(256))).not.toBeNull();
+  });
+
+  it('defaults the TTL and lets 0 turn keys off', () => {
+    expect(loadIdempotencyTtl(undefined)).toBe(24 * 60 * 60);
+    expect(loadIdempotencyTtl('0')).toBe(0);
+    expect(loadIdempotencyTtl('-5')).toBe(0);
+  });
+});
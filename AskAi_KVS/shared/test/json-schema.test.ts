@@ -0,0 +1,60 @@
+/**
+ * The JSON Schema subset KVS checks values with and AskAI checks structured answers with.
+ * Runs on Node and under happy-dom (see vitest.config.ts).
+ */
+
+import { describe, expect, it } from 'vitest';
+import { checkSchemaDefinition, deepEqual, SchemaDefinitionError, validateValue } from '../utils/json-schema';
+import type { JsonSchema } from '../utils/json-schema';
+
+const PLAYER: JsonSchema = {
+  type: 'object',
+  required: ['name', 'level'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    level: { type: 'integer', minimum: 1, maximum: 99 },
+    tags: { type: 'array', items: { $ref: '#/definitions/tag' }, uniqueItems: true },
+  },
+  definitions: { tag: { enum: ['new', 'vip'] } },
+};
+
+describe('validateValue', () => {
+  it('accepts a conforming value', () => {
+    expect(validateValue(PLAYER, { name: 'Ada', level: 3, tags: ['vip'] })).toEqual([]);
+  });
+
+  it('reports one violation per failing field by JSON Pointer', () => {
+    const paths = validateValue(PLAYER, { name: '', level: 100, tags: ['vip', 'vip', 'x'], extra: 1 }).map(
+      (violation) => violation.path
+    );
+    expect(paths).toEqual(expect.arrayContaining(['/name', '/level', '/tags', '/tags/2', '/extra']));
+    expect(validateValue(PLAYER, { name: 'Ada' }).map((violation) => violation.path)).toEqual(['/level']);
+  });
+
+  it('combines subschemas', () => {
+    const schema: JsonSchema = { anyOf: [{ type: 'string' }, { type: 'number', multipleOf: 5 }], not: { const: 10 } };
+    expect(validateValue(schema, 'a')).toEqual([]);
+    expect(validateValue(schema, 15)).toEqual([]);
+    expect(validateValue(schema, 10)).not.toEqual([]);
+    expect(validateValue(schema, 7)).not.toEqual([]);
+    expect(validateValue(false, null)).not.toEqual([]);
+  });
+});
+
+describe('checkSchemaDefinition', () => {
+  it('accepts annotations and rejects unsupported keywords and broken references', () => {
+    expect(() => checkSchemaDefinition({ title: 'Player', format: 'email', type: 'string' })).not.toThrow();
+    expect(() => checkSchemaDefinition({ type: 'string', contentEncoding: 'base64' })).toThrow(SchemaDefinitionError);
+    expect(() => checkSchemaDefinition({ $ref: '#/definitions/missing' })).toThrow(SchemaDefinitionError);
+    expect(() => checkSchemaDefinition({ pattern: '(' })).toThrow(SchemaDefinitionError);
+  });
+});
+
+describe('deepEqual', () => {
+  it('compares JSON values structurally', () => {
+    expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(deepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(deepEqual([1, 2], [2, 1])).toBe(false);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * How KVSOfflineQueue guards replayed writes, over an in-memory stand-in for KVSClient
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { KVSOfflineQueue, MemoryQueueStorage } from '../clients/kvs-offline';
+import { KVSConflictError } from '../clients/kvs-client';
+import type { KVSClient, KVSVersionedValue, KVSWriteOptions } from '../clients/kvs-client';
+import { NetworkError } from '../clients/transport';
+
+/**
+ * Honors If-Match / If-None-Match like the service; `reachable` and `writable` simulate outages
+ */
+class FakeKVS {
+  entries = new Map<string, KVSVersionedValue<unknown>>();
+  reachable = true;
+  writable = true;
+
+  async getVersioned<T>(key: string): Promise<KVSVersionedValue<T> | null> {
+    this.check(false);
+    return (this.entries.get(key) as KVSVersionedValue<T> | undefined) ?? null;
+  }
+
+  async put(key: string, value: unknown, options: KVSWriteOptions = {}): Promise<{ version: number }> {
+    this.check(true);
+    this.precondition(key, options);
+    const version = (this.entries.get(key)?.version ?? 0) + 1;
+    this.entries.set(key, { value, version });
+    return { version };
+  }
+
+  async mergePatch(key: string, patch: object, options: KVSWriteOptions = {}): Promise<{ version: number }> {
+    return this.put(key, { ...(this.entries.get(key)?.value as object), ...patch }, options);
+  }
+
+  async delete(key: string, options: KVSWriteOptions = {}): Promise<void> {
+    this.check(true);
+    this.precondition(key, options);
+    this.entries.delete(key);
+  }
+
+  private check(write: boolean): void {
+    if (!this.reachable || (write && !this.writable)) {
+      throw new NetworkError('offline');
+    }
+  }
+
+  private precondition(key: string, options: KVSWriteOptions): void {
+    const current = this.entries.get(key);
+    const failed =
+      (options.ifMatch !== undefined && current?.version !== options.ifMatch) ||
+      (options.ifNoneMatch === '*' && current !== undefined);
+    if (failed) {
+      throw new KVSConflictError(key, 412, current?.version);
+    }
+  }
+}
+
+function createQueue(kvs: FakeKVS, onConflict = vi.fn(() => 'keep-server' as const)) {
+  const queue = new KVSOfflineQueue(kvs as unknown as KVSClient, {
+    storage: new MemoryQueueStorage(),
+    onConflict,
+    syncOnOnline: false,
+    retryMs: 60_000,
+  });
+  return { queue, onConflict };
+}
+
+describe('KVSOfflineQueue conflicts', () => {
+  it('guards a write to a key it never read with the version current when it was queued', async () => {
+    const kvs = new FakeKVS();
+    kvs.entries.set('match:1', { value: { turn: 1 }, version: 4 });
+    kvs.writable = false;
+    const { queue, onConflict } = createQueue(kvs);
+
+    expect((await queue.put('match:1', { turn: 2 })).status).toBe('queued');
+    expect(queue.getPending()[0]).toMatchObject({ baseVersion: 4 });
+
+    kvs.entries.set('match:1', { value: { turn: 9 }, version: 5 });
+    kvs.writable = true;
+    await queue.sync();
+    queue.close();
+
+    expect(onConflict).toHaveBeenCalledWith(
+      expect.objectContaining({ server: { value: { turn: 9 }, version: 5 } })
+    );
+    expect(kvs.entries.get('match:1')?.value).toEqual({ turn: 9 });
+  });
+
+  it('guards a write to a missing key against someone creating it', async () => {
+    const kvs = new FakeKVS();
+    kvs.writable = false;
+    const { queue, onConflict } = createQueue(kvs);
+
+    await queue.put('match:1', { turn: 1 });
+    expect(queue.getPending()[0]).toMatchObject({ baseVersion: null });
+
+    kvs.entries.set('match:1', { value: { turn: 7 }, version: 1 });
+    kvs.writable = true;
+    await queue.sync();
+    queue.close();
+
+    expect(onConflict).toHaveBeenCalledOnce();
+    expect(kvs.entries.get('match:1')?.value).toEqual({ turn: 7 });
+  });
+
+  it('marks a write made with no version to be learned unconditional, and lets it win', async () => {
+    const kvs = new FakeKVS();
+    kvs.reachable = false;
+    const { queue, onConflict } = createQueue(kvs);
+
+    await queue.put('match:1', { turn: 2 });
+    expect(queue.getPending()[0]).toMatchObject({ unconditional: true });
+    expect(queue.getPending()[0].baseVersion).toBeUndefined();
+
+    kvs.entries.set('match:1', { value: { turn: 9 }, version: 5 });
+    kvs.reachable = true;
+    await queue.sync();
+    queue.close();
+
+    expect(onConflict).not.toHaveBeenCalled();
+    expect(kvs.entries.get('match:1')).toEqual({ value: { turn: 2 }, version: 6 });
+  });
+
+  it('guards a write made after a queued delete as a create', async () => {
+    const kvs = new FakeKVS();
+    kvs.entries.set('match:1', { value: { turn: 1 }, version: 3 });
+    kvs.writable = false;
+    const { queue, onConflict } = createQueue(kvs);
+
+    await queue.delete('match:1');
+    await queue.put('match:1', { turn: 1 });
+    kvs.writable = true;
+    await queue.sync();
+    queue.close();
+
+    expect(onConflict).not.toHaveBeenCalled();
+    expect(kvs.entries.get('match:1')).toEqual({ value: { turn: 1 }, version: 1 });
+  });
+});
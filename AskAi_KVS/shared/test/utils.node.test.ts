@@ -0,0 +1,101 @@
+/**
+ * The node:crypto helpers of the node entry point, which must agree with their async Web
+ * Crypto counterparts so either side of a signed request can use either.
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import {
+  buildSigningPayload,
+  buildSigningPayloadAsync,
+  createSignedLink,
+  createSignedLinkAsync,
+  hashToken,
+  hashTokenAsync,
+  signPayload,
+  signPayloadAsync,
+  signRequest,
+  signRequestAsync,
+  timingSafeEqual,
+  verifySignature,
+  verifySignatureAsync,
+  verifySignedLink,
+  verifySignedLinkAsync,
+  AUTH_NONCE_HEADER,
+  AUTH_SIGNATURE_HEADER,
+} from '../index';
+
+const SAMPLES = ['', 'abc', 'The quick brown fox', 'ünïcödé ✓ 🎲', 'line\nbreaks\n', 'x'.repeat(10000)];
+
+describe('sync and async parity', () => {
+  it.each(SAMPLES)('signPayload matches signPayloadAsync for %j', async (payload) => {
+    for (const secret of ['key', 'ünïcödé secret', 's'.repeat(200)]) {
+      expect(signPayload(payload, secret)).toBe(await signPayloadAsync(payload, secret));
+    }
+  });
+
+  it.each(SAMPLES)('hashToken matches hashTokenAsync for %j', async (token) => {
+    expect(hashToken(token)).toBe(await hashTokenAsync(token));
+  });
+
+  it('verifies signatures made by the other implementation', async () => {
+    expect(verifySignature('payload', await signPayloadAsync('payload', 'key'), 'key')).toBe(true);
+    expect(await verifySignatureAsync('payload', signPayload('payload', 'key'), 'key')).toBe(true);
+    expect(verifySignature('payload', signPayload('payload', 'key'), 'other')).toBe(false);
+  });
+
+  it('builds the same signing payload', async () => {
+    const query: Array<[string, string]> = [
+      ['limit', '10'],
+      ['prefix', 'game:'],
+    ];
+    const body = JSON.stringify({ value: 'ünïcödé' });
+    expect(buildSigningPayload('c', 'GET', '/', query, '1', 'n', body)).toBe(
+      await buildSigningPayloadAsync('c', 'GET', '/', query, '1', 'n', body)
+    );
+  });
+
+  it('signs requests the same way', async () => {
+    vi.useFakeTimers({ now: 1_700_000_000_000 });
+    try {
+      const credentials = { clientId: 'game-server', secret: 'secret' };
+      const url = 'https://kvs.example/game%3A1?a=1';
+      const sync = signRequest('PUT', url, '{}', credentials);
+      const payload = await buildSigningPayloadAsync(
+        'game-server',
+        'PUT',
+        '/game:1',
+        [['a', '1']],
+        '1700000000',
+        sync[AUTH_NONCE_HEADER],
+        '{}'
+      );
+      expect(await verifySignatureAsync(payload, sync[AUTH_SIGNATURE_HEADER], 'secret')).toBe(true);
+
+      const async = await signRequestAsync('PUT', url, '{}', credentials);
+      const asyncPayload = buildSigningPayload(
+        'game-server',
+        'PUT',
+        '/game:1',
+        [['a', '1']],
+        '1700000000',
+        async[AUTH_NONCE_HEADER],
+        '{}'
+      );
+      expect(verifySignature(asyncPayload, async[AUTH_SIGNATURE_HEADER], 'secret')).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('compares strings in constant time on node:crypto, including multi-byte ones', () => {
+    expect(timingSafeEqual('abc', 'abc')).toBe(true);
+    expect(timingSafeEqual('abc', 'abd')).toBe(false);
+    expect(timingSafeEqual('ü', 'u')).toBe(false);
+    expect(timingSafeEqual('ü', 'üx')).toBe(false);
+  });
+
+  it('accepts signed links from either implementation', async () => {
+    expect(verifySignedLink(await createSignedLinkAsync('match-1', 'secret'), 'secret')).toEqual({ valid: true });
+    expect(await verifySignedLinkAsync(createSignedLink('match-1', 'secret'), 'secret')).toEqual({ valid: true });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * The isomorphic utilities, through the browser entry point. Runs on Node and under happy-dom
+ * (see vitest.config.ts), so both get the same answers from Web Crypto.
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import {
+  AUTH_CLIENT_HEADER,
+  AUTH_NONCE_HEADER,
+  AUTH_SIGNATURE_HEADER,
+  AUTH_TIMESTAMP_HEADER,
+  buildSigningPayloadAsync,
+  createSignedLinkAsync,
+  decodeSignedLink,
+  encodeSignedLink,
+  formatSigningPayload,
+  generateId,
+  generateIdempotencyKey,
+  generateToken,
+  getIdempotencyRetryDelay,
+  hashTokenAsync,
+  signPayloadAsync,
+  signRequestAsync,
+  timingSafeEqual,
+  toBase64Url,
+  verifySignatureAsync,
+  verifySignedLinkAsync,
+} from '../browser';
+
+// HMAC-SHA256("key", "The quick brown fox jumps over the lazy dog"), Base64URL
+const FOX = 'The quick brown fox jumps over the lazy dog';
+const FOX_HMAC = '97yD9DBThCSxMpjmqm-xQ-9NWaFJRhdZl0edvC0aPNg';
+
+describe('ids and tokens', () => {
+  it('generates hex ids with an optional prefix', () => {
+    expect(generateId()).toMatch(/^[0-9a-f]{16}$/);
+    expect(generateId('user')).toMatch(/^user-[0-9a-f]{16}$/);
+    expect(generateId()).not.toBe(generateId());
+  });
+
+  it('generates Base64URL tokens of the requested byte length', () => {
+    expect(generateToken()).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateToken(16)).toMatch(/^[A-Za-z0-9_-]{22}$/);
+  });
+
+  it('encodes Base64URL without padding', () => {
+    expect(toBase64Url(new Uint8Array([0xfb, 0xff]))).toBe('-_8');
+    expect(toBase64Url(new Uint8Array([]))).toBe('');
+  });
+
+  it('generates UUID idempotency keys', () => {
+    expect(generateIdempotencyKey()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+});
+
+describe('hashing and signatures', () => {
+  it('hashes with SHA-256 as hex', async () => {
+    expect(await hashTokenAsync('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(await hashTokenAsync('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  it('signs with HMAC-SHA256 as Base64URL', async () => {
+    expect(await signPayloadAsync(FOX, 'key')).toBe(FOX_HMAC);
+  });
+
+  it('verifies only the matching payload and secret', async () => {
+    expect(await verifySignatureAsync(FOX, FOX_HMAC, 'key')).toBe(true);
+    expect(await verifySignatureAsync(`${FOX}.`, FOX_HMAC, 'key')).toBe(false);
+    expect(await verifySignatureAsync(FOX, FOX_HMAC, 'other')).toBe(false);
+    expect(await verifySignatureAsync(FOX, '', 'key')).toBe(false);
+  });
+
+  it('compares strings without short-circuiting on length alone', () => {
+    expect(timingSafeEqual('abc', 'abc')).toBe(true);
+    expect(timingSafeEqual('abc', 'abd')).toBe(false);
+    expect(timingSafeEqual('abc', 'abcd')).toBe(false);
+  });
+});
+
+describe('signed links', () => {
+  it('verifies a link until it expires', async () => {
+    const link = await createSignedLinkAsync('match-1', 'secret', 60);
+    expect(await verifySignedLinkAsync(link, 'secret')).toEqual({ valid: true });
+    expect(await verifySignedLinkAsync(link, 'wrong')).toEqual({ valid: false, error: 'Invalid signature' });
+    expect(await verifySignedLinkAsync({ ...link, id: 'match-2' }, 'secret')).toEqual({
+      valid: false,
+      error: 'Invalid signature',
+    });
+
+    vi.useFakeTimers({ now: link.exp + 1 });
+    try {
+      expect(await verifySignedLinkAsync(link, 'secret')).toEqual({ valid: false, error: 'Link expired' });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('round-trips through query parameters', async () => {
+    const link = await createSignedLinkAsync('match 1/a', 'secret');
+    const url = new URL(encodeSignedLink(link, 'https://btl.run/join'));
+    expect(url.origin + url.pathname).toBe('https://btl.run/join');
+    expect(decodeSignedLink(url.searchParams)).toEqual(link);
+  });
+
+  it('rejects incomplete or malformed query parameters', () => {
+    expect(decodeSignedLink(new URLSearchParams('id=a&exp=1&nonce=n'))).toBeNull();
+    expect(decodeSignedLink(new URLSearchParams('id=a&exp=soon&nonce=n&sig=s'))).toBeNull();
+  });
+});
+
+describe('request signing', () => {
+  it('sorts and encodes the query in the payload', () => {
+    const query: Array<[string, string]> = [
+      ['b', '2 3'],
+      ['a', '1'],
+    ];
+    expect(formatSigningPayload('c', 'put', '/game:1', query, '100', 'n', 'hash')).toBe(
+      ['c', 'PUT', '/game:1', 'a=1&b=2%203', '100', 'n', 'hash'].join('\n')
+    );
+  });
+
+  it('signs the payload the services rebuild from the request', async () => {
+    vi.useFakeTimers({ now: 1_700_000_000_000 });
+    try {
+      const body = JSON.stringify({ value: 1 });
+      const headers = await signRequestAsync('PUT', 'https://kvs.example/game%3A1?b=2&a=1', body, {
+        clientId: 'game-server',
+        secret: 'secret',
+      });
+      expect(headers[AUTH_CLIENT_HEADER]).toBe('game-server');
+      expect(headers[AUTH_TIMESTAMP_HEADER]).toBe('1700000000');
+      expect(headers[AUTH_NONCE_HEADER]).toMatch(/^[A-Za-z0-9_-]{22}$/);
+
+      const payload = await buildSigningPayloadAsync(
+        'game-server',
+        'PUT',
+        '/game:1',
+        [
+          ['a', '1'],
+          ['b', '2'],
+        ],
+        '1700000000',
+        headers[AUTH_NONCE_HEADER],
+        body
+      );
+      expect(await verifySignatureAsync(payload, headers[AUTH_SIGNATURE_HEADER], 'secret')).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('idempotency retry delay', () => {
+  it('waits only on 409 with Retry-After', () => {
+    expect(getIdempotencyRetryDelay(new Response(null, { status: 409, headers: { 'Retry-After': '2' } }))).toBe(2000);
+    expect(getIdempotencyRetryDelay(new Response(null, { status: 409, headers: { 'Retry-After': 'x' } }))).toBe(1000);
+    expect(getIdempotencyRetryDelay(new Response(null, { status: 409 }))).toBeNull();
+    expect(getIdempotencyRetryDelay(new Response(null, { status: 503, headers: { 'Retry-After': '2' } }))).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Signed-request authentication, for the KVS and AskAI Lambdas (node only)
+ *
+ * Callers sign each request with an HMAC-SHA256 over its client id, method, path, sorted query,
+ * timestamp, nonce and body hash (`signRequest` / `signRequestAsync`); the services check it
+ * with the same `buildSigningPayload` and `verifySignature`.
+ * A request is accepted when the signature matches the client's secret, the timestamp is within
+ * AUTH_MAX_SKEW_SECONDS of now, and the nonce has not been seen before. Nonce storage is up to
+ * the caller via `claimNonce`, so each Lambda can keep them where it suits
+ * (`createMemoryNonceStore` keeps them per process).
+ *
+ * Clients come from the AUTH_CLIENTS environment variable:
+ * `{ "game-server": { "secret": "...", "prefixes": ["game:", "match:"] } }`. A client without
+ * `prefixes` may touch any key. When AUTH_CLIENTS is unset, requests are not authenticated.
+ *
+ */
+
+import {
+  AUTH_CLIENT_HEADER,
+  AUTH_NONCE_HEADER,
+  AUTH_SIGNATURE_HEADER,
+  AUTH_TIMESTAMP_HEADER,
+  buildSigningPayload,
+  verifySignature,
+} from './node';
+
+export const AUTH_MAX_SKEW_SECONDS = 5 * 60;
+
+export const AUTH_HEADERS = [AUTH_CLIENT_HEADER, AUTH_TIMESTAMP_HEADER, AUTH_NONCE_HEADER, AUTH_SIGNATURE_HEADER];
+
+export interface AuthClient {
+  id: string;
+  secret: string;
+  /** Key prefixes this client may read and write; undefined means every key */
+  prefixes?: string[];
+}
+
+export interface SignedRequest {
+  method: string;
+  /** Decoded request path, e.g. `/game:123` */
+  path: string;
+  query: Record<string, string | undefined>;
+  headers: Record<string, string | undefined> | undefined;
+  /** Raw body string exactly as received ('' for none) */
+  body: string;
+}
+
+/**
+ * Records a nonce until `expiresAt` (epoch seconds)
+ *
+ * @returns false if the nonce was already used
+ */
+export type ClaimNonce = (clientId: string, nonce: string, expiresAt: number) => Promise<boolean>;
+
+/**
+ * A request that is not signed correctly (401) or touches keys outside its namespace (403)
+ */
+export class AuthError extends Error {
+  constructor(
+    message: string,
+    public statusCode: 401 | 403
+  ) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Parses AUTH_CLIENTS
+ *
+ * @returns The clients by id, or null when authentication is disabled
+ * @throws Error if the variable is set but malformed, so a bad deploy fails loudly instead of running open
+ */
+export function loadAuthClients(raw: string | undefined): Map<string, AuthClient> | null {
+  if (!raw || !raw.trim()) {
+    return null;
+  }
+
+  const parsed = JSON.parse(raw) as Record<string, { secret?: unknown; prefixes?: unknown }>;
+  const clients = new Map<string, AuthClient>();
+  for (const [id, entry] of Object.entries(parsed)) {
+    if (typeof entry?.secret !== 'string' || entry.secret.length < 32) {
+      throw new Error(`AUTH_CLIENTS: ${id} needs a secret of at least 32 characters`);
+    }
+    if (
+      entry.prefixes !== undefined &&
+      (!Array.isArray(entry.prefixes) || !entry.prefixes.every((prefix) => typeof prefix === 'string'))
+    ) {
+      throw new Error(`AUTH_CLIENTS: ${id} prefixes must be an array of strings`);
+    }
+    clients.set(id, { id, secret: entry.secret, prefixes: entry.prefixes as string[] | undefined });
+  }
+  return clients;
+}
+
+/**
+ * Nonces seen by this process, mapped to when they expire (epoch seconds). A replay is only caught
+ * by the process that saw the original; the signed timestamp still bounds any other replay to
+ * AUTH_MAX_SKEW_SECONDS.
+ */
+export function createMemoryNonceStore(): ClaimNonce {
+  const seen = new Map<string, number>();
+  return async (clientId, nonce, expiresAt) => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [id, expiry] of seen) {
+      if (expiry <= now) {
+        seen.delete(id);
+      }
+    }
+    const id = `${clientId}:${nonce}`;
+    if (seen.has(id)) {
+      return false;
+    }
+    seen.set(id, expiresAt);
+    return true;
+  };
+}
+
+/**
+ * Case-insensitive header lookup (API Gateway v1 preserves case, v2 lowercases)
+ */
+export function getRequestHeader(
+  headers: Record<string, string | undefined> | undefined,
+  name: string
+): string | undefined {
+  if (!headers) {
+    return undefined;
+  }
+  const target = name.toLowerCase();
+  const match = Object.keys(headers).find((header) => header.toLowerCase() === target);
+  return match ? headers[match] : undefined;
+}
+
+/**
+ * The string the caller signed, rebuilt from the request as received
+ */
+function buildRequestPayload(clientId: string, request: SignedRequest, timestamp: string, nonce: string): string {
+  const query = Object.entries(request.query).filter((entry): entry is [string, string] => entry[1] !== undefined);
+  return buildSigningPayload(clientId, request.method, request.path, query, timestamp, nonce, request.body);
+}
+
+/**
+ * Verifies a signed request and claims its nonce
+ *
+ * @returns The authenticated client
+ * @throws AuthError (401) when any part of the signature check fails
+ */
+export async function authenticateRequest(
+  request: SignedRequest,
+  clients: Map<string, AuthClient>,
+  claimNonce: ClaimNonce
+): Promise<AuthClient> {
+  const clientId = getRequestHeader(request.headers, AUTH_CLIENT_HEADER);
+  const timestamp = getRequestHeader(request.headers, AUTH_TIMESTAMP_HEADER);
+  const nonce = getRequestHeader(request.headers, AUTH_NONCE_HEADER);
+  const signature = getRequestHeader(request.headers, AUTH_SIGNATURE_HEADER);
+  if (!clientId || !timestamp || !nonce || !signature) {
+    throw new AuthError('Authentication required', 401);
+  }
+
+  const client = clients.get(clientId);
+  if (!client || !verifySignature(buildRequestPayload(clientId, request, timestamp, nonce), signature, client.secret)) {
+    throw new AuthError('Invalid signature', 401);
+  }
+
+  const signedAt = Number(timestamp);
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(signedAt) || Math.abs(now - signedAt) > AUTH_MAX_SKEW_SECONDS) {
+    throw new AuthError('Request timestamp outside the allowed window', 401);
+  }
+
+  // Only signed requests reach this point, so junk cannot fill the nonce store
+  if (nonce.length > 128 || !(await claimNonce(clientId, nonce, signedAt + AUTH_MAX_SKEW_SECONDS))) {
+    throw new AuthError('Nonce already used', 401);
+  }
+
+  return client;
+}
+
+/**
+ * True if the client may touch `key` (a key, stream name or list prefix)
+ */
+export function canAccessKey(client: AuthClient | undefined, key: string): boolean {
+  return !client?.prefixes || client.prefixes.some((prefix) => key.startsWith(prefix));
+}
+
+/**
+ * @throws AuthError (403) if any key is outside the client's namespace
+ */
+export function assertKeyAccess(client: AuthClient | undefined, keys: Iterable<string>): void {
+  for (const key of keys) {
+    if (!canAccessKey(client, key)) {
+      throw new AuthError(`Key outside this client's namespace: ${key}`, 403);
+    }
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Idempotency records in DynamoDB, for the KVS and AskAI Lambdas (node only)
+ *
+ * Items live at `pk = "idem#<client>:<key>"`, `sk = "idempotency"` with `expiresAt` as the table's
+ * TTL attribute, so the store can share a table with anything else keyed by `pk` / `sk` strings.
+ * Needs @aws-sdk/client-dynamodb and @aws-sdk/lib-dynamodb, which the Lambda runtime provides.
+ */
+
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, DeleteCommand, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import type { IdempotencyRecord, IdempotencyStore } from './idempotency';
+
+const IDEMPOTENCY_PARTITION_PREFIX = 'idem#';
+const IDEMPOTENCY_SORT_KEY = 'idempotency';
+const CLAIM_MAX_ATTEMPTS = 3;
+
+function nowEpochSeconds(): number {
+  return Math.floor(Date.now() / 1000);
+}
+
+export class DynamoDBIdempotencyStore implements IdempotencyStore {
+  constructor(
+    private tableName: string,
+    private docClient: DynamoDBDocumentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}))
+  ) {}
+
+  private key(id: string): { pk: string; sk: string } {
+    return { pk: `${IDEMPOTENCY_PARTITION_PREFIX}${id}`, sk: IDEMPOTENCY_SORT_KEY };
+  }
+
+  /**
+   * A conditional put that only overwrites an expired record; when it fails, the record holding
+   * the id is read back (and the claim retried if that record vanished in between)
+   */
+  async claimIdempotencyKey(id: string, record: IdempotencyRecord): Promise<IdempotencyRecord | undefined> {
+    const key = this.key(id);
+    for (let attempt = 0; attempt < CLAIM_MAX_ATTEMPTS; attempt++) {
+      try {
+        await this.docClient.send(
+          new PutCommand({
+            TableName: this.tableName,
+            Item: { ...key, ...record },
+            ConditionExpression: 'attribute_not_exists(pk) OR expiresAt <= :now',
+            ExpressionAttributeValues: { ':now': nowEpochSeconds() },
+          })
+        );
+        return undefined;
+      } catch (error) {
+        if (!(error instanceof ConditionalCheckFailedException)) {
+          throw error;
+        }
+      }
+
+      const result = await this.docClient.send(
+        new GetCommand({ TableName: this.tableName, Key: key, ConsistentRead: true })
+      );
+      if (result.Item && (result.Item.expiresAt as number) > nowEpochSeconds()) {
+        return {
+          fingerprint: result.Item.fingerprint as string,
+          expiresAt: result.Item.expiresAt as number,
+          ...(result.Item.response ? { response: result.Item.response as IdempotencyRecord['response'] } : {}),
+        };
+      }
+    }
+    throw new Error(`Could not claim idempotency key ${id}`);
+  }
+
+  async completeIdempotencyKey(id: string, record: IdempotencyRecord): Promise<void> {
+    await this.docClient.send(new PutCommand({ TableName: this.tableName, Item: { ...this.key(id), ...record } }));
+  }
+
+  async releaseIdempotencyKey(id: string): Promise<void> {
+    await this.docClient.send(new DeleteCommand({ TableName: this.tableName, Key: this.key(id) }));
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Idempotency keys, for the KVS and AskAI Lambdas (node only)
+ *
+ * A write sent with an `Idempotency-Key` header runs at most once per key: the first request's
+ * response is stored for the idempotency window and replayed, marked `Idempotent-Replayed: true`,
+ * for every duplicate. A duplicate that arrives while the first is still running gets 409 with
+ * Retry-After, and reusing a key for a different request (method, path, query or body) gets 422.
+ * Keys are scoped per auth client. Server errors (5xx) and 429s are not stored, so a retry runs again.
+ *
+ * Record storage is up to the caller via `IdempotencyStore`, so each Lambda can keep them where
+ * it suits: `MemoryIdempotencyStore` here, or `DynamoDBIdempotencyStore` (./idempotency-dynamodb).
+ * Clients send the keys with `generateIdempotencyKey` (./index).
+ */
+
+import { IDEMPOTENCY_HEADER, IDEMPOTENCY_REPLAYED_HEADER } from './index';
+import { hashToken } from './node';
+
+export { IDEMPOTENCY_HEADER, IDEMPOTENCY_REPLAYED_HEADER };
+export const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+// How long a claim holds off duplicates when its request never finishes (e.g. the Lambda timed out)
+const PENDING_SECONDS = 60;
+const IN_PROGRESS_RETRY_AFTER_SECONDS = 1;
+// Larger responses are not kept (DynamoDB items hold 400KB); their keys only cover the request in flight
+const MAX_STORED_RESPONSE_BYTES = 256 * 1024;
+
+export interface IdempotentResponse {
+  statusCode: number;
+  headers: Record<string, string>;
+  body: string;
+}
+
+export interface IdempotencyRecord {
+  /** Hash of the request that claimed the key */
+  fingerprint: string;
+  /** Absent while that request is still running */
+  response?: IdempotentResponse;
+  /** Epoch seconds; the record is ignored from then on */
+  expiresAt: number;
+}
+
+/**
+ * Where idempotency records live, by `<client>:<key>`
+ */
+export interface IdempotencyStore {
+  /**
+   * Stores `record` unless an unexpired record already holds the id
+   *
+   * @returns The record holding the id, or undefined if this call claimed it
+   */
+  claimIdempotencyKey(id: string, record: IdempotencyRecord): Promise<IdempotencyRecord | undefined>;
+  /** Replaces the claim with the finished request's record */
+  completeIdempotencyKey(id: string, record: IdempotencyRecord): Promise<void>;
+  /** Drops the claim, so the next request with the key runs again */
+  releaseIdempotencyKey(id: string): Promise<void>;
+}
+
+/**
+ * Keeps records in this process, for a Lambda without a table and for local servers
+ */
+export class MemoryIdempotencyStore implements IdempotencyStore {
+  private records = new Map<string, IdempotencyRecord>();
+
+  async claimIdempotencyKey(id: string, record: IdempotencyRecord): Promise<IdempotencyRecord | undefined> {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [recordId, stored] of this.records) {
+      if (stored.expiresAt <= now) {
+        this.records.delete(recordId);
+      }
+    }
+    const existing = this.records.get(id);
+    if (existing) {
+      return existing;
+    }
+    this.records.set(id, record);
+    return undefined;
+  }
+
+  async completeIdempotencyKey(id: string, record: IdempotencyRecord): Promise<void> {
+    this.records.set(id, record);
+  }
+
+  async releaseIdempotencyKey(id: string): Promise<void> {
+    this.records.delete(id);
+  }
+}
+
+export interface IdempotentRequest {
+  method: string;
+  /** Decoded request path */
+  path: string;
+  query: Record<string, string | undefined>;
+  /** Raw body string exactly as received ('' for none) */
+  body: string;
+}
+
+/**
+ * Reads IDEMPOTENCY_TTL_SECONDS; 0 turns idempotency keys off
+ */
+export function loadIdempotencyTtl(raw: string | undefined): number {
+  const parsed = parseInt(raw || '', 10);
+  return isNaN(parsed) ? DEFAULT_IDEMPOTENCY_TTL_SECONDS : Math.max(0, parsed);
+}
+
+/**
+ * @returns An error message if the header value cannot be used as a key
+ */
+export function validateIdempotencyKey(key: string): string | null {
+  return IDEMPOTENCY_KEY_REGEX.test(key) ? null : `${IDEMPOTENCY_HEADER} must be 1-255 visible ASCII characters`;
+}
+
+function fingerprintRequest(request: IdempotentRequest): string {
+  const query = Object.entries(request.query)
+    .filter(([, value]) => value !== undefined)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return hashToken(JSON.stringify([request.method, request.path, query, request.body]));
+}
+
+/**
+ * Failures worth retrying are not stored, and neither are responses too large to keep
+ */
+function isStorable(response: IdempotentResponse): boolean {
+  return (
+    response.statusCode < 500 &&
+    response.statusCode !== 429 &&
+    Buffer.byteLength(response.body, 'utf8') <= MAX_STORED_RESPONSE_BYTES
+  );
+}
+
+function reply(statusCode: number, headers: Record<string, string>, payload: unknown): IdempotentResponse {
+  return { statusCode, headers, body: JSON.stringify(payload) };
+}
+
+/**
+ * Runs `execute` once per idempotency key and answers duplicates from the stored record
+ *
+ * @param clientId - Scopes the key ('' when requests are not authenticated)
+ * @param headers - Response headers for this request (CORS), laid over a replayed response's own
+ */
+export async function runIdempotent(
+  store: IdempotencyStore,
+  clientId: string,
+  key: string,
+  request: IdempotentRequest,
+  ttlSeconds: number,
+  headers: Record<string, string>,
+  execute: () => Promise<IdempotentResponse>
+): Promise<IdempotentResponse> {
+  const id = `${clientId}:${key}`;
+  const fingerprint = fingerprintRequest(request);
+  const now = Math.floor(Date.now() / 1000);
+
+  const existing = await store.claimIdempotencyKey(id, { fingerprint, expiresAt: now + PENDING_SECONDS });
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return reply(422, headers, { error: `${IDEMPOTENCY_HEADER} was already used for a different request` });
+    }
+    if (!existing.response) {
+      return reply(
+        409,
+        { ...headers, 'Retry-After': String(IN_PROGRESS_RETRY_AFTER_SECONDS) },
+        { error: `A request with this ${IDEMPOTENCY_HEADER} is still in progress` }
+      );
+    }
+    return {
+      ...existing.response,
+      headers: { ...existing.response.headers, ...headers, [IDEMPOTENCY_REPLAYED_HEADER]: 'true' },
+    };
+  }
+
+  let response: IdempotentResponse;
+  try {
+    response = await execute();
+  } catch (error) {
+    await store.releaseIdempotencyKey(id).catch((releaseError) => {
+      console.error('Idempotency key release failed', releaseError);
+    });
+    throw error;
+  }
+
+  // The request already ran, so a failure to record it must not turn its response into an error
+  try {
+    if (isStorable(response)) {
+      await store.completeIdempotencyKey(id, { fingerprint, response, expiresAt: now + ttlSeconds });
+    } else {
+      await store.releaseIdempotencyKey(id);
+    }
+  } catch (error) {
+    console.error('Idempotency record update failed', error);
+  }
+  return response;
+}
@@ -2,9 +2,33 @@
  * Utility Functions
  *
  * Common helper functions for logging, token generation, and validation.
+ *
+ * Everything here runs in browsers and on Node alike: randomness and hashing come from Web
+ * Crypto (`globalThis.crypto`), so hashes and HMACs are async (`signPayloadAsync`,
+ * `signRequestAsync`, ...). The synchronous versions use node:crypto and live in ./node, which
+ * the package's node entry point exports in addition to these.
  */
 
-import * as crypto from 'crypto';
+const encoder = new TextEncoder();
+
+function randomBytes(length: number): Uint8Array {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Base64URL without padding, as Node's `digest('base64url')` produces
+ */
+export function toBase64Url(bytes: Uint8Array): string {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
 // ============================================================================
 // ID GENERATION
@@ -23,7 +47,7 @@ import * as crypto from 'crypto';
  * ```
  */
 export function generateId(prefix?: string): string {
-  const random = crypto.randomBytes(16).toString('hex').slice(0, 16);
+  const random = toHex(randomBytes(8));
   return prefix ? `${prefix}-${random}` : random;
 }
 
@@ -38,7 +62,7 @@ export function generateId(prefix?: string): string {
  * @returns Base64URL-encoded token
  */
 export function generateToken(length: number = 32): string {
-  return crypto.randomBytes(length).toString('base64url');
+  return toBase64Url(randomBytes(length));
 }
 
 /**
@@ -47,8 +71,8 @@ export function generateToken(length: number = 32): string {
  * @param token - The token to hash
  * @returns Hex-encoded hash
  */
-export function hashToken(token: string): string {
-  return crypto.createHash('sha256').update(token).digest('hex');
+export async function hashTokenAsync(token: string): Promise<string> {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(token))));
 }
 
 /**
@@ -58,8 +82,11 @@ export function hashToken(token: string): string {
  * @param secret - HMAC secret key
  * @returns Base64URL-encoded signature
  */
-export function signPayload(payload: string, secret: string): string {
-  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+export async function signPayloadAsync(payload: string, secret: string): Promise<string> {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ]);
+  return toBase64Url(new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(payload))));
 }
 
 /**
@@ -70,16 +97,8 @@ export function signPayload(payload: string, secret: string): string {
  * @param secret - HMAC secret key
  * @returns true if signature is valid
  */
-export function verifySignature(payload: string, signature: string, secret: string): boolean {
-  const expected = signPayload(payload, secret);
-  if (signature.length !== expected.length) {
-    return false;
-  }
-  try {
-    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
-  } catch {
-    return false;
-  }
+export async function verifySignatureAsync(payload: string, signature: string, secret: string): Promise<boolean> {
+  return timingSafeEqual(signature, await signPayloadAsync(payload, secret));
 }
 
 /**
@@ -93,7 +112,11 @@ export function timingSafeEqual(a: string, b: string): boolean {
   if (a.length !== b.length) {
     return false;
   }
-  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
 }
 
 // ============================================================================
@@ -196,7 +219,7 @@ export function createLogger(requestId?: string): Logger {
       console.error(`${prefix} ERROR:`, message, ...args);
     },
     debug: (message: string, ...args: unknown[]) => {
-      if (process.env.DEBUG) {
+      if ((globalThis as { process?: { env?: Record<string, string | undefined> } }).process?.env?.DEBUG) {
         console.debug(`${prefix} DEBUG:`, message, ...args);
       }
     },
@@ -222,15 +245,15 @@ export interface SignedLink {
  * @param ttlSeconds - Time to live in seconds (default: 3600 = 1 hour)
  * @returns Signed link object
  */
-export function createSignedLink(
+export async function createSignedLinkAsync(
   id: string,
   secret: string,
   ttlSeconds: number = 3600
-): SignedLink {
+): Promise<SignedLink> {
   const nonce = generateToken(16);
   const exp = Date.now() + ttlSeconds * 1000;
   const payload = `${id}:${exp}:${nonce}`;
-  const sig = signPayload(payload, secret);
+  const sig = await signPayloadAsync(payload, secret);
 
   return { id, exp, nonce, sig };
 }
@@ -242,10 +265,10 @@ export function createSignedLink(
  * @param secret - HMAC secret
  * @returns Validation result with error message if invalid
  */
-export function verifySignedLink(
+export async function verifySignedLinkAsync(
   link: SignedLink,
   secret: string
-): { valid: boolean; error?: string } {
+): Promise<{ valid: boolean; error?: string }> {
   // Check expiry
   if (Date.now() > link.exp) {
     return { valid: false, error: 'Link expired' };
@@ -253,7 +276,7 @@ export function verifySignedLink(
 
   // Verify signature
   const payload = `${link.id}:${link.exp}:${link.nonce}`;
-  const expectedSig = signPayload(payload, secret);
+  const expectedSig = await signPayloadAsync(payload, secret);
 
   if (!timingSafeEqual(link.sig, expectedSig)) {
     return { valid: false, error: 'Invalid signature' };
@@ -296,3 +319,136 @@ export function decodeSignedLink(queryParams: URLSearchParams): SignedLink | nul
 
   return { id, exp, nonce, sig };
 }
+
+// ============================================================================
+// REQUEST SIGNING
+// ============================================================================
+
+/**
+ * Credentials issued to a service caller (see AUTH_CLIENTS on the KVS and AskAI Lambdas)
+ */
+export interface RequestCredentials {
+  clientId: string;
+  secret: string;
+}
+
+export const AUTH_CLIENT_HEADER = 'X-Auth-Client';
+export const AUTH_TIMESTAMP_HEADER = 'X-Auth-Timestamp';
+export const AUTH_NONCE_HEADER = 'X-Auth-Nonce';
+export const AUTH_SIGNATURE_HEADER = 'X-Auth-Signature';
+
+/**
+ * Joins the fields of a request signing payload, given the body's SHA-256 hex digest
+ *
+ * One field per line: client id, method, decoded path, query string sorted by name,
+ * timestamp (epoch seconds), nonce, and the body hash.
+ * The Lambdas rebuild the same string from the incoming event.
+ */
+export function formatSigningPayload(
+  clientId: string,
+  method: string,
+  path: string,
+  query: Iterable<[string, string]>,
+  timestamp: string,
+  nonce: string,
+  bodyHash: string
+): string {
+  const canonicalQuery = [...query]
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&');
+  return [clientId, method.toUpperCase(), path, canonicalQuery, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Builds the string that gets signed for a request (see formatSigningPayload)
+ */
+export async function buildSigningPayloadAsync(
+  clientId: string,
+  method: string,
+  path: string,
+  query: Iterable<[string, string]>,
+  timestamp: string,
+  nonce: string,
+  body: string
+): Promise<string> {
+  return formatSigningPayload(clientId, method, path, query, timestamp, nonce, await hashTokenAsync(body));
+}
+
+/**
+ * Signs an outgoing request and returns the headers to send with it
+ *
+ * @param method - HTTP method
+ * @param url - Full request URL including any query string
+ * @param body - Exact body string sent ('' for none)
+ * @param credentials - Client id and HMAC secret
+ * @returns Auth headers (client, timestamp, nonce, signature)
+ *
+ * @example
+ * ```typescript
+ * const body = JSON.stringify(payload);
+ * const headers = await signRequestAsync('PUT', url, body, credentials);
+ * await fetch(url, { method: 'PUT', body, headers });
+ * ```
+ */
+export async function signRequestAsync(
+  method: string,
+  url: string,
+  body: string,
+  credentials: RequestCredentials
+): Promise<Record<string, string>> {
+  const parsed = new URL(url);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = generateToken(16);
+  const payload = await buildSigningPayloadAsync(
+    credentials.clientId,
+    method,
+    decodeURIComponent(parsed.pathname),
+    parsed.searchParams.entries(),
+    timestamp,
+    nonce,
+    body
+  );
+
+  return {
+    [AUTH_CLIENT_HEADER]: credentials.clientId,
+    [AUTH_TIMESTAMP_HEADER]: timestamp,
+    [AUTH_NONCE_HEADER]: nonce,
+    [AUTH_SIGNATURE_HEADER]: await signPayloadAsync(payload, credentials.secret),
+  };
+}
+
+// ============================================================================
+// IDEMPOTENCY KEYS
+// ============================================================================
+
+/**
+ * Sent with writes so the KVS and AskAI Lambdas run a retried request only once
+ */
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * Set on responses the Lambdas replay for a duplicate idempotency key
+ */
+export const IDEMPOTENCY_REPLAYED_HEADER = 'Idempotent-Replayed';
+
+/**
+ * A fresh key for one logical request; send the same key with every retry of it
+ */
+export function generateIdempotencyKey(): string {
+  return crypto.randomUUID();
+}
+
+/**
+ * Whether a response says an earlier request with the same idempotency key is still running
+ *
+ * @returns Milliseconds to wait before asking again, or null for any other response
+ */
+export function getIdempotencyRetryDelay(response: Response): number | null {
+  const retryAfter = response.headers.get('Retry-After');
+  if (response.status !== 409 || retryAfter === null) {
+    return null;
+  }
+  const seconds = parseInt(retryAfter, 10);
+  return isNaN(seconds) ? 1000 : Math.max(0, seconds) * 1000;
+}
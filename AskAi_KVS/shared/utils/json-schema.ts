@@ -0,0 +1,395 @@
+/**
+ * JSON Schema validation
+ *
+ * Checks values against a JSON Schema (draft-07) subset: type, enum, const, properties, required,
+ * additionalProperties, items, the min/max/length/pattern/multipleOf bounds, uniqueItems,
+ * allOf/anyOf/oneOf/not and `$ref` into the same document. Annotations (title, description,
+ * format, default, ...) are accepted and ignored; any other keyword is rejected by
+ * `checkSchemaDefinition`, so a schema never silently checks less than its author expects.
+ *
+ * KVS checks stored values with it (see services/kvs/src/schema) and AskAI checks structured
+ * answers (services/askai/src/structured).
+ */
+
+export type JsonSchema = boolean | { [keyword: string]: unknown };
+
+export interface SchemaViolation {
+  /** JSON Pointer to the offending field, `''` for the value itself */
+  path: string;
+  message: string;
+}
+
+/**
+ * A schema that cannot be accepted (400)
+ */
+export class SchemaDefinitionError extends Error {
+  statusCode = 400 as const;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'SchemaDefinitionError';
+  }
+}
+
+// $ref cycles that never consume any of the value would otherwise recurse forever
+const MAX_SCHEMA_DEPTH = 64;
+
+const ANNOTATION_KEYWORDS = new Set([
+  '$schema',
+  '$id',
+  '$comment',
+  'title',
+  'description',
+  'default',
+  'examples',
+  'format',
+  'readOnly',
+  'writeOnly',
+  'deprecated',
+]);
+
+const JSON_TYPES = new Set(['null', 'boolean', 'object', 'array', 'number', 'integer', 'string']);
+
+type SchemaObject = { [keyword: string]: unknown };
+
+/**
+ * How each supported keyword's own value must look
+ */
+const KEYWORD_CHECKS: Record<string, (value: unknown) => boolean> = {
+  type: (value) =>
+    typeof value === 'string'
+      ? JSON_TYPES.has(value)
+      : Array.isArray(value) && value.length > 0 && value.every((type) => typeof type === 'string' && JSON_TYPES.has(type)),
+  enum: (value) => Array.isArray(value) && value.length > 0,
+  const: () => true,
+  properties: (value) => isObject(value),
+  required: (value) => Array.isArray(value) && value.every((name) => typeof name === 'string'),
+  additionalProperties: isSchema,
+  items: isSchema,
+  minItems: isCount,
+  maxItems: isCount,
+  uniqueItems: (value) => typeof value === 'boolean',
+  minLength: isCount,
+  maxLength: isCount,
+  pattern: (value) => typeof value === 'string' && isRegExp(value),
+  minimum: isNumber,
+  maximum: isNumber,
+  exclusiveMinimum: isNumber,
+  exclusiveMaximum: isNumber,
+  multipleOf: (value) => isNumber(value) && value > 0,
+  minProperties: isCount,
+  maxProperties: isCount,
+  allOf: isSchemaList,
+  anyOf: isSchemaList,
+  oneOf: isSchemaList,
+  not: isSchema,
+  $ref: (value) => typeof value === 'string',
+  definitions: (value) => isObject(value),
+  $defs: (value) => isObject(value),
+};
+
+function isObject(value: unknown): value is SchemaObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isSchema(value: unknown): value is JsonSchema {
+  return typeof value === 'boolean' || isObject(value);
+}
+
+function isSchemaList(value: unknown): boolean {
+  return Array.isArray(value) && value.length > 0 && value.every(isSchema);
+}
+
+function isNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isCount(value: unknown): boolean {
+  return Number.isInteger(value) && (value as number) >= 0;
+}
+
+function isRegExp(source: string): boolean {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function escapePointerToken(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolves `#` or `#/<pointer>` within the root schema
+ */
+function resolveRef(root: JsonSchema, ref: string): JsonSchema | undefined {
+  if (ref === '#') {
+    return root;
+  }
+  if (!ref.startsWith('#/')) {
+    return undefined;
+  }
+  let target: unknown = root;
+  for (const token of ref.slice(2).split('/')) {
+    const name = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!isObject(target) || !Object.prototype.hasOwnProperty.call(target, name)) {
+      return undefined;
+    }
+    target = target[name];
+  }
+  return isSchema(target) ? target : undefined;
+}
+
+/**
+ * Walks a schema and every subschema in it, checking keywords and `$ref` targets
+ *
+ * @throws SchemaDefinitionError naming the first problem found
+ */
+export function checkSchemaDefinition(schema: unknown, root: unknown = schema, location = '#'): void {
+  if (typeof schema === 'boolean') {
+    return;
+  }
+  if (!isObject(schema)) {
+    throw new SchemaDefinitionError(`${location}: a schema must be an object or a boolean`);
+  }
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATION_KEYWORDS.has(keyword)) {
+      continue;
+    }
+    const check = KEYWORD_CHECKS[keyword];
+    if (!check) {
+      throw new SchemaDefinitionError(`${location}: unsupported keyword "${keyword}"`);
+    }
+    if (!check(value)) {
+      throw new SchemaDefinitionError(`${location}: invalid value for "${keyword}"`);
+    }
+  }
+
+  if (typeof schema.$ref === 'string' && !resolveRef(root as JsonSchema, schema.$ref)) {
+    throw new SchemaDefinitionError(`${location}: cannot resolve $ref "${schema.$ref}"`);
+  }
+
+  for (const keyword of ['properties', 'definitions', '$defs']) {
+    for (const [name, subschema] of Object.entries((schema[keyword] as SchemaObject | undefined) || {})) {
+      checkSchemaDefinition(subschema, root, `${location}/${keyword}/${escapePointerToken(name)}`);
+    }
+  }
+  for (const keyword of ['additionalProperties', 'items', 'not']) {
+    if (schema[keyword] !== undefined) {
+      checkSchemaDefinition(schema[keyword], root, `${location}/${keyword}`);
+    }
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    ((schema[keyword] as unknown[] | undefined) || []).forEach((subschema, index) =>
+      checkSchemaDefinition(subschema, root, `${location}/${keyword}/${index}`)
+    );
+  }
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function hasType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return isNumber(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function validateNode(
+  schema: JsonSchema,
+  value: unknown,
+  path: string,
+  root: JsonSchema,
+  depth: number,
+  violations: SchemaViolation[]
+): void {
+  const fail = (message: string, at = path) => violations.push({ path: at, message });
+
+  if (schema === true) {
+    return;
+  }
+  if (schema === false) {
+    fail('is not allowed');
+    return;
+  }
+  if (depth > MAX_SCHEMA_DEPTH) {
+    fail('schema nests too deeply to check');
+    return;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    validateNode(resolveRef(root, schema.$ref) ?? false, value, path, root, depth + 1, violations);
+  }
+
+  if (schema.type !== undefined) {
+    const types = ([] as string[]).concat(schema.type as string | string[]);
+    if (!types.some((type) => hasType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      // Every other keyword would just restate the type mismatch
+      return;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((allowed) => deepEqual(allowed, value))) {
+    fail(`must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (isNumber(schema.minLength) && length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (isNumber(schema.maxLength) && length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (isNumber(value)) {
+    if (isNumber(schema.minimum) && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (isNumber(schema.maximum) && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (isNumber(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (isNumber(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+    if (isNumber(schema.multipleOf) && !Number.isInteger(Number((value / schema.multipleOf).toPrecision(12)))) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (isNumber(schema.minItems) && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (isNumber(schema.maxItems) && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems === true && value.some((item, index) => value.findIndex((other) => deepEqual(item, other)) !== index)) {
+      fail('must not contain duplicate items');
+    }
+    if (isSchema(schema.items)) {
+      const items = schema.items;
+      value.forEach((item, index) => validateNode(items, item, `${path}/${index}`, root, depth + 1, violations));
+    }
+  }
+
+  if (isObject(value)) {
+    const names = Object.keys(value);
+    const properties = isObject(schema.properties) ? schema.properties : {};
+    if (isNumber(schema.minProperties) && names.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} properties`);
+    }
+    if (isNumber(schema.maxProperties) && names.length > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} properties`);
+    }
+    for (const name of (schema.required as string[] | undefined) || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) {
+        fail('is required', `${path}/${escapePointerToken(name)}`);
+      }
+    }
+    for (const name of names) {
+      const at = `${path}/${escapePointerToken(name)}`;
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        validateNode(properties[name] as JsonSchema, value[name], at, root, depth + 1, violations);
+      } else if (schema.additionalProperties === false) {
+        fail('is not an allowed property', at);
+      } else if (isSchema(schema.additionalProperties)) {
+        validateNode(schema.additionalProperties, value[name], at, root, depth + 1, violations);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subschema of schema.allOf as JsonSchema[]) {
+      validateNode(subschema, value, path, root, depth + 1, violations);
+    }
+  }
+  if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+    const oneOf = Array.isArray(schema.oneOf);
+    const branches = (oneOf ? schema.oneOf : schema.anyOf) as JsonSchema[];
+    const results = branches.map((subschema) => {
+      const branchViolations: SchemaViolation[] = [];
+      validateNode(subschema, value, path, root, depth + 1, branchViolations);
+      return branchViolations;
+    });
+    const matched = results.filter((result) => result.length === 0).length;
+
+    if (matched === 0) {
+      // When the closest branch fails only on nested fields, its errors say more than "no match"
+      const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+      if (closest.every((violation) => violation.path !== path)) {
+        violations.push(...closest);
+      } else {
+        fail(`must match ${oneOf ? 'exactly' : 'at least'} one of ${branches.length} schemas`);
+      }
+    } else if (oneOf && matched > 1) {
+      fail(`must match exactly one of ${branches.length} schemas, matched ${matched}`);
+    }
+  }
+  if (schema.not !== undefined) {
+    const notViolations: SchemaViolation[] = [];
+    validateNode(schema.not as JsonSchema, value, path, root, depth + 1, notViolations);
+    if (notViolations.length === 0) {
+      fail('must not match the excluded schema');
+    }
+  }
+}
+
+/**
+ * @returns One violation per failing field; empty when the value conforms
+ */
+export function validateValue(schema: JsonSchema, value: unknown): SchemaViolation[] {
+  const violations: SchemaViolation[] = [];
+  validateNode(schema, value, '', schema, 0, violations);
+  return violations;
+}
+
+/**
+ * Structural equality of JSON values
+ */
+export function deepEqual(a: unknown, b: unknown): boolean {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => deepEqual(item, b[index]))
+    );
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
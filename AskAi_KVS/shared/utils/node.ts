@@ -0,0 +1,167 @@
+/**
+ * Node Utility Functions
+ *
+ * Everything in ./index, plus synchronous hashing, HMAC and request signing on node:crypto for
+ * Lambda handlers and scripts. Each has an async counterpart in ./index that also runs in
+ * browsers and produces the same output.
+ */
+
+import * as crypto from 'crypto';
+import {
+  AUTH_CLIENT_HEADER,
+  AUTH_NONCE_HEADER,
+  AUTH_SIGNATURE_HEADER,
+  AUTH_TIMESTAMP_HEADER,
+  formatSigningPayload,
+  generateToken,
+  type RequestCredentials,
+  type SignedLink,
+} from './index';
+
+export * from './index';
+
+/**
+ * Timing-safe string comparison on node:crypto (./index has a portable one for runtimes
+ * without it)
+ *
+ * @param a - First string
+ * @param b - Second string
+ * @returns true if strings are equal
+ */
+export function timingSafeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  if (left.length !== right.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Hash a token for secure storage using SHA-256
+ *
+ * @param token - The token to hash
+ * @returns Hex-encoded hash
+ */
+export function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate HMAC signature for signed payloads
+ *
+ * @param payload - Data to sign
+ * @param secret - HMAC secret key
+ * @returns Base64URL-encoded signature
+ */
+export function signPayload(payload: string, secret: string): string {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Verify HMAC signature
+ *
+ * @param payload - Original data
+ * @param signature - Signature to verify
+ * @param secret - HMAC secret key
+ * @returns true if signature is valid
+ */
+export function verifySignature(payload: string, signature: string, secret: string): boolean {
+  return timingSafeEqual(signature, signPayload(payload, secret));
+}
+
+/**
+ * Creates a signed link with expiration and nonce
+ *
+ * @param id - Resource identifier
+ * @param secret - HMAC secret
+ * @param ttlSeconds - Time to live in seconds (default: 3600 = 1 hour)
+ * @returns Signed link object
+ */
+export function createSignedLink(
+  id: string,
+  secret: string,
+  ttlSeconds: number = 3600
+): SignedLink {
+  const nonce = generateToken(16);
+  const exp = Date.now() + ttlSeconds * 1000;
+  const payload = `${id}:${exp}:${nonce}`;
+  const sig = signPayload(payload, secret);
+
+  return { id, exp, nonce, sig };
+}
+
+/**
+ * Verifies a signed link
+ *
+ * @param link - The signed link to verify
+ * @param secret - HMAC secret
+ * @returns Validation result with error message if invalid
+ */
+export function verifySignedLink(
+  link: SignedLink,
+  secret: string
+): { valid: boolean; error?: string } {
+  if (Date.now() > link.exp) {
+    return { valid: false, error: 'Link expired' };
+  }
+
+  const payload = `${link.id}:${link.exp}:${link.nonce}`;
+  if (!timingSafeEqual(link.sig, signPayload(payload, secret))) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Builds the string that gets signed for a request (see formatSigningPayload)
+ */
+export function buildSigningPayload(
+  clientId: string,
+  method: string,
+  path: string,
+  query: Iterable<[string, string]>,
+  timestamp: string,
+  nonce: string,
+  body: string
+): string {
+  const bodyHash = crypto.createHash('sha256').update(body, 'utf8').digest('hex');
+  return formatSigningPayload(clientId, method, path, query, timestamp, nonce, bodyHash);
+}
+
+/**
+ * Signs an outgoing request and returns the headers to send with it
+ *
+ * @param method - HTTP method
+ * @param url - Full request URL including any query string
+ * @param body - Exact body string sent ('' for none)
+ * @param credentials - Client id and HMAC secret
+ * @returns Auth headers (client, timestamp, nonce, signature)
+ */
+export function signRequest(
+  method: string,
+  url: string,
+  body: string,
+  credentials: RequestCredentials
+): Record<string, string> {
+  const parsed = new URL(url);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = generateToken(16);
+  const payload = buildSigningPayload(
+    credentials.clientId,
+    method,
+    decodeURIComponent(parsed.pathname),
+    parsed.searchParams.entries(),
+    timestamp,
+    nonce,
+    body
+  );
+
+  return {
+    [AUTH_CLIENT_HEADER]: credentials.clientId,
+    [AUTH_TIMESTAMP_HEADER]: timestamp,
+    [AUTH_NONCE_HEADER]: nonce,
+    [AUTH_SIGNATURE_HEADER]: signPayload(payload, credentials.secret),
+  };
+}
@@ -0,0 +1,27 @@
+import { defineConfig } from 'vitest/config';
+
+/**
+ * The isomorphic suites (`*.test.ts`) run twice: on Node, and in a browser-like DOM environment
+ * (happy-dom). Suites for the node:crypto helpers (`*.node.test.ts`) only run on Node.
+ */
+export default defineConfig({
+  test: {
+    projects: [
+      {
+        test: {
+          name: 'node',
+          environment: 'node',
+          include: ['test/**/*.test.ts'],
+        },
+      },
+      {
+        test: {
+          name: 'browser',
+          environment: 'happy-dom',
+          include: ['test/**/*.test.ts'],
+          exclude: ['test/**/*.node.test.ts'],
+        },
+      },
+    ],
+  },
+});